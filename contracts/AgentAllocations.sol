@@ -0,0 +1,176 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title AgentAllocations
+ * @dev Ledger of the principal agents have drawn from a vault, shared by AoP1Vault and AoP2Vault
+ * @notice - Principal is tracked per agent and per asset; AoP1Vault records MON under address(0)
+ *         - An agent can only draw up to the credit limit the admin set for that asset
+ *         - maxAgentAllocation caps an agent's outstanding principal as a share of the vault's total value
+ *         - Every draw and return also adds to the agent's performance stats, per asset, and every agent
+ *           ever granted AGENT_ROLE stays listed, so agents can be compared after they are removed
+ *         Principal out with agents still belongs to the vault and keeps counting towards its total value
+ *         until the agent returns it with a profit or a loss.
+ */
+abstract contract AgentAllocations {
+    struct Allocation {
+        uint256 principal;   // Outstanding principal, in the asset's decimals
+        uint256 creditLimit; // Maximum outstanding principal, in the asset's decimals
+    }
+
+    struct AgentStats {
+        uint256 capitalRequested; // Principal drawn, in the asset's decimals
+        uint256 capitalReturned;  // Principal plus profit or minus loss handed back
+        int256 realizedPnl;       // Profits less losses reported
+        uint256 feesGenerated;    // Performance fees charged on the agent's profits
+        uint256 tradeCount;       // Returns reported
+        uint256 profitableTrades; // Returns reported with a profit
+        uint256 lastActivity;     // Time of the latest draw or return, 0 if none
+    }
+
+    uint256 private constant FULL_ALLOCATION = 10000; // 100% in basis points
+
+    // agent => asset => allocation
+    mapping(address => mapping(address => Allocation)) public agentAllocations;
+    // asset => principal out with all agents
+    mapping(address => uint256) public totalDeployed;
+    // Maximum outstanding principal of a single agent, in basis points of the vault's total value
+    uint256 public maxAgentAllocation;
+    // agent => asset => performance stats
+    mapping(address => mapping(address => AgentStats)) public agentStats;
+    // Every agent ever granted AGENT_ROLE, in the order they were first granted it
+    address[] private _agents;
+    mapping(address => bool) private _listedAgents;
+
+    event AgentCreditLimitUpdated(address indexed agent, address indexed asset, uint256 creditLimit);
+    event MaxAgentAllocationUpdated(uint256 oldMaxAllocation, uint256 newMaxAllocation);
+    event AgentPnLReported(address indexed agent, address indexed asset, uint256 principal, int256 pnl);
+
+    /**
+     * @dev Every agent ever granted AGENT_ROLE, including removed ones, in the order they were first granted it
+     */
+    function getAgents() external view returns (address[] memory) {
+        return _agents;
+    }
+
+    /**
+     * @dev Number of agents ever granted AGENT_ROLE
+     */
+    function getAgentCount() external view returns (uint256) {
+        return _agents.length;
+    }
+
+    /**
+     * @dev Lets a single agent draw up to the whole vault until the admin sets a lower share
+     */
+    function _initializeAllocations() internal {
+        maxAgentAllocation = FULL_ALLOCATION;
+    }
+
+    /**
+     * @dev Sets how much of an asset an agent may have outstanding
+     * @param agent Address of the agent
+     * @param asset Asset the limit applies to
+     * @param creditLimit Maximum outstanding principal, in the asset's decimals
+     */
+    function _setCreditLimit(address agent, address asset, uint256 creditLimit) internal {
+        require(agent != address(0), "Invalid agent address");
+        agentAllocations[agent][asset].creditLimit = creditLimit;
+        emit AgentCreditLimitUpdated(agent, asset, creditLimit);
+    }
+
+    /**
+     * @dev Sets the maximum share of the vault a single agent may have outstanding
+     * @param maxAllocation Share in basis points, at most 10000
+     */
+    function _setMaxAgentAllocation(uint256 maxAllocation) internal {
+        require(maxAllocation > 0 && maxAllocation <= FULL_ALLOCATION, "Invalid max allocation");
+        emit MaxAgentAllocationUpdated(maxAgentAllocation, maxAllocation);
+        maxAgentAllocation = maxAllocation;
+    }
+
+    /**
+     * @dev Records principal drawn by an agent, enforcing its credit limit
+     * @param agent Address of the agent
+     * @param asset Asset being drawn
+     * @param amount Amount drawn, in the asset's decimals
+     */
+    function _allocate(address agent, address asset, uint256 amount) internal {
+        Allocation storage allocation = agentAllocations[agent][asset];
+        require(allocation.principal + amount <= allocation.creditLimit, "Credit limit exceeded");
+
+        allocation.principal += amount;
+        totalDeployed[asset] += amount;
+
+        AgentStats storage stats = agentStats[agent][asset];
+        stats.capitalRequested += amount;
+        stats.lastActivity = block.timestamp;
+    }
+
+    /**
+     * @dev Reverts if an agent's outstanding principal exceeds its allowed share of the vault
+     * @param agentValue Value of the agent's outstanding principal (USDT, 6 decimals)
+     * @param totalValue Total value of the vault, including funds out with agents (USDT, 6 decimals)
+     */
+    function _checkMaxAllocation(uint256 agentValue, uint256 totalValue) internal view {
+        require(
+            agentValue * FULL_ALLOCATION <= totalValue * maxAgentAllocation,
+            "Allocation exceeds max share of vault"
+        );
+    }
+
+    /**
+     * @dev Clears returned principal from an agent's ledger
+     * @param agent Address of the agent
+     * @param asset Asset being returned
+     * @param principal Principal being repaid, in the asset's decimals
+     * @param pnl Profit (positive) or loss (negative) made on that principal, in the asset's decimals
+     * @return returnedAmount Amount the agent hands back: the principal plus the profit or minus the loss
+     */
+    function _settle(address agent, address asset, uint256 principal, int256 pnl) internal returns (uint256 returnedAmount) {
+        require(principal > 0 || pnl > 0, "Nothing to return");
+        Allocation storage allocation = agentAllocations[agent][asset];
+        require(principal <= allocation.principal, "Principal exceeds outstanding");
+
+        if (pnl < 0) {
+            uint256 loss = uint256(-pnl);
+            require(loss <= principal, "Loss exceeds principal");
+            returnedAmount = principal - loss;
+        } else {
+            returnedAmount = principal + uint256(pnl);
+        }
+
+        allocation.principal -= principal;
+        totalDeployed[asset] -= principal;
+
+        AgentStats storage stats = agentStats[agent][asset];
+        stats.capitalReturned += returnedAmount;
+        stats.realizedPnl += pnl;
+        stats.tradeCount++;
+        if (pnl > 0) {
+            stats.profitableTrades++;
+        }
+        stats.lastActivity = block.timestamp;
+        emit AgentPnLReported(agent, asset, principal, pnl);
+    }
+
+    /**
+     * @dev Adds the performance fee charged on a return to the agent's stats
+     * @param agent Address of the agent
+     * @param asset Asset the fee was paid in
+     * @param fee Fee, in the asset's decimals
+     */
+    function _recordAgentFee(address agent, address asset, uint256 fee) internal {
+        agentStats[agent][asset].feesGenerated += fee;
+    }
+
+    /**
+     * @dev Lists an agent the first time it is granted AGENT_ROLE
+     */
+    function _listAgent(address agent) internal {
+        if (!_listedAgents[agent]) {
+            _listedAgents[agent] = true;
+            _agents.push(agent);
+        }
+    }
+}
@@ -5,59 +5,68 @@ import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
-import "@pythnetwork/pyth-sdk-solidity/IPyth.sol";
-import "@pythnetwork/pyth-sdk-solidity/PythStructs.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "./MonUsdOracle.sol";
+import "./VaultFees.sol";
+import "./AgentAllocations.sol";
+import "./WithdrawalQueue.sol";
+import "./SlippageProtection.sol";
+import "./VaultPausable.sol";
+import "./UserPositions.sol";
+import "./TransferRestrictions.sol";
+import "./DepositLimits.sol";
+import "./DepositLockups.sol";
+import "./NavHistory.sol";
 
 /**
  * @title AoP1Vault
  * @dev A vault contract that accepts MON and USDT deposits, issues share tokens,
  * and allows approved agents to manage funds and distribute profits.
+ * Deployed by VaultFactory as an EIP-1167 clone of an implementation, and set up through initialize.
+ * Each user's cost basis is kept in USDT at deposit prices, so MON price moves show up as PnL.
+ * Share transfers carry their part of the sender's position to the receiver, and can be restricted.
+ * Deposits can be capped, held to a minimum and limited to an allowlist; MON counts at its USDT value.
+ * Deposited shares can be locked up, charged an early exit fee that stays with the remaining holders,
+ * and made to give notice.
+ * NAV history is snapshotted on deposits, withdrawals, agent returns and MON/USD price pushes, at most once
+ * per snapshot interval, valuing MON at the MON/USD price.
  */
-contract AoP1Vault is ERC20, ReentrancyGuard, AccessControl {
+contract AoP1Vault is Initializable, ERC20, ReentrancyGuard, AccessControl, MonUsdOracle, VaultFees, AgentAllocations, WithdrawalQueue, SlippageProtection, VaultPausable, UserPositions, TransferRestrictions, DepositLimits, DepositLockups, NavHistory {
     using SafeERC20 for IERC20;
 
-    // Constants for performance fee calculation
-    uint256 public constant PERFORMANCE_FEE_PERCENTAGE = 2000; // 20% in basis points (10000 = 100%)
-    uint256 public constant BASIS_POINTS = 10000;
-    uint256 public constant MAX_HISTORY_ITEMS = 100;
-    
     // Constants for decimal handling
     uint256 public constant SHARE_DECIMALS = 18; // Share token uses 18 decimals
     uint256 public constant USDT_DECIMALS = 6;   // USDT uses 6 decimals
     uint256 public constant MON_DECIMALS = 18;   // MON uses 18 decimals
     uint256 public constant SCALING_FACTOR = 10 ** (SHARE_DECIMALS - USDT_DECIMALS); // 10^12
     
+    // Agent ledger key for MON, which has no token address
+    address public constant MON_ASSET = address(0);
+    
     // Roles
     bytes32 public constant AGENT_ROLE = keccak256("AGENT_ROLE");
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant KEEPER_ROLE = keccak256("KEEPER_ROLE");
+    bytes32 public constant ROUTER_ROLE = keccak256("ROUTER_ROLE"); // VaultRouter, trusted to deposit for a receiver
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE"); // Can pause operations and turn on emergency mode
+    
+    // Share token name and symbol, set per clone
+    string private _shareName;
+    string private _shareSymbol;
     
     // State variables
     address public usdtToken;
     uint256 public navPerShare; // Net Asset Value per share (18 decimals)
-    uint256 public totalVaultValue; // Total value in the vault (USDT, which has 6 decimals)
+    uint256 public totalVaultValue; // Total value in the vault (USDT, which has 6 decimals), including USDT out with agents
     uint256 public lastNavUpdate; // Timestamp of the last NAV update
-    uint256 public totalMonValue; // Total MON value in wei
-    
-    // Pyth Network integration
-    IPyth public pyth;
-    bytes32 public monUsdPriceId;
+    uint256 public totalMonValue; // Total MON value in wei, including MON out with agents
     
     // Fee recipient
     address public feeRecipient;
     
-    // User tracking
-    mapping(address => bool) public isActiveUser;
-    uint256 public totalUsers;
-    
-    // Historical tracking
-    struct NAVSnapshot {
-        uint256 timestamp;
-        uint256 navValue;     // Stored with 18 decimals precision
-        uint256 totalValue;   // Stored with 6 decimals precision (USDT)
-    }
-    NAVSnapshot[] public navHistory;
-    
-    // User tracking
+    // User tracking; amounts shrink with the shares that leave a position
     struct UserDeposit {
         uint256 monAmount;
         uint256 usdtAmount;
@@ -82,164 +91,102 @@ contract AoP1Vault is ERC20, ReentrancyGuard, AccessControl {
         uint256 usdtBalance, 
         uint256 timestamp
     );
-    event UserMetricsUpdated(
-        address indexed user,
-        uint256 totalShares,
-        uint256 currentValue,
-        uint256 profitAmount,
-        uint256 timestamp
-    );
-    event PythContractUpdated(address newPythContract);
-    event MonUsdPriceIdUpdated(bytes32 newMonUsdPriceId);
     event NavPerShareUpdated(uint256 newNavPerShare);
+    event EmergencyWithdrawal(address indexed user, uint256 sharesBurned, uint256 usdtAmount, uint256 monAmount);
+    
+    /**
+     * @dev Locks the implementation; clones are set up through initialize.
+     */
+    constructor() ERC20("", "") {
+        _disableInitializers();
+    }
     
     /**
-     * @dev Constructor to initialize the vault
+     * @dev Initializes a clone of the vault. The caller becomes its admin.
      * @param _name Name of the share token
      * @param _symbol Symbol of the share token
      * @param _usdtToken Address of the USDT token
-     * @param _feeRecipient Address to receive performance fees
+     * @param _feeRecipient Address to receive performance and management fees
      * @param _pythContract Address of the Pyth Network contract
      * @param _monUsdPriceId Price feed ID for MON/USD
+     * @param _fees Initial performance and management fee rates
+     * @param _limits Initial deposit limits
      */
-    constructor(
+    function initialize(
         string memory _name,
         string memory _symbol,
         address _usdtToken,
         address _feeRecipient,
         address _pythContract,
-        bytes32 _monUsdPriceId
-    ) ERC20(_name, _symbol) {
+        bytes32 _monUsdPriceId,
+        FeeConfig memory _fees,
+        DepositLimitConfig memory _limits
+    ) external initializer {
         require(_usdtToken != address(0), "USDT address cannot be zero");
         require(_feeRecipient != address(0), "Fee recipient cannot be zero");
-        require(_pythContract != address(0), "Pyth contract cannot be zero");
         
+        _shareName = _name;
+        _shareSymbol = _symbol;
         usdtToken = _usdtToken;
         feeRecipient = _feeRecipient;
-        pyth = IPyth(_pythContract);
-        monUsdPriceId = _monUsdPriceId;
+        _initializeOracle(_pythContract, _monUsdPriceId);
         
         navPerShare = 10 ** SHARE_DECIMALS; // Initialize NAV at 1.0 (using 18 decimals)
         lastNavUpdate = block.timestamp;
+        _initializeFees(_fees);
+        _initializeAllocations();
+        _setDepositLimits(_limits);
+        _initializeNavHistory();
         
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(ADMIN_ROLE, msg.sender);
     }
     
+    /**
+     * @dev Name of the share token.
+     */
+    function name() public view override returns (string memory) {
+        return _shareName;
+    }
+    
+    /**
+     * @dev Symbol of the share token.
+     */
+    function symbol() public view override returns (string memory) {
+        return _shareSymbol;
+    }
+    
     /**
      * @dev Gets the MON/USD price from the Pyth Network oracle.
+     * Reverts if the price is stale, not positive, too uncertain or cannot be scaled.
      * @param priceUpdateData Optional price update data from Pyth Network.
      * @return The MON/USD price with 6 decimals precision as int128.
      */
     function getMonUsdPrice(bytes[] calldata priceUpdateData) public payable returns (int128) {
-        // Update price feed if update data is provided
-        if (priceUpdateData.length > 0) {
-            uint256 fee = pyth.getUpdateFee(priceUpdateData);
-            pyth.updatePriceFeeds{value: fee}(priceUpdateData);
-        }
-        
-        // Get price from Pyth allowing data up to 60 seconds stale
-        PythStructs.Price memory priceData = pyth.getPriceNoOlderThan(monUsdPriceId, 60);
-        
-        // Convert from Pyth's fixed-point representation to our int128
-        int128 price;
-        
-        if (priceData.price < 0) {
-            return 0; // Safeguard for negative prices
-        }
-        
-        // Scale price to USDT decimals (6) instead of 18 decimals
-        int expoAdjustment = 6 + priceData.expo; // Adjusting to 6 decimals for USDT
-        
-        // Use a safer approach with int256 to avoid overflow
-        int256 safePrice = int256(priceData.price);
-        
-        if (expoAdjustment > 0) {
-            // Calculate 10^expoAdjustment first (can use a loop for simplicity)
-            int256 scaleFactor = 1;
-            for (int i = 0; i < expoAdjustment && i < 59; i++) { // Cap at 59 to avoid overflow
-                scaleFactor *= 10;
-            }
-            
-            // Safely multiply
-            safePrice = safePrice * scaleFactor;
-            
-            // Check if the result is within int128 range
-            if (safePrice > int256(type(int128).max)) {
-                price = type(int128).max;
-            } else {
-                price = int128(safePrice);
-            }
-        } else if (expoAdjustment < 0) {
-            // For negative exponents, divide by 10^(-expoAdjustment)
-            int256 scaleFactor = 1;
-            for (int i = 0; i > expoAdjustment && i > -59; i--) { // Cap at -59 to avoid issues
-                scaleFactor *= 10;
-            }
-            
-            // Safe division
-            safePrice = safePrice / scaleFactor;
-            price = int128(safePrice);
-        } else {
-            price = int128(safePrice);
+        _updatePriceFeedsWithoutMon(priceUpdateData);
+        return int128(int256(_monUsdPrice()));
+    }
+    
+    /**
+     * @dev Pushes Pyth update data and snapshots the NAV at the MON/USD price it sets, for the price keeper.
+     * Without update data, snapshots the NAV at the on-chain price, e.g. after the keeper pushed it through
+     * another vault.
+     * @param priceUpdateData Optional price update data from Pyth Network, paid with exactly its update fee.
+     */
+    function updatePriceFeeds(bytes[] calldata priceUpdateData) external payable nonReentrant {
+        _updatePriceFeedsWithoutMon(priceUpdateData);
+        if (priceUpdateData.length == 0) {
+            _recordNAVSnapshot();
         }
-        
-        return price;
     }
     
     /**
      * @dev Gets the MON/USD price without updating the price feed.
-     * @return The MON/USD price with 6 decimals precision.
+     * @return The MON/USD price with 6 decimals precision, or 0 if it cannot be used (see getMonUsdPriceStatus).
      */
     function getMonUsdPriceView() public view returns (int128) {
-        try pyth.getPriceUnsafe(monUsdPriceId) returns (PythStructs.Price memory priceData) {
-            // Convert from Pyth's fixed-point representation to our int128
-            int128 price;
-            
-            if (priceData.price < 0) {
-                return 0; // Safeguard for negative prices
-            }
-            
-            // Scale price to USDT decimals (6) instead of 18 decimals
-            int expoAdjustment = 6 + priceData.expo; // Adjusting to 6 decimals for USDT
-            
-            // Use a safer approach with int256 to avoid overflow
-            int256 safePrice = int256(priceData.price);
-            
-            if (expoAdjustment > 0) {
-                // Calculate 10^expoAdjustment first (can use a loop for simplicity)
-                int256 scaleFactor = 1;
-                for (int i = 0; i < expoAdjustment && i < 59; i++) { // Cap at 59 to avoid overflow
-                    scaleFactor *= 10;
-                }
-                
-                // Safely multiply
-                safePrice = safePrice * scaleFactor;
-                
-                // Check if the result is within int128 range
-                if (safePrice > int256(type(int128).max)) {
-                    price = type(int128).max;
-                } else {
-                    price = int128(safePrice);
-                }
-            } else if (expoAdjustment < 0) {
-                // For negative exponents, divide by 10^(-expoAdjustment)
-                int256 scaleFactor = 1;
-                for (int i = 0; i > expoAdjustment && i > -59; i--) { // Cap at -59 to avoid issues
-                    scaleFactor *= 10;
-                }
-                
-                // Safe division
-                safePrice = safePrice / scaleFactor;
-                price = int128(safePrice);
-            } else {
-                price = int128(safePrice);
-            }
-            
-            return price;
-        } catch {
-            return 1e6; // Fallback to 1:1 if price fetch fails
-        }
+        (, uint256 price, ) = getMonUsdPriceStatus();
+        return int128(int256(price));
     }
     
     /**
@@ -249,32 +196,18 @@ contract AoP1Vault is ERC20, ReentrancyGuard, AccessControl {
      * @return The equivalent USDT amount.
      */
     function convertMonToUsdt(uint256 monAmount, bytes[] calldata priceUpdateData) public payable returns (uint256) {
-        int128 monPrice = getMonUsdPrice(priceUpdateData);
-        uint256 monPriceUint;
-        if (monPrice > 0) {
-            assembly {
-                monPriceUint := monPrice
-            }
-        }
-        // Convert from 18 decimals (MON) to 6 decimals (USDT) using the price with 6 decimals
-        return monAmount * monPriceUint / (10 ** MON_DECIMALS);
+        _updatePriceFeedsWithoutMon(priceUpdateData);
+        return _monToUsdt(monAmount, _monUsdPrice());
     }
     
     /**
-     * @dev Converts MON amount to USDT equivalent using the current cached price.
+     * @dev Converts MON amount to USDT equivalent using the current on-chain price.
+     * Reverts if the price cannot be used.
      * @param monAmount The amount of MON to convert.
      * @return The equivalent USDT amount.
      */
     function convertMonToUsdtView(uint256 monAmount) public view returns (uint256) {
-        int128 monPrice = getMonUsdPriceView();
-        uint256 monPriceUint;
-        if (monPrice > 0) {
-            assembly {
-                monPriceUint := monPrice
-            }
-        }
-        // Convert from 18 decimals (MON) to 6 decimals (USDT) using the price with 6 decimals
-        return monAmount * monPriceUint / (10 ** MON_DECIMALS);
+        return _monToUsdt(monAmount, _monUsdPrice());
     }
     
     /**
@@ -283,86 +216,191 @@ contract AoP1Vault is ERC20, ReentrancyGuard, AccessControl {
      * @param amount Amount of USDT to deposit.
      */
     function depositUSDT(uint256 amount) external nonReentrant {
+        _depositUSDT(msg.sender, amount);
+    }
+    
+    /**
+     * @dev Deposits USDT, reverting if fewer than minSharesOut shares are issued or the deadline has passed.
+     * @param amount Amount of USDT to deposit.
+     * @param minSharesOut Minimum shares to receive, e.g. quoteDepositUSDT less a slippage tolerance.
+     * @param deadline Last block timestamp the deposit may execute at.
+     * @return sharesIssued Amount of shares issued.
+     */
+    function depositUSDT(uint256 amount, uint256 minSharesOut, uint256 deadline) external nonReentrant returns (uint256 sharesIssued) {
+        _checkDeadline(deadline);
+        sharesIssued = _depositUSDT(msg.sender, amount);
+        _checkSharesOut(sharesIssued, minSharesOut);
+    }
+    
+    /**
+     * @dev Deposits USDT from the router and credits the shares and the deposit to the receiver.
+     * @param receiver Address receiving the shares.
+     * @param amount Amount of USDT to deposit, pulled from the router.
+     * @param minSharesOut Minimum shares the receiver must get.
+     * @param deadline Last block timestamp the deposit may execute at.
+     * @return sharesIssued Amount of shares issued.
+     */
+    function depositUSDTFor(
+        address receiver,
+        uint256 amount,
+        uint256 minSharesOut,
+        uint256 deadline
+    ) external nonReentrant onlyRole(ROUTER_ROLE) returns (uint256 sharesIssued) {
+        _checkDeadline(deadline);
+        sharesIssued = _depositUSDT(receiver, amount);
+        _checkSharesOut(sharesIssued, minSharesOut);
+    }
+    
+    /**
+     * @dev Pulls USDT from the caller and issues shares to the receiver at the current vault value.
+     */
+    function _depositUSDT(address receiver, uint256 amount) internal returns (uint256 sharesToIssue) {
         require(amount > 0, "Amount must be greater than 0");
+        require(receiver != address(0), "Invalid receiver");
+        _requireNotPaused(PAUSE_DEPOSITS);
+        _accrueFees();
+        _checkDepositLimits(receiver, amount, getTotalValueInUsdt(), positions[receiver].costBasis);
         
         // Calculate shares based on current vault value
-        uint256 sharesToIssue = _calculateSharesToIssue(amount, false);
+        sharesToIssue = _calculateSharesToIssue(amount, false);
+        require(sharesToIssue > 0, "Deposit too small");
         
         IERC20(usdtToken).safeTransferFrom(msg.sender, address(this), amount);
         totalVaultValue += amount;
-        _mint(msg.sender, sharesToIssue);
+        _mint(receiver, sharesToIssue);
+        _recordDepositLot(receiver, sharesToIssue);
         
-        emit Deposit(msg.sender, amount, false, sharesToIssue);
+        emit Deposit(receiver, amount, false, sharesToIssue);
         
-        // Track active users
-        if (!isActiveUser[msg.sender]) {
-            isActiveUser[msg.sender] = true;
-            totalUsers++;
-        }
-        
-        UserDeposit storage userDeposit = userDeposits[msg.sender];
-        if (userDeposit.initialTimestamp == 0) {
-            userDeposit.initialTimestamp = block.timestamp;
-        }
+        UserDeposit storage userDeposit = _trackDeposit(receiver);
         userDeposit.usdtAmount += amount;
-        userDeposit.lastDepositTimestamp = block.timestamp;
+        _addCostBasis(receiver, amount);
         
-        _updateUserMetrics(msg.sender);
+        _updateUserMetrics(receiver);
+        _recordNAVSnapshot();
     }
     
     /**
      * @dev Convenience function for depositing MON without providing price update data.
      * @notice This will use the latest available price from the oracle.
      */
-    function depositMON() external payable {
-        bytes[] memory emptyPriceData = new bytes[](0);
-        this.depositMON(emptyPriceData);
+    function depositMON() external payable nonReentrant {
+        _depositMON(msg.sender, msg.value);
     }
     
     /**
      * @dev Allows users to deposit MON into the vault.
      * MON is valued at its current USDT price via Pyth oracle.
+     * The Pyth update fee is taken out of msg.value and the rest is deposited.
      * @param priceUpdateData Optional price update data from Pyth Network.
      */
     function depositMON(bytes[] calldata priceUpdateData) external payable nonReentrant {
-        require(msg.value > 0, "MON amount must be greater than 0");
+        // The fresh price also values the MON already in the vault when fees accrue
+        uint256 updateFee = _updatePriceFeeds(priceUpdateData);
+        _depositMON(msg.sender, _monAfterUpdateFee(updateFee));
+    }
+    
+    /**
+     * @dev Deposits MON, reverting if fewer than minSharesOut shares are issued or the deadline has passed.
+     * The bound also covers price moves from the Pyth update applied in the same call, whose fee is
+     * taken out of msg.value.
+     * @param priceUpdateData Optional price update data from Pyth Network.
+     * @param minSharesOut Minimum shares to receive, e.g. quoteDepositMON less a slippage tolerance.
+     * @param deadline Last block timestamp the deposit may execute at.
+     * @return sharesIssued Amount of shares issued.
+     */
+    function depositMON(
+        bytes[] calldata priceUpdateData,
+        uint256 minSharesOut,
+        uint256 deadline
+    ) external payable nonReentrant returns (uint256 sharesIssued) {
+        _checkDeadline(deadline);
+        uint256 updateFee = _updatePriceFeeds(priceUpdateData);
+        sharesIssued = _depositMON(msg.sender, _monAfterUpdateFee(updateFee));
+        _checkSharesOut(sharesIssued, minSharesOut);
+    }
+    
+    /**
+     * @dev Deposits the MON sent by the router and credits the shares and the deposit to the receiver.
+     * The router pushes any Pyth update itself, so all of msg.value is deposited.
+     * @param receiver Address receiving the shares.
+     * @param minSharesOut Minimum shares the receiver must get.
+     * @param deadline Last block timestamp the deposit may execute at.
+     * @return sharesIssued Amount of shares issued.
+     */
+    function depositMONFor(
+        address receiver,
+        uint256 minSharesOut,
+        uint256 deadline
+    ) external payable nonReentrant onlyRole(ROUTER_ROLE) returns (uint256 sharesIssued) {
+        _checkDeadline(deadline);
+        sharesIssued = _depositMON(receiver, msg.value);
+        _checkSharesOut(sharesIssued, minSharesOut);
+    }
+    
+    /**
+     * @dev MON sent with the call on top of the Pyth update fee paid out of it.
+     */
+    function _monAfterUpdateFee(uint256 updateFee) private view returns (uint256) {
+        require(msg.value > updateFee, "MON must be sent on top of the price update fee");
+        return msg.value - updateFee;
+    }
+    
+    /**
+     * @dev Takes an amount of the MON sent with the call and issues shares to the receiver at its USDT value.
+     */
+    function _depositMON(address receiver, uint256 amount) internal returns (uint256 sharesToIssue) {
+        require(amount > 0, "MON amount must be greater than 0");
+        require(receiver != address(0), "Invalid receiver");
+        _requireNotPaused(PAUSE_DEPOSITS);
+        _accrueFees();
         
         // Calculate USDT-equivalent value of the MON deposit
-        uint256 usdtEquivalentValue = convertMonToUsdt(msg.value, priceUpdateData);
+        uint256 usdtEquivalentValue = _monToUsdt(amount, _monUsdPrice());
         require(usdtEquivalentValue > 0, "MON USDT equivalent value must be greater than 0");
+        _checkDepositLimits(receiver, usdtEquivalentValue, getTotalValueInUsdt(), positions[receiver].costBasis);
         
         // Calculate shares based on current vault value
-        uint256 sharesToIssue = _calculateSharesToIssue(usdtEquivalentValue, true);
+        sharesToIssue = _calculateSharesToIssue(usdtEquivalentValue, true);
+        require(sharesToIssue > 0, "Deposit too small");
         
-        totalMonValue += msg.value;
-        _mint(msg.sender, sharesToIssue);
+        totalMonValue += amount;
+        _mint(receiver, sharesToIssue);
+        _recordDepositLot(receiver, sharesToIssue);
         
-        emit Deposit(msg.sender, msg.value, true, sharesToIssue);
+        emit Deposit(receiver, amount, true, sharesToIssue);
         
-        // Track active users
-        if (!isActiveUser[msg.sender]) {
-            isActiveUser[msg.sender] = true;
-            totalUsers++;
-        }
+        UserDeposit storage userDeposit = _trackDeposit(receiver);
+        userDeposit.monAmount += amount;
+        // MON enters the cost basis at its value on the deposit date
+        _addCostBasis(receiver, usdtEquivalentValue);
         
-        UserDeposit storage userDeposit = userDeposits[msg.sender];
+        _updateUserMetrics(receiver);
+        _recordNAVSnapshot();
+    }
+    
+    /**
+     * @dev Stamps the receiver's deposit times.
+     * @return userDeposit The receiver's deposit record, for the caller to add the amount to.
+     */
+    function _trackDeposit(address receiver) internal returns (UserDeposit storage userDeposit) {
+        userDeposit = userDeposits[receiver];
         if (userDeposit.initialTimestamp == 0) {
             userDeposit.initialTimestamp = block.timestamp;
         }
-        userDeposit.monAmount += msg.value;
         userDeposit.lastDepositTimestamp = block.timestamp;
-        
-        _updateUserMetrics(msg.sender);
     }
     
     /**
      * @dev Internal function to calculate shares to issue for a deposit.
+     * Counts the management fee shares that accrue before the deposit, so quotes match execution.
+     * Reverts while there are shares but the vault is worth nothing.
      * @param depositValue Value of the deposit in USDT terms (may need to be pre-converted for MON).
      * @param isMon Whether this calculation is for a MON deposit.
      * @return Number of shares to issue.
      */
     function _calculateSharesToIssue(uint256 depositValue, bool isMon) internal view returns (uint256) {
-        uint256 totalSupplyAmount = totalSupply();
+        uint256 totalSupplyAmount = totalSupply() + pendingManagementFee();
         
         // If this is the first deposit, initialize share price to 1 USDT = 1 share
         if (totalSupplyAmount == 0) {
@@ -373,10 +411,8 @@ contract AoP1Vault is ERC20, ReentrancyGuard, AccessControl {
         // Calculate total vault value in USDT terms before this deposit
         uint256 vaultValueInUsdt = getTotalValueInUsdt();
         
-        // If vault has MON but no current price, or if vault is empty, default to 1:1
-        if (vaultValueInUsdt == 0) {
-            return depositValue * SCALING_FACTOR;
-        }
+        // Agent losses can leave the shares worth nothing, and a deposit would then go to the existing holders
+        require(vaultValueInUsdt > 0, "Vault has no value");
         
         // Calculate: shares = (deposit / total_vault_value) * total_supply
         // This ensures proportional ownership of the vault
@@ -385,27 +421,28 @@ contract AoP1Vault is ERC20, ReentrancyGuard, AccessControl {
     
     /**
      * @dev Calculates the total vault value in USDT, including both USDT and MON holdings.
+     * Reverts if the vault holds MON and the MON/USD price cannot be used.
      * @return Total vault value in USDT terms (with 6 decimals).
      */
     function getTotalValueInUsdt() public view returns (uint256) {
-        // Value of USDT holdings (already in USDT terms)
-        uint256 usdtValue = totalVaultValue;
-        
-        // Value of MON holdings converted to USDT
-        uint256 monUsdtValue = 0;
-        if (totalMonValue > 0) {
-            int128 monPrice = getMonUsdPriceView();
-            if (monPrice > 0) {
-                uint256 monPriceUint;
-                assembly {
-                    monPriceUint := monPrice
-                }
-                // Convert MON value to USDT value (with 6 decimals)
-                monUsdtValue = (totalMonValue * monPriceUint) / (10 ** MON_DECIMALS);
-            }
+        if (totalMonValue == 0) {
+            return totalVaultValue;
         }
-        
-        return usdtValue + monUsdtValue;
+        return totalVaultValue + _monToUsdt(totalMonValue, _monUsdPrice());
+    }
+    
+    /**
+     * @dev Total vault value in USDT, or false if the vault holds MON and the MON/USD price cannot be used.
+     */
+    function _tryTotalValueInUsdt() internal view returns (bool priced, uint256 value) {
+        if (totalMonValue == 0) {
+            return (true, totalVaultValue);
+        }
+        (PriceStatus status, uint256 price, ) = getMonUsdPriceStatus();
+        if (status != PriceStatus.Valid) {
+            return (false, 0);
+        }
+        return (true, totalVaultValue + _monToUsdt(totalMonValue, price));
     }
     
     /**
@@ -437,142 +474,207 @@ contract AoP1Vault is ERC20, ReentrancyGuard, AccessControl {
     }
     
     /**
-     * @dev Allows users to withdraw their shares.
+     * @dev Mints the accrued management fee, which lowers the price per share
+     */
+    function _accrueFees() internal {
+        if (_accrueManagementFee(feeRecipient) > 0) {
+            updateNavPerShare();
+        }
+    }
+    
+    /**
+     * @dev Allows users to withdraw their unlocked shares, less any early exit fee.
      * @param shareAmount Amount of shares to withdraw.
      * @param withdrawAsMon Whether to withdraw in MON or USDT.
      * @param priceUpdateData Optional price update data from Pyth Network.
      */
     function withdraw(uint256 shareAmount, bool withdrawAsMon, bytes[] calldata priceUpdateData) external payable nonReentrant {
+        _withdraw(shareAmount, withdrawAsMon, priceUpdateData);
+    }
+    
+    /**
+     * @dev Withdraws unlocked shares, reverting if less than minAmountOut is paid out, net of any early exit fee,
+     * or the deadline has passed.
+     * @param shareAmount Amount of shares to withdraw.
+     * @param withdrawAsMon Whether to withdraw in MON or USDT.
+     * @param priceUpdateData Optional price update data from Pyth Network.
+     * @param minAmountOut Minimum MON (18 decimals) or USDT (6 decimals) to receive, e.g. quoteWithdraw less a slippage tolerance.
+     * @param deadline Last block timestamp the withdrawal may execute at.
+     * @return amountOut Amount of MON or USDT paid out.
+     */
+    function withdraw(
+        uint256 shareAmount,
+        bool withdrawAsMon,
+        bytes[] calldata priceUpdateData,
+        uint256 minAmountOut,
+        uint256 deadline
+    ) external payable nonReentrant returns (uint256 amountOut) {
+        _checkDeadline(deadline);
+        amountOut = _withdraw(shareAmount, withdrawAsMon, priceUpdateData);
+        _checkAmountOut(amountOut, minAmountOut);
+    }
+    
+    /**
+     * @dev Burns the caller's shares and pays out their value in MON or USDT, less the early exit fee on them.
+     * The shares must be out of their lockup and the vault must not require notice.
+     */
+    function _withdraw(uint256 shareAmount, bool withdrawAsMon, bytes[] calldata priceUpdateData) internal returns (uint256 amountOut) {
         require(shareAmount > 0, "Amount must be greater than 0");
         require(balanceOf(msg.sender) >= shareAmount, "Insufficient shares");
+        _requireNotPaused(PAUSE_WITHDRAWALS);
+        _requireNoNotice();
+        _updatePriceFeedsWithoutMon(priceUpdateData);
+        _accrueFees();
+        
+        uint256 feeShares = _checkUnlocked(msg.sender, shareAmount, lockedShares[msg.sender], _positionShares(msg.sender));
+        _spendDepositLots(msg.sender, shareAmount, lockedShares[msg.sender], _positionShares(msg.sender));
         
         // Update NAV per share before withdrawal
         updateNavPerShare();
         
-        // Calculate the value of shares in USDT terms (with 6 decimals)
-        uint256 totalSupplyAmount = totalSupply();
-        uint256 totalVaultUsdtValue = getTotalValueInUsdt();
-        
-        // Calculate proportional value: value = (shares / total_supply) * total_vault_value
-        uint256 withdrawalValueUsdt = (shareAmount * totalVaultUsdtValue) / totalSupplyAmount;
+        // An early exit fee stays in the vault for the remaining holders
+        uint256 withdrawalValueUsdt = _withdrawalValueUsdt(shareAmount);
+        withdrawalValueUsdt -= _earlyExitFee(withdrawalValueUsdt, shareAmount, feeShares, totalSupply() - shareAmount);
         
         if (withdrawAsMon) {
             // Convert USDT value to MON based on current price
-            int128 monPrice = getMonUsdPrice(priceUpdateData);
-            uint256 monPriceUint;
-            if (monPrice > 0) {
-                assembly {
-                    monPriceUint := monPrice
-                }
-            }
-            require(monPriceUint > 0, "Invalid MON price");
-            
-            // Convert USDT value to MON value
-            uint256 withdrawalValueMon = (withdrawalValueUsdt * (10 ** MON_DECIMALS)) / monPriceUint;
-            
-            require(withdrawalValueMon <= totalMonValue, "Insufficient MON liquidity");
-            totalMonValue -= withdrawalValueMon;
-            _burn(msg.sender, shareAmount);
-            
-            (bool success, ) = msg.sender.call{value: withdrawalValueMon}("");
-            require(success, "MON transfer failed");
-            
-            emit Withdrawal(msg.sender, withdrawalValueMon, true, shareAmount);
+            amountOut = _usdtToMon(withdrawalValueUsdt, _monUsdPrice());
+            require(amountOut <= totalMonValue - totalDeployed[MON_ASSET], "Insufficient MON liquidity");
+            totalMonValue -= amountOut;
         } else {
-            require(withdrawalValueUsdt <= IERC20(usdtToken).balanceOf(address(this)), "Insufficient USDT liquidity");
-            
-            _burn(msg.sender, shareAmount);
-            IERC20(usdtToken).safeTransfer(msg.sender, withdrawalValueUsdt);
-            totalVaultValue -= withdrawalValueUsdt;
-            
-            emit Withdrawal(msg.sender, withdrawalValueUsdt, false, shareAmount);
+            amountOut = withdrawalValueUsdt;
+            require(amountOut <= _availableUsdt(), "Insufficient USDT liquidity");
+            totalVaultValue -= amountOut;
         }
         
-        // If user has no more shares, they're no longer an active user
-        if (balanceOf(msg.sender) == 0) {
-            isActiveUser[msg.sender] = false;
-            totalUsers--;
-        }
+        // Settle the position before paying out, as the MON recipient can move its remaining shares
+        // from the transfer callback
+        _burn(msg.sender, shareAmount);
+        _keepEarlyExitFee(msg.sender, shareAmount, feeShares);
+        _exitPosition(msg.sender, shareAmount, withdrawalValueUsdt);
+        _recordNAVSnapshot();
         
-        _updateUserMetrics(msg.sender);
+        if (withdrawAsMon) {
+            (bool success, ) = msg.sender.call{value: amountOut}("");
+            require(success, "MON transfer failed");
+        } else {
+            IERC20(usdtToken).safeTransfer(msg.sender, amountOut);
+        }
+        emit Withdrawal(msg.sender, amountOut, withdrawAsMon, shareAmount);
     }
     
     /**
-     * @dev Updates user metrics after a deposit or withdrawal.
+     * @dev Reprices shares once the early exit fee on shares that were just burned is left in the vault.
      */
-    function _updateUserMetrics(address user) internal {
-        uint256 shares = balanceOf(user);
-        uint256 currentValue = (shares * navPerShare) / (10 ** SHARE_DECIMALS);
-        
-        UserDeposit memory userDeposit = userDeposits[user];
-        // Scale USDT deposits from 6 decimals to 18 for accurate comparison
-        uint256 scaledUsdtDeposits = userDeposit.usdtAmount * SCALING_FACTOR;
-        uint256 totalDeposits = scaledUsdtDeposits;
-        
-        // Add MON deposits converted to USDT equivalent
-        if (userDeposit.monAmount > 0) {
-            int128 monPrice = getMonUsdPriceView();
-            uint256 monPriceUint;
-            if (monPrice > 0) {
-                assembly {
-                    monPriceUint := monPrice
-                }
-            }
-            totalDeposits += userDeposit.monAmount * monPriceUint / (10 ** MON_DECIMALS);
+    function _keepEarlyExitFee(address owner, uint256 shares, uint256 feeShares) internal {
+        if (feeShares == 0 || totalSupply() == 0) {
+            return;
         }
+        updateNavPerShare();
+        emit EarlyExitFeeCharged(owner, shares, feeShares);
+    }
+    
+    /**
+     * @dev USDT value of shares at the current vault value, counting the management fee shares
+     * that accrue before a withdrawal, so quotes match execution.
+     */
+    function _withdrawalValueUsdt(uint256 shareAmount) internal view returns (uint256) {
+        // value = (shares / total_supply) * total_vault_value
+        return (shareAmount * getTotalValueInUsdt()) / (totalSupply() + pendingManagementFee());
+    }
+    
+    function _positionShares(address user) internal view override returns (uint256) {
+        return balanceOf(user) + lockedShares[user];
+    }
+    
+    /**
+     * @dev Realizes the PnL of shares burned out of a user's position and removes their part
+     * of the MON and USDT the user deposited.
+     * @param proceedsUsdt USDT value of what was paid out for the shares (6 decimals).
+     */
+    function _exitPosition(address user, uint256 shares, uint256 proceedsUsdt) internal {
+        uint256 remainingShares = _positionShares(user);
+        _realizeExit(user, shares, remainingShares, proceedsUsdt);
         
-        uint256 profitAmount = currentValue > totalDeposits ? currentValue - totalDeposits : 0;
+        UserDeposit storage userDeposit = userDeposits[user];
+        userDeposit.monAmount -= _exitPortion(userDeposit.monAmount, shares, remainingShares);
+        userDeposit.usdtAmount -= _exitPortion(userDeposit.usdtAmount, shares, remainingShares);
         
-        emit UserMetricsUpdated(
-            user,
-            shares,
-            currentValue,
-            profitAmount,
-            block.timestamp
-        );
+        _updateUserMetrics(user);
     }
     
     /**
-     * @dev Get detailed information about a user's position.
+     * @dev Moves the transferred shares' part of the sender's cost basis and deposits to the receiver.
      */
-    function getUserDetails(address user) external view returns (
-        uint256 shares,
-        uint256 valueInUSDT,
-        uint256 percentageOfVault,
-        uint256 profitSinceDeposit,
-        uint256 initialDepositDate,
-        uint256 monDeposited,
-        uint256 usdtDeposited
-    ) {
-        shares = balanceOf(user);
-        valueInUSDT = (shares * navPerShare) / (10 ** SHARE_DECIMALS);
-        percentageOfVault = totalSupply() > 0 ? (shares * BASIS_POINTS) / totalSupply() : 0;
-        
-        UserDeposit memory userDeposit = userDeposits[user];
+    function _transferPosition(address from, address to, uint256 shares) internal {
+        uint256 remainingShares = _positionShares(from);
+        _transferCostBasis(from, to, shares, remainingShares);
         
-        // Scale USDT deposits from 6 decimals to 18 for accurate comparison
-        uint256 scaledUsdtDeposits = userDeposit.usdtAmount * SCALING_FACTOR;
-        uint256 totalDeposits = scaledUsdtDeposits;
+        UserDeposit storage fromDeposit = userDeposits[from];
+        UserDeposit storage toDeposit = userDeposits[to];
+        uint256 monAmount = _exitPortion(fromDeposit.monAmount, shares, remainingShares);
+        uint256 usdtAmount = _exitPortion(fromDeposit.usdtAmount, shares, remainingShares);
+        fromDeposit.monAmount -= monAmount;
+        fromDeposit.usdtAmount -= usdtAmount;
+        toDeposit.monAmount += monAmount;
+        toDeposit.usdtAmount += usdtAmount;
+        if (toDeposit.initialTimestamp == 0) {
+            toDeposit.initialTimestamp = block.timestamp;
+        }
         
-        if (userDeposit.monAmount > 0) {
-            int128 monPrice = getMonUsdPriceView();
-            uint256 monPriceUint;
-            if (monPrice > 0) {
-                assembly {
-                    monPriceUint := monPrice
-                }
+        _updateUserMetrics(from);
+        _updateUserMetrics(to);
+    }
+    
+    /**
+     * @dev Applies the transfer mode to transfers between holders, which cannot move shares of open deposit lots.
+     */
+    function _beforeTokenTransfer(address from, address to, uint256 amount) internal override {
+        super._beforeTokenTransfer(from, to, amount);
+        if (_isHolderTransfer(from, to)) {
+            _checkShareTransfer(from, to);
+            uint256 transferable = _transferableShares(from, lockedShares[from], _positionShares(from));
+            if (amount > transferable) {
+                revert SharesLocked(transferable);
             }
-            totalDeposits += userDeposit.monAmount * monPriceUint / (10 ** MON_DECIMALS);
         }
+    }
+    
+    /**
+     * @dev Keeps positions and the active user count in sync with every share movement.
+     */
+    function _afterTokenTransfer(address from, address to, uint256 amount) internal override {
+        super._afterTokenTransfer(from, to, amount);
+        if (_isHolderTransfer(from, to)) {
+            _transferPosition(from, to, amount);
+        }
+        _syncActiveUser(from);
+        _syncActiveUser(to);
+    }
+    
+    /**
+     * @dev Updates user metrics after a deposit or withdrawal.
+     */
+    function _updateUserMetrics(address user) internal {
+        _emitUserMetrics(user, _positionShares(user), navPerShare);
+    }
+    
+    /**
+     * @dev Get detailed information about a user's position, valued at navPerShare.
+     * Amounts are in USDT with 6 decimals unless noted in UserDetails.
+     */
+    function getUserDetails(address user) external view returns (UserDetails memory details) {
+        details = _positionDetails(user, _positionShares(user), navPerShare);
+        details.percentageOfVault = totalSupply() > 0 ? (details.shares * BASIS_POINTS) / totalSupply() : 0;
         
-        profitSinceDeposit = valueInUSDT > totalDeposits ? valueInUSDT - totalDeposits : 0;
-        initialDepositDate = userDeposit.initialTimestamp;
-        monDeposited = userDeposit.monAmount;
-        usdtDeposited = userDeposit.usdtAmount;
+        UserDeposit memory userDeposit = userDeposits[user];
+        details.initialDepositDate = userDeposit.initialTimestamp;
+        details.monDeposited = userDeposit.monAmount;
+        details.usdtDeposited = userDeposit.usdtAmount;
     }
     
     /**
-     * @dev Returns the total number of users with non-zero balances.
+     * @dev Returns the total number of users with shares, held or locked in withdrawal requests.
      */
     function getTotalUsers() external view returns (uint256) {
         return totalUsers;
@@ -602,28 +704,36 @@ contract AoP1Vault is ERC20, ReentrancyGuard, AccessControl {
     }
     
     /**
-     * @dev Get the current MON/USDT price.
+     * @dev Get the current MON/USDT price, or 0 if it cannot be used.
      */
     function getCurrentMonPrice() external view returns (int128) {
         return getMonUsdPriceView();
     }
     
     /**
-     * @dev Records a NAV snapshot for historical tracking.
+     * @dev Records the price per share and the total value in USDT, MON included, in the NAV history.
+     * Skipped while the vault holds MON and the MON/USD price cannot be used.
      */
     function _recordNAVSnapshot() internal {
-        if (navHistory.length >= MAX_HISTORY_ITEMS) {
-            for (uint i = 0; i < navHistory.length - 1; i++) {
-                navHistory[i] = navHistory[i + 1];
-            }
-            navHistory.pop();
+        (bool priced, uint256 totalValueUsdt) = _tryTotalValueInUsdt();
+        if (!priced) {
+            return;
+        }
+        uint256 supply = totalSupply();
+        uint256 price = supply == 0
+            ? 10 ** SHARE_DECIMALS
+            : (totalValueUsdt * SCALING_FACTOR * (10 ** SHARE_DECIMALS)) / supply;
+        _recordNAVSnapshot(price, totalValueUsdt);
+    }
+    
+    /**
+     * @dev Pushes Pyth update data and snapshots the NAV at the new MON/USD price.
+     */
+    function _updatePriceFeeds(bytes[] calldata priceUpdateData) internal override returns (uint256 fee) {
+        fee = super._updatePriceFeeds(priceUpdateData);
+        if (priceUpdateData.length > 0) {
+            _recordNAVSnapshot();
         }
-        
-        navHistory.push(NAVSnapshot({
-            timestamp: block.timestamp,
-            navValue: navPerShare,
-            totalValue: totalVaultValue
-        }));
     }
     
     /**
@@ -649,26 +759,6 @@ contract AoP1Vault is ERC20, ReentrancyGuard, AccessControl {
         );
     }
     
-    /**
-     * @dev Get historical NAV data for charting.
-     */
-    function getHistoricalNAV() external view returns (
-        uint256[] memory timestamps,
-        uint256[] memory values,
-        uint256[] memory totalValues
-    ) {
-        uint256 length = navHistory.length;
-        timestamps = new uint256[](length);
-        values = new uint256[](length);
-        totalValues = new uint256[](length);
-        
-        for (uint256 i = 0; i < length; i++) {
-            timestamps[i] = navHistory[i].timestamp;
-            values[i] = navHistory[i].navValue;
-            totalValues[i] = navHistory[i].totalValue;
-        }
-    }
-    
     /**
      * @dev Allows the contract to receive MON.
      */
@@ -680,9 +770,28 @@ contract AoP1Vault is ERC20, ReentrancyGuard, AccessControl {
      */
     function setFeeRecipient(address newFeeRecipient) external onlyRole(ADMIN_ROLE) {
         require(newFeeRecipient != address(0), "Invalid fee recipient");
+        // Management fee accrued so far belongs to the current recipient
+        _accrueFees();
         feeRecipient = newFeeRecipient;
     }
     
+    /**
+     * @dev Updates the fee rates after accruing the management fee at the old rate.
+     * @param _performanceFee Performance fee in basis points of gains above the high-water mark.
+     * @param _managementFee Management fee in basis points per year.
+     */
+    function setFees(uint256 _performanceFee, uint256 _managementFee) external nonReentrant onlyRole(ADMIN_ROLE) {
+        _accrueFees();
+        _setFees(FeeConfig(_performanceFee, _managementFee));
+    }
+    
+    /**
+     * @dev Mints the management fee accrued so far to the fee recipient.
+     */
+    function accrueManagementFee() external nonReentrant {
+        _accrueFees();
+    }
+    
     /**
      * @dev Adds an agent address.
      * @param agent Address to add as agent.
@@ -700,14 +809,31 @@ contract AoP1Vault is ERC20, ReentrancyGuard, AccessControl {
         _revokeRole(AGENT_ROLE, agent);
     }
     
+    /**
+     * @dev An agent's performance stats, in USDT (6 decimals) and MON (18 decimals).
+     * @param agent Address of the agent.
+     */
+    function getAgentStats(address agent) external view returns (AgentStats memory usdtStats, AgentStats memory monStats) {
+        usdtStats = agentStats[agent][usdtToken];
+        monStats = agentStats[agent][MON_ASSET];
+    }
+    
+    /**
+     * @dev Lists every account granted AGENT_ROLE, however it was granted.
+     */
+    function _grantRole(bytes32 role, address account) internal override {
+        super._grantRole(role, account);
+        if (role == AGENT_ROLE) {
+            _listAgent(account);
+        }
+    }
+    
     /**
      * @dev Updates the Pyth Network contract address.
      * @param _pythContract New Pyth Network contract address.
      */
     function setPythContract(address _pythContract) external onlyRole(ADMIN_ROLE) {
-        require(_pythContract != address(0), "Pyth contract cannot be zero");
-        pyth = IPyth(_pythContract);
-        emit PythContractUpdated(_pythContract);
+        _setPythContract(_pythContract);
     }
     
     /**
@@ -715,8 +841,16 @@ contract AoP1Vault is ERC20, ReentrancyGuard, AccessControl {
      * @param _monUsdPriceId New price feed ID.
      */
     function setMonUsdPriceId(bytes32 _monUsdPriceId) external onlyRole(ADMIN_ROLE) {
-        monUsdPriceId = _monUsdPriceId;
-        emit MonUsdPriceIdUpdated(_monUsdPriceId);
+        _setMonUsdPriceId(_monUsdPriceId);
+    }
+    
+    /**
+     * @dev Updates the limits a MON/USD price must meet to be used.
+     * @param _maxPriceAge Maximum price age in seconds, at most one day.
+     * @param _maxConfidenceRatio Maximum confidence interval in basis points of the price.
+     */
+    function setOracleConfig(uint256 _maxPriceAge, uint256 _maxConfidenceRatio) external onlyRole(ADMIN_ROLE) {
+        _setOracleConfig(_maxPriceAge, _maxConfidenceRatio);
     }
     
     /**
@@ -745,18 +879,12 @@ contract AoP1Vault is ERC20, ReentrancyGuard, AccessControl {
     function estimateSharesForMonDeposit(uint256 monAmount) external view returns (uint256) {
         if (monAmount == 0) return 0;
         
-        // Get current MON price
-        int128 monPrice = getMonUsdPriceView();
-        uint256 monPriceUint;
-        if (monPrice > 0) {
-            assembly {
-                monPriceUint := monPrice
-            }
-        }
-        if (monPriceUint == 0) return 0;
+        // No estimate while the MON/USD price cannot be used
+        (PriceStatus status, uint256 monPrice, ) = getMonUsdPriceStatus();
+        if (status != PriceStatus.Valid) return 0;
         
         // Convert MON to equivalent USDT value
-        uint256 usdtEquivalentValue = monAmount * monPriceUint / (10 ** MON_DECIMALS);
+        uint256 usdtEquivalentValue = _monToUsdt(monAmount, monPrice);
         
         uint256 currentTotalSupply = totalSupply();
         if (currentTotalSupply == 0) {
@@ -769,28 +897,122 @@ contract AoP1Vault is ERC20, ReentrancyGuard, AccessControl {
     }
     
     /**
-     * @dev Allows an agent to request funds for trading.
+     * @dev Largest deposit the user can make now under the vault's deposit limits, in USDT.
+     * A MON deposit counts at its USDT value. Zero while deposits are paused, while the vault holds MON
+     * and the MON/USD price cannot be used, while its shares are worth nothing, or when the user may not deposit.
+     * @param user Address that would receive the shares.
+     * @return USDT value the user can deposit, type(uint256).max without limits.
+     */
+    function maxDeposit(address user) public view returns (uint256) {
+        if (isPaused(PAUSE_DEPOSITS)) {
+            return 0;
+        }
+        (bool priced, uint256 totalValue) = _tryTotalValueInUsdt();
+        if (!priced || (totalSupply() > 0 && totalValue == 0)) {
+            return 0;
+        }
+        return _maxDepositFor(user, totalValue, positions[user].costBasis);
+    }
+    
+    /**
+     * @dev Shares depositUSDT would issue in the current block, after the pending management fee.
+     * Unlike estimateSharesForUsdtDeposit this matches execution exactly, so minSharesOut can be based on it.
+     * @param amount Amount of USDT to deposit.
+     * @return The number of shares.
+     */
+    function quoteDepositUSDT(uint256 amount) external view returns (uint256) {
+        require(amount > 0, "Amount must be greater than 0");
+        return _calculateSharesToIssue(amount, false);
+    }
+    
+    /**
+     * @dev Shares depositMON would issue in the current block at the on-chain MON/USD price.
+     * Reverts if the price cannot be used; a Pyth update sent with the deposit changes the result.
+     * @param monAmount Amount of MON to deposit.
+     * @return The number of shares.
+     */
+    function quoteDepositMON(uint256 monAmount) external view returns (uint256) {
+        require(monAmount > 0, "MON amount must be greater than 0");
+        uint256 usdtEquivalentValue = _monToUsdt(monAmount, _monUsdPrice());
+        require(usdtEquivalentValue > 0, "MON USDT equivalent value must be greater than 0");
+        return _calculateSharesToIssue(usdtEquivalentValue, true);
+    }
+    
+    /**
+     * @dev Amount withdraw would pay out for shares in the current block, without checking liquidity,
+     * lockups or the withdrawer's early exit fee.
+     * Reverts if the value depends on a MON/USD price that cannot be used.
+     * @param shareAmount Amount of shares to withdraw.
+     * @param withdrawAsMon Whether to quote in MON (18 decimals) or USDT (6 decimals).
+     * @return The amount paid out.
+     */
+    function quoteWithdraw(uint256 shareAmount, bool withdrawAsMon) external view returns (uint256) {
+        require(shareAmount > 0, "Amount must be greater than 0");
+        require(shareAmount <= totalSupply(), "Insufficient shares");
+        uint256 withdrawalValueUsdt = _withdrawalValueUsdt(shareAmount);
+        return withdrawAsMon ? _usdtToMon(withdrawalValueUsdt, _monUsdPrice()) : withdrawalValueUsdt;
+    }
+    
+    /**
+     * @dev Allows an agent to request funds for trading, within its credit limit.
      * @param amount Amount to request.
      * @param isMon Whether to request MON or USDT.
      */
     function requestFunds(uint256 amount, bool isMon) external nonReentrant onlyRole(AGENT_ROLE) {
         require(amount > 0, "Amount must be greater than 0");
+        _requireNotPaused(PAUSE_AGENT_FUNDS);
+        
+        // The principal stays in totalMonValue or totalVaultValue while it is out with the agent
+        if (isMon) {
+            require(amount <= totalMonValue - totalDeployed[MON_ASSET], "Insufficient MON in vault");
+            _allocate(msg.sender, MON_ASSET, amount);
+        } else {
+            require(amount <= _availableUsdt(), "Insufficient USDT in vault");
+            _allocate(msg.sender, usdtToken, amount);
+        }
+        
+        // Only value the agent's position when a max share is set, so the default needs no MON price
+        if (maxAgentAllocation < BASIS_POINTS) {
+            uint256 monPrincipal = agentAllocations[msg.sender][MON_ASSET].principal;
+            uint256 agentValue = agentAllocations[msg.sender][usdtToken].principal
+                + (monPrincipal > 0 ? convertMonToUsdtView(monPrincipal) : 0);
+            _checkMaxAllocation(agentValue, getTotalValueInUsdt());
+        }
         
         if (isMon) {
-            require(amount <= totalMonValue, "Insufficient MON in vault");
-            totalMonValue -= amount;
             (bool success, ) = msg.sender.call{value: amount}("");
             require(success, "MON transfer failed");
         } else {
-            require(amount <= IERC20(usdtToken).balanceOf(address(this)), "Insufficient USDT in vault");
             IERC20(usdtToken).safeTransfer(msg.sender, amount);
         }
         
         emit AgentFundRequest(msg.sender, amount, isMon);
     }
     
+    /**
+     * @dev Allows an agent to return principal together with the profit or loss made on it.
+     * MON is returned as msg.value, which must equal the principal plus the profit or minus the loss,
+     * plus the Pyth update fee when update data is sent.
+     * @param principal Principal being repaid, at most the agent's outstanding principal in that asset.
+     * @param pnl Profit (positive) or loss (negative) in USDT or MON; a loss cannot exceed the principal.
+     * @param isMon Whether the principal was drawn in MON or USDT.
+     * @param priceUpdateData Optional price update data from Pyth Network.
+     */
+    function returnFunds(
+        uint256 principal,
+        int256 pnl,
+        bool isMon,
+        bytes[] calldata priceUpdateData
+    ) external payable nonReentrant onlyRole(AGENT_ROLE) {
+        uint256 updateFee = _updatePriceFeeds(priceUpdateData);
+        _returnFunds(principal, pnl, isMon, updateFee);
+    }
+    
     /**
      * @dev Allows an agent to return funds and distribute profits.
+     * USDT returns only pull the profit; MON sent above the profit and the Pyth update fee repays
+     * outstanding MON principal.
+     * Use returnFunds to repay USDT principal or report a loss.
      * @param profit The profit amount in USDT or MON.
      * @param isMon Whether the profit is in MON or USDT.
      * @param priceUpdateData Optional price update data from Pyth Network.
@@ -798,44 +1020,86 @@ contract AoP1Vault is ERC20, ReentrancyGuard, AccessControl {
     function returnFundsWithProfit(uint256 profit, bool isMon, bytes[] calldata priceUpdateData) external payable nonReentrant onlyRole(AGENT_ROLE) {
         require(profit > 0, "Profit must be greater than 0");
         
-        uint256 returnedAmount;
-        uint256 usdtEquivalentProfit;
+        uint256 updateFee = _updatePriceFeeds(priceUpdateData);
+        uint256 principal;
+        if (isMon) {
+            uint256 monSent = _monAfterUpdateFee(updateFee);
+            require(monSent >= profit, "MON must be sent");
+            principal = monSent - profit;
+        }
+        _returnFunds(principal, SafeCast.toInt256(profit), isMon, updateFee);
+    }
+    
+    /**
+     * @dev Takes back the returned funds and marks NAV to the reported profit or loss.
+     * updateFee is the part of msg.value already paid to Pyth.
+     */
+    function _returnFunds(uint256 principal, int256 pnl, bool isMon, uint256 updateFee) internal {
+        _accrueFees();
+        
+        uint256 returnedAmount = _settle(msg.sender, isMon ? MON_ASSET : usdtToken, principal, pnl);
         
         if (isMon) {
-            require(msg.value > 0, "MON must be sent");
-            returnedAmount = msg.value;
-            // First convert MON profit to USDT equivalent using Pyth price feed
-            usdtEquivalentProfit = convertMonToUsdt(profit, priceUpdateData);
-            
-            // Calculate performance fee in MON
-            uint256 monPerformanceFee = (profit * PERFORMANCE_FEE_PERCENTAGE) / BASIS_POINTS;
-            if (monPerformanceFee > 0) {
-                (bool success, ) = feeRecipient.call{value: monPerformanceFee}("");
-                require(success, "MON fee transfer failed");
-            }
-            totalMonValue += (returnedAmount - monPerformanceFee);
+            require(msg.value == returnedAmount + updateFee, "Incorrect MON amount");
         } else {
-            usdtEquivalentProfit = profit; // Already in USDT
-            uint256 performanceFee = (usdtEquivalentProfit * PERFORMANCE_FEE_PERCENTAGE) / BASIS_POINTS;
-            returnedAmount = profit;
-            IERC20(usdtToken).safeTransferFrom(msg.sender, address(this), returnedAmount);
-            if (performanceFee > 0) {
-                IERC20(usdtToken).safeTransfer(feeRecipient, performanceFee);
+            require(msg.value == updateFee, "Incorrect price update fee");
+            if (returnedAmount > 0) {
+                IERC20(usdtToken).safeTransferFrom(msg.sender, address(this), returnedAmount);
             }
-            totalVaultValue += (returnedAmount - performanceFee);
         }
         
-        // Calculate and update NAV with new profits
+        uint256 profit;
+        uint256 feeAmount;
+        if (pnl < 0) {
+            // The lost principal no longer belongs to the vault
+            if (isMon) {
+                totalMonValue -= uint256(-pnl);
+            } else {
+                totalVaultValue -= uint256(-pnl);
+            }
+        } else if (pnl > 0) {
+            profit = uint256(pnl);
+            uint256 usdtEquivalentProfit;
+            if (isMon) {
+                // First convert MON profit to USDT equivalent using Pyth price feed
+                usdtEquivalentProfit = _monToUsdt(profit, _monUsdPrice());
+                totalMonValue += profit;
+            } else {
+                usdtEquivalentProfit = profit; // Already in USDT
+                totalVaultValue += profit;
+            }
+            
+            // Performance fee on the part of the profit above the high-water mark, paid in the profit's asset
+            uint256 chargeableProfit = _profitAboveHighWaterMark(getTotalValueInUsdt(), usdtEquivalentProfit);
+            feeAmount = chargeableProfit > 0
+                ? (Math.mulDiv(profit, chargeableProfit, usdtEquivalentProfit) * performanceFee) / BASIS_POINTS
+                : 0;
+            if (feeAmount > 0) {
+                if (isMon) {
+                    totalMonValue -= feeAmount;
+                    (bool success, ) = feeRecipient.call{value: feeAmount}("");
+                    require(success, "MON fee transfer failed");
+                } else {
+                    totalVaultValue -= feeAmount;
+                    IERC20(usdtToken).safeTransfer(feeRecipient, feeAmount);
+                }
+                _recordAgentFee(msg.sender, isMon ? MON_ASSET : usdtToken, feeAmount);
+            }
+        }
+        
+        // Calculate and update NAV with the new profit or loss
         uint256 oldNav = navPerShare;
         updateNavPerShare();
+        _updateHighWaterMark(navPerShare);
         
         lastNavUpdate = block.timestamp;
         
         emit FundsReturned(msg.sender, returnedAmount, isMon);
-        emit ProfitDistributed(profit, (profit * PERFORMANCE_FEE_PERCENTAGE) / BASIS_POINTS);
+        if (profit > 0) {
+            emit ProfitDistributed(profit, feeAmount);
+        }
         emit NavUpdated(oldNav, navPerShare);
         
-        _recordNAVSnapshot();
         emit SharePriceUpdated(oldNav, navPerShare, block.timestamp);
         emit PerformanceMetrics(
             totalVaultValue,
@@ -845,5 +1109,284 @@ contract AoP1Vault is ERC20, ReentrancyGuard, AccessControl {
             IERC20(usdtToken).balanceOf(address(this)),
             block.timestamp
         );
+        
+        // Returned funds go to queued withdrawals first, unless withdrawals are paused
+        if (!isPaused(PAUSE_WITHDRAWALS)) {
+            _settleWithdrawals(MAX_AUTO_SETTLEMENTS);
+        }
+        _recordNAVSnapshot();
+    }
+    
+    /**
+     * @dev Locks shares in the vault to be redeemed once liquidity is available and the notice period has passed.
+     * The shares must be out of their lockup.
+     * @param shareAmount Amount of shares to redeem.
+     * @param withdrawAsMon Whether the request is paid out in MON or USDT.
+     * @return requestId ID of the withdrawal request.
+     */
+    function requestWithdrawal(uint256 shareAmount, bool withdrawAsMon) external nonReentrant returns (uint256 requestId) {
+        _requireNotPaused(PAUSE_WITHDRAWALS);
+        _checkUnlocked(msg.sender, shareAmount, lockedShares[msg.sender], _positionShares(msg.sender));
+        return _requestWithdrawal(msg.sender, shareAmount, withdrawAsMon ? MON_ASSET : usdtToken);
+    }
+    
+    /**
+     * @dev Cancels a withdrawal request that has not been settled and returns its shares.
+     * @param requestId ID of the withdrawal request.
+     */
+    function cancelWithdrawal(uint256 requestId) external nonReentrant {
+        _cancelWithdrawal(requestId);
+    }
+    
+    /**
+     * @dev Sends the MON or USDT of a settled withdrawal request to its owner.
+     * @param requestId ID of the withdrawal request.
+     */
+    function claimWithdrawal(uint256 requestId) external nonReentrant {
+        (address asset, uint256 assets) = _claimWithdrawal(requestId);
+        if (asset == MON_ASSET) {
+            (bool success, ) = msg.sender.call{value: assets}("");
+            require(success, "MON transfer failed");
+        } else {
+            IERC20(usdtToken).safeTransfer(msg.sender, assets);
+        }
+    }
+    
+    /**
+     * @dev Settles queued withdrawals in order at the current NAV, as far as liquidity allows.
+     * Requests wait while the MON/USD price cannot be used, unless the vault holds no MON and pays in USDT.
+     * @param maxRequests Maximum number of queue entries to process.
+     * @param priceUpdateData Optional price update data from Pyth Network.
+     * @return settled Number of requests settled.
+     */
+    function settleWithdrawals(uint256 maxRequests, bytes[] calldata priceUpdateData) external payable nonReentrant returns (uint256 settled) {
+        require(hasRole(KEEPER_ROLE, msg.sender) || hasRole(ADMIN_ROLE, msg.sender), "Caller is not a keeper");
+        _requireNotPaused(PAUSE_WITHDRAWALS);
+        _updatePriceFeedsWithoutMon(priceUpdateData);
+        _accrueFees();
+        settled = _settleWithdrawals(maxRequests);
+        if (settled > 0) {
+            _recordNAVSnapshot();
+        }
+    }
+    
+    /**
+     * @dev USDT held by the vault that is not set aside for settled withdrawals.
+     */
+    function _availableUsdt() internal view returns (uint256) {
+        return IERC20(usdtToken).balanceOf(address(this)) - claimableWithdrawals[usdtToken];
+    }
+    
+    /**
+     * @dev Requests are the owner's oldest shares, charged the early exit fee for their age at settlement.
+     */
+    function _withdrawalValue(address owner, uint256 shares, address asset) internal view override returns (bool, uint256) {
+        (bool priced, uint256 totalValueUsdt) = _tryTotalValueInUsdt();
+        if (!priced) {
+            return (false, 0);
+        }
+        uint256 valueUsdt = (shares * totalValueUsdt) / totalSupply();
+        (, uint256 feeShares) = _exitLocks(owner, shares, 0, _positionShares(owner));
+        valueUsdt -= _earlyExitFee(valueUsdt, shares, feeShares, totalSupply() - shares);
+        if (asset != MON_ASSET) {
+            return (true, valueUsdt);
+        }
+        
+        (PriceStatus status, uint256 price, ) = getMonUsdPriceStatus();
+        if (status != PriceStatus.Valid) {
+            return (false, 0);
+        }
+        return (true, _usdtToMon(valueUsdt, price));
+    }
+    
+    function _withdrawalNoticePeriod() internal view override returns (uint256) {
+        return lockupConfig.noticePeriod;
+    }
+    
+    function _withdrawalLiquidity(address asset) internal view override returns (uint256) {
+        if (asset == MON_ASSET) {
+            return totalMonValue - totalDeployed[MON_ASSET];
+        }
+        return _availableUsdt();
+    }
+    
+    function _afterWithdrawalSettled(address owner, address asset, uint256 shares, uint256 assets) internal override {
+        uint256 proceedsUsdt = assets;
+        if (asset == MON_ASSET) {
+            totalMonValue -= assets;
+            proceedsUsdt = _monToUsdt(assets, _monUsdPrice());
+        } else {
+            totalVaultValue -= assets;
+        }
+        uint256 positionShares = _positionShares(owner) + shares;
+        (, uint256 feeShares) = _exitLocks(owner, shares, 0, positionShares);
+        _spendDepositLots(owner, shares, 0, positionShares);
+        _keepEarlyExitFee(owner, shares, feeShares);
+        _syncActiveUser(owner);
+        _exitPosition(owner, shares, proceedsUsdt);
+    }
+    
+    /**
+     * @dev Sets how much USDT and MON an agent may have outstanding.
+     * @param agent Address of the agent.
+     * @param usdtLimit Maximum outstanding USDT principal (6 decimals).
+     * @param monLimit Maximum outstanding MON principal (18 decimals).
+     */
+    function setAgentCreditLimits(address agent, uint256 usdtLimit, uint256 monLimit) external onlyRole(ADMIN_ROLE) {
+        _setCreditLimit(agent, usdtToken, usdtLimit);
+        _setCreditLimit(agent, MON_ASSET, monLimit);
+    }
+    
+    /**
+     * @dev Sets the maximum share of the vault a single agent may have outstanding.
+     * @param maxAllocation Share in basis points of the vault's total value in USDT.
+     */
+    function setMaxAgentAllocation(uint256 maxAllocation) external onlyRole(ADMIN_ROLE) {
+        _setMaxAgentAllocation(maxAllocation);
+    }
+    
+    /**
+     * @dev Sets whether shares can be transferred between holders: freely, not at all, or only between allowlisted accounts.
+     * @param mode Open, NonTransferable or Allowlisted.
+     */
+    function setTransferMode(TransferMode mode) external onlyRole(ADMIN_ROLE) {
+        _setTransferMode(mode);
+    }
+    
+    /**
+     * @dev Adds accounts to or removes them from the transfer allowlist used in Allowlisted mode.
+     * @param accounts Accounts to update.
+     * @param allowed Whether the accounts may send and receive shares.
+     */
+    function setTransferAllowlist(address[] calldata accounts, bool allowed) external onlyRole(ADMIN_ROLE) {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            _setTransferAllowlist(accounts[i], allowed);
+        }
+    }
+    
+    /**
+     * @dev Replaces the deposit limits and allowlist mode.
+     * @param limits Caps and minimum deposit in USDT, 0 for none, whether only allowlisted receivers may
+     * deposit, and the Merkle root accounts can join the allowlist with.
+     */
+    function setDepositLimits(DepositLimitConfig calldata limits) external onlyRole(ADMIN_ROLE) {
+        _setDepositLimits(limits);
+    }
+    
+    /**
+     * @dev Adds accounts to or removes them from the deposit allowlist used in allowlist mode.
+     * @param accounts Accounts to update.
+     * @param allowed Whether the accounts may receive shares from deposits.
+     */
+    function setDepositAllowlist(address[] calldata accounts, bool allowed) external onlyRole(ADMIN_ROLE) {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            _setDepositAllowlist(accounts[i], allowed);
+        }
+    }
+    
+    /**
+     * @dev Sets the lockup and notice periods and the early exit fee.
+     * @param config Periods in seconds and the early exit fee in basis points.
+     */
+    function setLockupConfig(LockupConfig calldata config) external onlyRole(ADMIN_ROLE) {
+        _setLockupConfig(config);
+    }
+    
+    /**
+     * @dev Sets the minimum time between kept NAV snapshots; snapshots taken sooner replace the latest one.
+     * @param interval Interval in seconds, at most one day, 0 to keep every snapshot.
+     */
+    function setSnapshotInterval(uint256 interval) external onlyRole(ADMIN_ROLE) {
+        _setSnapshotInterval(interval);
+    }
+    
+    /**
+     * @dev A user's held shares that can be withdrawn now and those still locked up, the early exit fee
+     * on withdrawing the unlocked ones now, and when the next locked shares unlock.
+     */
+    function getShareLocks(address user) external view returns (ShareLocks memory) {
+        return _shareLocks(user, lockedShares[user], _positionShares(user));
+    }
+    
+    /**
+     * @dev Pauses deposits, withdrawals or agent fund requests.
+     * @param operations Bit mask of PAUSE_DEPOSITS, PAUSE_WITHDRAWALS and PAUSE_AGENT_FUNDS.
+     */
+    function pause(uint8 operations) external {
+        require(hasRole(GUARDIAN_ROLE, msg.sender) || hasRole(ADMIN_ROLE, msg.sender), "Caller is not a guardian");
+        _pause(operations);
+    }
+    
+    /**
+     * @dev Resumes paused operations. Emergency mode must be off.
+     * @param operations Bit mask of PAUSE_DEPOSITS, PAUSE_WITHDRAWALS and PAUSE_AGENT_FUNDS.
+     */
+    function unpause(uint8 operations) external onlyRole(ADMIN_ROLE) {
+        _unpause(operations);
+    }
+    
+    /**
+     * @dev Pauses every operation and lets holders exit through emergencyWithdraw.
+     */
+    function enableEmergencyMode() external {
+        require(hasRole(GUARDIAN_ROLE, msg.sender) || hasRole(ADMIN_ROLE, msg.sender), "Caller is not a guardian");
+        _setEmergencyMode(true);
+    }
+    
+    /**
+     * @dev Ends emergency mode; operations stay paused until the admin unpauses them.
+     */
+    function disableEmergencyMode() external onlyRole(ADMIN_ROLE) {
+        _setEmergencyMode(false);
+    }
+    
+    /**
+     * @dev Burns shares for their pro-rata part of the USDT and MON the vault holds, without a MON/USD price.
+     * Only available in emergency mode, whatever the shares' lockup and without an early exit fee. Funds out with agents and payouts set aside for settled
+     * withdrawals are not shared out; returned funds stay with the remaining holders.
+     * The MON paid out counts toward realized PnL at the MON/USD price, if it can be used.
+     * @param shareAmount Amount of shares to burn.
+     * @return usdtAmount Amount of USDT paid out.
+     * @return monAmount Amount of MON paid out.
+     */
+    function emergencyWithdraw(uint256 shareAmount) external nonReentrant returns (uint256 usdtAmount, uint256 monAmount) {
+        _requireEmergencyMode();
+        require(shareAmount > 0, "Amount must be greater than 0");
+        require(balanceOf(msg.sender) >= shareAmount, "Insufficient shares");
+        
+        // Mint the management fee without repricing, which would need the oracle
+        _accrueManagementFee(feeRecipient);
+        
+        uint256 supply = totalSupply();
+        usdtAmount = (shareAmount * (totalVaultValue - totalDeployed[usdtToken])) / supply;
+        monAmount = (shareAmount * (totalMonValue - totalDeployed[MON_ASSET])) / supply;
+        
+        _spendDepositLots(msg.sender, shareAmount, lockedShares[msg.sender], _positionShares(msg.sender));
+        _burn(msg.sender, shareAmount);
+        totalVaultValue -= usdtAmount;
+        totalMonValue -= monAmount;
+        _exitPosition(msg.sender, shareAmount, usdtAmount + _emergencyMonValue(monAmount));
+        
+        if (usdtAmount > 0) {
+            IERC20(usdtToken).safeTransfer(msg.sender, usdtAmount);
+        }
+        if (monAmount > 0) {
+            (bool success, ) = msg.sender.call{value: monAmount}("");
+            require(success, "MON transfer failed");
+        }
+        
+        emit EmergencyWithdrawal(msg.sender, shareAmount, usdtAmount, monAmount);
+        _recordNAVSnapshot();
+    }
+    
+    /**
+     * @dev USDT value of MON paid out in emergency mode, or 0 if the MON/USD price cannot be used.
+     */
+    function _emergencyMonValue(uint256 monAmount) internal view returns (uint256) {
+        if (monAmount == 0) {
+            return 0;
+        }
+        (PriceStatus status, uint256 price, ) = getMonUsdPriceStatus();
+        return status == PriceStatus.Valid ? _monToUsdt(monAmount, price) : 0;
     }
 }
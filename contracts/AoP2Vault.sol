@@ -5,56 +5,66 @@ import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "./VaultFees.sol";
+import "./AgentAllocations.sol";
+import "./WithdrawalQueue.sol";
+import "./SlippageProtection.sol";
+import "./VaultPausable.sol";
+import "./UserPositions.sol";
+import "./TransferRestrictions.sol";
+import "./DepositLimits.sol";
+import "./DepositLockups.sol";
+import "./NavHistory.sol";
 
 /**
  * @title AoP2Vault
  * @dev A simplified vault contract that accepts only USDT deposits
+ * @notice Deployed by VaultFactory as an EIP-1167 clone of an implementation, and set up through initialize.
+ *         Share transfers carry their part of the sender's position to the receiver, and can be restricted.
+ *         Deposits can be capped, held to a minimum and limited to an allowlist. Deposited shares can be
+ *         locked up, charged an early exit fee that stays with the remaining holders, and made to give notice.
+ *         NAV history is snapshotted on deposits, withdrawals and agent returns, at most once per snapshot interval.
  */
-contract AoP2Vault is ERC20, ReentrancyGuard, AccessControl {
+contract AoP2Vault is Initializable, ERC20, ReentrancyGuard, AccessControl, VaultFees, AgentAllocations, WithdrawalQueue, SlippageProtection, VaultPausable, UserPositions, TransferRestrictions, DepositLimits, DepositLockups, NavHistory {
     using SafeERC20 for IERC20;
 
-    // Constants
-    uint256 public constant PERFORMANCE_FEE_PERCENTAGE = 2000; // 20% in basis points
-    uint256 public constant BASIS_POINTS = 10000;
-    uint256 public constant MAX_HISTORY_ITEMS = 100;
-    
     // Constants for decimal handling
     uint256 public constant SHARE_DECIMALS = 18; // Share token uses 18 decimals
     uint256 public constant USDT_DECIMALS = 6;   // USDT uses 6 decimals
     uint256 public constant SCALING_FACTOR = 10 ** (SHARE_DECIMALS - USDT_DECIMALS); // 10^12
 
+    // Share token name and symbol, set per clone
+    string private _shareName;
+    string private _shareSymbol;
+
     // State variables
     address public usdtToken;
     uint256 public navPerShare;
-    uint256 public totalVaultValue;
+    uint256 public totalVaultValue; // Includes USDT out with agents
     uint256 public lastNavUpdate;
     address public feeRecipient;
 
     // Roles
     bytes32 public constant AGENT_ROLE = keccak256("AGENT_ROLE");
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant KEEPER_ROLE = keccak256("KEEPER_ROLE");
+    bytes32 public constant ROUTER_ROLE = keccak256("ROUTER_ROLE"); // VaultRouter, trusted to deposit for a receiver
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE"); // Can pause operations and turn on emergency mode
 
-    // Historical tracking
-    struct NAVSnapshot {
-        uint256 timestamp;
-        uint256 navValue;     // Stored with 18 decimals precision
-        uint256 totalValue;   // Stored with 6 decimals precision (USDT)
-    }
-    NAVSnapshot[] public navHistory;
-
-    // User tracking
+    // User tracking; amount shrinks with the shares that leave a position
     struct UserDeposit {
         uint256 amount;
         uint256 initialTimestamp;
         uint256 lastDepositTimestamp;
     }
     mapping(address => UserDeposit) public userDeposits;
-    mapping(address => bool) public isActiveUser;
-    uint256 public totalUsers;
 
     // Events
     event Deposit(address indexed user, uint256 amount, uint256 sharesIssued);
     event Withdrawal(address indexed user, uint256 amount, uint256 sharesBurned);
+    event EmergencyWithdrawal(address indexed user, uint256 amount, uint256 sharesBurned);
     event ProfitDistributed(uint256 profit, uint256 performanceFee);
     event NavUpdated(uint256 oldNav, uint256 newNav);
     event AgentFundRequest(address indexed agent, uint256 amount);
@@ -67,34 +77,44 @@ contract AoP2Vault is ERC20, ReentrancyGuard, AccessControl {
         uint256 usdtBalance,
         uint256 timestamp
     );
-    event UserMetricsUpdated(
-        address indexed user,
-        uint256 totalShares,
-        uint256 currentValue,
-        uint256 profitAmount,
-        uint256 timestamp
-    );
 
     /**
-     * @dev Constructor to initialize the vault
+     * @dev Locks the implementation; clones are set up through initialize
+     */
+    constructor() ERC20("", "") {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initializes a clone of the vault; the caller becomes its admin
      * @param _name Name of the share token
      * @param _symbol Symbol of the share token
      * @param _usdtToken Address of the USDT token
-     * @param _feeRecipient Address to receive performance fees
+     * @param _feeRecipient Address to receive performance and management fees
+     * @param _fees Initial performance and management fee rates
+     * @param _limits Initial deposit limits
      */
-    constructor(
+    function initialize(
         string memory _name,
         string memory _symbol,
         address _usdtToken,
-        address _feeRecipient
-    ) ERC20(_name, _symbol) {
+        address _feeRecipient,
+        FeeConfig memory _fees,
+        DepositLimitConfig memory _limits
+    ) external initializer {
         require(_usdtToken != address(0), "Invalid USDT address");
         require(_feeRecipient != address(0), "Invalid fee recipient");
         
+        _shareName = _name;
+        _shareSymbol = _symbol;
         usdtToken = _usdtToken;
         feeRecipient = _feeRecipient;
         navPerShare = 10 ** SHARE_DECIMALS; // Initialize NAV at 1.0
         lastNavUpdate = block.timestamp;
+        _initializeFees(_fees);
+        _initializeAllocations();
+        _setDepositLimits(_limits);
+        _initializeNavHistory();
         
         // Setup roles
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
@@ -102,71 +122,139 @@ contract AoP2Vault is ERC20, ReentrancyGuard, AccessControl {
     }
     
     /**
-     * @dev Records a NAV snapshot for historical tracking
+     * @dev Name of the share token
+     */
+    function name() public view override returns (string memory) {
+        return _shareName;
+    }
+
+    /**
+     * @dev Symbol of the share token
+     */
+    function symbol() public view override returns (string memory) {
+        return _shareSymbol;
+    }
+    
+    /**
+     * @dev Records navPerShare and totalVaultValue in the NAV history
      */
     function _recordNAVSnapshot() internal {
-        if (navHistory.length >= MAX_HISTORY_ITEMS) {
-            // Remove oldest entry
-            for (uint i = 0; i < navHistory.length - 1; i++) {
-                navHistory[i] = navHistory[i + 1];
+        _recordNAVSnapshot(navPerShare, totalVaultValue);
+    }
+
+    function _positionShares(address user) internal view override returns (uint256) {
+        return balanceOf(user) + lockedShares[user];
+    }
+
+    /**
+     * @dev Realizes the PnL of shares burned out of a user's position and removes their part
+     *      of the USDT the user deposited
+     * @param proceeds USDT paid out for the shares (6 decimals)
+     */
+    function _exitPosition(address user, uint256 shares, uint256 proceeds) internal {
+        uint256 remainingShares = _positionShares(user);
+        _realizeExit(user, shares, remainingShares, proceeds);
+
+        UserDeposit storage userDeposit = userDeposits[user];
+        userDeposit.amount -= _exitPortion(userDeposit.amount, shares, remainingShares);
+
+        _updateUserMetrics(user);
+    }
+
+    /**
+     * @dev Moves the transferred shares' part of the sender's cost basis and deposits to the receiver
+     */
+    function _transferPosition(address from, address to, uint256 shares) internal {
+        uint256 remainingShares = _positionShares(from);
+        _transferCostBasis(from, to, shares, remainingShares);
+
+        UserDeposit storage fromDeposit = userDeposits[from];
+        UserDeposit storage toDeposit = userDeposits[to];
+        uint256 amount = _exitPortion(fromDeposit.amount, shares, remainingShares);
+        fromDeposit.amount -= amount;
+        toDeposit.amount += amount;
+        if (toDeposit.initialTimestamp == 0) {
+            toDeposit.initialTimestamp = block.timestamp;
+        }
+
+        _updateUserMetrics(from);
+        _updateUserMetrics(to);
+    }
+
+    /**
+     * @dev Applies the transfer mode to transfers between holders, which cannot move shares of open deposit lots
+     */
+    function _beforeTokenTransfer(address from, address to, uint256 amount) internal override {
+        super._beforeTokenTransfer(from, to, amount);
+        if (_isHolderTransfer(from, to)) {
+            _checkShareTransfer(from, to);
+            uint256 transferable = _transferableShares(from, lockedShares[from], _positionShares(from));
+            if (amount > transferable) {
+                revert SharesLocked(transferable);
             }
-            navHistory.pop();
         }
-        
-        navHistory.push(NAVSnapshot({
-            timestamp: block.timestamp,
-            navValue: navPerShare,
-            totalValue: totalVaultValue
-        }));
+    }
+
+    /**
+     * @dev USDT paid out for shares the owner withdraws now, less the early exit fee on them;
+     *      reverts if they are still locked up
+     */
+    function _netWithdrawalValue(address owner, uint256 shares) internal view returns (uint256) {
+        uint256 feeShares = _checkUnlocked(owner, shares, lockedShares[owner], _positionShares(owner));
+        uint256 value = _convertToAssets(shares);
+        return value - _earlyExitFee(value, shares, feeShares, totalSupply() - shares);
+    }
+
+    /**
+     * @dev Raises navPerShare by the USDT left in the vault by shares that were just burned: the early
+     *      exit fee on them and the rounding of their payout, which would otherwise go to the next depositor
+     */
+    function _keepEarlyExitFee(address owner, uint256 shares, uint256 feeShares) internal {
+        if (totalSupply() == 0) {
+            return;
+        }
+        uint256 oldNav = navPerShare;
+        navPerShare = (totalVaultValue * SCALING_FACTOR * (10 ** SHARE_DECIMALS)) / totalSupply();
+        if (navPerShare != oldNav) {
+            emit NavUpdated(oldNav, navPerShare);
+        }
+        if (feeShares > 0) {
+            emit EarlyExitFeeCharged(owner, shares, feeShares);
+        }
+    }
+
+    /**
+     * @dev Keeps positions and the active user count in sync with every share movement
+     */
+    function _afterTokenTransfer(address from, address to, uint256 amount) internal override {
+        super._afterTokenTransfer(from, to, amount);
+        if (_isHolderTransfer(from, to)) {
+            _transferPosition(from, to, amount);
+        }
+        _syncActiveUser(from);
+        _syncActiveUser(to);
     }
 
     /**
      * @dev Updates user metrics after a deposit or withdrawal
      */
     function _updateUserMetrics(address user) internal {
-        uint256 shares = balanceOf(user);
-        uint256 currentValue = (shares * navPerShare) / (10 ** SHARE_DECIMALS);
-        
-        // Scale USDT deposits from 6 decimals to 18 for accurate comparison
-        uint256 totalDeposits = userDeposits[user].amount * SCALING_FACTOR;
-        
-        uint256 profitAmount = currentValue > totalDeposits ? currentValue - totalDeposits : 0;
-        
-        emit UserMetricsUpdated(
-            user,
-            shares,
-            currentValue,
-            profitAmount,
-            block.timestamp
-        );
+        _emitUserMetrics(user, _positionShares(user), navPerShare);
     }
 
     /**
-     * @dev Get detailed information about a user's position
+     * @dev Get detailed information about a user's position, valued at navPerShare;
+     *      monDeposited is always 0
      */
-    function getUserDetails(address user) external view returns (
-        uint256 shares,
-        uint256 valueInUSDT,
-        uint256 percentageOfVault,
-        uint256 profitSinceDeposit,
-        uint256 initialDepositDate,
-        uint256 totalDeposited
-    ) {
-        shares = balanceOf(user);
-        valueInUSDT = (shares * navPerShare) / (10 ** SHARE_DECIMALS);
-        
-        percentageOfVault = totalSupply() > 0 
-            ? (shares * BASIS_POINTS) / totalSupply() 
+    function getUserDetails(address user) external view returns (UserDetails memory details) {
+        details = _positionDetails(user, _positionShares(user), navPerShare);
+        details.percentageOfVault = totalSupply() > 0
+            ? (details.shares * BASIS_POINTS) / totalSupply()
             : 0;
-        
+
         UserDeposit memory userDeposit = userDeposits[user];
-        
-        // Scale USDT deposits from 6 decimals to 18 for accurate comparison
-        uint256 scaledDeposits = userDeposit.amount * SCALING_FACTOR;
-        
-        profitSinceDeposit = valueInUSDT > scaledDeposits ? valueInUSDT - scaledDeposits : 0;
-        initialDepositDate = userDeposit.initialTimestamp;
-        totalDeposited = userDeposit.amount;
+        details.initialDepositDate = userDeposit.initialTimestamp;
+        details.usdtDeposited = userDeposit.amount;
     }
 
     /**
@@ -191,110 +279,262 @@ contract AoP2Vault is ERC20, ReentrancyGuard, AccessControl {
     }
 
     /**
-     * @dev Get historical NAV data for charting
+     * @dev Allows users to deposit USDT into the vault
+     * @param amount Amount of USDT to deposit
      */
-    function getHistoricalNAV() external view returns (
-        uint256[] memory timestamps,
-        uint256[] memory values,
-        uint256[] memory totalValues
-    ) {
-        uint256 length = navHistory.length;
-        timestamps = new uint256[](length);
-        values = new uint256[](length);
-        totalValues = new uint256[](length);
-        
-        for (uint256 i = 0; i < length; i++) {
-            timestamps[i] = navHistory[i].timestamp;
-            values[i] = navHistory[i].navValue;
-            totalValues[i] = navHistory[i].totalValue;
-        }
+    function deposit(uint256 amount) external nonReentrant {
+        require(amount > 0, "Amount must be greater than 0");
+        _accrueFees();
+        _deposit(msg.sender, msg.sender, amount, _convertToShares(amount));
     }
 
     /**
-     * @dev Allows users to deposit USDT into the vault
+     * @dev Deposits USDT, reverting if fewer than minSharesOut shares are issued or the deadline has passed
      * @param amount Amount of USDT to deposit
+     * @param minSharesOut Minimum shares to receive, e.g. quoteDeposit less a slippage tolerance
+     * @param deadline Last block timestamp the deposit may execute at
+     * @return sharesIssued Amount of shares issued
      */
-    function deposit(uint256 amount) external nonReentrant {
-    require(amount > 0, "Amount must be greater than 0");
-    
-    // Get current vault stats before this new deposit
-    uint256 currentTotalSupply = totalSupply();
-    
-    uint256 sharesToIssue;
-    if (currentTotalSupply == 0) {
-        // Scale the raw deposit amount to 18 decimals
-        sharesToIssue = amount * SCALING_FACTOR;
-        navPerShare = 10 ** SHARE_DECIMALS; // 1.0 with 18 decimals
-    } else {
-        // For subsequent deposits, properly scale USDT amount to match navPerShare decimals
-        sharesToIssue = (amount * SCALING_FACTOR * (10 ** SHARE_DECIMALS)) / navPerShare;
-    }
-    
-    IERC20(usdtToken).safeTransferFrom(msg.sender, address(this), amount);
-    totalVaultValue += amount;
-    _mint(msg.sender, sharesToIssue);
-    
-    // Update user deposit tracking
-    if (!isActiveUser[msg.sender]) {
-        isActiveUser[msg.sender] = true;
-        totalUsers++;
-    }
-    
-    UserDeposit storage userDeposit = userDeposits[msg.sender];
-    if (userDeposit.initialTimestamp == 0) {
-        userDeposit.initialTimestamp = block.timestamp;
+    function deposit(uint256 amount, uint256 minSharesOut, uint256 deadline) external nonReentrant returns (uint256 sharesIssued) {
+        _checkDeadline(deadline);
+        require(amount > 0, "Amount must be greater than 0");
+        _accrueFees();
+        sharesIssued = _convertToShares(amount);
+        _checkSharesOut(sharesIssued, minSharesOut);
+        _deposit(msg.sender, msg.sender, amount, sharesIssued);
     }
-    userDeposit.amount += amount;
-    userDeposit.lastDepositTimestamp = block.timestamp;
-    
-    _updateUserMetrics(msg.sender);
-    emit Deposit(msg.sender, amount, sharesToIssue);
-}
 
+    /**
+     * @dev Deposits USDT from the router and credits the shares and the deposit to the receiver
+     * @param receiver Address receiving the shares
+     * @param amount Amount of USDT to deposit, pulled from the router
+     * @param minSharesOut Minimum shares the receiver must get
+     * @param deadline Last block timestamp the deposit may execute at
+     * @return sharesIssued Amount of shares issued
+     */
+    function depositFor(
+        address receiver,
+        uint256 amount,
+        uint256 minSharesOut,
+        uint256 deadline
+    ) external nonReentrant onlyRole(ROUTER_ROLE) returns (uint256 sharesIssued) {
+        _checkDeadline(deadline);
+        require(amount > 0, "Amount must be greater than 0");
+        require(receiver != address(0), "Invalid receiver");
+        _accrueFees();
+        sharesIssued = _convertToShares(amount);
+        _checkSharesOut(sharesIssued, minSharesOut);
+        _deposit(msg.sender, receiver, amount, sharesIssued);
+    }
 
     /**
-     * @dev Allows users to withdraw their shares directly
+     * @dev Allows users to withdraw their unlocked shares directly, less any early exit fee
      * @param shares Amount of shares to withdraw
      */
     function withdraw(uint256 shares) external nonReentrant {
         require(shares > 0, "Amount must be greater than 0");
         require(balanceOf(msg.sender) >= shares, "Insufficient shares");
-        
-        // Calculate the value of shares based on current NAV
+        _accrueFees();
+        _withdraw(msg.sender, msg.sender, msg.sender, _netWithdrawalValue(msg.sender, shares), shares);
+    }
+
+    /**
+     * @dev Withdraws unlocked shares, reverting if less than minAmountOut USDT is paid out, net of any early
+     *      exit fee, or the deadline has passed
+     * @param shares Amount of shares to withdraw
+     * @param minAmountOut Minimum USDT to receive, e.g. quoteWithdraw less a slippage tolerance
+     * @param deadline Last block timestamp the withdrawal may execute at
+     * @return amountOut Amount of USDT paid out
+     */
+    function withdraw(uint256 shares, uint256 minAmountOut, uint256 deadline) external nonReentrant returns (uint256 amountOut) {
+        _checkDeadline(deadline);
+        require(shares > 0, "Amount must be greater than 0");
+        require(balanceOf(msg.sender) >= shares, "Insufficient shares");
+        _accrueFees();
+        amountOut = _netWithdrawalValue(msg.sender, shares);
+        _checkAmountOut(amountOut, minAmountOut);
+        _withdraw(msg.sender, msg.sender, msg.sender, amountOut, shares);
+    }
+
+    /**
+     * @dev Shares deposit would issue in the current block, after the pending management fee
+     * @param amount Amount of USDT to deposit
+     */
+    function quoteDeposit(uint256 amount) external view returns (uint256) {
+        require(amount > 0, "Amount must be greater than 0");
+        _requireVaultValue();
+        return _convertToShares(amount);
+    }
+
+    /**
+     * @dev USDT withdraw would pay out for shares in the current block, without checking liquidity,
+     *      lockups or the withdrawer's early exit fee
+     * @param shares Amount of shares to withdraw
+     */
+    function quoteWithdraw(uint256 shares) external view returns (uint256) {
+        require(shares > 0, "Amount must be greater than 0");
+        return _convertToAssets(shares);
+    }
+
+    /**
+     * @dev Largest deposit the user can make now under the vault's deposit limits, in USDT; zero while
+     *      deposits are paused, while the shares are worth nothing or when the user may not deposit
+     * @param user Address that would receive the shares
+     * @return USDT the user can deposit, type(uint256).max without limits
+     */
+    function maxDeposit(address user) public view virtual returns (uint256) {
+        if (isPaused(PAUSE_DEPOSITS) || (totalSupply() > 0 && _navAfterFees() == 0)) {
+            return 0;
+        }
+        return _maxDepositFor(user, totalVaultValue, positions[user].costBasis);
+    }
+
+    /**
+     * @dev Converts a USDT amount (6 decimals) to shares (18 decimals) at the current NAV, rounding down;
+     *      0 while the shares are worth nothing, which deposits reject with _requireVaultValue
+     */
+    function _convertToShares(uint256 amount) internal view returns (uint256) {
+        if (totalSupply() == 0) {
+            // Scale the raw deposit amount to 18 decimals
+            return amount * SCALING_FACTOR;
+        }
+        uint256 nav = _navAfterFees();
+        if (nav == 0) {
+            return 0;
+        }
+        // For subsequent deposits, properly scale USDT amount to match navPerShare decimals
+        return (amount * SCALING_FACTOR * (10 ** SHARE_DECIMALS)) / nav;
+    }
+
+    /**
+     * @dev Reverts while agent losses leave the shares worth nothing, as they would take the whole deposit
+     */
+    function _requireVaultValue() internal view {
+        require(totalSupply() == 0 || _navAfterFees() > 0, "Vault has no value");
+    }
+
+    /**
+     * @dev Converts shares (18 decimals) to a USDT amount (6 decimals) at the current NAV, rounding down
+     */
+    function _convertToAssets(uint256 shares) internal view returns (uint256) {
+        if (totalSupply() == 0) {
+            // An empty vault prices shares at 1.0, as the next deposit will
+            return shares / SCALING_FACTOR;
+        }
         // NAV per share is in 18 decimals, need to convert to USDT's 6 decimals
-        uint256 withdrawalValue = (shares * navPerShare) / (10 ** SHARE_DECIMALS);
+        uint256 withdrawalValue = (shares * _navAfterFees()) / (10 ** SHARE_DECIMALS);
         
         // Convert withdrawal value from 18 decimals to USDT's 6 decimals
-        withdrawalValue = withdrawalValue / SCALING_FACTOR;
+        return withdrawalValue / SCALING_FACTOR;
+    }
+
+    /**
+     * @dev NAV per share once the pending management fee is minted (18 decimals)
+     */
+    function _navAfterFees() internal view returns (uint256) {
+        uint256 pendingShares = pendingManagementFee();
+        if (pendingShares == 0) {
+            return navPerShare;
+        }
+        uint256 supply = totalSupply();
+        return (navPerShare * supply) / (supply + pendingShares);
+    }
+
+    /**
+     * @dev Mints the accrued management fee and lowers navPerShare accordingly
+     */
+    function _accrueFees() internal {
+        uint256 nav = _navAfterFees();
+        if (_accrueManagementFee(feeRecipient) > 0) {
+            emit NavUpdated(navPerShare, nav);
+            navPerShare = nav;
+        }
+    }
+
+    /**
+     * @dev Pulls USDT from the caller and issues shares to the receiver
+     * @param caller Address paying the USDT
+     * @param receiver Address receiving the shares
+     * @param amount Amount of USDT to deposit (6 decimals)
+     * @param sharesToIssue Amount of shares to mint (18 decimals)
+     */
+    function _deposit(address caller, address receiver, uint256 amount, uint256 sharesToIssue) internal virtual {
+        _requireNotPaused(PAUSE_DEPOSITS);
+        _checkDepositLimits(receiver, amount, totalVaultValue, positions[receiver].costBasis);
+        _requireVaultValue();
+        require(sharesToIssue > 0, "Deposit too small");
+        if (totalSupply() == 0) {
+            navPerShare = 10 ** SHARE_DECIMALS; // 1.0 with 18 decimals
+        }
         
-        require(withdrawalValue <= IERC20(usdtToken).balanceOf(address(this)), "Insufficient USDT liquidity");
+        IERC20(usdtToken).safeTransferFrom(caller, address(this), amount);
+        totalVaultValue += amount;
+        _mint(receiver, sharesToIssue);
+        _recordDepositLot(receiver, sharesToIssue);
         
-        // Update total vault value
+        // Update user deposit tracking
+        UserDeposit storage userDeposit = userDeposits[receiver];
+        if (userDeposit.initialTimestamp == 0) {
+            userDeposit.initialTimestamp = block.timestamp;
+        }
+        userDeposit.amount += amount;
+        userDeposit.lastDepositTimestamp = block.timestamp;
+        _addCostBasis(receiver, amount);
+        
+        _updateUserMetrics(receiver);
+        emit Deposit(receiver, amount, sharesToIssue);
+        _recordNAVSnapshot();
+    }
+
+    /**
+     * @dev Burns the owner's shares and sends the USDT to the receiver; the shares must be out of
+     *      their lockup and the vault must not require notice
+     * @param receiver Address receiving the USDT
+     * @param owner Address whose shares are burned
+     * @param withdrawalValue Amount of USDT to pay out (6 decimals), net of any early exit fee
+     * @param shares Amount of shares to burn (18 decimals)
+     */
+    function _withdraw(
+        address /* caller */,
+        address receiver,
+        address owner,
+        uint256 withdrawalValue,
+        uint256 shares
+    ) internal virtual {
+        _requireNotPaused(PAUSE_WITHDRAWALS);
+        _requireNoNotice();
+        require(withdrawalValue <= _availableUsdt(), "Insufficient USDT liquidity");
+        uint256 positionShares = _positionShares(owner);
+        uint256 feeShares = _checkUnlocked(owner, shares, lockedShares[owner], positionShares);
+        _spendDepositLots(owner, shares, lockedShares[owner], positionShares);
+        
+        // Update total vault value; an early exit fee stays in it
         totalVaultValue -= withdrawalValue;
         
         // Burn the shares
-        _burn(msg.sender, shares);
+        _burn(owner, shares);
+        _keepEarlyExitFee(owner, shares, feeShares);
         
-        // Transfer USDT to user
-        IERC20(usdtToken).safeTransfer(msg.sender, withdrawalValue);
+        // Transfer USDT to the receiver
+        IERC20(usdtToken).safeTransfer(receiver, withdrawalValue);
         
-        // Update user tracking only if they have no more shares
-        if (balanceOf(msg.sender) == 0 && isActiveUser[msg.sender]) {
-            isActiveUser[msg.sender] = false;
-            totalUsers--;
-        }
-        
-        _updateUserMetrics(msg.sender);
-        emit Withdrawal(msg.sender, withdrawalValue, shares);
+        _exitPosition(owner, shares, withdrawalValue);
+        emit Withdrawal(owner, withdrawalValue, shares);
+        _recordNAVSnapshot();
     }
 
     /**
-     * @dev Allows an agent to request funds for trading
+     * @dev Allows an agent to request funds for trading, within its credit limit
      * @param amount Amount to request
      */
     function requestFunds(uint256 amount) external nonReentrant onlyRole(AGENT_ROLE) {
         require(amount > 0, "Amount must be greater than 0");
-        require(amount <= IERC20(usdtToken).balanceOf(address(this)), "Insufficient USDT in vault");
+        _requireNotPaused(PAUSE_AGENT_FUNDS);
+        require(amount <= _availableUsdt(), "Insufficient USDT in vault");
+        
+        // The principal stays in totalVaultValue while it is out with the agent
+        _allocate(msg.sender, usdtToken, amount);
+        _checkMaxAllocation(agentAllocations[msg.sender][usdtToken].principal, totalVaultValue);
         
         // Transfer USDT to agent
         IERC20(usdtToken).safeTransfer(msg.sender, amount);
@@ -302,6 +542,15 @@ contract AoP2Vault is ERC20, ReentrancyGuard, AccessControl {
         emit AgentFundRequest(msg.sender, amount);
     }
 
+    /**
+     * @dev Allows an agent to return principal together with the profit or loss made on it
+     * @param principal Principal being repaid (6 decimals), at most the agent's outstanding principal
+     * @param pnl Profit (positive) or loss (negative) in USDT (6 decimals); a loss cannot exceed the principal
+     */
+    function returnFunds(uint256 principal, int256 pnl) external nonReentrant onlyRole(AGENT_ROLE) {
+        _returnFunds(principal, pnl);
+    }
+
     /**
      * @dev Allows an agent to return funds and distribute profits
      * @param originalAmount The original amount that was requested
@@ -309,22 +558,42 @@ contract AoP2Vault is ERC20, ReentrancyGuard, AccessControl {
      */
     function returnFundsWithProfit(uint256 originalAmount, uint256 profit) external nonReentrant onlyRole(AGENT_ROLE) {
         require(originalAmount > 0, "Original amount must be greater than 0");
+        _returnFunds(originalAmount, SafeCast.toInt256(profit));
+    }
+
+    /**
+     * @dev Pulls the returned USDT from the agent and marks NAV to the reported profit or loss
+     */
+    function _returnFunds(uint256 principal, int256 pnl) internal {
+        _accrueFees();
         
-        uint256 totalReturnAmount = originalAmount + profit;
-        
-        // Transfer returned amount plus profit from agent to vault
-        IERC20(usdtToken).safeTransferFrom(msg.sender, address(this), totalReturnAmount);
-        
-        // Calculate performance fee
-        uint256 performanceFee = (profit * PERFORMANCE_FEE_PERCENTAGE) / BASIS_POINTS;
+        uint256 totalReturnAmount = _settle(msg.sender, usdtToken, principal, pnl);
         
-        // Transfer fee to recipient
-        if (performanceFee > 0) {
-            IERC20(usdtToken).safeTransfer(feeRecipient, performanceFee);
+        // Transfer returned principal plus profit, or minus loss, from agent to vault
+        if (totalReturnAmount > 0) {
+            IERC20(usdtToken).safeTransferFrom(msg.sender, address(this), totalReturnAmount);
         }
         
-        // Update total vault value (adding profit minus the fee)
-        totalVaultValue += (profit - performanceFee);
+        uint256 profit;
+        uint256 feeAmount;
+        if (pnl < 0) {
+            // The lost principal no longer belongs to the vault
+            totalVaultValue -= uint256(-pnl);
+        } else {
+            profit = uint256(pnl);
+            
+            // Calculate performance fee on the part of the profit above the high-water mark
+            feeAmount = (_profitAboveHighWaterMark(totalVaultValue + profit, profit) * performanceFee) / BASIS_POINTS;
+            
+            // Transfer fee to recipient
+            if (feeAmount > 0) {
+                IERC20(usdtToken).safeTransfer(feeRecipient, feeAmount);
+                _recordAgentFee(msg.sender, usdtToken, feeAmount);
+            }
+            
+            // Update total vault value (adding profit minus the fee)
+            totalVaultValue += (profit - feeAmount);
+        }
         
         // Update NAV based on new vault value
         uint256 oldNav = navPerShare;
@@ -334,13 +603,13 @@ contract AoP2Vault is ERC20, ReentrancyGuard, AccessControl {
             uint256 scaledTotalValue = totalVaultValue * SCALING_FACTOR;
             // Calculate new NAV per share
             navPerShare = (scaledTotalValue * (10 ** SHARE_DECIMALS)) / totalSupply();
+            _updateHighWaterMark(navPerShare);
         }
         
         // Update the last NAV update timestamp
         lastNavUpdate = block.timestamp;
         
-        // Record NAV history and emit performance metrics
-        _recordNAVSnapshot();
+        // Emit performance metrics
         emit SharePriceUpdated(oldNav, navPerShare, block.timestamp);
         emit PerformanceMetrics(
             totalVaultValue,
@@ -351,8 +620,256 @@ contract AoP2Vault is ERC20, ReentrancyGuard, AccessControl {
         );
         
         emit FundsReturned(msg.sender, totalReturnAmount, profit);
-        emit ProfitDistributed(profit, performanceFee);
+        if (profit > 0) {
+            emit ProfitDistributed(profit, feeAmount);
+        }
         emit NavUpdated(oldNav, navPerShare);
+        
+        // Returned funds go to queued withdrawals first, unless withdrawals are paused
+        if (!isPaused(PAUSE_WITHDRAWALS)) {
+            _settleWithdrawals(MAX_AUTO_SETTLEMENTS);
+        }
+        _recordNAVSnapshot();
+    }
+
+    /**
+     * @dev Locks shares in the vault to be redeemed once liquidity is available and the notice period
+     *      has passed; the shares must be out of their lockup
+     * @param shares Amount of shares to redeem (18 decimals)
+     * @return requestId ID of the withdrawal request
+     */
+    function requestWithdrawal(uint256 shares) external nonReentrant returns (uint256 requestId) {
+        _requireNotPaused(PAUSE_WITHDRAWALS);
+        _checkUnlocked(msg.sender, shares, lockedShares[msg.sender], _positionShares(msg.sender));
+        return _requestWithdrawal(msg.sender, shares, usdtToken);
+    }
+
+    /**
+     * @dev Cancels a withdrawal request that has not been settled and returns its shares
+     * @param requestId ID of the withdrawal request
+     */
+    function cancelWithdrawal(uint256 requestId) external nonReentrant {
+        _cancelWithdrawal(requestId);
+    }
+
+    /**
+     * @dev Sends the USDT of a settled withdrawal request to its owner
+     * @param requestId ID of the withdrawal request
+     */
+    function claimWithdrawal(uint256 requestId) external nonReentrant {
+        (, uint256 assets) = _claimWithdrawal(requestId);
+        IERC20(usdtToken).safeTransfer(msg.sender, assets);
+    }
+
+    /**
+     * @dev Settles queued withdrawals in order at the current NAV, as far as liquidity allows
+     * @param maxRequests Maximum number of queue entries to process
+     * @return settled Number of requests settled
+     */
+    function settleWithdrawals(uint256 maxRequests) external nonReentrant returns (uint256 settled) {
+        require(hasRole(KEEPER_ROLE, msg.sender) || hasRole(ADMIN_ROLE, msg.sender), "Caller is not a keeper");
+        _requireNotPaused(PAUSE_WITHDRAWALS);
+        _accrueFees();
+        settled = _settleWithdrawals(maxRequests);
+        if (settled > 0) {
+            _recordNAVSnapshot();
+        }
+    }
+
+    /**
+     * @dev USDT held by the vault that is not set aside for settled withdrawals
+     */
+    function _availableUsdt() internal view returns (uint256) {
+        return IERC20(usdtToken).balanceOf(address(this)) - claimableWithdrawals[usdtToken];
+    }
+
+    /**
+     * @dev Requests are the owner's oldest shares, charged the early exit fee for their age at settlement
+     */
+    function _withdrawalValue(address owner, uint256 shares, address) internal view override returns (bool, uint256) {
+        (, uint256 feeShares) = _exitLocks(owner, shares, 0, _positionShares(owner));
+        uint256 value = _convertToAssets(shares);
+        return (true, value - _earlyExitFee(value, shares, feeShares, totalSupply() - shares));
+    }
+
+    function _withdrawalNoticePeriod() internal view override returns (uint256) {
+        return lockupConfig.noticePeriod;
+    }
+
+    function _withdrawalLiquidity(address) internal view override returns (uint256) {
+        return _availableUsdt();
+    }
+
+    function _afterWithdrawalSettled(address owner, address, uint256 shares, uint256 assets) internal override {
+        totalVaultValue -= assets;
+        uint256 positionShares = _positionShares(owner) + shares;
+        (, uint256 feeShares) = _exitLocks(owner, shares, 0, positionShares);
+        _spendDepositLots(owner, shares, 0, positionShares);
+        _keepEarlyExitFee(owner, shares, feeShares);
+        _syncActiveUser(owner);
+        _exitPosition(owner, shares, assets);
+    }
+
+    /**
+     * @dev Sets whether shares can be transferred between holders: freely, not at all, or only between allowlisted accounts
+     * @param mode Open, NonTransferable or Allowlisted
+     */
+    function setTransferMode(TransferMode mode) external onlyRole(ADMIN_ROLE) {
+        _setTransferMode(mode);
+    }
+
+    /**
+     * @dev Adds accounts to or removes them from the transfer allowlist used in Allowlisted mode
+     * @param accounts Accounts to update
+     * @param allowed Whether the accounts may send and receive shares
+     */
+    function setTransferAllowlist(address[] calldata accounts, bool allowed) external onlyRole(ADMIN_ROLE) {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            _setTransferAllowlist(accounts[i], allowed);
+        }
+    }
+
+    /**
+     * @dev Replaces the deposit limits and allowlist mode
+     * @param limits Caps and minimum deposit in USDT, 0 for none, whether only allowlisted receivers may
+     *      deposit, and the Merkle root accounts can join the allowlist with
+     */
+    function setDepositLimits(DepositLimitConfig calldata limits) external onlyRole(ADMIN_ROLE) {
+        _setDepositLimits(limits);
+    }
+
+    /**
+     * @dev Adds accounts to or removes them from the deposit allowlist used in allowlist mode
+     * @param accounts Accounts to update
+     * @param allowed Whether the accounts may receive shares from deposits
+     */
+    function setDepositAllowlist(address[] calldata accounts, bool allowed) external onlyRole(ADMIN_ROLE) {
+        for (uint256 i = 0; i < accounts.length; i++) {
+            _setDepositAllowlist(accounts[i], allowed);
+        }
+    }
+
+    /**
+     * @dev Sets the lockup and notice periods and the early exit fee
+     * @param config Periods in seconds and the early exit fee in basis points
+     */
+    function setLockupConfig(LockupConfig calldata config) external onlyRole(ADMIN_ROLE) {
+        _setLockupConfig(config);
+    }
+
+    /**
+     * @dev Sets the minimum time between kept NAV snapshots; snapshots taken sooner replace the latest one
+     * @param interval Interval in seconds, at most one day, 0 to keep every snapshot
+     */
+    function setSnapshotInterval(uint256 interval) external onlyRole(ADMIN_ROLE) {
+        _setSnapshotInterval(interval);
+    }
+
+    /**
+     * @dev A user's held shares that can be withdrawn now and those still locked up, the early exit fee
+     *      on withdrawing the unlocked ones now, and when the next locked shares unlock
+     */
+    function getShareLocks(address user) external view returns (ShareLocks memory) {
+        return _shareLocks(user, lockedShares[user], _positionShares(user));
+    }
+
+    /**
+     * @dev Pauses deposits, withdrawals or agent fund requests
+     * @param operations Bit mask of PAUSE_DEPOSITS, PAUSE_WITHDRAWALS and PAUSE_AGENT_FUNDS
+     */
+    function pause(uint8 operations) external {
+        require(hasRole(GUARDIAN_ROLE, msg.sender) || hasRole(ADMIN_ROLE, msg.sender), "Caller is not a guardian");
+        _pause(operations);
+    }
+
+    /**
+     * @dev Resumes paused operations; emergency mode must be off
+     * @param operations Bit mask of PAUSE_DEPOSITS, PAUSE_WITHDRAWALS and PAUSE_AGENT_FUNDS
+     */
+    function unpause(uint8 operations) external onlyRole(ADMIN_ROLE) {
+        _unpause(operations);
+    }
+
+    /**
+     * @dev Pauses every operation and lets holders exit through emergencyWithdraw
+     */
+    function enableEmergencyMode() external {
+        require(hasRole(GUARDIAN_ROLE, msg.sender) || hasRole(ADMIN_ROLE, msg.sender), "Caller is not a guardian");
+        _setEmergencyMode(true);
+    }
+
+    /**
+     * @dev Ends emergency mode; operations stay paused until the admin unpauses them
+     */
+    function disableEmergencyMode() external onlyRole(ADMIN_ROLE) {
+        _setEmergencyMode(false);
+    }
+
+    /**
+     * @dev Burns shares for their pro-rata part of the USDT the vault holds, only in emergency mode,
+     *      whatever their lockup and without an early exit fee.
+     *      USDT out with agents is not shared out; once returned it stays with the remaining holders,
+     *      whose navPerShare is raised accordingly.
+     * @param shares Amount of shares to burn
+     * @return amount Amount of USDT paid out
+     */
+    function emergencyWithdraw(uint256 shares) external nonReentrant returns (uint256 amount) {
+        _requireEmergencyMode();
+        require(shares > 0, "Amount must be greater than 0");
+        require(balanceOf(msg.sender) >= shares, "Insufficient shares");
+        _accrueFees();
+
+        amount = (shares * (totalVaultValue - totalDeployed[usdtToken])) / totalSupply();
+        _spendDepositLots(msg.sender, shares, lockedShares[msg.sender], _positionShares(msg.sender));
+        _burn(msg.sender, shares);
+        totalVaultValue -= amount;
+
+        if (totalSupply() > 0) {
+            uint256 oldNav = navPerShare;
+            navPerShare = (totalVaultValue * SCALING_FACTOR * (10 ** SHARE_DECIMALS)) / totalSupply();
+            emit NavUpdated(oldNav, navPerShare);
+        }
+        _exitPosition(msg.sender, shares, amount);
+
+        if (amount > 0) {
+            IERC20(usdtToken).safeTransfer(msg.sender, amount);
+        }
+        emit EmergencyWithdrawal(msg.sender, amount, shares);
+        _recordNAVSnapshot();
+    }
+
+    /**
+     * @dev Sets how much USDT an agent may have outstanding
+     * @param agent Address of the agent
+     * @param creditLimit Maximum outstanding principal (6 decimals)
+     */
+    function setAgentCreditLimit(address agent, uint256 creditLimit) external onlyRole(ADMIN_ROLE) {
+        _setCreditLimit(agent, usdtToken, creditLimit);
+    }
+
+    /**
+     * @dev Sets the maximum share of the vault a single agent may have outstanding
+     * @param maxAllocation Share in basis points of totalVaultValue
+     */
+    function setMaxAgentAllocation(uint256 maxAllocation) external onlyRole(ADMIN_ROLE) {
+        _setMaxAgentAllocation(maxAllocation);
+    }
+
+    /**
+     * @dev Updates the fee rates after accruing the management fee at the old rate
+     * @param _performanceFee Performance fee in basis points of gains above the high-water mark
+     * @param _managementFee Management fee in basis points per year
+     */
+    function setFees(uint256 _performanceFee, uint256 _managementFee) external nonReentrant onlyRole(ADMIN_ROLE) {
+        _accrueFees();
+        _setFees(FeeConfig(_performanceFee, _managementFee));
+    }
+
+    /**
+     * @dev Mints the management fee accrued so far to the fee recipient
+     */
+    function accrueManagementFee() external nonReentrant {
+        _accrueFees();
     }
 
     /**
@@ -361,6 +878,8 @@ contract AoP2Vault is ERC20, ReentrancyGuard, AccessControl {
      */
     function setFeeRecipient(address newFeeRecipient) external onlyRole(ADMIN_ROLE) {
         require(newFeeRecipient != address(0), "Invalid fee recipient");
+        // Management fee accrued so far belongs to the current recipient
+        _accrueFees();
         feeRecipient = newFeeRecipient;
     }
 
@@ -381,6 +900,24 @@ contract AoP2Vault is ERC20, ReentrancyGuard, AccessControl {
         _revokeRole(AGENT_ROLE, agent);
     }
 
+    /**
+     * @dev An agent's performance stats in USDT (6 decimals); monStats is always empty
+     * @param agent Address of the agent
+     */
+    function getAgentStats(address agent) external view returns (AgentStats memory usdtStats, AgentStats memory monStats) {
+        return (agentStats[agent][usdtToken], monStats);
+    }
+
+    /**
+     * @dev Lists every account granted AGENT_ROLE, however it was granted
+     */
+    function _grantRole(bytes32 role, address account) internal override {
+        super._grantRole(role, account);
+        if (role == AGENT_ROLE) {
+            _listAgent(account);
+        }
+    }
+
     /**
      * @dev Returns the total value of the vault in USDT
      */
@@ -0,0 +1,247 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./AoP2Vault.sol";
+import "@openzeppelin/contracts/interfaces/IERC4626.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @title AoP2Vault4626
+ * @dev AoP2Vault with an ERC-4626 compatible interface
+ * @notice Shares are priced at navPerShare, net of the pending management fee, exactly like AoP2Vault:
+ *         - deposit and redeem round down, matching AoP2Vault.deposit and AoP2Vault.withdraw
+ *         - mint and withdraw round up, so the vault never gives out more than it receives
+ *         - withdraw and redeem only take shares that owe no early exit fee, so previews stay exact; shares
+ *           in their early exit period leave through AoP2Vault.withdraw
+ *         - once agent losses leave the shares worth nothing, conversions and limits return 0 instead of
+ *           reverting, and deposit and mint revert with "Vault has no value"
+ *         The legacy deposit(amount) and withdraw(shares) functions remain available. Clones are set up
+ *         through AoP2Vault.initialize.
+ */
+contract AoP2Vault4626 is AoP2Vault, IERC4626 {
+    error EarlyExitFeeDue(uint256 feeShares);
+
+    /**
+     * @dev Address of the underlying asset (USDT)
+     */
+    function asset() public view returns (address) {
+        return usdtToken;
+    }
+
+    /**
+     * @dev Total USDT managed by the vault (6 decimals), including funds out with agents
+     */
+    function totalAssets() public view returns (uint256) {
+        return totalVaultValue;
+    }
+
+    /**
+     * @dev Shares (18 decimals) issued for a USDT amount (6 decimals), rounding down; 0 while the shares
+     *      are worth nothing
+     */
+    function convertToShares(uint256 assets) public view returns (uint256) {
+        return _convertToShares(assets);
+    }
+
+    /**
+     * @dev USDT (6 decimals) paid out for an amount of shares (18 decimals), rounding down
+     */
+    function convertToAssets(uint256 shares) public view returns (uint256) {
+        return _convertToAssets(shares);
+    }
+
+    /**
+     * @dev USDT the receiver can deposit under the vault's deposit limits; zero while deposits are paused
+     */
+    function maxDeposit(address receiver) public view override(AoP2Vault, IERC4626) returns (uint256) {
+        return AoP2Vault.maxDeposit(receiver);
+    }
+
+    /**
+     * @dev Shares maxDeposit buys, unlimited without limits; zero while deposits are paused
+     */
+    function maxMint(address receiver) public view returns (uint256) {
+        uint256 assets = maxDeposit(receiver);
+        return assets == type(uint256).max ? assets : _convertToShares(assets);
+    }
+
+    /**
+     * @dev Owner's shares that owe no early exit fee in USDT, capped by the USDT the vault holds outside
+     *      settled withdrawals; zero while withdrawals are paused or need notice
+     */
+    function maxWithdraw(address owner) public view returns (uint256) {
+        if (isPaused(PAUSE_WITHDRAWALS) || lockupConfig.noticePeriod > 0) {
+            return 0;
+        }
+        return Math.min(_convertToAssets(_feeFreeShares(owner)), _liquidity());
+    }
+
+    /**
+     * @dev Owner's shares that owe no early exit fee, capped by the shares the vault's free USDT can redeem;
+     *      zero while withdrawals are paused or need notice
+     */
+    function maxRedeem(address owner) public view returns (uint256) {
+        if (isPaused(PAUSE_WITHDRAWALS) || lockupConfig.noticePeriod > 0) {
+            return 0;
+        }
+        uint256 shares = _feeFreeShares(owner);
+        uint256 liquidity = _liquidity();
+        uint256 price = _sharePrice();
+        // Shares worth nothing redeem for nothing, whatever the liquidity
+        if (price == 0 || _convertToAssets(shares) <= liquidity) {
+            return shares;
+        }
+        return Math.mulDiv(liquidity * SCALING_FACTOR, 10 ** SHARE_DECIMALS, price);
+    }
+
+    function previewDeposit(uint256 assets) public view returns (uint256) {
+        return _convertToShares(assets);
+    }
+
+    /**
+     * @dev USDT needed to mint an amount of shares, rounding up
+     */
+    function previewMint(uint256 shares) public view returns (uint256) {
+        return Math.mulDiv(shares, _sharePrice(), (10 ** SHARE_DECIMALS) * SCALING_FACTOR, Math.Rounding.Up);
+    }
+
+    /**
+     * @dev Shares burned to withdraw a USDT amount, rounding up; type(uint256).max while the shares are
+     *      worth nothing, as no amount of them withdraws any USDT
+     */
+    function previewWithdraw(uint256 assets) public view returns (uint256) {
+        if (assets == 0) {
+            return 0;
+        }
+        uint256 price = _sharePrice();
+        if (price == 0) {
+            return type(uint256).max;
+        }
+        return Math.mulDiv(assets * SCALING_FACTOR, 10 ** SHARE_DECIMALS, price, Math.Rounding.Up);
+    }
+
+    function previewRedeem(uint256 shares) public view returns (uint256) {
+        return _convertToAssets(shares);
+    }
+
+    /**
+     * @dev Deposits USDT and issues the shares to the receiver
+     * @param assets Amount of USDT to deposit (6 decimals)
+     * @param receiver Address receiving the shares
+     * @return shares Amount of shares issued (18 decimals)
+     */
+    function deposit(uint256 assets, address receiver) external nonReentrant returns (uint256 shares) {
+        require(assets > 0, "Amount must be greater than 0");
+        require(receiver != address(0), "Invalid receiver");
+
+        _accrueFees();
+        shares = previewDeposit(assets);
+        _deposit(msg.sender, receiver, assets, shares);
+    }
+
+    /**
+     * @dev Issues an exact amount of shares to the receiver for the USDT they cost
+     * @param shares Amount of shares to mint (18 decimals)
+     * @param receiver Address receiving the shares
+     * @return assets Amount of USDT pulled from the caller (6 decimals)
+     */
+    function mint(uint256 shares, address receiver) external nonReentrant returns (uint256 assets) {
+        require(shares > 0, "Amount must be greater than 0");
+        require(receiver != address(0), "Invalid receiver");
+
+        _accrueFees();
+        assets = previewMint(shares);
+        _deposit(msg.sender, receiver, assets, shares);
+    }
+
+    /**
+     * @dev Withdraws an exact USDT amount by burning the owner's shares
+     * @param assets Amount of USDT to withdraw (6 decimals)
+     * @param receiver Address receiving the USDT
+     * @param owner Address whose shares are burned; the caller needs an allowance unless it is the owner
+     * @return shares Amount of shares burned (18 decimals)
+     */
+    function withdraw(uint256 assets, address receiver, address owner) external nonReentrant returns (uint256 shares) {
+        require(assets > 0, "Amount must be greater than 0");
+
+        _accrueFees();
+        shares = previewWithdraw(assets);
+        require(balanceOf(owner) >= shares, "Insufficient shares");
+        _checkNoExitFee(owner, shares);
+        if (msg.sender != owner) {
+            _spendAllowance(owner, msg.sender, shares);
+        }
+        _withdraw(msg.sender, receiver, owner, assets, shares);
+    }
+
+    /**
+     * @dev Redeems an exact amount of the owner's shares for USDT
+     * @param shares Amount of shares to burn (18 decimals)
+     * @param receiver Address receiving the USDT
+     * @param owner Address whose shares are burned; the caller needs an allowance unless it is the owner
+     * @return assets Amount of USDT paid out (6 decimals)
+     */
+    function redeem(uint256 shares, address receiver, address owner) external nonReentrant returns (uint256 assets) {
+        require(shares > 0, "Amount must be greater than 0");
+        require(balanceOf(owner) >= shares, "Insufficient shares");
+
+        if (msg.sender != owner) {
+            _spendAllowance(owner, msg.sender, shares);
+        }
+        _accrueFees();
+        _checkNoExitFee(owner, shares);
+        assets = previewRedeem(shares);
+        _withdraw(msg.sender, receiver, owner, assets, shares);
+    }
+
+    /**
+     * @dev Emits the ERC-4626 Deposit event alongside the AoP2Vault one
+     */
+    function _deposit(address caller, address receiver, uint256 amount, uint256 sharesToIssue) internal override {
+        super._deposit(caller, receiver, amount, sharesToIssue);
+        emit Deposit(caller, receiver, amount, sharesToIssue);
+    }
+
+    /**
+     * @dev Emits the ERC-4626 Withdraw event alongside the AoP2Vault Withdrawal event
+     */
+    function _withdraw(
+        address caller,
+        address receiver,
+        address owner,
+        uint256 withdrawalValue,
+        uint256 shares
+    ) internal override {
+        super._withdraw(caller, receiver, owner, withdrawalValue, shares);
+        emit Withdraw(caller, receiver, owner, withdrawalValue, shares);
+    }
+
+    /**
+     * @dev NAV per share used for pricing; an empty vault prices new shares at 1.0
+     */
+    function _sharePrice() internal view returns (uint256) {
+        return totalSupply() == 0 ? 10 ** SHARE_DECIMALS : _navAfterFees();
+    }
+
+    function _liquidity() internal view returns (uint256) {
+        return _availableUsdt();
+    }
+
+    /**
+     * @dev Owner's held shares outside pending requests and open deposit lots
+     */
+    function _feeFreeShares(address owner) internal view returns (uint256) {
+        return _transferableShares(owner, lockedShares[owner], _positionShares(owner));
+    }
+
+    /**
+     * @dev Reverts if the owner's shares are locked up or owe an early exit fee
+     */
+    function _checkNoExitFee(address owner, uint256 shares) internal view {
+        uint256 feeShares = _checkUnlocked(owner, shares, lockedShares[owner], _positionShares(owner));
+        // The last shares in the vault leave without a fee
+        if (feeShares > 0 && totalSupply() > shares) {
+            revert EarlyExitFeeDue(feeShares);
+        }
+    }
+}
@@ -0,0 +1,135 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+/**
+ * @title DepositLimits
+ * @dev Deposit caps, minimum deposit and allowlist mode shared by AoP1Vault and AoP2Vault
+ * @notice - maxTotalAssets caps the vault's total value in USDT, with MON valued at the oracle price
+ *         - maxUserDeposit caps a receiver's cost basis, the USDT value of the deposits still in their position
+ *         - minDeposit turns away deposits worth less, so dust cannot buy shares worth nothing
+ *         - In allowlist mode only receivers on the deposit allowlist get shares; accounts are added by the
+ *           vault admin, or by anyone with a proof against allowlistRoot
+ *         Limits of 0 are off. Amounts are in USDT with 6 decimals. The vaults decide who may change the limits.
+ */
+abstract contract DepositLimits {
+    struct DepositLimitConfig {
+        uint256 maxTotalAssets;   // Cap on the vault's total value, 0 for none
+        uint256 maxUserDeposit;   // Cap on a receiver's cost basis, 0 for none
+        uint256 minDeposit;       // Smallest deposit accepted, 0 for none
+        bool allowlistOnly;       // Only receivers on the deposit allowlist may deposit
+        bytes32 allowlistRoot;    // Merkle root of accounts that may join the allowlist, 0 for none
+    }
+
+    DepositLimitConfig public depositLimits;
+    mapping(address => bool) public depositAllowlist;
+
+    error DepositBelowMinimum(uint256 value, uint256 minDeposit);
+    error DepositLimitExceeded(uint256 value, uint256 maxDeposit);
+    error DepositorNotAllowed(address receiver);
+    error InvalidAllowlistProof(address account);
+
+    event DepositLimitsUpdated(
+        uint256 maxTotalAssets,
+        uint256 maxUserDeposit,
+        uint256 minDeposit,
+        bool allowlistOnly,
+        bytes32 allowlistRoot
+    );
+    event DepositAllowlistUpdated(address indexed account, bool allowed);
+
+    /**
+     * @dev Adds an account to the deposit allowlist with a proof that it is in allowlistRoot. Leaves are
+     *      keccak256(bytes.concat(keccak256(abi.encode(account)))), as built by OpenZeppelin's StandardMerkleTree.
+     * @param account Account to add
+     * @param proof Merkle proof of the account's leaf
+     */
+    function claimDepositAllowlist(address account, bytes32[] calldata proof) external {
+        bytes32 root = depositLimits.allowlistRoot;
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(account))));
+        if (root == bytes32(0) || !MerkleProof.verifyCalldata(proof, root, leaf)) {
+            revert InvalidAllowlistProof(account);
+        }
+        if (!depositAllowlist[account]) {
+            depositAllowlist[account] = true;
+            emit DepositAllowlistUpdated(account, true);
+        }
+    }
+
+    /**
+     * @dev Reverts unless a deposit fits the limits
+     * @param receiver Address receiving the shares
+     * @param value USDT value of the deposit
+     * @param totalAssets Vault's total value in USDT before the deposit
+     * @param receiverBasis Receiver's cost basis before the deposit
+     */
+    function _checkDepositLimits(address receiver, uint256 value, uint256 totalAssets, uint256 receiverBasis) internal view {
+        DepositLimitConfig memory limits = depositLimits;
+        if (limits.allowlistOnly && !depositAllowlist[receiver]) {
+            revert DepositorNotAllowed(receiver);
+        }
+        if (value < limits.minDeposit) {
+            revert DepositBelowMinimum(value, limits.minDeposit);
+        }
+        uint256 headroom = _depositHeadroom(totalAssets, receiverBasis);
+        if (value > headroom) {
+            revert DepositLimitExceeded(value, headroom);
+        }
+    }
+
+    /**
+     * @dev Largest deposit the receiver can make under the limits; 0 when they cannot deposit at all,
+     *      including when the headroom left is below the minimum deposit
+     */
+    function _maxDepositFor(address receiver, uint256 totalAssets, uint256 receiverBasis) internal view returns (uint256) {
+        if (depositLimits.allowlistOnly && !depositAllowlist[receiver]) {
+            return 0;
+        }
+        uint256 headroom = _depositHeadroom(totalAssets, receiverBasis);
+        return headroom < depositLimits.minDeposit ? 0 : headroom;
+    }
+
+    /**
+     * @dev USDT value the caps leave room for, type(uint256).max without caps
+     */
+    function _depositHeadroom(uint256 totalAssets, uint256 receiverBasis) internal view returns (uint256 headroom) {
+        headroom = type(uint256).max;
+        uint256 maxTotalAssets = depositLimits.maxTotalAssets;
+        if (maxTotalAssets != 0) {
+            headroom = maxTotalAssets > totalAssets ? maxTotalAssets - totalAssets : 0;
+        }
+        uint256 maxUserDeposit = depositLimits.maxUserDeposit;
+        if (maxUserDeposit != 0) {
+            uint256 userHeadroom = maxUserDeposit > receiverBasis ? maxUserDeposit - receiverBasis : 0;
+            if (userHeadroom < headroom) {
+                headroom = userHeadroom;
+            }
+        }
+    }
+
+    /**
+     * @dev Replaces the limits; a minimum deposit above one of the caps would let no one in
+     */
+    function _setDepositLimits(DepositLimitConfig memory limits) internal {
+        require(
+            (limits.maxTotalAssets == 0 || limits.minDeposit <= limits.maxTotalAssets) &&
+                (limits.maxUserDeposit == 0 || limits.minDeposit <= limits.maxUserDeposit),
+            "Invalid deposit limits"
+        );
+        depositLimits = limits;
+        emit DepositLimitsUpdated(
+            limits.maxTotalAssets,
+            limits.maxUserDeposit,
+            limits.minDeposit,
+            limits.allowlistOnly,
+            limits.allowlistRoot
+        );
+    }
+
+    function _setDepositAllowlist(address account, bool allowed) internal {
+        require(account != address(0), "Invalid account");
+        depositAllowlist[account] = allowed;
+        emit DepositAllowlistUpdated(account, allowed);
+    }
+}
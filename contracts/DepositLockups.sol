@@ -0,0 +1,312 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title DepositLockups
+ * @dev Lockup and notice periods and early exit fees shared by AoP1Vault and AoP2Vault
+ * @notice - Every deposit is a lot whose shares keep their deposit time, so a top-up does not reset
+ *           the lock on older shares
+ *         - Once a user has MAX_DEPOSIT_LOTS open, further deposits join the newest lot and only move its
+ *           time in proportion to the shares added, so neither a top-up nor dust deposits made for the
+ *           user relock the shares already in it
+ *         - Shares stay locked for lockupPeriod after their deposit and cannot be withdrawn or requested
+ *         - Leaving within earlyExitPeriod of the deposit costs an exit fee sliding from earlyExitFee down
+ *           to nothing; the fee stays in the vault, so it goes to the remaining holders, and the last
+ *           holder to leave pays none
+ *         - With a noticePeriod, shares only leave through withdrawal requests, which settle once the
+ *           notice has passed
+ *         Shares leave oldest first, so shares past both periods go before any lot. Lots still locked or
+ *         charged a fee cannot be transferred to other holders. Periods apply to lots already recorded when
+ *         they change; deposits made while both periods are 0 are never locked.
+ */
+abstract contract DepositLockups {
+    struct LockupConfig {
+        uint256 lockupPeriod;     // Seconds after a deposit its shares cannot leave
+        uint256 noticePeriod;     // Seconds between a withdrawal request and its settlement, 0 for instant withdrawals
+        uint256 earlyExitPeriod;  // Seconds after a deposit during which leaving costs a fee
+        uint256 earlyExitFee;     // Fee in basis points on leaving right after the deposit
+    }
+
+    struct DepositLot {
+        uint256 shares;       // Shares of the deposit still in the position (18 decimals)
+        uint256 depositedAt;
+    }
+
+    struct ShareLocks {
+        uint256 unlockedShares;  // Held shares that can be withdrawn now
+        uint256 lockedShares;    // Held shares still in their lockup
+        uint256 exitFeeShares;   // Shares' worth of early exit fee on withdrawing all unlocked shares now
+        uint256 nextUnlockAt;    // When the oldest locked lot unlocks, 0 if none is locked
+    }
+
+    uint256 public constant MAX_LOCKUP_PERIOD = 365 days;
+    uint256 public constant MAX_NOTICE_PERIOD = 30 days;
+    uint256 public constant MAX_EARLY_EXIT_FEE = 1000;   // 10%
+    uint256 public constant MAX_DEPOSIT_LOTS = 32;       // Open lots per user; later deposits join the newest
+    uint256 private constant EXIT_FEE_BASIS = 10000;     // 100% in basis points
+
+    LockupConfig public lockupConfig;
+    // user => lots, oldest first; lots before the head are spent or past both periods
+    mapping(address => DepositLot[]) private _depositLots;
+    mapping(address => uint256) private _lotHead;
+
+    error SharesLocked(uint256 available);
+    error NoticeRequired();
+
+    event LockupConfigUpdated(uint256 lockupPeriod, uint256 noticePeriod, uint256 earlyExitPeriod, uint256 earlyExitFee);
+    event EarlyExitFeeCharged(address indexed user, uint256 shares, uint256 feeShares);
+
+    /**
+     * @dev A user's lots still in their lockup or early exit period, oldest first
+     */
+    function getDepositLots(address user) external view returns (DepositLot[] memory lots) {
+        DepositLot[] storage all = _depositLots[user];
+        uint256 head = _lotHead[user];
+        uint256 count;
+        for (uint256 i = head; i < all.length; i++) {
+            if (all[i].shares > 0 && !_matured(all[i].depositedAt)) {
+                count++;
+            }
+        }
+
+        lots = new DepositLot[](count);
+        uint256 index;
+        for (uint256 i = head; i < all.length; i++) {
+            if (all[i].shares > 0 && !_matured(all[i].depositedAt)) {
+                lots[index++] = all[i];
+            }
+        }
+    }
+
+    /**
+     * @dev Records the shares of a deposit as a new lot, or adds them to the newest lot once the user
+     *      has MAX_DEPOSIT_LOTS open, moving that lot to the share-weighted time of the lot and the deposit
+     * @param user Account receiving the shares
+     */
+    function _recordDepositLot(address user, uint256 shares) internal {
+        LockupConfig memory config = lockupConfig;
+        if (config.lockupPeriod == 0 && config.earlyExitPeriod == 0) {
+            return;
+        }
+        // Lots that have matured since the user last withdrew no longer count as open
+        _advanceLotHead(user);
+        DepositLot[] storage lots = _depositLots[user];
+        if (lots.length - _lotHead[user] >= MAX_DEPOSIT_LOTS) {
+            DepositLot storage newest = lots[lots.length - 1];
+            newest.depositedAt = (newest.depositedAt * newest.shares + block.timestamp * shares) / (newest.shares + shares);
+            newest.shares += shares;
+        } else {
+            lots.push(DepositLot({ shares: shares, depositedAt: block.timestamp }));
+        }
+    }
+
+    /**
+     * @dev Locked shares and early exit fee for shares leaving a position, oldest first
+     * @param user Owner of the position
+     * @param shares Shares leaving
+     * @param skip Older shares of the position spoken for first, i.e. the ones in pending withdrawal requests
+     * @param positionShares Shares in the position
+     * @return locked Shares leaving that are still in their lockup
+     * @return feeShares Shares' worth of early exit fee
+     */
+    function _exitLocks(
+        address user,
+        uint256 shares,
+        uint256 skip,
+        uint256 positionShares
+    ) internal view returns (uint256 locked, uint256 feeShares) {
+        (uint256 lotSkip, uint256 lotShares) = _lotRange(user, shares, skip, positionShares);
+        if (lotShares == 0) {
+            return (0, 0);
+        }
+
+        LockupConfig memory config = lockupConfig;
+        DepositLot[] storage lots = _depositLots[user];
+        for (uint256 i = _lotHead[user]; i < lots.length && lotShares > 0; i++) {
+            uint256 available = lots[i].shares;
+            if (available == 0 || _matured(lots[i].depositedAt)) {
+                continue;
+            }
+            if (lotSkip >= available) {
+                lotSkip -= available;
+                continue;
+            }
+            available -= lotSkip;
+            lotSkip = 0;
+            uint256 taken = available < lotShares ? available : lotShares;
+            lotShares -= taken;
+
+            uint256 age = block.timestamp - lots[i].depositedAt;
+            if (age < config.lockupPeriod) {
+                locked += taken;
+            }
+            if (age < config.earlyExitPeriod) {
+                feeShares += (taken * config.earlyExitFee * (config.earlyExitPeriod - age)) /
+                    (config.earlyExitPeriod * EXIT_FEE_BASIS);
+            }
+        }
+    }
+
+    /**
+     * @dev Reverts if shares leaving the held part of a position are still in their lockup
+     * @return feeShares Shares' worth of early exit fee on them
+     */
+    function _checkUnlocked(
+        address user,
+        uint256 shares,
+        uint256 skip,
+        uint256 positionShares
+    ) internal view returns (uint256 feeShares) {
+        uint256 locked;
+        (locked, feeShares) = _exitLocks(user, shares, skip, positionShares);
+        if (locked > 0) {
+            (uint256 allLocked, ) = _exitLocks(user, positionShares - skip, skip, positionShares);
+            revert SharesLocked(positionShares - skip - allLocked);
+        }
+    }
+
+    /**
+     * @dev Removes shares leaving a position from its lots, oldest first
+     */
+    function _spendDepositLots(address user, uint256 shares, uint256 skip, uint256 positionShares) internal {
+        (uint256 lotSkip, uint256 lotShares) = _lotRange(user, shares, skip, positionShares);
+        DepositLot[] storage lots = _depositLots[user];
+        uint256 head = _lotHead[user];
+        for (uint256 i = head; i < lots.length && lotShares > 0; i++) {
+            uint256 available = lots[i].shares;
+            if (available == 0 || _matured(lots[i].depositedAt)) {
+                continue;
+            }
+            if (lotSkip >= available) {
+                lotSkip -= available;
+                continue;
+            }
+            uint256 taken = available - lotSkip < lotShares ? available - lotSkip : lotShares;
+            lotSkip = 0;
+            lotShares -= taken;
+            lots[i].shares = available - taken;
+        }
+        _advanceLotHead(user);
+    }
+
+    /**
+     * @dev Shares a holder can transfer: held shares in no open lot, after those in pending requests
+     */
+    function _transferableShares(address user, uint256 skip, uint256 positionShares) internal view returns (uint256) {
+        uint256 free = _freeShares(user, positionShares);
+        return free > skip ? free - skip : 0;
+    }
+
+    /**
+     * @dev Unlocked and locked held shares, the fee on withdrawing the unlocked ones and the next unlock time
+     * @param skip Shares in the user's pending withdrawal requests
+     */
+    function _shareLocks(address user, uint256 skip, uint256 positionShares) internal view returns (ShareLocks memory locks) {
+        uint256 held = positionShares - skip;
+        (locks.lockedShares, ) = _exitLocks(user, held, skip, positionShares);
+        locks.unlockedShares = held - locks.lockedShares;
+        // Locked lots are the newest, so the unlocked shares are the ones that leave first
+        (, locks.exitFeeShares) = _exitLocks(user, locks.unlockedShares, skip, positionShares);
+
+        if (locks.lockedShares > 0) {
+            DepositLot[] storage lots = _depositLots[user];
+            uint256 lockupPeriod = lockupConfig.lockupPeriod;
+            for (uint256 i = _lotHead[user]; i < lots.length; i++) {
+                uint256 unlockAt = lots[i].depositedAt + lockupPeriod;
+                if (lots[i].shares > 0 && unlockAt > block.timestamp) {
+                    locks.nextUnlockAt = unlockAt;
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * @dev Value kept in the vault for the remaining holders out of a payout for shares
+     * @param value Payout for the shares before the fee
+     * @param shares Shares leaving
+     * @param feeShares Shares' worth of early exit fee on them
+     * @param remainingShares Shares left in the vault after they leave; with none, no fee is charged
+     */
+    function _earlyExitFee(uint256 value, uint256 shares, uint256 feeShares, uint256 remainingShares) internal pure returns (uint256) {
+        if (feeShares == 0 || remainingShares == 0) {
+            return 0;
+        }
+        return (value * feeShares) / shares;
+    }
+
+    /**
+     * @dev Reverts while withdrawals need notice
+     */
+    function _requireNoNotice() internal view {
+        if (lockupConfig.noticePeriod > 0) {
+            revert NoticeRequired();
+        }
+    }
+
+    /**
+     * @dev Replaces the lockup config; it applies to lots already recorded
+     */
+    function _setLockupConfig(LockupConfig memory config) internal {
+        require(config.lockupPeriod <= MAX_LOCKUP_PERIOD, "Lockup period too long");
+        require(config.noticePeriod <= MAX_NOTICE_PERIOD, "Notice period too long");
+        require(config.earlyExitPeriod <= MAX_LOCKUP_PERIOD, "Early exit period too long");
+        require(config.earlyExitFee <= MAX_EARLY_EXIT_FEE, "Early exit fee too high");
+        // A period without a fee would only keep deposits from being transferred
+        require((config.earlyExitFee == 0) == (config.earlyExitPeriod == 0), "Early exit fee and period go together");
+
+        lockupConfig = config;
+        emit LockupConfigUpdated(config.lockupPeriod, config.noticePeriod, config.earlyExitPeriod, config.earlyExitFee);
+    }
+
+    /**
+     * @dev Splits shares leaving a position into the part spoken for before them and the part they take
+     *      from lots, after the shares that are in no open lot
+     */
+    function _lotRange(
+        address user,
+        uint256 shares,
+        uint256 skip,
+        uint256 positionShares
+    ) private view returns (uint256 lotSkip, uint256 lotShares) {
+        uint256 free = _freeShares(user, positionShares);
+        uint256 end = skip + shares;
+        lotSkip = skip > free ? skip - free : 0;
+        lotShares = end > free ? end - free - lotSkip : 0;
+    }
+
+    /**
+     * @dev Moves a user's lot head past the spent lots and the ones past both periods at the front
+     */
+    function _advanceLotHead(address user) private {
+        DepositLot[] storage lots = _depositLots[user];
+        uint256 head = _lotHead[user];
+        while (head < lots.length && (lots[head].shares == 0 || _matured(lots[head].depositedAt))) {
+            head++;
+        }
+        _lotHead[user] = head;
+    }
+
+    /**
+     * @dev Shares of a position in no open lot
+     */
+    function _freeShares(address user, uint256 positionShares) private view returns (uint256) {
+        uint256 inLots;
+        DepositLot[] storage lots = _depositLots[user];
+        for (uint256 i = _lotHead[user]; i < lots.length; i++) {
+            if (!_matured(lots[i].depositedAt)) {
+                inLots += lots[i].shares;
+            }
+        }
+        return positionShares > inLots ? positionShares - inLots : 0;
+    }
+
+    /**
+     * @dev Whether a lot is past both its lockup and its early exit period
+     */
+    function _matured(uint256 depositedAt) private view returns (bool) {
+        LockupConfig memory config = lockupConfig;
+        uint256 period = config.lockupPeriod > config.earlyExitPeriod ? config.lockupPeriod : config.earlyExitPeriod;
+        return block.timestamp >= depositedAt + period;
+    }
+}
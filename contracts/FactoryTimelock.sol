@@ -0,0 +1,167 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+/**
+ * @title FactoryTimelock
+ * @dev Delays VaultFactory's sensitive actions, which are calls the factory makes to itself
+ * @notice - The owner proposes an action, queues it to start the delay, and executes it once the
+ *           delay has passed and before the grace period ends; it can cancel it until then
+ *         - Functions marked onlyTimelock only accept these executions, except while the delay is 0,
+ *           when the owner calls them directly, e.g. to set a vault suite up before handing it over
+ *         - Changing a non-zero delay is itself a timelocked action. Raising it also delays actions
+ *           already queued, which wait at least the new delay from when they were queued
+ *         Every step is recorded in an event so the pending changes to the vaults are public.
+ */
+abstract contract FactoryTimelock is Ownable {
+    enum ActionStatus { None, Proposed, Queued, Executed, Cancelled }
+
+    struct TimelockAction {
+        bytes data;           // Calldata of the factory call
+        string description;
+        uint256 proposedAt;
+        uint256 queuedAt;
+        uint256 eta;          // Earliest execution time, set when queued and pushed back when the delay is raised
+        ActionStatus status;
+    }
+
+    uint256 public constant MAX_TIMELOCK_DELAY = 30 days;
+    uint256 public constant TIMELOCK_GRACE_PERIOD = 14 days; // Queued actions expire after eta plus this
+
+    uint256 public timelockDelay;
+    TimelockAction[] private _timelockActions;
+
+    event ActionProposed(uint256 indexed actionId, bytes4 indexed selector, bytes data, string description);
+    event ActionQueued(uint256 indexed actionId, uint256 eta);
+    event ActionExecuted(uint256 indexed actionId);
+    event ActionCancelled(uint256 indexed actionId);
+    event TimelockDelayUpdated(uint256 oldDelay, uint256 newDelay);
+
+    modifier onlyTimelock() {
+        _checkTimelock();
+        _;
+    }
+
+    /**
+     * @dev Records an action without starting its delay
+     * @param data Calldata of the factory function to call, e.g. abi.encodeCall(VaultFactory.setPythContract, (pyth))
+     * @param description Why the action is proposed
+     * @return actionId ID of the action
+     */
+    function proposeAction(bytes calldata data, string calldata description) external onlyOwner returns (uint256 actionId) {
+        require(data.length >= 4, "Invalid action");
+
+        actionId = _timelockActions.length;
+        _timelockActions.push(TimelockAction({
+            data: data,
+            description: description,
+            proposedAt: block.timestamp,
+            queuedAt: 0,
+            eta: 0,
+            status: ActionStatus.Proposed
+        }));
+        emit ActionProposed(actionId, bytes4(data[:4]), data, description);
+    }
+
+    /**
+     * @dev Starts the delay of a proposed action at the current timelockDelay
+     * @param actionId ID of the action
+     * @return eta Earliest time the action can be executed
+     */
+    function queueAction(uint256 actionId) external onlyOwner returns (uint256 eta) {
+        TimelockAction storage action = _action(actionId);
+        require(action.status == ActionStatus.Proposed, "Action not proposed");
+
+        eta = block.timestamp + timelockDelay;
+        action.queuedAt = block.timestamp;
+        action.eta = eta;
+        action.status = ActionStatus.Queued;
+        emit ActionQueued(actionId, eta);
+    }
+
+    /**
+     * @dev Executes a queued action whose delay has passed, reverting with the action's error if it fails
+     * @param actionId ID of the action
+     * @return result Return data of the call
+     */
+    function executeAction(uint256 actionId) external onlyOwner returns (bytes memory result) {
+        TimelockAction storage action = _action(actionId);
+        require(action.status == ActionStatus.Queued, "Action not queued");
+        uint256 eta = _eta(action);
+        require(block.timestamp >= eta, "Action not ready");
+        require(block.timestamp <= eta + TIMELOCK_GRACE_PERIOD, "Action expired");
+
+        action.status = ActionStatus.Executed;
+        result = Address.functionCall(address(this), action.data);
+        emit ActionExecuted(actionId);
+    }
+
+    /**
+     * @dev Cancels an action that was proposed or queued but not executed
+     * @param actionId ID of the action
+     */
+    function cancelAction(uint256 actionId) external onlyOwner {
+        TimelockAction storage action = _action(actionId);
+        require(
+            action.status == ActionStatus.Proposed || action.status == ActionStatus.Queued,
+            "Action not pending"
+        );
+
+        action.status = ActionStatus.Cancelled;
+        emit ActionCancelled(actionId);
+    }
+
+    /**
+     * @dev Sets the delay between queueing and executing actions; a longer delay also applies to actions
+     *      already queued, a shorter one leaves their eta
+     * @param newDelay Delay in seconds, at most MAX_TIMELOCK_DELAY; 0 lets the owner act directly
+     */
+    function setTimelockDelay(uint256 newDelay) external onlyTimelock {
+        require(newDelay <= MAX_TIMELOCK_DELAY, "Delay too long");
+        emit TimelockDelayUpdated(timelockDelay, newDelay);
+        timelockDelay = newDelay;
+    }
+
+    /**
+     * @dev Number of actions ever proposed
+     */
+    function timelockActionCount() external view returns (uint256) {
+        return _timelockActions.length;
+    }
+
+    /**
+     * @dev A proposed action and its status, with the eta under the current delay
+     * @param actionId ID of the action
+     */
+    function getTimelockAction(uint256 actionId) external view returns (TimelockAction memory action) {
+        action = _action(actionId);
+        if (action.status == ActionStatus.Queued) {
+            action.eta = _eta(action);
+        }
+    }
+
+    /**
+     * @dev Accepts calls made by executeAction, or by the owner while the delay is 0
+     */
+    function _checkTimelock() internal view {
+        if (msg.sender != address(this)) {
+            require(timelockDelay == 0, "Caller is not the timelock");
+            _checkOwner();
+        }
+    }
+
+    /**
+     * @dev Eta of a queued action: the later of its eta when queued and the current delay from when it was queued
+     */
+    function _eta(TimelockAction memory action) private view returns (uint256) {
+        uint256 delayed = action.queuedAt + timelockDelay;
+        return delayed > action.eta ? delayed : action.eta;
+    }
+
+    function _action(uint256 actionId) private view returns (TimelockAction storage) {
+        require(actionId < _timelockActions.length, "Unknown action");
+        return _timelockActions[actionId];
+    }
+}
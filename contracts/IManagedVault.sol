@@ -0,0 +1,48 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/IAccessControl.sol";
+import "./AgentAllocations.sol";
+import "./DepositLimits.sol";
+import "./DepositLockups.sol";
+import "./TransferRestrictions.sol";
+import "./UserPositions.sol";
+
+/**
+ * @title IManagedVault
+ * @dev Admin and read functions that AoP1Vault, AoP2Vault and AoP2Vault4626 share, through which
+ *      VaultFactory manages any of its vaults; functions that differ by type are called on the vault contracts
+ */
+interface IManagedVault is IAccessControl {
+    function addAgent(address agent) external;
+    function removeAgent(address agent) external;
+    function setFeeRecipient(address newFeeRecipient) external;
+    function setFees(uint256 performanceFee, uint256 managementFee) external;
+    function setMaxAgentAllocation(uint256 maxAllocation) external;
+    function setTransferMode(TransferRestrictions.TransferMode mode) external;
+    function setTransferAllowlist(address[] calldata accounts, bool allowed) external;
+    function setDepositLimits(DepositLimits.DepositLimitConfig calldata limits) external;
+    function setDepositAllowlist(address[] calldata accounts, bool allowed) external;
+    function setLockupConfig(DepositLockups.LockupConfig calldata config) external;
+    function setSnapshotInterval(uint256 interval) external;
+    function pause(uint8 operations) external;
+    function unpause(uint8 operations) external;
+    function enableEmergencyMode() external;
+    function disableEmergencyMode() external;
+    function getUserDetails(address user) external view returns (UserPositions.UserDetails memory);
+    function getAgents() external view returns (address[] memory);
+    function getAgentStats(address agent) external view returns (
+        AgentAllocations.AgentStats memory usdtStats,
+        AgentAllocations.AgentStats memory monStats
+    );
+    function getHistoricalNAV(uint256 fromIndex, uint256 count) external view returns (
+        uint256[] memory timestamps,
+        uint256[] memory values,
+        uint256[] memory totalValues
+    );
+    function getHistoricalNAVByTime(uint256 fromTimestamp, uint256 toTimestamp) external view returns (
+        uint256[] memory timestamps,
+        uint256[] memory values,
+        uint256[] memory totalValues
+    );
+}
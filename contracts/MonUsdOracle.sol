@@ -0,0 +1,163 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@pythnetwork/pyth-sdk-solidity/IPyth.sol";
+import "@pythnetwork/pyth-sdk-solidity/PythStructs.sol";
+
+/**
+ * @title MonUsdOracle
+ * @dev MON/USD pricing for AoP1Vault on top of a Pyth price feed
+ * @notice - Prices are only used when they are at most maxPriceAge seconds old, positive, and their
+ *           confidence interval is at most maxConfidenceRatio of the price
+ *         - getMonUsdPriceStatus reports why a price cannot be used instead of substituting one
+ *         - _monUsdPrice reverts on a price that cannot be used, for paths that move funds or shares
+ *         Prices are scaled to USDT's 6 decimals whatever exponent the feed publishes with.
+ */
+abstract contract MonUsdOracle {
+    enum PriceStatus { Valid, Unavailable, Stale, NonPositive, Uncertain, OutOfRange }
+
+    uint256 public constant PRICE_DECIMALS = 6;          // Prices are quoted in USDT decimals
+    uint256 public constant MAX_PRICE_AGE_LIMIT = 1 days;
+    uint256 private constant CONFIDENCE_BASIS = 10000;   // 100% in basis points
+    uint256 private constant DEFAULT_MAX_PRICE_AGE = 60;
+    uint256 private constant DEFAULT_MAX_CONFIDENCE_RATIO = 200; // 2%
+    // Largest power of ten a positive int64 price can be scaled by without overflowing uint256
+    int256 private constant MAX_SCALE_EXPONENT = 58;
+
+    IPyth public pyth;
+    bytes32 public monUsdPriceId;
+    uint256 public maxPriceAge;        // Maximum age of a usable price, in seconds
+    uint256 public maxConfidenceRatio; // Maximum confidence interval, in basis points of the price
+
+    event PythContractUpdated(address newPythContract);
+    event MonUsdPriceIdUpdated(bytes32 newMonUsdPriceId);
+    event OracleConfigUpdated(uint256 maxPriceAge, uint256 maxConfidenceRatio);
+
+    /**
+     * @dev Sets the price feed and the default limits: 60 seconds and a 2% confidence interval
+     */
+    function _initializeOracle(address pythContract, bytes32 priceId) internal {
+        require(pythContract != address(0), "Pyth contract cannot be zero");
+        pyth = IPyth(pythContract);
+        monUsdPriceId = priceId;
+        maxPriceAge = DEFAULT_MAX_PRICE_AGE;
+        maxConfidenceRatio = DEFAULT_MAX_CONFIDENCE_RATIO;
+    }
+
+    function _setPythContract(address pythContract) internal {
+        require(pythContract != address(0), "Pyth contract cannot be zero");
+        pyth = IPyth(pythContract);
+        emit PythContractUpdated(pythContract);
+    }
+
+    function _setMonUsdPriceId(bytes32 priceId) internal {
+        monUsdPriceId = priceId;
+        emit MonUsdPriceIdUpdated(priceId);
+    }
+
+    /**
+     * @dev Sets the limits a price must meet to be used
+     * @param newMaxPriceAge Maximum price age in seconds, at most one day
+     * @param newMaxConfidenceRatio Maximum confidence interval in basis points of the price, at most 10000
+     */
+    function _setOracleConfig(uint256 newMaxPriceAge, uint256 newMaxConfidenceRatio) internal {
+        require(newMaxPriceAge > 0 && newMaxPriceAge <= MAX_PRICE_AGE_LIMIT, "Invalid max price age");
+        require(newMaxConfidenceRatio > 0 && newMaxConfidenceRatio <= CONFIDENCE_BASIS, "Invalid max confidence ratio");
+        maxPriceAge = newMaxPriceAge;
+        maxConfidenceRatio = newMaxConfidenceRatio;
+        emit OracleConfigUpdated(newMaxPriceAge, newMaxConfidenceRatio);
+    }
+
+    /**
+     * @dev Pushes Pyth update data, paying the update fee from msg.value
+     * @return fee Update fee paid, which callers must not credit as part of a MON amount sent
+     */
+    function _updatePriceFeeds(bytes[] calldata priceUpdateData) internal virtual returns (uint256 fee) {
+        if (priceUpdateData.length > 0) {
+            fee = pyth.getUpdateFee(priceUpdateData);
+            require(msg.value >= fee, "Insufficient price update fee");
+            pyth.updatePriceFeeds{value: fee}(priceUpdateData);
+        }
+    }
+
+    /**
+     * @dev Pushes Pyth update data on a call that carries no MON, so msg.value must be exactly the update fee
+     */
+    function _updatePriceFeedsWithoutMon(bytes[] calldata priceUpdateData) internal {
+        require(msg.value == _updatePriceFeeds(priceUpdateData), "Incorrect price update fee");
+    }
+
+    /**
+     * @dev Reads the MON/USD price and checks whether it can be used
+     * @return status Valid, or the reason the price cannot be used
+     * @return price MON/USD price with 6 decimals, 0 unless status is Valid
+     * @return publishTime Publish time of the on-chain price, 0 if there is none
+     */
+    function getMonUsdPriceStatus() public view returns (PriceStatus status, uint256 price, uint256 publishTime) {
+        PythStructs.Price memory priceData;
+        try pyth.getPriceUnsafe(monUsdPriceId) returns (PythStructs.Price memory result) {
+            priceData = result;
+        } catch {
+            return (PriceStatus.Unavailable, 0, 0);
+        }
+
+        publishTime = priceData.publishTime;
+        if (block.timestamp > publishTime + maxPriceAge) {
+            return (PriceStatus.Stale, 0, publishTime);
+        }
+        if (priceData.price <= 0) {
+            return (PriceStatus.NonPositive, 0, publishTime);
+        }
+
+        uint256 rawPrice = uint256(uint64(priceData.price));
+        // The confidence interval shares the price's exponent, so the ratio needs no scaling
+        if (uint256(priceData.conf) * CONFIDENCE_BASIS > rawPrice * maxConfidenceRatio) {
+            return (PriceStatus.Uncertain, 0, publishTime);
+        }
+
+        price = _scalePrice(rawPrice, priceData.expo);
+        if (price == 0 || price > uint256(int256(type(int128).max))) {
+            return (PriceStatus.OutOfRange, 0, publishTime);
+        }
+        return (PriceStatus.Valid, price, publishTime);
+    }
+
+    /**
+     * @dev MON/USD price with 6 decimals; reverts if the price cannot be used
+     */
+    function _monUsdPrice() internal view returns (uint256 price) {
+        PriceStatus status;
+        (status, price, ) = getMonUsdPriceStatus();
+        require(status != PriceStatus.Unavailable, "MON price unavailable");
+        require(status != PriceStatus.Stale, "MON price is stale");
+        require(status != PriceStatus.NonPositive, "Invalid MON price");
+        require(status != PriceStatus.Uncertain, "MON price confidence too wide");
+        require(status != PriceStatus.OutOfRange, "MON price out of range");
+    }
+
+    /**
+     * @dev Value of a MON amount (18 decimals) in USDT (6 decimals) at a 6 decimal price
+     */
+    function _monToUsdt(uint256 monAmount, uint256 price) internal pure returns (uint256) {
+        return (monAmount * price) / 1e18;
+    }
+
+    /**
+     * @dev MON amount (18 decimals) worth a USDT amount (6 decimals) at a 6 decimal price
+     */
+    function _usdtToMon(uint256 usdtAmount, uint256 price) internal pure returns (uint256) {
+        return (usdtAmount * 1e18) / price;
+    }
+
+    /**
+     * @dev Scales a Pyth price (price * 10^expo) to 6 decimals; 0 if the exponent is out of range
+     */
+    function _scalePrice(uint256 rawPrice, int32 expo) private pure returns (uint256) {
+        int256 shift = int256(PRICE_DECIMALS) + int256(expo);
+        if (shift >= 0) {
+            return shift > MAX_SCALE_EXPONENT ? 0 : rawPrice * (10 ** uint256(shift));
+        }
+        // A positive int64 price is below 10^19, so larger divisors always round it to 0
+        return shift < -19 ? 0 : rawPrice / (10 ** uint256(-shift));
+    }
+}
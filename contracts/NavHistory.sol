@@ -0,0 +1,143 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title NavHistory
+ * @dev NAV history shared by AoP1Vault and AoP2Vault, kept in a fixed-size ring buffer
+ * @notice - The last MAX_HISTORY_ITEMS snapshots are kept; a new one overwrites the oldest
+ *         - Snapshots are throttled to one per snapshotInterval: until snapshotInterval has passed since
+ *           the latest snapshot was first taken, new ones replace it, so the latest snapshot is always current
+ *         - Indexes count from the oldest snapshot kept, so they shift once the buffer is full
+ */
+abstract contract NavHistory {
+    struct NAVSnapshot {
+        uint256 timestamp;
+        uint256 navValue;     // Stored with 18 decimals precision
+        uint256 totalValue;   // Stored with 6 decimals precision (USDT)
+    }
+
+    uint256 public constant MAX_HISTORY_ITEMS = 100;
+    uint256 public constant MAX_SNAPSHOT_INTERVAL = 1 days;
+    uint256 private constant DEFAULT_SNAPSHOT_INTERVAL = 1 hours;
+
+    NAVSnapshot[MAX_HISTORY_ITEMS] private _navHistory;
+    uint256 public navHistoryHead;    // Slot of the oldest snapshot
+    uint256 public navHistoryCount;   // Snapshots kept, at most MAX_HISTORY_ITEMS
+    uint256 public snapshotInterval;  // Minimum seconds between kept snapshots, 0 to keep every snapshot
+    uint256 private _latestOpenedAt;  // When the latest snapshot was first taken
+
+    event SnapshotIntervalUpdated(uint256 snapshotInterval);
+
+    /**
+     * @dev Snapshots oldest first, from the fromIndex-th snapshot kept
+     * @param fromIndex Index of the first snapshot, 0 for the oldest
+     * @param count Maximum number of snapshots to return
+     * @return timestamps Array of timestamps
+     * @return values Array of NAV values (18 decimals)
+     * @return totalValues Array of total vault values (6 decimals)
+     */
+    function getHistoricalNAV(uint256 fromIndex, uint256 count) public view returns (
+        uint256[] memory timestamps,
+        uint256[] memory values,
+        uint256[] memory totalValues
+    ) {
+        uint256 length = navHistoryCount;
+        if (fromIndex >= length) {
+            count = 0;
+        } else if (count > length - fromIndex) {
+            count = length - fromIndex;
+        }
+
+        timestamps = new uint256[](count);
+        values = new uint256[](count);
+        totalValues = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            NAVSnapshot storage snapshot = _snapshotAt(fromIndex + i);
+            timestamps[i] = snapshot.timestamp;
+            values[i] = snapshot.navValue;
+            totalValues[i] = snapshot.totalValue;
+        }
+    }
+
+    /**
+     * @dev Snapshots taken from fromTimestamp to toTimestamp, both included, oldest first
+     */
+    function getHistoricalNAVByTime(uint256 fromTimestamp, uint256 toTimestamp) external view returns (
+        uint256[] memory timestamps,
+        uint256[] memory values,
+        uint256[] memory totalValues
+    ) {
+        uint256 fromIndex = _firstSnapshotAfter(fromTimestamp);
+        uint256 toIndex = toTimestamp == type(uint256).max ? navHistoryCount : _firstSnapshotAfter(toTimestamp + 1);
+        return getHistoricalNAV(fromIndex, toIndex > fromIndex ? toIndex - fromIndex : 0);
+    }
+
+    /**
+     * @dev Starts with at most one snapshot per hour
+     */
+    function _initializeNavHistory() internal {
+        snapshotInterval = DEFAULT_SNAPSHOT_INTERVAL;
+    }
+
+    /**
+     * @dev Records a snapshot, replacing the latest one until snapshotInterval has passed since it was first taken
+     * @param navValue NAV per share (18 decimals)
+     * @param totalValue Total vault value in USDT (6 decimals)
+     */
+    function _recordNAVSnapshot(uint256 navValue, uint256 totalValue) internal {
+        uint256 length = navHistoryCount;
+        if (length > 0 && block.timestamp < _latestOpenedAt + snapshotInterval) {
+            NAVSnapshot storage latest = _snapshotAt(length - 1);
+            latest.timestamp = block.timestamp;
+            latest.navValue = navValue;
+            latest.totalValue = totalValue;
+            return;
+        }
+
+        NAVSnapshot memory snapshot = NAVSnapshot({
+            timestamp: block.timestamp,
+            navValue: navValue,
+            totalValue: totalValue
+        });
+        if (length < MAX_HISTORY_ITEMS) {
+            _navHistory[(navHistoryHead + length) % MAX_HISTORY_ITEMS] = snapshot;
+            navHistoryCount = length + 1;
+        } else {
+            // Overwrite the oldest snapshot, which makes the next one the oldest
+            _navHistory[navHistoryHead] = snapshot;
+            navHistoryHead = (navHistoryHead + 1) % MAX_HISTORY_ITEMS;
+        }
+        _latestOpenedAt = block.timestamp;
+    }
+
+    /**
+     * @dev Sets the minimum time between kept snapshots; 0 keeps every snapshot
+     */
+    function _setSnapshotInterval(uint256 interval) internal {
+        require(interval <= MAX_SNAPSHOT_INTERVAL, "Snapshot interval too long");
+        snapshotInterval = interval;
+        emit SnapshotIntervalUpdated(interval);
+    }
+
+    /**
+     * @dev The index-th snapshot kept, oldest first
+     */
+    function _snapshotAt(uint256 index) private view returns (NAVSnapshot storage) {
+        return _navHistory[(navHistoryHead + index) % MAX_HISTORY_ITEMS];
+    }
+
+    /**
+     * @dev Index of the oldest snapshot taken at or after timestamp, navHistoryCount if there is none
+     */
+    function _firstSnapshotAfter(uint256 timestamp) private view returns (uint256 low) {
+        uint256 high = navHistoryCount;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (_snapshotAt(mid).timestamp < timestamp) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+    }
+}
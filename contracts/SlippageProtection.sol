@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title SlippageProtection
+ * @dev Deadline and minimum-output checks shared by AoP1Vault and AoP2Vault
+ * @notice - A deadline is the last block timestamp a call may execute at
+ *         - Minimum outputs are checked against the exact shares minted or assets paid out, which the
+ *           vaults' quote functions return for the current state
+ *         The vaults add overloads of their deposit and withdraw functions that take these bounds.
+ */
+abstract contract SlippageProtection {
+    error DeadlineExpired(uint256 deadline, uint256 timestamp);
+    error InsufficientSharesOut(uint256 sharesOut, uint256 minSharesOut);
+    error InsufficientAmountOut(uint256 amountOut, uint256 minAmountOut);
+
+    /**
+     * @dev Reverts once the block timestamp is past the deadline
+     */
+    function _checkDeadline(uint256 deadline) internal view {
+        if (block.timestamp > deadline) {
+            revert DeadlineExpired(deadline, block.timestamp);
+        }
+    }
+
+    /**
+     * @dev Reverts if a deposit minted fewer shares than the caller accepts
+     */
+    function _checkSharesOut(uint256 sharesOut, uint256 minSharesOut) internal pure {
+        if (sharesOut < minSharesOut) {
+            revert InsufficientSharesOut(sharesOut, minSharesOut);
+        }
+    }
+
+    /**
+     * @dev Reverts if a withdrawal paid out less than the caller accepts
+     */
+    function _checkAmountOut(uint256 amountOut, uint256 minAmountOut) internal pure {
+        if (amountOut < minAmountOut) {
+            revert InsufficientAmountOut(amountOut, minAmountOut);
+        }
+    }
+}
@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title TransferRestrictions
+ * @dev Share transfer modes shared by AoP1Vault and AoP2Vault, for vaults that need to know their holders
+ * @notice - Open: shares move freely, like any ERC20
+ *         - NonTransferable: shares cannot move between holders at all
+ *         - Allowlisted: shares only move between accounts on the vault's transfer allowlist
+ *         Deposits, withdrawals and the vault's own withdrawal queue are not transfers between holders
+ *         and are never restricted. The vaults decide who may change the mode and the allowlist.
+ */
+abstract contract TransferRestrictions {
+    enum TransferMode { Open, NonTransferable, Allowlisted }
+
+    TransferMode public transferMode;
+    mapping(address => bool) public transferAllowlist;
+
+    error SharesNonTransferable();
+    error TransferNotAllowed(address account);
+
+    event TransferModeUpdated(TransferMode mode);
+    event TransferAllowlistUpdated(address indexed account, bool allowed);
+
+    /**
+     * @dev Reverts unless the current mode lets shares move from one holder to another
+     */
+    function _checkShareTransfer(address from, address to) internal view {
+        if (transferMode == TransferMode.NonTransferable) {
+            revert SharesNonTransferable();
+        }
+        if (transferMode == TransferMode.Allowlisted) {
+            if (!transferAllowlist[from]) {
+                revert TransferNotAllowed(from);
+            }
+            if (!transferAllowlist[to]) {
+                revert TransferNotAllowed(to);
+            }
+        }
+    }
+
+    function _setTransferMode(TransferMode mode) internal {
+        transferMode = mode;
+        emit TransferModeUpdated(mode);
+    }
+
+    function _setTransferAllowlist(address account, bool allowed) internal {
+        require(account != address(0), "Invalid account");
+        transferAllowlist[account] = allowed;
+        emit TransferAllowlistUpdated(account, allowed);
+    }
+}
@@ -0,0 +1,166 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+
+/**
+ * @title UserPositions
+ * @dev Per-user cost basis and PnL shared by AoP1Vault and AoP2Vault
+ * @notice - A deposit adds its USDT value at deposit time to the receiver's cost basis; MON is valued
+ *           at the price it was deposited at, so later MON moves show up as PnL, not as cost
+ *         - Shares leaving a position take their proportional part of its cost basis with them, and
+ *           what was paid out for them less that part is added to the realized PnL
+ *         - Shares transferred to another holder take their proportional part of the cost basis along;
+ *           the sender keeps its realized PnL
+ *         - Unrealized PnL is the value of the shares still held less their cost basis
+ *         A position counts the shares a user holds and the ones locked in their pending withdrawal
+ *         requests, and users count as active while it is not empty. All amounts are in USDT with 6 decimals.
+ */
+abstract contract UserPositions {
+    using SafeCast for uint256;
+
+    struct Position {
+        uint256 costBasis;    // USDT value of the shares still held, at the time they were deposited
+        int256 realizedPnl;   // Paid out for shares that left the position, less their cost basis
+    }
+
+    struct UserDetails {
+        uint256 shares;             // Held and locked in pending withdrawal requests (18 decimals)
+        uint256 valueInUSDT;        // Value of the shares at navPerShare
+        uint256 percentageOfVault;  // Basis points of the total supply
+        uint256 initialDepositDate;
+        uint256 costBasis;
+        int256 realizedPnl;
+        int256 unrealizedPnl;       // valueInUSDT less costBasis
+        uint256 averageEntryNav;    // Cost basis per share, with 18 decimals like navPerShare
+        uint256 monDeposited;       // MON deposits still in the position (18 decimals, 0 for AoP2Vault)
+        uint256 usdtDeposited;      // USDT deposits still in the position
+    }
+
+    // Share amounts and NAVs both have 18 decimals, USDT has 6
+    uint256 private constant NAV_USDT_SCALE = 1e30;
+
+    mapping(address => Position) public positions;
+    mapping(address => bool) public isActiveUser;
+    uint256 public totalUsers;   // Users with shares in their position
+
+    event UserMetricsUpdated(
+        address indexed user,
+        uint256 totalShares,
+        uint256 currentValue,
+        uint256 costBasis,
+        int256 realizedPnl,
+        int256 unrealizedPnl,
+        uint256 averageEntryNav,
+        uint256 timestamp
+    );
+
+    /**
+     * @dev Shares in a user's position: held, and locked in pending withdrawal requests
+     */
+    function _positionShares(address user) internal view virtual returns (uint256);
+
+    /**
+     * @dev Counts a user as active while their position holds shares; the zero address and the vault,
+     *      which holds the shares locked in withdrawal requests, are never counted
+     */
+    function _syncActiveUser(address user) internal {
+        if (user == address(0) || user == address(this)) {
+            return;
+        }
+        bool active = _positionShares(user) > 0;
+        if (active != isActiveUser[user]) {
+            isActiveUser[user] = active;
+            if (active) {
+                totalUsers++;
+            } else {
+                totalUsers--;
+            }
+        }
+    }
+
+    /**
+     * @dev Whether shares move from one holder to another, rather than being minted, burned, or
+     *      locked in and returned from the withdrawal queue
+     */
+    function _isHolderTransfer(address from, address to) internal view returns (bool) {
+        return from != address(0) && to != address(0) && from != address(this) && to != address(this);
+    }
+
+    /**
+     * @dev Adds the USDT value of a deposit to the receiver's cost basis
+     */
+    function _addCostBasis(address receiver, uint256 value) internal {
+        positions[receiver].costBasis += value;
+    }
+
+    /**
+     * @dev Removes the cost basis of shares that left a position and records the gain or loss on them
+     * @param user Owner of the position
+     * @param shares Shares that left the position
+     * @param remainingShares Shares still in the position
+     * @param proceeds USDT value of what was paid out for the shares
+     */
+    function _realizeExit(address user, uint256 shares, uint256 remainingShares, uint256 proceeds) internal {
+        Position storage position = positions[user];
+        uint256 basis = _exitPortion(position.costBasis, shares, remainingShares);
+        position.costBasis -= basis;
+        position.realizedPnl += proceeds.toInt256() - basis.toInt256();
+    }
+
+    /**
+     * @dev Moves the cost basis of shares transferred between holders
+     * @param remainingShares Shares left in the sender's position
+     */
+    function _transferCostBasis(address from, address to, uint256 shares, uint256 remainingShares) internal {
+        uint256 basis = _exitPortion(positions[from].costBasis, shares, remainingShares);
+        positions[from].costBasis -= basis;
+        positions[to].costBasis += basis;
+    }
+
+    /**
+     * @dev Part of an amount tracked for a position that goes with the shares leaving it; all of it
+     *      once no shares remain, so rounding leaves nothing behind
+     */
+    function _exitPortion(uint256 amount, uint256 shares, uint256 remainingShares) internal pure returns (uint256) {
+        if (remainingShares == 0) {
+            return amount;
+        }
+        return (amount * shares) / (shares + remainingShares);
+    }
+
+    /**
+     * @dev Value, cost basis and PnL of a user's position; the vault fills in the other details
+     * @param user Owner of the position
+     * @param shares Shares in the position
+     * @param nav NAV per share to value them at (18 decimals)
+     */
+    function _positionDetails(address user, uint256 shares, uint256 nav) internal view returns (UserDetails memory details) {
+        Position memory position = positions[user];
+        details.shares = shares;
+        details.valueInUSDT = (shares * nav) / NAV_USDT_SCALE;
+        details.costBasis = position.costBasis;
+        details.realizedPnl = position.realizedPnl;
+        details.unrealizedPnl = details.valueInUSDT.toInt256() - position.costBasis.toInt256();
+        if (shares > 0) {
+            details.averageEntryNav = (position.costBasis * NAV_USDT_SCALE) / shares;
+        }
+    }
+
+    /**
+     * @dev Emits the metrics of a user's position after it changed
+     */
+    function _emitUserMetrics(address user, uint256 shares, uint256 nav) internal {
+        UserDetails memory details = _positionDetails(user, shares, nav);
+        emit UserMetricsUpdated(
+            user,
+            shares,
+            details.valueInUSDT,
+            details.costBasis,
+            details.realizedPnl,
+            details.unrealizedPnl,
+            details.averageEntryNav,
+            block.timestamp
+        );
+    }
+}
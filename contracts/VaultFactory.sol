@@ -1,20 +1,25 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "./libraries/AoP1VaultHelpers.sol";
-import "./libraries/AoP2VaultHelpers.sol";
-import "./libraries/VaultHelpers.sol"; // Import VaultHelpers after the specialized helpers
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "./AoP1Vault.sol";
+import "./AoP2Vault.sol";
+import "./IManagedVault.sol";
+import "./FactoryTimelock.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
 
 /**
  * @title VaultFactory
- * @dev Factory contract to deploy and manage AoP1Vault and AoP2Vault instances
+ * @dev Factory contract to deploy and manage AoP1Vault, AoP2Vault and AoP2Vault4626 instances
  * @notice This factory handles the deployment and management of vaults with proper decimal handling:
  *         - Share tokens use 18 decimals (standard for ERC20)
  *         - USDT uses 6 decimals
  *         - Appropriate scaling factors are applied in the vault contracts
+ *         Vaults are EIP-1167 clones of an implementation registered per vault type, and the registry
+ *         records each vault's type, implementation version and whether it is still active.
+ *         Actions that can move vault funds or change their pricing and fees are timelocked; deployments,
+ *         agent removal and pauses stay instant.
  */
-contract VaultFactory is Ownable {
+contract VaultFactory is FactoryTimelock {
     // State variables
     address public usdtToken;
     address public defaultFeeRecipient;
@@ -23,9 +28,52 @@ contract VaultFactory is Ownable {
     address public pythContract;
     bytes32 public monUsdPriceId;
     
+    // Fee tier the deployment tooling gives vaults deployed without one of their own
+    VaultFees.FeeConfig public defaultFees;
+    
+    // VaultRouter trusted by newly deployed vaults to deposit on behalf of a receiver
+    address public router;
+    
+    // Can pause vaults through the factory and turn on their emergency mode, alongside the owner
+    address public guardian;
+    
+    // Roles the factory grants in its vaults, the same in every vault type
+    bytes32 private constant DEFAULT_VAULT_ADMIN_ROLE = 0x00;
+    bytes32 private constant VAULT_ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 private constant VAULT_KEEPER_ROLE = keccak256("KEEPER_ROLE");
+    bytes32 private constant VAULT_ROUTER_ROLE = keccak256("ROUTER_ROLE");
+    bytes32 private constant VAULT_GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    
+    // VaultPausable.PAUSE_DEPOSITS, paused for good on retired vaults
+    uint8 private constant PAUSE_DEPOSITS = 1;
+    
+    // Vault types, named as in VaultDeployed
+    enum VaultType { AoP1Vault, AoP2Vault, AoP2Vault4626 }
+    
+    struct VaultImplementation {
+        address implementation;
+        uint256 version; // Number of implementations registered for the type so far
+    }
+    
+    struct VaultInfo {
+        string name;
+        VaultType vaultType;
+        address implementation; // Implementation the vault is a clone of
+        uint256 version;        // Version of that implementation
+        uint256 deployedAt;
+        bool active;            // False once the vault is retired
+    }
+    
+    // Implementations new vaults are cloned from
+    mapping(VaultType => VaultImplementation) public implementations;
+    
     // Mapping of deployed vaults
     mapping(string => address) public vaults;
     mapping(address => bool) public isAoP1Vault;
+    mapping(address => bool) public isERC4626Vault;
+    mapping(address => bool) public isVault; // Any vault deployed by this factory
+    address[] public allVaults;
+    mapping(address => VaultInfo) private _vaultInfo;
     
     // Events
     event VaultDeployed(string name, address vaultAddress, string vaultType);
@@ -34,6 +82,28 @@ contract VaultFactory is Ownable {
     event FeeRecipientUpdated(address newFeeRecipient);
     event PythContractUpdated(address newPythContract);
     event MonUsdPriceIdUpdated(bytes32 newMonUsdPriceId);
+    event DefaultFeesUpdated(uint256 performanceFee, uint256 managementFee);
+    event VaultFeesUpdated(address vault, uint256 performanceFee, uint256 managementFee);
+    event AgentCreditLimitsUpdated(address vault, address agent, uint256 usdtLimit, uint256 monLimit);
+    event MaxAgentAllocationUpdated(address vault, uint256 maxAllocation);
+    event KeeperUpdated(address vault, address keeper, bool enabled);
+    event OracleConfigUpdated(address vault, uint256 maxPriceAge, uint256 maxConfidenceRatio);
+    event RouterUpdated(address newRouter);
+    event VaultRouterUpdated(address vault, address router, bool enabled);
+    event GuardianUpdated(address newGuardian);
+    event VaultGuardianUpdated(address vault, address guardian, bool enabled);
+    event VaultPauseUpdated(address vault, uint8 operations, bool paused);
+    event VaultEmergencyModeUpdated(address vault, bool enabled);
+    event VaultTransferModeUpdated(address vault, TransferRestrictions.TransferMode mode);
+    event VaultTransferAllowlistUpdated(address vault, address[] accounts, bool allowed);
+    event VaultDepositLimitsUpdated(address vault, DepositLimits.DepositLimitConfig limits);
+    event VaultDepositAllowlistUpdated(address vault, address[] accounts, bool allowed);
+    event VaultLockupConfigUpdated(address vault, DepositLockups.LockupConfig config);
+    event VaultSnapshotIntervalUpdated(address vault, uint256 interval);
+    event VaultAdminTransferred(address vault, address newAdmin);
+    event VaultAdminRenounced(address vault);
+    event VaultImplementationUpdated(VaultType vaultType, address implementation, uint256 version);
+    event VaultDeactivated(address vault);
     
     /**
      * @dev Constructor to initialize the factory
@@ -56,6 +126,7 @@ contract VaultFactory is Ownable {
         defaultFeeRecipient = _defaultFeeRecipient;
         pythContract = _pythContract;
         monUsdPriceId = _monUsdPriceId;
+        defaultFees = VaultFees.FeeConfig({ performanceFee: 2000, managementFee: 0 }); // 20%, no management fee
         
         // Set ownership to the message sender
         _transferOwnership(msg.sender);
@@ -65,22 +136,30 @@ contract VaultFactory is Ownable {
      * @dev Deploy a new AoP1Vault
      * @param _name Name of the vault
      * @param _symbol Symbol of the vault
+     * @param _fees Performance and management fees of the vault in basis points
+     * @param _limits Deposit limits of the vault; all zero for none
      * @return Address of the deployed vault
      */
-    function deployAoP1Vault(string memory _name, string memory _symbol) external onlyOwner returns (address) {
-        require(vaults[_name] == address(0), "Vault with this name already exists");
-        
-        address vault = AoP1VaultHelpers.deployVault(
+    function deployAoP1Vault(
+        string memory _name,
+        string memory _symbol,
+        VaultFees.FeeConfig memory _fees,
+        DepositLimits.DepositLimitConfig memory _limits
+    ) external onlyOwner returns (address) {
+        address vault = _cloneVault(VaultType.AoP1Vault, _name);
+        AoP1Vault(payable(vault)).initialize(
             _name,
             _symbol,
             usdtToken,
             defaultFeeRecipient,
             pythContract,
-            monUsdPriceId
+            monUsdPriceId,
+            _fees,
+            _limits
         );
         
-        vaults[_name] = vault;
         isAoP1Vault[vault] = true;
+        _registerVault(vault);
         
         emit VaultDeployed(_name, vault, "AoP1Vault");
         return vault;
@@ -90,36 +169,90 @@ contract VaultFactory is Ownable {
      * @dev Deploy a new AoP2Vault
      * @param _name Name of the vault
      * @param _symbol Symbol of the vault
+     * @param _fees Performance and management fees of the vault in basis points
+     * @param _limits Deposit limits of the vault; all zero for none
      * @return Address of the deployed vault
      */
-    function deployAoP2Vault(string memory _name, string memory _symbol) external onlyOwner returns (address) {
-        require(vaults[_name] == address(0), "Vault with this name already exists");
+    function deployAoP2Vault(
+        string memory _name,
+        string memory _symbol,
+        VaultFees.FeeConfig memory _fees,
+        DepositLimits.DepositLimitConfig memory _limits
+    ) external onlyOwner returns (address) {
+        address vault = _cloneVault(VaultType.AoP2Vault, _name);
+        AoP2Vault(vault).initialize(_name, _symbol, usdtToken, defaultFeeRecipient, _fees, _limits);
         
-        address vault = AoP2VaultHelpers.deployVault(
-            _name,
-            _symbol,
-            usdtToken,
-            defaultFeeRecipient,
-            pythContract,
-            monUsdPriceId
-        );
-        
-        vaults[_name] = vault;
+        _registerVault(vault);
         
         emit VaultDeployed(_name, vault, "AoP2Vault");
         return vault;
     }
     
+    /**
+     * @dev Deploy a new AoP2Vault4626, the ERC-4626 compatible variant of AoP2Vault
+     * @param _name Name of the vault
+     * @param _symbol Symbol of the vault
+     * @param _fees Performance and management fees of the vault in basis points
+     * @param _limits Deposit limits of the vault; all zero for none
+     * @return Address of the deployed vault
+     */
+    function deployAoP2Vault4626(
+        string memory _name,
+        string memory _symbol,
+        VaultFees.FeeConfig memory _fees,
+        DepositLimits.DepositLimitConfig memory _limits
+    ) external onlyOwner returns (address) {
+        address vault = _cloneVault(VaultType.AoP2Vault4626, _name);
+        AoP2Vault(vault).initialize(_name, _symbol, usdtToken, defaultFeeRecipient, _fees, _limits);
+        
+        isERC4626Vault[vault] = true;
+        _registerVault(vault);
+        
+        emit VaultDeployed(_name, vault, "AoP2Vault4626");
+        return vault;
+    }
+    
+    /**
+     * @dev Set the implementation that vaults of a type deployed afterwards are cloned from; existing
+     *      vaults keep their implementation
+     * @param vaultType Type of vault
+     * @param implementation Deployed AoP1Vault, AoP2Vault or AoP2Vault4626 matching the type
+     */
+    function setVaultImplementation(VaultType vaultType, address implementation) external onlyTimelock {
+        require(implementation.code.length > 0, "Invalid implementation");
+        
+        VaultImplementation storage current = implementations[vaultType];
+        current.implementation = implementation;
+        current.version += 1;
+        emit VaultImplementationUpdated(vaultType, implementation, current.version);
+    }
+    
+    /**
+     * @dev Retire a vault: it stays in the registry, marked inactive, and its deposits are paused
+     *      for good while holders withdraw and agents return funds
+     * @param vaultAddress Address of the vault
+     */
+    function deactivateVault(address vaultAddress) external onlyOwner {
+        require(isVault[vaultAddress], "Unknown vault");
+        require(_vaultInfo[vaultAddress].active, "Vault already retired");
+        
+        _vaultInfo[vaultAddress].active = false;
+        if (administersVault(vaultAddress)) {
+            _setPaused(vaultAddress, PAUSE_DEPOSITS, true);
+        }
+        emit VaultDeactivated(vaultAddress);
+    }
+    
     /**
      * @dev Add an agent to a vault
      * @param vaultAddress Address of the vault
      * @param agent Address of the agent to add
      */
-    function addAgentToVault(address vaultAddress, address agent) external onlyOwner {
-        require(vaultAddress != address(0), "Invalid vault address");
+    function addAgentToVault(address vaultAddress, address agent) external onlyTimelock {
+        require(isVault[vaultAddress], "Unknown vault");
         require(agent != address(0), "Invalid agent address");
         
-        VaultHelpers.addAgentToVault(vaultAddress, agent, isAoP1Vault[vaultAddress]);
+        IManagedVault(vaultAddress).addAgent(agent);
         emit AgentAdded(vaultAddress, agent);
     }
     
@@ -129,23 +262,269 @@ contract VaultFactory is Ownable {
      * @param agent Address of the agent to remove
      */
     function removeAgentFromVault(address vaultAddress, address agent) external onlyOwner {
-        require(vaultAddress != address(0), "Invalid vault address");
+        require(isVault[vaultAddress], "Unknown vault");
         require(agent != address(0), "Invalid agent address");
         
-        VaultHelpers.removeAgentFromVault(vaultAddress, agent, isAoP1Vault[vaultAddress]);
+        IManagedVault(vaultAddress).removeAgent(agent);
         emit AgentRemoved(vaultAddress, agent);
     }
     
+    /**
+     * @dev Grant or revoke the role allowed to settle a vault's queued withdrawals
+     * @param vaultAddress Address of the vault
+     * @param keeper Address of the keeper
+     * @param enabled Whether to grant or revoke the role
+     */
+    function setVaultKeeper(address vaultAddress, address keeper, bool enabled) external onlyOwner {
+        require(isVault[vaultAddress], "Unknown vault");
+        require(keeper != address(0), "Invalid keeper address");
+        
+        _setVaultRole(vaultAddress, VAULT_KEEPER_ROLE, keeper, enabled);
+        emit KeeperUpdated(vaultAddress, keeper, enabled);
+    }
+    
+    /**
+     * @dev Set the VaultRouter that vaults deployed afterwards trust; existing vaults are
+     *      updated separately through setVaultRouter
+     * @param _router Address of the router, or zero to deploy vaults without one
+     */
+    function setRouter(address _router) external onlyTimelock {
+        router = _router;
+        emit RouterUpdated(_router);
+    }
+    
+    /**
+     * @dev Grant or revoke the role allowed to deposit into a vault on behalf of a receiver
+     * @param vaultAddress Address of the vault
+     * @param _router Address of the router
+     * @param enabled Whether to grant or revoke the role
+     */
+    function setVaultRouter(address vaultAddress, address _router, bool enabled) external onlyTimelock {
+        require(isVault[vaultAddress], "Unknown vault");
+        require(_router != address(0), "Invalid router address");
+        
+        _setVaultRole(vaultAddress, VAULT_ROUTER_ROLE, _router, enabled);
+        emit VaultRouterUpdated(vaultAddress, _router, enabled);
+    }
+    
+    /**
+     * @dev Set the guardian allowed to pause vaults and turn on their emergency mode through the factory.
+     *      Appointing one is timelocked, as emergency mode leaves capital out with agents to the remaining
+     *      holders; removing one stays instant.
+     * @param _guardian Address of the guardian, or zero to leave it to the owner
+     */
+    function setGuardian(address _guardian) external {
+        _checkGuardianChange(_guardian != address(0));
+        guardian = _guardian;
+        emit GuardianUpdated(_guardian);
+    }
+    
+    /**
+     * @dev Grant or revoke the role allowed to pause a vault and turn on its emergency mode directly.
+     *      Granting it is timelocked like setGuardian; revoking it stays instant.
+     * @param vaultAddress Address of the vault
+     * @param _guardian Address of the guardian
+     * @param enabled Whether to grant or revoke the role
+     */
+    function setVaultGuardian(address vaultAddress, address _guardian, bool enabled) external {
+        _checkGuardianChange(enabled);
+        require(isVault[vaultAddress], "Unknown vault");
+        require(_guardian != address(0), "Invalid guardian address");
+        
+        _setVaultRole(vaultAddress, VAULT_GUARDIAN_ROLE, _guardian, enabled);
+        emit VaultGuardianUpdated(vaultAddress, _guardian, enabled);
+    }
+    
+    /**
+     * @dev Appointing a guardian goes through the timelock, removing one only needs the owner
+     */
+    function _checkGuardianChange(bool appointing) private view {
+        if (appointing) {
+            _checkTimelock();
+        } else if (msg.sender != address(this)) {
+            _checkOwner();
+        }
+    }
+    
+    /**
+     * @dev Pause operations of a vault
+     * @param vaultAddress Address of the vault
+     * @param operations Bit mask of PAUSE_DEPOSITS, PAUSE_WITHDRAWALS and PAUSE_AGENT_FUNDS
+     */
+    function pauseVault(address vaultAddress, uint8 operations) external {
+        _checkGuardian();
+        require(isVault[vaultAddress], "Unknown vault");
+        _setPaused(vaultAddress, operations, true);
+    }
+    
+    /**
+     * @dev Resume paused operations of a vault; its emergency mode must be off
+     * @param vaultAddress Address of the vault
+     * @param operations Bit mask of PAUSE_DEPOSITS, PAUSE_WITHDRAWALS and PAUSE_AGENT_FUNDS
+     */
+    function unpauseVault(address vaultAddress, uint8 operations) external onlyOwner {
+        require(isVault[vaultAddress], "Unknown vault");
+        require(_vaultInfo[vaultAddress].active || operations & PAUSE_DEPOSITS == 0, "Vault is retired");
+        _setPaused(vaultAddress, operations, false);
+    }
+    
+    /**
+     * @dev Pause operations of every vault the factory still administers
+     * @param operations Bit mask of PAUSE_DEPOSITS, PAUSE_WITHDRAWALS and PAUSE_AGENT_FUNDS
+     */
+    function pauseAll(uint8 operations) external {
+        _checkGuardian();
+        for (uint256 i = 0; i < allVaults.length; i++) {
+            if (administersVault(allVaults[i])) {
+                _setPaused(allVaults[i], operations, true);
+            }
+        }
+    }
+    
+    /**
+     * @dev Resume paused operations of every vault the factory still administers, skipping vaults in emergency mode
+     *      and the deposits of retired vaults
+     * @param operations Bit mask of PAUSE_DEPOSITS, PAUSE_WITHDRAWALS and PAUSE_AGENT_FUNDS
+     */
+    function unpauseAll(uint8 operations) external onlyOwner {
+        for (uint256 i = 0; i < allVaults.length; i++) {
+            address vault = allVaults[i];
+            uint8 vaultOperations = _vaultInfo[vault].active ? operations : operations & ~PAUSE_DEPOSITS;
+            if (vaultOperations != 0 && administersVault(vault) && !VaultPausable(vault).emergencyMode()) {
+                _setPaused(vault, vaultOperations, false);
+            }
+        }
+    }
+    
+    /**
+     * @dev Set whether a vault's shares can be transferred between holders, e.g. only between
+     *      KYC'd accounts on its allowlist
+     * @param vaultAddress Address of the vault
+     * @param mode Open, NonTransferable or Allowlisted
+     */
+    function setVaultTransferMode(address vaultAddress, TransferRestrictions.TransferMode mode) external onlyOwner {
+        require(isVault[vaultAddress], "Unknown vault");
+        
+        IManagedVault(vaultAddress).setTransferMode(mode);
+        emit VaultTransferModeUpdated(vaultAddress, mode);
+    }
+    
+    /**
+     * @dev Add accounts to or remove them from a vault's transfer allowlist
+     * @param vaultAddress Address of the vault
+     * @param accounts Accounts to update
+     * @param allowed Whether the accounts may send and receive shares in Allowlisted mode
+     */
+    function setVaultTransferAllowlist(address vaultAddress, address[] calldata accounts, bool allowed) external onlyOwner {
+        require(isVault[vaultAddress], "Unknown vault");
+        
+        IManagedVault(vaultAddress).setTransferAllowlist(accounts, allowed);
+        emit VaultTransferAllowlistUpdated(vaultAddress, accounts, allowed);
+    }
+    
+    /**
+     * @dev Replace a vault's deposit limits and allowlist mode
+     * @param vaultAddress Address of the vault
+     * @param limits Caps and minimum deposit in USDT, 0 for none, allowlist mode and Merkle root
+     */
+    function setVaultDepositLimits(address vaultAddress, DepositLimits.DepositLimitConfig calldata limits) external onlyOwner {
+        require(isVault[vaultAddress], "Unknown vault");
+        
+        IManagedVault(vaultAddress).setDepositLimits(limits);
+        emit VaultDepositLimitsUpdated(vaultAddress, limits);
+    }
+    
+    /**
+     * @dev Set the minimum time between the NAV snapshots a vault keeps; snapshots taken sooner replace the latest one
+     * @param vaultAddress Address of the vault
+     * @param interval Interval in seconds, at most one day, 0 to keep every snapshot
+     */
+    function setVaultSnapshotInterval(address vaultAddress, uint256 interval) external onlyOwner {
+        require(isVault[vaultAddress], "Unknown vault");
+        
+        IManagedVault(vaultAddress).setSnapshotInterval(interval);
+        emit VaultSnapshotIntervalUpdated(vaultAddress, interval);
+    }
+    
+    /**
+     * @dev Add accounts to or remove them from a vault's deposit allowlist
+     * @param vaultAddress Address of the vault
+     * @param accounts Accounts to update
+     * @param allowed Whether the accounts may receive shares from deposits in allowlist mode
+     */
+    function setVaultDepositAllowlist(address vaultAddress, address[] calldata accounts, bool allowed) external onlyOwner {
+        require(isVault[vaultAddress], "Unknown vault");
+        
+        IManagedVault(vaultAddress).setDepositAllowlist(accounts, allowed);
+        emit VaultDepositAllowlistUpdated(vaultAddress, accounts, allowed);
+    }
+    
+    /**
+     * @dev Turn a vault's emergency mode on, which the guardian may do, or off, which only the owner may do
+     * @param vaultAddress Address of the vault
+     * @param enabled Whether to enable or disable emergency mode
+     */
+    function setVaultEmergencyMode(address vaultAddress, bool enabled) external {
+        if (enabled) {
+            _checkGuardian();
+        } else {
+            _checkOwner();
+        }
+        require(isVault[vaultAddress], "Unknown vault");
+        
+        if (enabled) {
+            IManagedVault(vaultAddress).enableEmergencyMode();
+        } else {
+            IManagedVault(vaultAddress).disableEmergencyMode();
+        }
+        emit VaultEmergencyModeUpdated(vaultAddress, enabled);
+    }
+    
+    /**
+     * @dev Hand a vault's admin roles to another account, e.g. a multisig; the factory can no longer manage it
+     * @param vaultAddress Address of the vault
+     * @param newAdmin Account receiving DEFAULT_ADMIN_ROLE and ADMIN_ROLE
+     */
+    function transferVaultAdmin(address vaultAddress, address newAdmin) external onlyTimelock {
+        require(isVault[vaultAddress], "Unknown vault");
+        require(newAdmin != address(0), "Invalid admin address");
+        
+        IManagedVault vault = IManagedVault(vaultAddress);
+        vault.grantRole(DEFAULT_VAULT_ADMIN_ROLE, newAdmin);
+        vault.grantRole(VAULT_ADMIN_ROLE, newAdmin);
+        _renounceVaultAdmin(vault);
+        emit VaultAdminTransferred(vaultAddress, newAdmin);
+    }
+    
+    /**
+     * @dev Give up the factory's admin roles on a vault, leaving its configuration and agents fixed
+     * @param vaultAddress Address of the vault
+     */
+    function renounceVaultAdmin(address vaultAddress) external onlyTimelock {
+        require(isVault[vaultAddress], "Unknown vault");
+        
+        _renounceVaultAdmin(IManagedVault(vaultAddress));
+        emit VaultAdminRenounced(vaultAddress);
+    }
+    
+    /**
+     * @dev Whether the factory still holds the admin role on a vault it deployed
+     * @param vaultAddress Address of the vault
+     */
+    function administersVault(address vaultAddress) public view returns (bool) {
+        return isVault[vaultAddress] && IAccessControl(vaultAddress).hasRole(VAULT_ADMIN_ROLE, address(this));
+    }
+    
     /**
      * @dev Update the fee recipient for a vault
      * @param vaultAddress Address of the vault
      * @param newFeeRecipient New fee recipient
      */
-    function updateFeeRecipient(address vaultAddress, address newFeeRecipient) external onlyOwner {
-        require(vaultAddress != address(0), "Invalid vault address");
+    function updateFeeRecipient(address vaultAddress, address newFeeRecipient) external onlyTimelock {
+        require(isVault[vaultAddress], "Unknown vault");
         require(newFeeRecipient != address(0), "Invalid fee recipient");
         
-        VaultHelpers.updateFeeRecipient(vaultAddress, newFeeRecipient, isAoP1Vault[vaultAddress]);
+        IManagedVault(vaultAddress).setFeeRecipient(newFeeRecipient);
         emit FeeRecipientUpdated(newFeeRecipient);
     }
     
@@ -153,12 +532,210 @@ contract VaultFactory is Ownable {
      * @dev Update the default fee recipient for new vaults
      * @param newFeeRecipient New default fee recipient
      */
-    function updateDefaultFeeRecipient(address newFeeRecipient) external onlyOwner {
+    function updateDefaultFeeRecipient(address newFeeRecipient) external onlyTimelock {
         require(newFeeRecipient != address(0), "Invalid fee recipient");
         defaultFeeRecipient = newFeeRecipient;
         emit FeeRecipientUpdated(newFeeRecipient);
     }
     
+    /**
+     * @dev Update the performance and management fees of a vault
+     * @param vaultAddress Address of the vault
+     * @param performanceFee Performance fee in basis points of gains above the high-water mark
+     * @param managementFee Management fee in basis points per year
+     */
+    function updateVaultFees(address vaultAddress, uint256 performanceFee, uint256 managementFee) external onlyTimelock {
+        require(isVault[vaultAddress], "Unknown vault");
+        
+        IManagedVault(vaultAddress).setFees(performanceFee, managementFee);
+        emit VaultFeesUpdated(vaultAddress, performanceFee, managementFee);
+    }
+    
+    /**
+     * @dev Update the fee tier the deployment tooling gives vaults deployed without one of their own
+     * @param performanceFee Performance fee in basis points of gains above the high-water mark
+     * @param managementFee Management fee in basis points per year
+     */
+    function setDefaultFees(uint256 performanceFee, uint256 managementFee) external onlyTimelock {
+        require(performanceFee <= MAX_PERFORMANCE_FEE_BPS, "Performance fee too high");
+        require(managementFee <= MAX_MANAGEMENT_FEE_BPS, "Management fee too high");
+        
+        defaultFees = VaultFees.FeeConfig(performanceFee, managementFee);
+        emit DefaultFeesUpdated(performanceFee, managementFee);
+    }
+    
+    /**
+     * @dev Set how much an agent may have outstanding in a vault
+     * @param vaultAddress Address of the vault
+     * @param agent Address of the agent
+     * @param usdtLimit Maximum outstanding USDT principal (6 decimals)
+     * @param monLimit Maximum outstanding MON principal (18 decimals), must be 0 for AoP2 vaults
+     */
+    function setAgentCreditLimits(
+        address vaultAddress,
+        address agent,
+        uint256 usdtLimit,
+        uint256 monLimit
+    ) external onlyTimelock {
+        require(isVault[vaultAddress], "Unknown vault");
+        require(agent != address(0), "Invalid agent address");
+        
+        if (isAoP1Vault[vaultAddress]) {
+            AoP1Vault(payable(vaultAddress)).setAgentCreditLimits(agent, usdtLimit, monLimit);
+        } else {
+            require(monLimit == 0, "AoP2Vault does not hold MON");
+            AoP2Vault(vaultAddress).setAgentCreditLimit(agent, usdtLimit);
+        }
+        emit AgentCreditLimitsUpdated(vaultAddress, agent, usdtLimit, monLimit);
+    }
+    
+    /**
+     * @dev Set the maximum share of a vault a single agent may have outstanding
+     * @param vaultAddress Address of the vault
+     * @param maxAllocation Share in basis points of the vault's total value
+     */
+    function setMaxAgentAllocation(address vaultAddress, uint256 maxAllocation) external onlyTimelock {
+        require(isVault[vaultAddress], "Unknown vault");
+        
+        IManagedVault(vaultAddress).setMaxAgentAllocation(maxAllocation);
+        emit MaxAgentAllocationUpdated(vaultAddress, maxAllocation);
+    }
+    
+    /**
+     * @dev Set a vault's lockup and notice periods and early exit fee; they apply to shares already deposited
+     * @param vaultAddress Address of the vault
+     * @param config Periods in seconds and early exit fee in basis points
+     */
+    function setVaultLockupConfig(address vaultAddress, DepositLockups.LockupConfig calldata config) external onlyTimelock {
+        require(isVault[vaultAddress], "Unknown vault");
+        
+        IManagedVault(vaultAddress).setLockupConfig(config);
+        emit VaultLockupConfigUpdated(vaultAddress, config);
+    }
+    
+    /**
+     * @dev Set the limits an AoP1Vault's MON/USD price must meet to be used
+     * @param vaultAddress Address of the AoP1Vault
+     * @param maxPriceAge Maximum price age in seconds
+     * @param maxConfidenceRatio Maximum confidence interval in basis points of the price
+     */
+    function setVaultOracleConfig(address vaultAddress, uint256 maxPriceAge, uint256 maxConfidenceRatio) external onlyTimelock {
+        require(isAoP1Vault[vaultAddress], "Not an AoP1Vault");
+        
+        AoP1Vault(payable(vaultAddress)).setOracleConfig(maxPriceAge, maxConfidenceRatio);
+        emit OracleConfigUpdated(vaultAddress, maxPriceAge, maxConfidenceRatio);
+    }
+    
+    /**
+     * @dev Clones the current implementation of a vault type and records the clone under its name
+     */
+    function _cloneVault(VaultType vaultType, string memory _name) private returns (address vault) {
+        require(vaults[_name] == address(0), "Vault with this name already exists");
+        VaultImplementation memory current = implementations[vaultType];
+        require(current.implementation != address(0), "No implementation for vault type");
+        
+        vault = Clones.clone(current.implementation);
+        vaults[_name] = vault;
+        _vaultInfo[vault] = VaultInfo({
+            name: _name,
+            vaultType: vaultType,
+            implementation: current.implementation,
+            version: current.version,
+            deployedAt: block.timestamp,
+            active: true
+        });
+    }
+    
+    /**
+     * @dev Records a newly deployed vault and lets the current router deposit into it
+     */
+    function _registerVault(address vault) private {
+        isVault[vault] = true;
+        allVaults.push(vault);
+        if (router != address(0)) {
+            _setVaultRole(vault, VAULT_ROUTER_ROLE, router, true);
+            emit VaultRouterUpdated(vault, router, true);
+        }
+    }
+    
+    function _setPaused(address vault, uint8 operations, bool paused) private {
+        if (paused) {
+            IManagedVault(vault).pause(operations);
+        } else {
+            IManagedVault(vault).unpause(operations);
+        }
+        emit VaultPauseUpdated(vault, operations, paused);
+    }
+    
+    function _setVaultRole(address vault, bytes32 role, address account, bool enabled) private {
+        if (enabled) {
+            IManagedVault(vault).grantRole(role, account);
+        } else {
+            IManagedVault(vault).revokeRole(role, account);
+        }
+    }
+    
+    function _renounceVaultAdmin(IManagedVault vault) private {
+        vault.renounceRole(VAULT_ADMIN_ROLE, address(this));
+        vault.renounceRole(DEFAULT_VAULT_ADMIN_ROLE, address(this));
+    }
+    
+    function _checkGuardian() private view {
+        require(msg.sender == owner() || msg.sender == guardian, "Caller is not a guardian");
+    }
+    
+    /**
+     * @dev Number of vaults deployed by the factory
+     */
+    function getVaultCount() external view returns (uint256) {
+        return allVaults.length;
+    }
+    
+    /**
+     * @dev Every vault deployed by the factory, in deployment order, including retired ones
+     */
+    function getAllVaults() external view returns (address[] memory) {
+        return allVaults;
+    }
+    
+    /**
+     * @dev The vaults of one type, in deployment order, including retired ones
+     * @param vaultType Type of vault
+     */
+    function getVaultsByType(VaultType vaultType) external view returns (address[] memory result) {
+        uint256 count = 0;
+        for (uint256 i = 0; i < allVaults.length; i++) {
+            if (_vaultInfo[allVaults[i]].vaultType == vaultType) {
+                count++;
+            }
+        }
+        
+        result = new address[](count);
+        count = 0;
+        for (uint256 i = 0; i < allVaults.length; i++) {
+            if (_vaultInfo[allVaults[i]].vaultType == vaultType) {
+                result[count++] = allVaults[i];
+            }
+        }
+    }
+    
+    /**
+     * @dev Registry entry of a vault deployed by the factory
+     * @param vaultAddress Address of the vault
+     */
+    function getVaultInfo(address vaultAddress) external view returns (VaultInfo memory) {
+        require(isVault[vaultAddress], "Unknown vault");
+        return _vaultInfo[vaultAddress];
+    }
+    
+    /**
+     * @dev Whether an address is a vault deployed by the factory that has not been retired
+     * @param vaultAddress Address of the vault
+     */
+    function isActiveVault(address vaultAddress) external view returns (bool) {
+        return _vaultInfo[vaultAddress].active;
+    }
+    
     /**
      * @dev Get the address of a vault by name
      * @param name Name of the vault
@@ -172,33 +749,13 @@ contract VaultFactory is Ownable {
      * @dev Get user details from a vault
      * @param vaultAddress Address of the vault
      * @param user Address of the user
-     * @return shares User's share balance (18 decimals)
-     * @return valueInUSDT Value of user's shares in USDT (18 decimals)
-     * @return percentageOfVault User's percentage of the vault (basis points)
-     * @return profitSinceDeposit User's profit since deposit (18 decimals)
-     * @return initialDepositDate User's initial deposit date
-     * @return monDeposited Amount of MON deposited (18 decimals, 0 for AoP2Vault)
-     * @return usdtDeposited Amount of USDT deposited (6 decimals)
-     */
-    function getUserDetails(address vaultAddress, address user) external view returns (
-        uint256 shares,
-        uint256 valueInUSDT,
-        uint256 percentageOfVault,
-        uint256 profitSinceDeposit,
-        uint256 initialDepositDate,
-        uint256 monDeposited,
-        uint256 usdtDeposited
-    ) {
-        require(vaultAddress != address(0), "Invalid vault address");
+     * @return details The user's shares, their value, cost basis and PnL in USDT (6 decimals),
+     *         and the MON (0 for AoP2Vault) and USDT deposits still in the position
+     */
+    function getUserDetails(address vaultAddress, address user) external view returns (UserPositions.UserDetails memory details) {
+        require(isVault[vaultAddress], "Unknown vault");
         
-        if (isAoP1Vault[vaultAddress]) {
-            return AoP1VaultHelpers.getUserDetails(vaultAddress, user);
-        } else {
-            // For AoP2Vault, monDeposited will always be 0
-            (shares, valueInUSDT, percentageOfVault, profitSinceDeposit, initialDepositDate, usdtDeposited) = 
-                AoP2VaultHelpers.getUserDetails(vaultAddress, user);
-            monDeposited = 0;
-        }
+        return IManagedVault(vaultAddress).getUserDetails(user);
     }
     
     /**
@@ -221,39 +778,132 @@ contract VaultFactory is Ownable {
         uint256 lastUpdateTime,
         uint256 userCount
     ) {
-        require(vaultAddress != address(0), "Invalid vault address");
+        require(isVault[vaultAddress], "Unknown vault");
         
         if (isAoP1Vault[vaultAddress]) {
-            return AoP1VaultHelpers.getVaultStatistics(vaultAddress);
+            return AoP1Vault(payable(vaultAddress)).getVaultStatistics();
         } else {
             // For AoP2Vault, monBalance will always be 0
             (totalAssets, sharePrice, totalShares, usdtBalance, lastUpdateTime, userCount) = 
-                AoP2VaultHelpers.getVaultStatistics(vaultAddress);
+                AoP2Vault(vaultAddress).getVaultStatistics();
             monBalance = 0;
         }
     }
     
     /**
-     * @dev Get historical NAV data from a vault
+     * @dev Get a page of historical NAV data from a vault, oldest first
      * @param vaultAddress Address of the vault
+     * @param fromIndex Index of the first snapshot, 0 for the oldest the vault keeps
+     * @param count Maximum number of snapshots, up to the vault's MAX_HISTORY_ITEMS
      * @return timestamps Array of timestamps
      * @return values Array of NAV values (18 decimals)
      * @return totalValues Array of total vault values (6 decimals)
      */
-    function getHistoricalNAV(address vaultAddress) external view returns (
+    function getHistoricalNAV(address vaultAddress, uint256 fromIndex, uint256 count) external view returns (
         uint256[] memory timestamps,
         uint256[] memory values,
         uint256[] memory totalValues
     ) {
-        require(vaultAddress != address(0), "Invalid vault address");
-        return VaultHelpers.getHistoricalNAV(vaultAddress, isAoP1Vault[vaultAddress]);
+        require(isVault[vaultAddress], "Unknown vault");
+        return IManagedVault(vaultAddress).getHistoricalNAV(fromIndex, count);
+    }
+    
+    /**
+     * @dev Get the historical NAV data a vault took between two timestamps, both included
+     * @param vaultAddress Address of the vault
+     * @param fromTimestamp Earliest snapshot time
+     * @param toTimestamp Latest snapshot time
+     * @return timestamps Array of timestamps
+     * @return values Array of NAV values (18 decimals)
+     * @return totalValues Array of total vault values (6 decimals)
+     */
+    function getHistoricalNAVByTime(address vaultAddress, uint256 fromTimestamp, uint256 toTimestamp) external view returns (
+        uint256[] memory timestamps,
+        uint256[] memory values,
+        uint256[] memory totalValues
+    ) {
+        require(isVault[vaultAddress], "Unknown vault");
+        return IManagedVault(vaultAddress).getHistoricalNAVByTime(fromTimestamp, toTimestamp);
+    }
+    
+    /**
+     * @dev Get an agent's performance stats in a vault
+     * @param vaultAddress Address of the vault
+     * @param agent Address of the agent
+     * @return usdtStats Stats of the agent's USDT draws and returns (6 decimals)
+     * @return monStats Stats of the agent's MON draws and returns (18 decimals), empty for AoP2Vault
+     */
+    function getAgentStats(address vaultAddress, address agent) external view returns (
+        AgentAllocations.AgentStats memory usdtStats,
+        AgentAllocations.AgentStats memory monStats
+    ) {
+        require(isVault[vaultAddress], "Unknown vault");
+        return IManagedVault(vaultAddress).getAgentStats(agent);
+    }
+    
+    /**
+     * @dev Get the performance stats of every agent ever granted AGENT_ROLE in a vault, for ranking them
+     * @param vaultAddress Address of the vault
+     * @return agents Agents in the order they were first granted the role, including removed ones
+     * @return usdtStats Stats of each agent's USDT draws and returns (6 decimals)
+     * @return monStats Stats of each agent's MON draws and returns (18 decimals), empty for AoP2Vault
+     */
+    function getVaultAgentStats(address vaultAddress) external view returns (
+        address[] memory agents,
+        AgentAllocations.AgentStats[] memory usdtStats,
+        AgentAllocations.AgentStats[] memory monStats
+    ) {
+        require(isVault[vaultAddress], "Unknown vault");
+        IManagedVault vault = IManagedVault(vaultAddress);
+        agents = vault.getAgents();
+        usdtStats = new AgentAllocations.AgentStats[](agents.length);
+        monStats = new AgentAllocations.AgentStats[](agents.length);
+        for (uint256 i = 0; i < agents.length; i++) {
+            (usdtStats[i], monStats[i]) = vault.getAgentStats(agents[i]);
+        }
+    }
+    
+    /**
+     * @dev Get an agent's performance stats summed over every vault deployed by the factory, including retired ones;
+     *      lastActivity is the latest across the vaults
+     * @param agent Address of the agent
+     * @return usdtStats Stats of the agent's USDT draws and returns (6 decimals)
+     * @return monStats Stats of the agent's MON draws and returns (18 decimals)
+     * @return vaultCount Number of vaults the agent has drawn funds from
+     */
+    function getAgentStatsAcrossVaults(address agent) external view returns (
+        AgentAllocations.AgentStats memory usdtStats,
+        AgentAllocations.AgentStats memory monStats,
+        uint256 vaultCount
+    ) {
+        for (uint256 i = 0; i < allVaults.length; i++) {
+            (AgentAllocations.AgentStats memory usdt, AgentAllocations.AgentStats memory mon) =
+                IManagedVault(allVaults[i]).getAgentStats(agent);
+            if (usdt.capitalRequested > 0 || mon.capitalRequested > 0) {
+                vaultCount++;
+            }
+            _addAgentStats(usdtStats, usdt);
+            _addAgentStats(monStats, mon);
+        }
+    }
+    
+    function _addAgentStats(AgentAllocations.AgentStats memory total, AgentAllocations.AgentStats memory stats) private pure {
+        total.capitalRequested += stats.capitalRequested;
+        total.capitalReturned += stats.capitalReturned;
+        total.realizedPnl += stats.realizedPnl;
+        total.feesGenerated += stats.feesGenerated;
+        total.tradeCount += stats.tradeCount;
+        total.profitableTrades += stats.profitableTrades;
+        if (stats.lastActivity > total.lastActivity) {
+            total.lastActivity = stats.lastActivity;
+        }
     }
     
     /**
      * @dev Update the Pyth Network contract address
      * @param _pythContract New Pyth Network contract address
      */
-    function setPythContract(address _pythContract) external onlyOwner {
+    function setPythContract(address _pythContract) external onlyTimelock {
         require(_pythContract != address(0), "Pyth contract cannot be zero");
         pythContract = _pythContract;
         emit PythContractUpdated(_pythContract);
@@ -263,7 +913,7 @@ contract VaultFactory is Ownable {
      * @dev Update the MON/USD price feed ID
      * @param _monUsdPriceId New price feed ID
      */
-    function setMonUsdPriceId(bytes32 _monUsdPriceId) external onlyOwner {
+    function setMonUsdPriceId(bytes32 _monUsdPriceId) external onlyTimelock {
         monUsdPriceId = _monUsdPriceId;
         emit MonUsdPriceIdUpdated(_monUsdPriceId);
     }
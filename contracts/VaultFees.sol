@@ -0,0 +1,140 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+// Fee caps, at file level so VaultFactory can validate its default fees against them
+uint256 constant MAX_PERFORMANCE_FEE_BPS = 5000; // 50%
+uint256 constant MAX_MANAGEMENT_FEE_BPS = 500;   // 5% per year
+
+/**
+ * @title VaultFees
+ * @dev Fee accounting shared by AoP1Vault and AoP2Vault
+ * @notice - The management fee accrues linearly over time and is minted as shares to the fee recipient
+ *         - The performance fee is charged only on gains that lift navPerShare above its high-water mark
+ *         The vaults decide when fees are charged and in which asset the performance fee is paid.
+ */
+abstract contract VaultFees is ERC20 {
+    // Fee configuration passed to the vault constructors
+    struct FeeConfig {
+        uint256 performanceFee; // Basis points of gains above the high-water mark
+        uint256 managementFee;  // Basis points of the vault per year
+    }
+
+    uint256 public constant BASIS_POINTS = 10000;
+    uint256 public constant MAX_PERFORMANCE_FEE = MAX_PERFORMANCE_FEE_BPS;
+    uint256 public constant MAX_MANAGEMENT_FEE = MAX_MANAGEMENT_FEE_BPS;
+    uint256 public constant SECONDS_PER_YEAR = 365 days;
+
+    // navPerShare has 18 decimals and shares have 12 more decimals than USDT
+    uint256 private constant NAV_TO_USDT = 10 ** 30;
+
+    uint256 public performanceFee;
+    uint256 public managementFee;
+    uint256 public highWaterMark;   // Highest navPerShare a performance fee was charged at (18 decimals)
+    uint256 public lastFeeAccrual;  // Timestamp the management fee was last accrued
+
+    event FeesUpdated(
+        uint256 oldPerformanceFee,
+        uint256 newPerformanceFee,
+        uint256 oldManagementFee,
+        uint256 newManagementFee
+    );
+    event ManagementFeeAccrued(address indexed recipient, uint256 sharesMinted, uint256 elapsed);
+    event HighWaterMarkUpdated(uint256 oldHighWaterMark, uint256 newHighWaterMark);
+
+    /**
+     * @dev Sets the initial fee rates and starts the high-water mark at a NAV of 1.0
+     * @param fees Initial fee configuration
+     */
+    function _initializeFees(FeeConfig memory fees) internal {
+        _setFees(fees);
+        highWaterMark = 10 ** 18;
+        lastFeeAccrual = block.timestamp;
+    }
+
+    /**
+     * @dev Updates the fee rates; the caller must accrue the management fee at the old rate first
+     * @param fees New fee configuration
+     */
+    function _setFees(FeeConfig memory fees) internal {
+        require(fees.performanceFee <= MAX_PERFORMANCE_FEE, "Performance fee too high");
+        require(fees.managementFee <= MAX_MANAGEMENT_FEE, "Management fee too high");
+
+        emit FeesUpdated(performanceFee, fees.performanceFee, managementFee, fees.managementFee);
+        performanceFee = fees.performanceFee;
+        managementFee = fees.managementFee;
+    }
+
+    /**
+     * @dev Shares the management fee would mint if it were accrued now
+     */
+    function pendingManagementFee() public view returns (uint256) {
+        uint256 supply = totalSupply();
+        if (supply == 0 || managementFee == 0) {
+            return 0;
+        }
+        uint256 elapsed = block.timestamp - lastFeeAccrual;
+        return (supply * managementFee * elapsed) / (BASIS_POINTS * SECONDS_PER_YEAR);
+    }
+
+    /**
+     * @dev Mints the accrued management fee to the recipient
+     * @param recipient Address receiving the fee shares
+     * @return sharesMinted Amount of shares minted (18 decimals)
+     */
+    function _accrueManagementFee(address recipient) internal returns (uint256 sharesMinted) {
+        if (totalSupply() == 0) {
+            // Nothing to charge, and the next depositor starts from a NAV of 1.0
+            _resetFeeAccounting();
+            return 0;
+        }
+
+        sharesMinted = pendingManagementFee();
+        uint256 elapsed = block.timestamp - lastFeeAccrual;
+        lastFeeAccrual = block.timestamp;
+
+        if (sharesMinted > 0) {
+            _mint(recipient, sharesMinted);
+            emit ManagementFeeAccrued(recipient, sharesMinted, elapsed);
+        }
+    }
+
+    /**
+     * @dev Part of a profit that is subject to the performance fee: the gain above the value
+     *      the current shares had at the high-water mark, capped at the profit itself
+     * @param totalValue Vault value including the profit (USDT, 6 decimals)
+     * @param profitValue Profit being reported (USDT, 6 decimals)
+     * @return Chargeable profit (USDT, 6 decimals)
+     */
+    function _profitAboveHighWaterMark(uint256 totalValue, uint256 profitValue) internal view returns (uint256) {
+        uint256 highWaterMarkValue = Math.mulDiv(highWaterMark, totalSupply(), NAV_TO_USDT, Math.Rounding.Up);
+        if (totalValue <= highWaterMarkValue) {
+            return 0;
+        }
+        return Math.min(totalValue - highWaterMarkValue, profitValue);
+    }
+
+    /**
+     * @dev Raises the high-water mark to the given NAV if it is a new peak
+     * @param nav NAV per share after fees (18 decimals)
+     */
+    function _updateHighWaterMark(uint256 nav) internal {
+        if (nav > highWaterMark) {
+            emit HighWaterMarkUpdated(highWaterMark, nav);
+            highWaterMark = nav;
+        }
+    }
+
+    /**
+     * @dev Restarts fee accounting for a vault whose shares were all redeemed
+     */
+    function _resetFeeAccounting() private {
+        if (highWaterMark != 10 ** 18) {
+            emit HighWaterMarkUpdated(highWaterMark, 10 ** 18);
+            highWaterMark = 10 ** 18;
+        }
+        lastFeeAccrual = block.timestamp;
+    }
+}
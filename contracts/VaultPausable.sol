@@ -0,0 +1,96 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title VaultPausable
+ * @dev Pause switches and emergency mode shared by AoP1Vault and AoP2Vault
+ * @notice - Deposits, withdrawals and agent fund requests are paused independently, as bits of a mask
+ *         - Emergency mode pauses all three and lets holders exit pro-rata in kind, without pricing
+ *           their shares, from the assets the vault holds
+ *         - Operations stay paused until they are unpaused explicitly, which needs emergency mode off
+ *         The vaults decide who may pause and unpause, and check the switches in their entry points.
+ */
+abstract contract VaultPausable {
+    uint8 public constant PAUSE_DEPOSITS = 1;
+    uint8 public constant PAUSE_WITHDRAWALS = 2;    // Withdrawals, withdrawal requests and their settlement
+    uint8 public constant PAUSE_AGENT_FUNDS = 4;    // Agent fund requests; agents can still return funds
+    uint8 public constant PAUSE_ALL = PAUSE_DEPOSITS | PAUSE_WITHDRAWALS | PAUSE_AGENT_FUNDS;
+
+    uint8 public pausedOperations;
+    bool public emergencyMode;
+
+    error OperationPaused(uint8 operation);
+    error EmergencyModeInactive();
+
+    event Paused(address indexed account, uint8 operations);
+    event Unpaused(address indexed account, uint8 operations);
+    event EmergencyModeUpdated(address indexed account, bool enabled);
+
+    /**
+     * @dev Whether any of the given operations is paused
+     */
+    function isPaused(uint8 operations) public view returns (bool) {
+        return pausedOperations & operations != 0;
+    }
+
+    /**
+     * @dev Reverts if the operation is paused
+     */
+    function _requireNotPaused(uint8 operation) internal view {
+        if (isPaused(operation)) {
+            revert OperationPaused(operation);
+        }
+    }
+
+    /**
+     * @dev Reverts unless emergency mode is on
+     */
+    function _requireEmergencyMode() internal view {
+        if (!emergencyMode) {
+            revert EmergencyModeInactive();
+        }
+    }
+
+    /**
+     * @dev Pauses operations; only the ones not paused yet are reported in the event
+     * @param operations Bit mask of PAUSE_DEPOSITS, PAUSE_WITHDRAWALS and PAUSE_AGENT_FUNDS
+     */
+    function _pause(uint8 operations) internal {
+        _checkOperations(operations);
+        uint8 newlyPaused = operations & ~pausedOperations;
+        if (newlyPaused != 0) {
+            pausedOperations |= newlyPaused;
+            emit Paused(msg.sender, newlyPaused);
+        }
+    }
+
+    /**
+     * @dev Unpauses operations; only the ones that were paused are reported in the event
+     * @param operations Bit mask of PAUSE_DEPOSITS, PAUSE_WITHDRAWALS and PAUSE_AGENT_FUNDS
+     */
+    function _unpause(uint8 operations) internal {
+        _checkOperations(operations);
+        require(!emergencyMode, "Emergency mode active");
+        uint8 newlyUnpaused = operations & pausedOperations;
+        if (newlyUnpaused != 0) {
+            pausedOperations &= ~newlyUnpaused;
+            emit Unpaused(msg.sender, newlyUnpaused);
+        }
+    }
+
+    /**
+     * @dev Turns emergency mode on, pausing every operation, or off, leaving them paused
+     */
+    function _setEmergencyMode(bool enabled) internal {
+        require(emergencyMode != enabled, "Emergency mode unchanged");
+        if (enabled) {
+            _pause(PAUSE_ALL);
+        }
+        emergencyMode = enabled;
+        emit EmergencyModeUpdated(msg.sender, enabled);
+    }
+
+    function _checkOperations(uint8 operations) private pure {
+        require(operations != 0 && operations & ~PAUSE_ALL == 0, "Invalid operations");
+    }
+}
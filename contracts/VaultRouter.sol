@@ -0,0 +1,279 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/interfaces/IERC4626.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@pythnetwork/pyth-sdk-solidity/IPyth.sol";
+import "./AoP1Vault.sol";
+import "./AoP2Vault.sol";
+
+/**
+ * @dev The VaultFactory registry lookups the router needs, without importing the factory
+ */
+interface IVaultRegistry {
+    function usdtToken() external view returns (address);
+    function isVault(address vault) external view returns (bool);
+    function isAoP1Vault(address vault) external view returns (bool);
+    function isActiveVault(address vault) external view returns (bool);
+}
+
+/**
+ * @title VaultRouter
+ * @dev Entry point for deposits into the vaults deployed by a VaultFactory
+ * @notice - Deposits are credited to the caller or to a receiver who approved the caller as a depositor, as
+ *           they count toward the receiver's deposit limit and lockups; vaults only accept these from a
+ *           router the factory trusts
+ *         - Vaults the factory has retired take no deposits
+ *         - selfPermit approves the router with an EIP-2612 signature, so a USDT deposit needs one transaction
+ *         - multicall batches router calls, e.g. permit, price update and deposit, or deposit and stake
+ *         - Shares deposited to the router are only held within a multicall and only stake calls of the
+ *           same multicall take them, so a batch cannot stake shares it did not deposit
+ *         - Pyth updates are paid with the exact fee, and MON left in the router is refunded to the caller
+ *           at the end of every call, or of the multicall
+ *         The router holds no funds between transactions. Every entry point is payable so it can
+ *         run inside a multicall that carries MON.
+ */
+contract VaultRouter {
+    using SafeERC20 for IERC20;
+
+    IVaultRegistry public immutable factory;
+    IERC20 public immutable usdt;
+
+    // Set while multicall runs, so MON is refunded once at the end of the batch
+    bool private _batching;
+    // Shares deposited to the router in the running multicall and not staked yet
+    address private _heldVault;
+    uint256 private _heldShares;
+    // receiver => depositor => whether the depositor may deposit for the receiver
+    mapping(address => mapping(address => bool)) public isDepositorApproved;
+
+    event RouterDeposit(
+        address indexed vault,
+        address indexed sender,
+        address indexed receiver,
+        bool isMon,
+        uint256 amount,
+        uint256 shares
+    );
+    event DepositorApproval(address indexed receiver, address indexed depositor, bool approved);
+    event SharesStaked(address indexed vault, address indexed staking, address indexed receiver, uint256 shares, uint256 staked);
+
+    /**
+     * @param _factory VaultFactory whose vaults the router deposits into
+     */
+    constructor(address _factory) {
+        require(_factory != address(0), "Factory cannot be zero");
+        factory = IVaultRegistry(_factory);
+        usdt = IERC20(factory.usdtToken());
+    }
+
+    /**
+     * @dev Runs several router calls in one transaction, reverting all of them if one fails.
+     *      MON sent with the batch is shared by its calls and what is left is refunded at the end.
+     * @param data Encoded router calls
+     * @return results Return data of each call
+     */
+    function multicall(bytes[] calldata data) external payable returns (bytes[] memory results) {
+        require(!_batching, "Nested multicall");
+        _batching = true;
+        results = new bytes[](data.length);
+        for (uint256 i = 0; i < data.length; i++) {
+            results[i] = Address.functionDelegateCall(address(this), data[i]);
+        }
+        _batching = false;
+        require(_heldShares == 0, "Deposited shares not staked");
+        _refundMON();
+    }
+
+    /**
+     * @dev Approves the router to spend the caller's tokens with an EIP-2612 permit.
+     *      A permit that fails, e.g. because it was already submitted by someone else, is
+     *      accepted as long as the allowance it would have set is in place.
+     * @param token Token supporting EIP-2612
+     * @param value Allowance to grant the router
+     * @param deadline Permit deadline
+     */
+    function selfPermit(address token, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external payable {
+        try IERC20Permit(token).permit(msg.sender, address(this), value, deadline, v, r, s) {
+        } catch {
+            require(IERC20(token).allowance(msg.sender, address(this)) >= value, "Permit failed");
+        }
+        if (!_batching) {
+            _refundMON();
+        }
+    }
+
+    /**
+     * @dev Lets a depositor deposit into any vault on behalf of the caller, or stops them
+     * @param depositor Address depositing for the caller
+     * @param approved Whether the depositor may deposit for the caller
+     */
+    function setDepositorApproval(address depositor, bool approved) external payable {
+        isDepositorApproved[msg.sender][depositor] = approved;
+        emit DepositorApproval(msg.sender, depositor, approved);
+        if (!_batching) {
+            _refundMON();
+        }
+    }
+
+    /**
+     * @dev Pushes Pyth update data to an AoP1Vault's oracle, paying exactly the update fee
+     *      from the MON sent with the call
+     * @param vault AoP1Vault whose oracle to update
+     * @param priceUpdateData Pyth update data
+     */
+    function updatePriceFeeds(address vault, bytes[] calldata priceUpdateData) external payable {
+        require(factory.isAoP1Vault(vault), "Not an AoP1Vault");
+        _updatePriceFeeds(vault, priceUpdateData);
+        if (!_batching) {
+            _refundMON();
+        }
+    }
+
+    /**
+     * @dev Deposits the caller's USDT into a vault and credits the shares to the receiver.
+     *      Deposits into an AoP1Vault holding MON need a fresh price, which can be pushed with
+     *      updatePriceFeeds in the same multicall.
+     * @param vault Vault deployed by the factory
+     * @param receiver Address receiving the shares: the caller, a receiver who approved the caller, or
+     *        the router itself when a stake call later in the same multicall stakes them
+     * @param amount Amount of USDT to deposit (6 decimals), pulled from the caller
+     * @param minSharesOut Minimum shares the receiver must get
+     * @param deadline Last block timestamp the deposit may execute at
+     * @return shares Amount of shares issued
+     */
+    function depositUSDT(
+        address vault,
+        address receiver,
+        uint256 amount,
+        uint256 minSharesOut,
+        uint256 deadline
+    ) external payable returns (uint256 shares) {
+        require(factory.isVault(vault), "Unknown vault");
+        require(factory.isActiveVault(vault), "Vault is retired");
+        _checkReceiver(receiver);
+        usdt.safeTransferFrom(msg.sender, address(this), amount);
+        usdt.forceApprove(vault, amount);
+
+        if (factory.isAoP1Vault(vault)) {
+            shares = AoP1Vault(payable(vault)).depositUSDTFor(receiver, amount, minSharesOut, deadline);
+        } else {
+            shares = AoP2Vault(vault).depositFor(receiver, amount, minSharesOut, deadline);
+        }
+        if (receiver == address(this)) {
+            _holdShares(vault, shares);
+        }
+        emit RouterDeposit(vault, msg.sender, receiver, false, amount, shares);
+        if (!_batching) {
+            _refundMON();
+        }
+    }
+
+    /**
+     * @dev Deposits MON into an AoP1Vault and credits the shares to the receiver.
+     *      The Pyth update fee is paid on top of monAmount; MON left over is refunded.
+     * @param vault AoP1Vault deployed by the factory
+     * @param receiver Address receiving the shares: the caller, a receiver who approved the caller, or
+     *        the router itself when a stake call later in the same multicall stakes them
+     * @param monAmount Amount of MON to deposit (18 decimals), taken from the MON sent with the call
+     * @param priceUpdateData Optional Pyth update data
+     * @param minSharesOut Minimum shares the receiver must get
+     * @param deadline Last block timestamp the deposit may execute at
+     * @return shares Amount of shares issued
+     */
+    function depositMON(
+        address vault,
+        address receiver,
+        uint256 monAmount,
+        bytes[] calldata priceUpdateData,
+        uint256 minSharesOut,
+        uint256 deadline
+    ) external payable returns (uint256 shares) {
+        require(factory.isAoP1Vault(vault), "Not an AoP1Vault");
+        require(factory.isActiveVault(vault), "Vault is retired");
+        _checkReceiver(receiver);
+        _updatePriceFeeds(vault, priceUpdateData);
+        shares = AoP1Vault(payable(vault)).depositMONFor{value: monAmount}(receiver, minSharesOut, deadline);
+        if (receiver == address(this)) {
+            _holdShares(vault, shares);
+        }
+        emit RouterDeposit(vault, msg.sender, receiver, true, monAmount, shares);
+        if (!_batching) {
+            _refundMON();
+        }
+    }
+
+    /**
+     * @dev Stakes the shares deposited to the router earlier in the same multicall into an
+     *      ERC-4626 staking vault whose asset is the vault's share token. Vaults with a lockup or
+     *      early exit period cannot move fresh shares, so there the receiver deposits and stakes.
+     * @param vault Vault deployed by the factory
+     * @param staking ERC-4626 vault that takes the vault's shares as its asset
+     * @param receiver Address receiving the staking shares
+     * @param minStakedOut Minimum staking shares the receiver must get
+     * @return staked Amount of staking shares issued
+     */
+    function stake(address vault, address staking, address receiver, uint256 minStakedOut) external payable returns (uint256 staked) {
+        require(factory.isVault(vault), "Unknown vault");
+        require(IERC4626(staking).asset() == vault, "Staking asset mismatch");
+
+        require(vault == _heldVault && _heldShares > 0, "No shares to stake");
+        uint256 shares = _heldShares;
+        _heldShares = 0;
+        _heldVault = address(0);
+        IERC20(vault).forceApprove(staking, shares);
+        staked = IERC4626(staking).deposit(shares, receiver);
+        require(staked >= minStakedOut, "Insufficient staked amount");
+        emit SharesStaked(vault, staking, receiver, shares, staked);
+        if (!_batching) {
+            _refundMON();
+        }
+    }
+
+    /**
+     * @dev Deposits use up the receiver's deposit limit and lock their shares, so the caller must be the
+     *      receiver or approved by them; deposits to the router are checked when its shares are held
+     */
+    function _checkReceiver(address receiver) private view {
+        require(
+            receiver == msg.sender || receiver == address(this) || isDepositorApproved[receiver][msg.sender],
+            "Depositor not approved by receiver"
+        );
+    }
+
+    /**
+     * @dev Records shares deposited to the router for a stake call later in the multicall
+     */
+    function _holdShares(address vault, uint256 shares) private {
+        require(_batching, "Router only holds shares within a multicall");
+        require(_heldShares == 0 || _heldVault == vault, "Shares of another vault not staked");
+        (uint256 lockupPeriod, , uint256 earlyExitPeriod, ) = DepositLockups(vault).lockupConfig();
+        require(lockupPeriod == 0 && earlyExitPeriod == 0, "Vault locks deposits, stake from the receiver");
+        _heldVault = vault;
+        _heldShares += shares;
+    }
+
+    /**
+     * @dev Pays the update fee from the router's MON balance and pushes the update
+     */
+    function _updatePriceFeeds(address vault, bytes[] calldata priceUpdateData) private {
+        if (priceUpdateData.length > 0) {
+            IPyth pyth = AoP1Vault(payable(vault)).pyth();
+            uint256 fee = pyth.getUpdateFee(priceUpdateData);
+            pyth.updatePriceFeeds{value: fee}(priceUpdateData);
+        }
+    }
+
+    /**
+     * @dev Returns the MON the router holds to the caller
+     */
+    function _refundMON() private {
+        uint256 balance = address(this).balance;
+        if (balance > 0) {
+            Address.sendValue(payable(msg.sender), balance);
+        }
+    }
+}
@@ -0,0 +1,238 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title WithdrawalQueue
+ * @dev Asynchronous redemptions shared by AoP1Vault and AoP2Vault, for when liquidity is out with agents
+ * @notice - Requesting a withdrawal locks the owner's shares in the vault; they still count as the
+ *           owner's in lockedShares until the request is settled or cancelled
+ *         - Requests are settled first in, first out, at the NAV when they are settled; settling burns
+ *           the shares and sets the payout aside so it no longer counts as vault value or liquidity
+ *         - Owners can cancel a request until it is settled, and claim the payout once it is
+ *         - Requests wait out the vault's notice period before they can be settled
+ *         The vaults price requests, report their free liquidity and notice period, and pay out claims.
+ */
+abstract contract WithdrawalQueue is ERC20 {
+    enum WithdrawalStatus { None, Pending, Settled, Claimed, Cancelled }
+
+    struct WithdrawalRequest {
+        address owner;
+        address asset;        // Payout asset; AoP1Vault uses address(0) for MON
+        uint256 shares;       // Shares locked in the vault (18 decimals)
+        uint256 assets;       // Payout in the asset's decimals, set on settlement
+        uint256 requestedAt;
+        uint256 settledAt;
+        WithdrawalStatus status;
+    }
+
+    // Requests settled automatically when an agent returns funds, to bound the gas it pays
+    uint256 public constant MAX_AUTO_SETTLEMENTS = 20;
+
+    WithdrawalRequest[] public withdrawalRequests;
+    uint256 public nextWithdrawalToSettle;   // Head of the FIFO queue
+    uint256 public pendingWithdrawalCount;   // Requests waiting to be settled
+    uint256 public pendingWithdrawalShares;  // Shares locked by those requests
+    // asset => payouts settled but not yet claimed
+    mapping(address => uint256) public claimableWithdrawals;
+    // owner => shares locked by their pending requests
+    mapping(address => uint256) public lockedShares;
+    mapping(address => uint256[]) private _userWithdrawalRequests;
+
+    event WithdrawalRequested(uint256 indexed requestId, address indexed owner, address asset, uint256 shares);
+    event WithdrawalSettled(uint256 indexed requestId, address indexed owner, uint256 assets, uint256 shares);
+    event WithdrawalCancelled(uint256 indexed requestId, address indexed owner, uint256 shares);
+    event WithdrawalClaimed(uint256 indexed requestId, address indexed owner, uint256 assets);
+
+    /**
+     * @dev Number of requests ever made, including settled, claimed and cancelled ones
+     */
+    function withdrawalRequestCount() external view returns (uint256) {
+        return withdrawalRequests.length;
+    }
+
+    /**
+     * @dev Requests waiting to be settled and the shares they lock
+     */
+    function withdrawalQueueDepth() external view returns (uint256 requests, uint256 shares) {
+        return (pendingWithdrawalCount, pendingWithdrawalShares);
+    }
+
+    /**
+     * @dev A user's requests that are still pending or settled but unclaimed
+     * @param user Address of the request owner
+     * @return ids Request IDs, oldest first
+     * @return requests The matching requests
+     */
+    function getOpenWithdrawalRequests(address user) external view returns (
+        uint256[] memory ids,
+        WithdrawalRequest[] memory requests
+    ) {
+        uint256[] storage userIds = _userWithdrawalRequests[user];
+        uint256 open;
+        for (uint256 i = 0; i < userIds.length; i++) {
+            if (_isOpen(withdrawalRequests[userIds[i]].status)) {
+                open++;
+            }
+        }
+
+        ids = new uint256[](open);
+        requests = new WithdrawalRequest[](open);
+        uint256 index;
+        for (uint256 i = 0; i < userIds.length; i++) {
+            WithdrawalRequest storage request = withdrawalRequests[userIds[i]];
+            if (_isOpen(request.status)) {
+                ids[index] = userIds[i];
+                requests[index] = request;
+                index++;
+            }
+        }
+    }
+
+    /**
+     * @dev Locks the owner's shares in the vault and queues them for redemption
+     * @param owner Address whose shares are locked
+     * @param shares Amount of shares to redeem (18 decimals)
+     * @param asset Asset the request is paid out in
+     * @return requestId ID of the new request
+     */
+    function _requestWithdrawal(address owner, uint256 shares, address asset) internal returns (uint256 requestId) {
+        require(shares > 0, "Amount must be greater than 0");
+        require(balanceOf(owner) >= shares, "Insufficient shares");
+
+        // Counted as locked before they move, so the owner's position never looks empty
+        lockedShares[owner] += shares;
+        _transfer(owner, address(this), shares);
+
+        requestId = withdrawalRequests.length;
+        withdrawalRequests.push(WithdrawalRequest({
+            owner: owner,
+            asset: asset,
+            shares: shares,
+            assets: 0,
+            requestedAt: block.timestamp,
+            settledAt: 0,
+            status: WithdrawalStatus.Pending
+        }));
+        _userWithdrawalRequests[owner].push(requestId);
+        pendingWithdrawalCount++;
+        pendingWithdrawalShares += shares;
+
+        emit WithdrawalRequested(requestId, owner, asset, shares);
+    }
+
+    /**
+     * @dev Returns the locked shares of a pending request to its owner
+     * @param requestId ID of the request
+     */
+    function _cancelWithdrawal(uint256 requestId) internal {
+        WithdrawalRequest storage request = _ownedRequest(requestId);
+        require(request.status == WithdrawalStatus.Pending, "Request not pending");
+
+        request.status = WithdrawalStatus.Cancelled;
+        pendingWithdrawalCount--;
+        pendingWithdrawalShares -= request.shares;
+        lockedShares[request.owner] -= request.shares;
+        _transfer(address(this), request.owner, request.shares);
+
+        emit WithdrawalCancelled(requestId, request.owner, request.shares);
+    }
+
+    /**
+     * @dev Marks a settled request as claimed; the vault pays out the returned amount
+     * @param requestId ID of the request
+     * @return asset Asset to pay out
+     * @return assets Amount to pay out, in the asset's decimals
+     */
+    function _claimWithdrawal(uint256 requestId) internal returns (address asset, uint256 assets) {
+        WithdrawalRequest storage request = _ownedRequest(requestId);
+        require(request.status == WithdrawalStatus.Settled, "Request not settled");
+
+        request.status = WithdrawalStatus.Claimed;
+        asset = request.asset;
+        assets = request.assets;
+        claimableWithdrawals[asset] -= assets;
+
+        emit WithdrawalClaimed(requestId, request.owner, assets);
+    }
+
+    /**
+     * @dev Settles pending requests in order until one is still in its notice period, or cannot be priced
+     *      or paid from free liquidity
+     * @param maxRequests Maximum number of queue entries to process, cancelled ones included
+     * @return settled Number of requests settled
+     */
+    function _settleWithdrawals(uint256 maxRequests) internal returns (uint256 settled) {
+        uint256 length = withdrawalRequests.length;
+        uint256 next = nextWithdrawalToSettle;
+        uint256 noticePeriod = _withdrawalNoticePeriod();
+
+        for (uint256 processed = 0; processed < maxRequests && next < length; processed++) {
+            WithdrawalRequest storage request = withdrawalRequests[next];
+            if (request.status == WithdrawalStatus.Pending) {
+                // Requests are in the order they were made, so later ones are still in their notice too
+                if (block.timestamp < request.requestedAt + noticePeriod) {
+                    break;
+                }
+                (bool priced, uint256 assets) = _withdrawalValue(request.owner, request.shares, request.asset);
+                // Later requests wait behind this one to keep the queue first in, first out
+                if (!priced || assets > _withdrawalLiquidity(request.asset)) {
+                    break;
+                }
+
+                _burn(address(this), request.shares);
+                request.assets = assets;
+                request.settledAt = block.timestamp;
+                request.status = WithdrawalStatus.Settled;
+                claimableWithdrawals[request.asset] += assets;
+                pendingWithdrawalCount--;
+                pendingWithdrawalShares -= request.shares;
+                lockedShares[request.owner] -= request.shares;
+
+                _afterWithdrawalSettled(request.owner, request.asset, request.shares, assets);
+                emit WithdrawalSettled(next, request.owner, assets, request.shares);
+                settled++;
+            }
+            next++;
+        }
+
+        nextWithdrawalToSettle = next;
+    }
+
+    /**
+     * @dev Value of an owner's shares in the payout asset at the current NAV, less any fee they owe on exit
+     * @return priced False if the vault cannot price the asset right now, which pauses settlement
+     * @return assets Payout in the asset's decimals
+     */
+    function _withdrawalValue(address owner, uint256 shares, address asset) internal view virtual returns (bool priced, uint256 assets);
+
+    /**
+     * @dev Seconds a request waits after it was made before it can be settled
+     */
+    function _withdrawalNoticePeriod() internal view virtual returns (uint256);
+
+    /**
+     * @dev Amount of an asset held by the vault that is free to pay out
+     */
+    function _withdrawalLiquidity(address asset) internal view virtual returns (uint256);
+
+    /**
+     * @dev Removes a settled payout from the vault's accounted value
+     * @param owner Owner of the request
+     * @param asset Payout asset
+     * @param shares Shares burned, no longer counted in the owner's lockedShares
+     * @param assets Payout in the asset's decimals
+     */
+    function _afterWithdrawalSettled(address owner, address asset, uint256 shares, uint256 assets) internal virtual;
+
+    function _ownedRequest(uint256 requestId) private view returns (WithdrawalRequest storage request) {
+        require(requestId < withdrawalRequests.length, "Unknown request");
+        request = withdrawalRequests[requestId];
+        require(request.owner == msg.sender, "Not request owner");
+    }
+
+    function _isOpen(WithdrawalStatus status) private pure returns (bool) {
+        return status == WithdrawalStatus.Pending || status == WithdrawalStatus.Settled;
+    }
+}
@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@pythnetwork/pyth-sdk-solidity/MockPyth.sol";
+
+/**
+ * @title MockPythOracle
+ * @dev A mock Pyth Network oracle for testing purposes
+ * @notice Extends the Pyth SDK mock with a setter so tests can move the price,
+ *         exponent and publish time directly without building update data
+ */
+contract MockPythOracle is MockPyth {
+    /**
+     * @dev Constructor to initialize the mock oracle
+     * @param _validTimePeriod Default staleness window used by the deprecated getPrice
+     * @param _singleUpdateFeeInWei Fee charged per price update item
+     */
+    constructor(
+        uint256 _validTimePeriod,
+        uint256 _singleUpdateFeeInWei
+    ) MockPyth(_validTimePeriod, _singleUpdateFeeInWei) {}
+
+    /**
+     * @dev Overwrites the stored price for a feed, regardless of the current publish time
+     * @param id Price feed ID
+     * @param price Raw price in Pyth fixed-point representation
+     * @param conf Confidence interval in the same representation as the price
+     * @param expo Price exponent
+     * @param publishTime Unix timestamp the price is reported as published at
+     */
+    function setPrice(
+        bytes32 id,
+        int64 price,
+        uint64 conf,
+        int32 expo,
+        uint64 publishTime
+    ) external {
+        PythStructs.PriceFeed storage feed = priceFeeds[id];
+        feed.id = id;
+        feed.price = PythStructs.Price(price, conf, expo, publishTime);
+        feed.emaPrice = PythStructs.Price(price, conf, expo, publishTime);
+
+        emit PriceFeedUpdate(id, publishTime, price, conf);
+    }
+}
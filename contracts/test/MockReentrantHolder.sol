@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+interface IAoP1VaultMON {
+    function depositMON(bytes[] calldata priceUpdateData) external payable;
+    function withdraw(uint256 shareAmount, bool withdrawAsMon, bytes[] calldata priceUpdateData) external payable;
+}
+
+/**
+ * @title MockReentrantHolder
+ * @dev An AoP1Vault holder that moves its remaining shares away while receiving a MON withdrawal
+ * @notice This contract is only for testing and not meant for production use
+ */
+contract MockReentrantHolder {
+    address public immutable vault;
+    address public immutable shareRecipient;
+
+    constructor(address _vault, address _shareRecipient) {
+        vault = _vault;
+        shareRecipient = _shareRecipient;
+    }
+
+    function depositMON() external payable {
+        IAoP1VaultMON(vault).depositMON{value: msg.value}(new bytes[](0));
+    }
+
+    function withdrawMON(uint256 shareAmount) external {
+        IAoP1VaultMON(vault).withdraw(shareAmount, true, new bytes[](0));
+    }
+
+    receive() external payable {
+        uint256 shares = IERC20(vault).balanceOf(address(this));
+        if (shares > 0) {
+            IERC20(vault).transfer(shareRecipient, shares);
+        }
+    }
+}
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
+
+/**
+ * @title MockStakingVault
+ * @dev A plain ERC-4626 vault over a vault's share token, standing in for a staking contract
+ * @notice This contract is only for testing and not meant for production use
+ */
+contract MockStakingVault is ERC4626 {
+    constructor(IERC20 shareToken) ERC20("Staked Vault Shares", "stkAOP") ERC4626(shareToken) {}
+}
@@ -2,16 +2,17 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
 /**
  * @title MockUSDT
- * @dev A mock USDT token for testing purposes
+ * @dev A mock USDT token for testing purposes, with EIP-2612 permit
  * @notice This contract is only for testing and not meant for production use
  */
-contract MockUSDT is ERC20 {
+contract MockUSDT is ERC20Permit {
     uint8 private _decimals = 6; // USDT has 6 decimals
     
-    constructor() ERC20("Mock USDT", "mUSDT") {
+    constructor() ERC20("Mock USDT", "mUSDT") ERC20Permit("Mock USDT") {
         // Mint 1 million USDT (with 6 decimals) to the deployer
         _mint(msg.sender, 1000000 * 10**6);
     }
@@ -1,5 +1,7 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+require("./tasks/vault");
+require("./tasks/backtest");
 
 // Default private key (ONLY FOR DEVELOPMENT, NEVER USE IN PRODUCTION)
 const PRIVATE_KEY = process.env.PRIVATE_KEY || "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
@@ -16,6 +18,11 @@ module.exports = {
     }
   },
   networks: {
+    hardhat: {
+      // The vaults and VaultFactory are above Ethereum's 24KB limit and target Monad's 128KB one
+      // instead. This lifts every limit locally, so test/contract-size.test.js checks Monad's.
+      allowUnlimitedContractSize: true
+    },
     monadTestnet: {
       url: "https://testnet-rpc.monad.xyz",
       chainId: 10143,
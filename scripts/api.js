@@ -0,0 +1,48 @@
+const hre = require("hardhat");
+const { resolveFactory } = require("./lib/vaults");
+const { DEFAULT_PORT, VaultApi, startApiServer } = require("./lib/api");
+
+/**
+ * Read-only JSON API serving vault statistics, user positions, NAV history and the MON/USD price.
+ *
+ *   npx hardhat run scripts/api.js --network monadTestnet
+ *
+ * Routes: /vaults, /vaults/:address, /vaults/:address/nav?from&to&interval,
+ * /vaults/:address/users/:user and /prices/mon-usd.
+ *
+ * The factory address comes from deployment-info.json. Environment variables:
+ * - API_PORT: port to listen on (default 8080)
+ * - API_FACTORY: VaultFactory address, overriding the recorded one
+ * - API_START_BLOCK: first block scanned for VaultDeployed events, normally the factory's deployment block (default 0)
+ * - API_MAX_PRICE_AGE: seconds after which the MON/USD price is reported stale (default: the smallest
+ *   maxPriceAge of the factory's AoP1Vaults)
+ */
+async function main() {
+  const factory = await resolveFactory(hre, process.env.API_FACTORY);
+  const api = new VaultApi({
+    hre,
+    factory,
+    startBlock: Number(process.env.API_START_BLOCK || 0),
+    maxPriceAge: process.env.API_MAX_PRICE_AGE ? Number(process.env.API_MAX_PRICE_AGE) : null,
+    log: (message) => console.log(`[${new Date().toISOString()}] ${message}`)
+  });
+
+  const port = Number(process.env.API_PORT || DEFAULT_PORT);
+  const server = await startApiServer(api, port);
+  console.log(`VaultFactory: ${await factory.getAddress()}`);
+  console.log(`Serving the vault API on http://localhost:${port}`);
+
+  const shutdown = () => {
+    console.log("Stopping API server...");
+    server.close();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  await new Promise((resolve) => server.on("close", resolve));
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -1,16 +1,14 @@
-const { ethers } = require("hardhat");
-const fs = require("fs");
+const { ethers, network } = require("hardhat");
+const { getChainDeployment } = require("./lib/deployment");
 
 // Get deployed contract information
-let deploymentInfo;
-try {
-  deploymentInfo = JSON.parse(fs.readFileSync("./deployment-info.json"));
-  console.log("Loaded deployment info from file");
-} catch (error) {
-  console.error("Could not load deployment info:", error.message);
+const deploymentInfo = getChainDeployment(network.config.chainId);
+if (!deploymentInfo || !deploymentInfo.testContracts || !deploymentInfo.testContracts.pythPriceTest) {
+  console.error(`No PythPriceTest deployment recorded for ${network.name}`);
   console.error("Please run deploy-pyth-test.js first");
   process.exit(1);
 }
+console.log("Loaded deployment info from file");
 
 // Helper function to format numbers with price exponent
 function formatPriceWithExpo(price, expo) {
@@ -23,7 +21,7 @@ async function main() {
     console.log(`Using account: ${deployer.address}`);
     
     // Connect to the deployed contract
-    const pythPriceTestAddress = deploymentInfo.pythPriceTest;
+    const pythPriceTestAddress = deploymentInfo.testContracts.pythPriceTest;
     console.log(`Connecting to PythPriceTest at: ${pythPriceTestAddress}`);
     
     const PythPriceTest = await ethers.getContractFactory("PythPriceTest");
@@ -1,4 +1,5 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { deploymentInfoPath, loadDeploymentInfo, saveDeploymentInfo } = require("./lib/deployment");
 
 // Constants for Monad testnet
 const PYTH_ADDRESS = "0xad2B52D2af1a9bD5c561894Cdd84f7505e1CD0B5";
@@ -43,21 +44,16 @@ async function main() {
       console.error("Error getting current price:", error.message);
     }
     
-    // Write deployment info to a file
-    const fs = require("fs");
-    const deploymentInfo = {
-      network: "monadTestnet",
-      pythPriceTest: contractAddress,
-      pythAddress: PYTH_ADDRESS,
-      monUsdPriceId: MON_USD_PRICE_ID,
-      deployTime: new Date().toISOString(),
-    };
+    // Record the test contract alongside the rest of this chain's deployment
+    const chainId = (await ethers.provider.getNetwork()).chainId.toString();
+    const infoPath = deploymentInfoPath(chainId);
+    const deploymentInfo = loadDeploymentInfo(infoPath);
+    const record = deploymentInfo[chainId] || { network: network.name };
+    record.testContracts = { ...(record.testContracts || {}), pythPriceTest: contractAddress };
+    deploymentInfo[chainId] = record;
     
-    fs.writeFileSync(
-      "./deployment-info.json", 
-      JSON.stringify(deploymentInfo, null, 2)
-    );
-    console.log("Deployment info saved to deployment-info.json");
+    saveDeploymentInfo(infoPath, deploymentInfo);
+    console.log(`Deployment info saved to ${infoPath}`);
     
   } catch (error) {
     console.error("Error in deployment:", error);
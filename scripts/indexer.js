@@ -0,0 +1,65 @@
+const hre = require("hardhat");
+const { getDeployment } = require("./lib/vaults");
+const { DEFAULT_CONFIRMATIONS, DEFAULT_BATCH_SIZE, VaultIndexer, openDatabase } = require("./lib/indexer");
+
+/**
+ * Long-running indexer that mirrors vault activity and NAV history into SQLite.
+ *
+ *   npx hardhat run scripts/indexer.js --network monadTestnet
+ *
+ * The factory address comes from deployment-info.json. Environment variables:
+ * - INDEXER_DB: SQLite file to write (default indexer.<chainId>.sqlite)
+ * - INDEXER_FACTORY: VaultFactory address, overriding the recorded one
+ * - INDEXER_START_BLOCK: first block to index, normally the factory's deployment block (default 0)
+ * - INDEXER_CONFIRMATIONS: blocks to stay behind the chain head (default 5)
+ * - INDEXER_BATCH_SIZE: blocks fetched per eth_getLogs call (default 2000)
+ * - INDEXER_POLL_INTERVAL: milliseconds between syncs (default 5000)
+ * - INDEXER_ONCE: set to "true" to index up to the current head and exit
+ */
+async function main() {
+  const { chainId, record } = await getDeployment(hre);
+  const factoryAddress = process.env.INDEXER_FACTORY || (record && record.factory);
+  if (!factoryAddress) {
+    throw new Error(`No VaultFactory recorded for chainId ${chainId}; set INDEXER_FACTORY or run scripts/deploy.js first`);
+  }
+
+  const file = process.env.INDEXER_DB || `indexer.${chainId}.sqlite`;
+  const db = openDatabase(file);
+  const indexer = new VaultIndexer({
+    provider: hre.ethers.provider,
+    factoryAddress,
+    db,
+    startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || DEFAULT_CONFIRMATIONS),
+    batchSize: Number(process.env.INDEXER_BATCH_SIZE || DEFAULT_BATCH_SIZE),
+    pollInterval: Number(process.env.INDEXER_POLL_INTERVAL || 5000),
+    log: (message) => console.log(`[${new Date().toISOString()}] ${message}`)
+  });
+
+  console.log(`VaultFactory: ${factoryAddress}`);
+  console.log(`Database: ${file}`);
+
+  if (process.env.INDEXER_ONCE === "true") {
+    const result = await indexer.sync();
+    console.log(result.toBlock === null
+      ? "Already up to date"
+      : `Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.vaults} vaults, ${result.events} events`);
+    db.close();
+    return;
+  }
+
+  const shutdown = () => {
+    console.log("Stopping indexer...");
+    indexer.stop();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  await indexer.start();
+  db.close();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
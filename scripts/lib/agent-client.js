@@ -0,0 +1,355 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { USDT_DECIMALS, MON_DECIMALS, BASIS_POINTS } = require("./vaults");
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "..", "artifacts");
+
+// Source file of each contract the client talks to, relative to the artifacts directory
+const ARTIFACT_SOURCES = {
+  AoP1Vault: "contracts/AoP1Vault.sol",
+  AoP2Vault: "contracts/AoP2Vault.sol",
+  IERC20: "@openzeppelin/contracts/token/ERC20/IERC20.sol",
+  IPyth: "@pythnetwork/pyth-sdk-solidity/IPyth.sol"
+};
+
+const ASSETS = ["USDT", "MON"];
+
+/**
+ * @typedef {"USDT" | "MON"} Asset
+ *
+ * @typedef {object} Allocation
+ * @property {Asset} asset
+ * @property {bigint} principal Outstanding principal, in the asset's decimals
+ * @property {bigint} creditLimit Maximum outstanding principal, in the asset's decimals
+ * @property {bigint} available Principal the agent can still draw under its credit limit
+ *
+ * @typedef {object} PnlReport The arguments of the vaults' returnFunds
+ * @property {bigint} principal Principal being repaid, in the asset's decimals
+ * @property {bigint} pnl Profit (positive) or loss (negative), in the asset's decimals
+ *
+ * @typedef {object} RequestResult
+ * @property {string} hash Transaction hash
+ * @property {number} blockNumber
+ * @property {Asset} asset
+ * @property {bigint} amount Amount drawn, from AgentFundRequest
+ *
+ * @typedef {object} ReturnResult
+ * @property {string} hash Transaction hash
+ * @property {number} blockNumber
+ * @property {Asset} asset
+ * @property {bigint} principal Principal repaid, from AgentPnLReported
+ * @property {bigint} pnl Profit or loss reported, from AgentPnLReported
+ * @property {bigint} returned Amount handed back to the vault, from FundsReturned
+ * @property {bigint} performanceFee Fee charged on the profit in the asset, from ProfitDistributed, 0 without one
+ * @property {bigint} navBefore NAV per share before the return (18 decimals), from NavUpdated
+ * @property {bigint} navAfter NAV per share after the return (18 decimals), from NavUpdated
+ * @property {bigint} priceUpdateFee Pyth fee paid for the MON/USD update sent with the return, 0 without one
+ */
+
+/**
+ * Reads a contract's ABI from the Hardhat artifacts, so the client always matches the compiled contracts
+ */
+function loadAbi(contractName, artifactsDir = ARTIFACTS_DIR) {
+  const source = ARTIFACT_SOURCES[contractName];
+  if (!source) {
+    throw new Error(`Unknown contract "${contractName}"`);
+  }
+  const file = path.join(artifactsDir, source, `${contractName}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No artifact for ${contractName} at ${file}; run npx hardhat compile first`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8")).abi;
+}
+
+/**
+ * Converts a bigint, or a decimal string such as "12.5", to an amount in the asset's decimals
+ */
+function toUnits(value, asset) {
+  if (typeof value === "string") {
+    return ethers.parseUnits(value, asset === "MON" ? MON_DECIMALS : USDT_DECIMALS);
+  }
+  return BigInt(value);
+}
+
+/**
+ * Turns a trade into the principal and signed PnL returnFunds expects
+ * @param {bigint} principal Principal drawn for the trade
+ * @param {bigint} proceeds What the trade is worth now, in the same asset
+ * @return {PnlReport}
+ */
+function toPnlReport(principal, proceeds) {
+  if (principal < 0n || proceeds < 0n) {
+    throw new Error("Principal and proceeds cannot be negative");
+  }
+  if (principal === 0n && proceeds === 0n) {
+    throw new Error("Nothing to return");
+  }
+  return { principal, pnl: proceeds - principal };
+}
+
+/**
+ * Client for trading agents, wrapping AoP1Vault and AoP2Vault behind one interface.
+ * - Sends transactions through a NonceManager, so calls can be made without waiting for each other
+ * - Approves the USDT an agent hands back when the vault's allowance falls short
+ * - Fetches MON/USD update data for AoP1Vault and pays the exact Pyth fee for it
+ * - Decodes the vault's events into plain results
+ */
+class AgentClient {
+  /**
+   * Use AgentClient.connect, which works out the vault type
+   * @param options.vault Vault address
+   * @param options.type "AoP1Vault" or "AoP2Vault"; AoP2Vault4626 vaults are AoP2Vaults to agents
+   * @param options.signer Signer of an account with the vault's AGENT_ROLE
+   * @param options.priceSource Source with a fetchLatest() method returning { updateData } (see createHermesSource),
+   *        needed on AoP1Vault whenever the on-chain MON/USD price may be stale
+   * @param options.artifactsDir Hardhat artifacts directory the ABIs are read from
+   */
+  constructor({ vault, type, signer, priceSource = null, artifactsDir = ARTIFACTS_DIR }) {
+    if (type !== "AoP1Vault" && type !== "AoP2Vault") {
+      throw new Error(`Unsupported vault type "${type}"`);
+    }
+    this.type = type;
+    this.address = ethers.getAddress(vault);
+    this.signer = signer instanceof ethers.NonceManager ? signer : new ethers.NonceManager(signer);
+    this.priceSource = priceSource;
+    this.artifactsDir = artifactsDir;
+    this.vault = new ethers.Contract(this.address, loadAbi(type, artifactsDir), this.signer);
+  }
+
+  /**
+   * Connects to a vault, telling AoP1Vault from AoP2Vault by whether it holds MON
+   */
+  static async connect({ vault, signer, type, ...options }) {
+    let vaultType = type;
+    if (!vaultType) {
+      const probe = new ethers.Contract(vault, loadAbi("AoP1Vault", options.artifactsDir), signer);
+      vaultType = await probe.totalMonValue().then(() => "AoP1Vault", () => "AoP2Vault");
+    }
+    return new AgentClient({ vault, signer, type: vaultType, ...options });
+  }
+
+  async getAddress() {
+    return this.signer.getAddress();
+  }
+
+  /**
+   * The agent's outstanding principal and credit limit in an asset
+   * @param {Asset} asset
+   * @return {Promise<Allocation>}
+   */
+  async getAllocation(asset = "USDT") {
+    const allocation = await this.vault.agentAllocations(await this.getAddress(), await this._assetKey(asset));
+    return {
+      asset,
+      principal: allocation.principal,
+      creditLimit: allocation.creditLimit,
+      available: allocation.creditLimit > allocation.principal ? allocation.creditLimit - allocation.principal : 0n
+    };
+  }
+
+  /**
+   * Draws funds from the vault within the agent's credit limit
+   * @param {bigint | string} amount Amount in the asset's decimals, or a decimal string
+   * @param {{ asset?: Asset }} options
+   * @return {Promise<RequestResult>}
+   */
+  async requestFunds(amount, { asset = "USDT" } = {}) {
+    this._checkAsset(asset);
+    const value = toUnits(amount, asset);
+
+    let receipt;
+    if (this.type === "AoP1Vault") {
+      // Only a max allocation makes the vault value the agent's position, which needs a usable price
+      if ((await this.vault.maxAgentAllocation()) < BASIS_POINTS) {
+        await this.pushPriceUpdate();
+      }
+      receipt = await this._send("requestFunds(uint256,bool)", [value, asset === "MON"]);
+    } else {
+      receipt = await this._send("requestFunds(uint256)", [value]);
+    }
+
+    const event = this._findEvent(receipt, "AgentFundRequest");
+    return { hash: receipt.hash, blockNumber: receipt.blockNumber, asset, amount: event.args.amount };
+  }
+
+  /**
+   * Hands principal back to the vault with the profit or loss made on it
+   * @param {{ principal: bigint | string, pnl: bigint | string, asset?: Asset }} report
+   * @return {Promise<ReturnResult>}
+   */
+  async returnFunds({ principal, pnl, asset = "USDT" }) {
+    this._checkAsset(asset);
+    const report = { principal: toUnits(principal, asset), pnl: toUnits(pnl, asset) };
+    const returned = report.principal + report.pnl;
+    if (report.principal === 0n && report.pnl <= 0n) {
+      throw new Error("Nothing to return");
+    }
+    if (returned < 0n) {
+      throw new Error("Loss exceeds principal");
+    }
+    const { principal: outstanding } = await this.getAllocation(asset);
+    if (report.principal > outstanding) {
+      throw new Error(`Principal ${report.principal} exceeds the ${outstanding} outstanding`);
+    }
+
+    if (asset === "USDT" && returned > 0n) {
+      await this._approveUsdt(returned);
+    }
+
+    let receipt;
+    let priceUpdateFee = 0n;
+    if (this.type === "AoP2Vault") {
+      receipt = await this._send("returnFunds(uint256,int256)", [report.principal, report.pnl]);
+    } else {
+      // The vault takes the update fee out of msg.value before counting the MON returned
+      const update = await this.fetchPriceUpdate();
+      priceUpdateFee = update ? update.fee : 0n;
+      receipt = await this._send(
+        "returnFunds(uint256,int256,bool,bytes[])",
+        [report.principal, report.pnl, asset === "MON", update ? update.updateData : []],
+        { value: (asset === "MON" ? returned : 0n) + priceUpdateFee }
+      );
+    }
+
+    return this._returnResult(receipt, asset, priceUpdateFee);
+  }
+
+  /**
+   * Returns a trade's principal with what it made or lost, given what the position is worth now
+   * @param {{ principal: bigint | string, proceeds: bigint | string, asset?: Asset }} trade
+   * @return {Promise<ReturnResult>}
+   */
+  async reportTrade({ principal, proceeds, asset = "USDT" }) {
+    return this.returnFunds({ ...toPnlReport(toUnits(principal, asset), toUnits(proceeds, asset)), asset });
+  }
+
+  /**
+   * Latest MON/USD update data from the price source with the fee Pyth charges for it
+   * @return {Promise<{ updateData: string[], fee: bigint } | null>} null without a price source or on AoP2Vault
+   */
+  async fetchPriceUpdate() {
+    if (this.type !== "AoP1Vault" || !this.priceSource) {
+      return null;
+    }
+    const { updateData } = await this.priceSource.fetchLatest();
+    const fee = await (await this._pyth()).getUpdateFee(updateData);
+    return { updateData, fee };
+  }
+
+  /**
+   * Pushes the latest MON/USD update to Pyth, paid by the agent
+   * @return {Promise<bigint>} The fee paid, 0 if there was nothing to push
+   */
+  async pushPriceUpdate() {
+    const update = await this.fetchPriceUpdate();
+    if (!update) {
+      return 0n;
+    }
+    const pyth = await this._pyth();
+    await this._wait(() => pyth.updatePriceFeeds(update.updateData, { value: update.fee }));
+    return update.fee;
+  }
+
+  async _pyth() {
+    if (!this.pyth) {
+      this.pyth = new ethers.Contract(await this.vault.pyth(), loadAbi("IPyth", this.artifactsDir), this.signer);
+    }
+    return this.pyth;
+  }
+
+  async _usdt() {
+    if (!this.usdt) {
+      this.usdt = new ethers.Contract(await this.vault.usdtToken(), loadAbi("IERC20", this.artifactsDir), this.signer);
+    }
+    return this.usdt;
+  }
+
+  async _assetKey(asset) {
+    this._checkAsset(asset);
+    return asset === "MON" ? ethers.ZeroAddress : (await this._usdt()).getAddress();
+  }
+
+  _checkAsset(asset) {
+    if (!ASSETS.includes(asset)) {
+      throw new Error(`Unknown asset "${asset}", expected USDT or MON`);
+    }
+    if (asset === "MON" && this.type !== "AoP1Vault") {
+      throw new Error(`${this.type} does not hold MON`);
+    }
+  }
+
+  /**
+   * Approves exactly the USDT the vault will pull when the allowance falls short
+   */
+  async _approveUsdt(amount) {
+    const usdt = await this._usdt();
+    const allowance = await usdt.allowance(await this.getAddress(), this.address);
+    if (allowance < amount) {
+      await this._wait(() => usdt.approve(this.address, amount));
+    }
+  }
+
+  _send(signature, args, overrides = {}) {
+    return this._wait(() => this.vault.getFunction(signature)(...args, overrides));
+  }
+
+  /**
+   * Sends a transaction and waits for it; a transaction that was never sent hands its nonce back
+   */
+  async _wait(send) {
+    let tx;
+    try {
+      tx = await send();
+    } catch (error) {
+      this.signer.reset();
+      throw error;
+    }
+    return tx.wait();
+  }
+
+  _events(receipt) {
+    return receipt.logs
+      .filter((log) => log.address === this.address)
+      .map((log) => this.vault.interface.parseLog(log))
+      .filter(Boolean);
+  }
+
+  _findEvent(receipt, name) {
+    const event = this._events(receipt).find((parsed) => parsed.name === name);
+    if (!event) {
+      throw new Error(`${name} missing from transaction ${receipt.hash}`);
+    }
+    return event;
+  }
+
+  _returnResult(receipt, asset, priceUpdateFee) {
+    const events = this._events(receipt);
+    const report = this._findEvent(receipt, "AgentPnLReported");
+    const returned = this._findEvent(receipt, "FundsReturned");
+    const profit = events.find((event) => event.name === "ProfitDistributed");
+    // AoP2Vault emits NavUpdated for the management fee too; the last one is the return's
+    const nav = events.filter((event) => event.name === "NavUpdated").at(-1);
+
+    return {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      asset,
+      principal: report.args.principal,
+      pnl: report.args.pnl,
+      returned: returned.args.amount,
+      performanceFee: profit ? profit.args.performanceFee : 0n,
+      navBefore: nav.args.oldNav,
+      navAfter: nav.args.newNav,
+      priceUpdateFee
+    };
+  }
+}
+
+module.exports = {
+  ARTIFACTS_DIR,
+  loadAbi,
+  toUnits,
+  toPnlReport,
+  AgentClient
+};
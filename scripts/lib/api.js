@@ -0,0 +1,321 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const {
+  SHARE_DECIMALS,
+  formatAmount,
+  formatBasisPoints,
+  formatTimestamp,
+  normalizeVaultStatistics,
+  normalizeUserDetails,
+  normalizeHistoricalNAV
+} = require("./vaults");
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_LOG_BATCH_SIZE = 2000;
+// AoP1Vault's default MON/USD staleness window, used while the factory has no AoP1Vault
+const DEFAULT_MAX_PRICE_AGE_SECONDS = 60;
+
+const INTERVAL_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Parses a query timestamp given as unix seconds or an ISO date
+ */
+function parseTime(value, name) {
+  if (value === null) {
+    return null;
+  }
+  const seconds = /^\d+$/.test(value) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+  if (!Number.isFinite(seconds)) {
+    throw new HttpError(400, `Invalid ${name}: expected unix seconds or an ISO date`);
+  }
+  return seconds;
+}
+
+/**
+ * Parses an interval such as "3600", "15m", "4h" or "1d" into seconds
+ */
+function parseInterval(value) {
+  if (value === null) {
+    return null;
+  }
+  const match = /^(\d+)([smhd]?)$/.exec(value);
+  if (!match || Number(match[1]) === 0) {
+    throw new HttpError(400, "Invalid interval: expected seconds or a number with an s, m, h or d suffix");
+  }
+  return Number(match[1]) * INTERVAL_UNITS[match[2] || "s"];
+}
+
+/**
+ * Keeps the snapshots between from and to (inclusive). With an interval, only the last snapshot
+ * of each interval-sized bucket is kept, which is the NAV at the close of that bucket.
+ */
+function filterNavHistory(history, { from = null, to = null, interval = null } = {}) {
+  const inRange = history.filter((snapshot) =>
+    (from === null || snapshot.timestamp >= from) && (to === null || snapshot.timestamp <= to)
+  );
+  if (interval === null) {
+    return inRange;
+  }
+
+  const buckets = new Map();
+  for (const snapshot of inRange) {
+    buckets.set(Math.floor(snapshot.timestamp / interval), snapshot);
+  }
+  return [...buckets.values()];
+}
+
+/**
+ * Formats a Pyth price (price * 10^expo) as a decimal string
+ */
+function formatPythPrice(price, expo) {
+  return expo <= 0
+    ? ethers.formatUnits(price, -expo)
+    : (BigInt(price) * 10n ** BigInt(expo)).toString();
+}
+
+/**
+ * Read-only JSON API over VaultFactory and its vaults.
+ * Every request reads at the latest block, and responses are cached until the next block.
+ * Vaults are discovered from VaultDeployed events, scanned incrementally as blocks arrive.
+ */
+class VaultApi {
+  /**
+   * @param options.hre Hardhat runtime environment connected to the network to serve
+   * @param options.factory VaultFactory contract
+   * @param options.startBlock Block to start scanning for VaultDeployed events, normally the factory's deployment block
+   * @param options.logBatchSize Maximum number of blocks per eth_getLogs call
+   * @param options.maxPriceAge Seconds after which the MON/USD price is reported stale; by default the
+   *        smallest maxPriceAge of the factory's AoP1Vaults, so the price is stale once any of them rejects it
+   */
+  constructor({ hre, factory, startBlock = 0, logBatchSize = DEFAULT_LOG_BATCH_SIZE, maxPriceAge = null, log = console.log }) {
+    this.hre = hre;
+    this.factory = factory;
+    this.startBlock = startBlock;
+    this.logBatchSize = logBatchSize;
+    this.maxPriceAge = maxPriceAge;
+    this.log = log;
+
+    this.vaults = new Map();
+    this.scannedBlock = startBlock - 1;
+    this.cacheBlock = null;
+    this.cache = new Map();
+  }
+
+  /**
+   * Returns the JSON body for a path, from the cache when the block has not changed
+   * @return { blockNumber, body }
+   */
+  async handle(path, query) {
+    const blockNumber = await this.hre.ethers.provider.getBlockNumber();
+    if (blockNumber !== this.cacheBlock) {
+      this.cache.clear();
+      this.cacheBlock = blockNumber;
+    }
+
+    const key = `${path}?${query.toString()}`;
+    if (!this.cache.has(key)) {
+      const pending = this.route(path, query, blockNumber);
+      this.cache.set(key, pending);
+      // Errors are not cached, so a failed RPC call is retried on the next request
+      pending.catch(() => this.cache.delete(key));
+    }
+    return { blockNumber, body: await this.cache.get(key) };
+  }
+
+  async route(path, query, blockNumber) {
+    const parts = path.split("/").filter(Boolean);
+
+    if (parts.length === 1 && parts[0] === "vaults") {
+      return this.listVaults(blockNumber);
+    }
+    if (parts.length === 2 && parts[0] === "prices" && parts[1] === "mon-usd") {
+      return this.getMonUsdPrice(blockNumber);
+    }
+    if (parts[0] === "vaults" && parts.length >= 2) {
+      const vault = await this.getVault(parts[1], blockNumber);
+      if (parts.length === 2) {
+        return this.getVaultDetails(vault, blockNumber);
+      }
+      if (parts.length === 3 && parts[2] === "nav") {
+        return this.getNavHistory(vault, query, blockNumber);
+      }
+      if (parts.length === 4 && parts[2] === "users") {
+        return this.getUserPosition(vault, parts[3], blockNumber);
+      }
+    }
+    throw new HttpError(404, "Not found");
+  }
+
+  /**
+   * Picks up vaults deployed since the last scan
+   */
+  async discoverVaults(blockNumber) {
+    while (this.scannedBlock < blockNumber) {
+      const fromBlock = this.scannedBlock + 1;
+      const toBlock = Math.min(fromBlock + this.logBatchSize - 1, blockNumber);
+      const events = await this.factory.queryFilter(this.factory.filters.VaultDeployed(), fromBlock, toBlock);
+      for (const event of events) {
+        const address = ethers.getAddress(event.args.vaultAddress);
+        this.vaults.set(address, { address, name: event.args.name, type: event.args.vaultType });
+      }
+      this.scannedBlock = toBlock;
+    }
+    return [...this.vaults.values()];
+  }
+
+  async getVault(ref, blockNumber) {
+    if (!ethers.isAddress(ref)) {
+      throw new HttpError(400, `Invalid vault address "${ref}"`);
+    }
+    await this.discoverVaults(blockNumber);
+    const vault = this.vaults.get(ethers.getAddress(ref));
+    if (!vault) {
+      throw new HttpError(404, `Vault ${ref} was not deployed by VaultFactory`);
+    }
+    return vault;
+  }
+
+  async listVaults(blockNumber) {
+    const vaults = await this.discoverVaults(blockNumber);
+    return Promise.all(vaults.map(async (vault) => ({
+      ...vault,
+      ...normalizeVaultStatistics(await this.factory.getVaultStatistics(vault.address, { blockTag: blockNumber }))
+    })));
+  }
+
+  async getVaultDetails(vault, blockNumber) {
+    const overrides = { blockTag: blockNumber };
+    const contract = await this.hre.ethers.getContractAt(vault.type, vault.address);
+    const [symbol, stats, performanceFee, managementFee, highWaterMark] = await Promise.all([
+      contract.symbol(overrides),
+      this.factory.getVaultStatistics(vault.address, overrides),
+      contract.performanceFee(overrides),
+      contract.managementFee(overrides),
+      contract.highWaterMark(overrides)
+    ]);
+
+    return {
+      ...vault,
+      symbol,
+      ...normalizeVaultStatistics(stats),
+      performanceFee: formatBasisPoints(performanceFee),
+      managementFee: formatBasisPoints(managementFee),
+      highWaterMark: formatAmount(highWaterMark, SHARE_DECIMALS)
+    };
+  }
+
+  async getNavHistory(vault, query, blockNumber) {
+    const from = parseTime(query.get("from"), "from");
+    const to = parseTime(query.get("to"), "to");
+    const interval = parseInterval(query.get("interval"));
+    const history = normalizeHistoricalNAV(await this.factory.getHistoricalNAVByTime(
+      vault.address,
+      from ?? 0,
+      to ?? ethers.MaxUint256,
+      { blockTag: blockNumber }
+    ));
+    return { vault: vault.address, history: filterNavHistory(history, { interval }) };
+  }
+
+  async getUserPosition(vault, user, blockNumber) {
+    if (!ethers.isAddress(user)) {
+      throw new HttpError(400, `Invalid user address "${user}"`);
+    }
+    const details = await this.factory.getUserDetails(vault.address, user, { blockTag: blockNumber });
+    return { vault: vault.address, user: ethers.getAddress(user), ...normalizeUserDetails(details) };
+  }
+
+  async getMonUsdPrice(blockNumber) {
+    const overrides = { blockTag: blockNumber };
+    const [pythAddress, priceId, block] = await Promise.all([
+      this.factory.pythContract(overrides),
+      this.factory.monUsdPriceId(overrides),
+      this.hre.ethers.provider.getBlock(blockNumber)
+    ]);
+    const pyth = await this.hre.ethers.getContractAt("IPyth", pythAddress);
+
+    let price;
+    try {
+      price = await pyth.getPriceUnsafe(priceId, overrides);
+    } catch (error) {
+      throw new HttpError(503, "MON/USD price is not available");
+    }
+
+    const expo = Number(price.expo);
+    const publishTime = Number(price.publishTime);
+    const age = block.timestamp - publishTime;
+    const maxPriceAge = this.maxPriceAge ?? await this.getMaxPriceAge(blockNumber);
+    return {
+      priceId,
+      price: { raw: price.price.toString(), formatted: formatPythPrice(price.price, expo) },
+      conf: { raw: price.conf.toString(), formatted: formatPythPrice(price.conf, expo) },
+      expo,
+      publishTime: formatTimestamp(publishTime),
+      age,
+      maxPriceAge,
+      stale: age > maxPriceAge
+    };
+  }
+
+  /**
+   * Smallest maxPriceAge of the factory's AoP1Vaults, or AoP1Vault's default without any
+   */
+  async getMaxPriceAge(blockNumber) {
+    const vaults = (await this.discoverVaults(blockNumber)).filter((vault) => vault.type === "AoP1Vault");
+    if (vaults.length === 0) {
+      return DEFAULT_MAX_PRICE_AGE_SECONDS;
+    }
+    const ages = await Promise.all(vaults.map(async (vault) => {
+      const contract = await this.hre.ethers.getContractAt("AoP1Vault", vault.address);
+      return Number(await contract.maxPriceAge({ blockTag: blockNumber }));
+    }));
+    return Math.min(...ages);
+  }
+}
+
+/**
+ * Serves a VaultApi over HTTP. Only GET is supported; the block a response was read at is
+ * returned in the X-Block-Number header.
+ */
+function startApiServer(api, port = DEFAULT_PORT) {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    try {
+      if (req.method !== "GET") {
+        throw new HttpError(405, "Method not allowed");
+      }
+      const { blockNumber, body } = await api.handle(url.pathname, url.searchParams);
+      res.writeHead(200, { "Content-Type": "application/json", "X-Block-Number": String(blockNumber) });
+      res.end(JSON.stringify(body));
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        api.log(`GET ${url.pathname} failed: ${error.message}`);
+      }
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, () => resolve(server));
+  });
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  HttpError,
+  parseTime,
+  parseInterval,
+  filterNavHistory,
+  formatPythPrice,
+  VaultApi,
+  startApiServer
+};
@@ -0,0 +1,523 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { VAULT_TYPES, loadDeployConfig, deploySuite } = require("./deployment");
+const { USDT_DECIMALS, SHARE_DECIMALS, MON_DECIMALS, BASIS_POINTS } = require("./vaults");
+
+/**
+ * Offline backtester: replays a MON/USD price path and a schedule of deposits, withdrawals and
+ * agent PnL through the compiled vaults, deployed with the mock USDT and Pyth oracle on the
+ * in-process Hardhat network. The chain is reverted afterwards, so runs do not affect each other.
+ */
+
+const PRICE_EXPO = -8; // Exponent of the prices pushed to the mock oracle
+const PRICE_DECIMALS = 6; // MonUsdOracle prices are quoted in USDT decimals
+const GAS_RESERVE = ethers.parseEther("1"); // Kept on top of a scheduled MON balance to pay for gas
+// USDT agents start with to pay their profits from, since minting it in the middle of a step would mine a block
+const AGENT_USDT_FLOAT = ethers.parseUnits("1000000000000", USDT_DECIMALS);
+const BACKTEST_VAULT = { name: "Backtest Vault", symbol: "BT" };
+
+const ACTIONS = ["deposit", "withdraw", "requestFunds", "returnFunds"];
+const USER_ACTIONS = ["deposit", "withdraw"];
+const ASSETS = ["USDT", "MON"];
+const DECIMAL = /^\d+(\.\d+)?$/;
+const SIGNED_DECIMAL = /^-?\d+(\.\d+)?$/;
+const PERCENT = /^(-?\d+(\.\d{1,2})?)%$/;
+
+/**
+ * Parses a CSV price series with "time" and "price" columns; other columns, blank lines and
+ * lines starting with # are ignored. Times are seconds, Unix or relative, and are rebased so
+ * the first row is at 0.
+ * @return {{ time: number, price: string }[]}
+ */
+function parsePriceCsv(text, source = "price CSV") {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line !== "" && !line.startsWith("#"));
+  if (lines.length === 0) {
+    throw new Error(`${source}: no header row`);
+  }
+
+  const header = lines[0].line.split(",").map((name) => name.trim().toLowerCase());
+  const timeColumn = header.indexOf("time");
+  const priceColumn = header.indexOf("price");
+  if (timeColumn < 0 || priceColumn < 0) {
+    throw new Error(`${source}: the header needs "time" and "price" columns`);
+  }
+
+  const rows = [];
+  for (const { line, number } of lines.slice(1)) {
+    const cells = line.split(",").map((cell) => cell.trim());
+    const time = Number(cells[timeColumn]);
+    const price = cells[priceColumn] || "";
+    if (cells[timeColumn] === "" || !Number.isInteger(time) || time < 0) {
+      throw new Error(`${source} line ${number}: invalid time "${cells[timeColumn]}"`);
+    }
+    if (!DECIMAL.test(price) || (price.split(".")[1] || "").length > -PRICE_EXPO) {
+      throw new Error(`${source} line ${number}: invalid price "${price}" (expected a decimal with at most ${-PRICE_EXPO} decimals)`);
+    }
+    if (rows.length > 0 && time <= rows[rows.length - 1].time) {
+      throw new Error(`${source} line ${number}: times must increase`);
+    }
+    rows.push({ time, price });
+  }
+  if (rows.length === 0) {
+    throw new Error(`${source}: no price rows`);
+  }
+  return rows.map((row) => ({ time: row.time - rows[0].time, price: row.price }));
+}
+
+/**
+ * Checks a backtest schedule, throwing on the first problem:
+ * - vault: a vault entry as in deploy-config, e.g. { type, performanceFee, managementFee, lockup }
+ * - oracle: optional { maxAge, maxConfidence } for AoP1Vault, in seconds and basis points
+ * - users: starting balances by name, { usdt, mon }
+ * - agents: credit limits by name, { usdt, mon }
+ * - steps: { time, action, user or agent, asset, ... }, see README
+ */
+function validateSchedule(schedule, source = "schedule") {
+  const vault = schedule.vault || {};
+  if (!VAULT_TYPES.includes(vault.type)) {
+    throw new Error(`${source}: "vault.type" must be one of ${VAULT_TYPES.join(", ")}`);
+  }
+  const holdsMon = vault.type === "AoP1Vault";
+  if (schedule.oracle !== undefined && !holdsMon) {
+    throw new Error(`${source}: only AoP1Vault uses the MON/USD oracle, remove "oracle"`);
+  }
+
+  const users = schedule.users || {};
+  const agents = schedule.agents || {};
+  for (const [name, balances] of [...Object.entries(users), ...Object.entries(agents)]) {
+    if (users[name] && agents[name]) {
+      throw new Error(`${source}: "${name}" is both a user and an agent`);
+    }
+    for (const asset of ["usdt", "mon"]) {
+      if (balances[asset] !== undefined && !DECIMAL.test(String(balances[asset]))) {
+        throw new Error(`${source}: "${name}" has an invalid ${asset} amount "${balances[asset]}"`);
+      }
+    }
+    if (balances.mon !== undefined && agents[name] && !holdsMon) {
+      throw new Error(`${source}: ${vault.type} does not hold MON, remove the MON credit limit of "${name}"`);
+    }
+  }
+
+  if (!Array.isArray(schedule.steps)) {
+    throw new Error(`${source}: "steps" must be an array`);
+  }
+  schedule.steps.forEach((step, index) => {
+    const label = `${source}: step ${index}`;
+    if (!Number.isInteger(step.time) || step.time < 0) {
+      throw new Error(`${label} needs a "time" in seconds from the start`);
+    }
+    if (!ACTIONS.includes(step.action)) {
+      throw new Error(`${label} has unknown action "${step.action}", expected one of ${ACTIONS.join(", ")}`);
+    }
+    if (USER_ACTIONS.includes(step.action) ? !users[step.user] : !agents[step.agent]) {
+      const role = USER_ACTIONS.includes(step.action) ? "user" : "agent";
+      throw new Error(`${label} needs a "${role}" listed in "${role}s"`);
+    }
+    const asset = step.asset || "USDT";
+    if (!ASSETS.includes(asset) || (asset === "MON" && !holdsMon)) {
+      throw new Error(`${label} has an asset ${vault.type} does not hold: "${asset}"`);
+    }
+
+    const checks = {
+      deposit: [["amount", DECIMAL]],
+      requestFunds: [["amount", DECIMAL]],
+      withdraw: [["shares", /^(all|\d+(\.\d+)?%?)$/]],
+      returnFunds: [["principal", /^(all|\d+(\.\d+)?)$/], ["pnl", new RegExp(`${SIGNED_DECIMAL.source}|${PERCENT.source}`), "0"]]
+    };
+    for (const [field, pattern, fallback] of checks[step.action]) {
+      const value = step[field] === undefined ? fallback : String(step[field]);
+      if (value === undefined || !pattern.test(value)) {
+        throw new Error(`${label} has an invalid "${field}": ${step[field]}`);
+      }
+    }
+  });
+}
+
+/**
+ * Basis points of a percentage such as "-12.5%"
+ */
+function percentToBps(value) {
+  return ethers.parseUnits(PERCENT.exec(value)[1], 2);
+}
+
+/**
+ * Writes rows of flat objects as CSV, with the columns of the first row
+ */
+function toCsv(rows) {
+  if (rows.length === 0) {
+    return "";
+  }
+  const columns = Object.keys(rows[0]);
+  const escape = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(","), ...rows.map((row) => columns.map((column) => escape(row[column])).join(","))].join("\n");
+}
+
+/**
+ * Revert reason of a failed call, or its error message
+ */
+function revertReason(error) {
+  const message = error.message.split("\n")[0];
+  const reason = /reverted with reason string '(.*)'$/.exec(message);
+  return reason ? reason[1] : error.reason || message.replace(/^VM Exception while processing transaction: /, "");
+}
+
+/**
+ * One run of a schedule against a freshly deployed vault
+ */
+class Backtest {
+  constructor(hre, { schedule, prices, log }) {
+    this.hre = hre;
+    this.schedule = { users: {}, agents: {}, ...schedule };
+    this.prices = prices;
+    this.log = log;
+    this.type = schedule.vault.type;
+    this.holdsMon = this.type === "AoP1Vault";
+    this.users = Object.keys(this.schedule.users);
+    this.agents = Object.keys(this.schedule.agents);
+
+    this.price = null; // Latest MON/USD price pushed, as in the CSV
+    this.priceTime = null; // Block time it was published at
+    this.fees = { USDT: 0n, MON: 0n, managementShares: 0n };
+    this.flows = Object.fromEntries(this.users.map((name) => [name, { deposited: 0n, withdrawn: 0n }]));
+    this.steps = [];
+  }
+
+  /**
+   * Deploys the suite with the schedule's vault and funds the users and agents
+   */
+  async setup(infoPath) {
+    const { ethers: hreEthers } = this.hre;
+    const signers = await hreEthers.getSigners();
+    const names = [...this.users, ...this.agents];
+    if (names.length + 2 > signers.length) {
+      throw new Error(`The schedule names ${names.length} accounts, the network only has ${signers.length - 2} to spare`);
+    }
+    this.feeRecipient = signers[1];
+    this.accounts = Object.fromEntries(names.map((name, i) => [name, signers[i + 2]]));
+
+    const creditLimits = {};
+    for (const name of this.agents) {
+      const { usdt, mon } = this.schedule.agents[name];
+      creditLimits[this.accounts[name].address] = { usdt: String(usdt || "0"), ...(this.holdsMon ? { mon: String(mon || "0") } : {}) };
+    }
+    const { monUsdPriceId } = loadDeployConfig("hardhat");
+    const record = await deploySuite(this.hre, {
+      config: {
+        monUsdPriceId,
+        feeRecipient: this.feeRecipient.address,
+        mocks: this.prices.length > 0 ? { monUsdPrice: this.prices[0].price } : {},
+        vaults: [
+          {
+            ...BACKTEST_VAULT,
+            ...this.schedule.vault,
+            agents: this.agents.map((name) => this.accounts[name].address),
+            creditLimits
+          }
+        ]
+      },
+      infoPath,
+      fresh: true,
+      log: this.log
+    });
+
+    this.priceId = monUsdPriceId;
+    this.usdt = await hreEthers.getContractAt("MockUSDT", record.testContracts.MockUSDT);
+    this.pyth = await hreEthers.getContractAt("MockPythOracle", record.testContracts.MockPythOracle);
+    this.vault = await hreEthers.getContractAt(this.type, Object.values(record.vaults)[0].address);
+    this.vaultAddress = await this.vault.getAddress();
+
+    if (this.schedule.oracle) {
+      const factory = await hreEthers.getContractAt("VaultFactory", record.factory);
+      const { maxAge, maxConfidence } = this.schedule.oracle;
+      await (
+        await factory.setVaultOracleConfig(
+          this.vaultAddress,
+          maxAge === undefined ? await this.vault.maxPriceAge() : maxAge,
+          maxConfidence === undefined ? await this.vault.maxConfidenceRatio() : maxConfidence
+        )
+      ).wait();
+    }
+
+    for (const name of names) {
+      const account = this.accounts[name];
+      const balances = this.schedule.users[name] || {};
+      if (this.schedule.agents[name]) {
+        await (await this.usdt.mint(account.address, AGENT_USDT_FLOAT)).wait();
+      } else if (balances.usdt !== undefined) {
+        await (await this.usdt.mint(account.address, ethers.parseUnits(String(balances.usdt), USDT_DECIMALS))).wait();
+      }
+      if (balances.mon !== undefined) {
+        await this.setMonBalance(account.address, ethers.parseEther(String(balances.mon)) + GAS_RESERVE);
+      }
+      await (await this.usdt.connect(account).approve(this.vaultAddress, ethers.MaxUint256)).wait();
+    }
+  }
+
+  async setMonBalance(address, balance) {
+    await this.hre.network.provider.send("hardhat_setBalance", [address, ethers.toQuantity(balance)]);
+  }
+
+  /**
+   * USDT value of an amount at the latest price pushed
+   */
+  toUsdt(amount, asset) {
+    if (asset !== "MON") {
+      return amount;
+    }
+    return this.price === null ? 0n : (amount * ethers.parseUnits(this.price, PRICE_DECIMALS)) / 10n ** BigInt(MON_DECIMALS);
+  }
+
+  /**
+   * Replays the prices and the steps in time order, prices first at equal times, each in its own
+   * block one second after the previous one at the earliest
+   */
+  async run() {
+    const events = [
+      ...this.prices.map((row) => ({ time: row.time, action: "price", price: row.price })),
+      ...this.schedule.steps.map((step) => ({ asset: "USDT", ...step }))
+    ];
+    events.sort((a, b) => a.time - b.time || (a.action === "price" ? 0 : 1) - (b.action === "price" ? 0 : 1));
+
+    const provider = this.hre.network.provider;
+    const start = (await this.hre.ethers.provider.getBlock("latest")).timestamp + 1;
+    for (const event of events) {
+      const latest = (await this.hre.ethers.provider.getBlock("latest")).timestamp;
+      const timestamp = Math.max(start + event.time, latest + 1);
+      await provider.send("evm_setNextBlockTimestamp", [timestamp]);
+
+      let result;
+      try {
+        result = await this.execute(event, timestamp);
+      } catch (error) {
+        result = { amount: event.amount ?? event.shares ?? event.principal, error: revertReason(error) };
+      }
+      this.steps.push(await this.record(event, timestamp, result));
+    }
+    return { summary: await this.summarize(), steps: this.steps };
+  }
+
+  /**
+   * Sends an event's transaction
+   * @return The amount it moved, formatted, and the receipt
+   */
+  async execute(event, timestamp) {
+    if (event.action === "price") {
+      const tx = await this.pyth.setPrice(this.priceId, ethers.parseUnits(event.price, -PRICE_EXPO), 0, PRICE_EXPO, timestamp);
+      const receipt = await tx.wait();
+      this.price = event.price;
+      this.priceTime = timestamp;
+      return { amount: event.price, receipt };
+    }
+
+    const isMon = event.asset === "MON";
+    const decimals = isMon ? MON_DECIMALS : USDT_DECIMALS;
+    const account = this.accounts[event.user || event.agent];
+    const vault = this.vault.connect(account);
+    let tx;
+    let amount;
+
+    switch (event.action) {
+      case "deposit": {
+        amount = ethers.parseUnits(String(event.amount), decimals);
+        if (isMon) {
+          tx = await vault["depositMON(bytes[])"]([], { value: amount });
+        } else {
+          tx = await (this.holdsMon ? vault.depositUSDT(amount) : vault["deposit(uint256)"](amount));
+        }
+        break;
+      }
+
+      case "withdraw": {
+        const balance = await this.vault.balanceOf(account.address);
+        const shares = String(event.shares);
+        if (shares === "all") {
+          amount = balance;
+        } else if (shares.endsWith("%")) {
+          amount = (balance * percentToBps(shares)) / BASIS_POINTS;
+        } else {
+          amount = ethers.parseUnits(shares, SHARE_DECIMALS);
+        }
+        tx = await (this.holdsMon
+          ? vault["withdraw(uint256,bool,bytes[])"](amount, isMon, [])
+          : vault["withdraw(uint256)"](amount));
+        break;
+      }
+
+      case "requestFunds":
+        amount = ethers.parseUnits(String(event.amount), decimals);
+        tx = await (this.holdsMon ? vault.requestFunds(amount, isMon) : vault.requestFunds(amount));
+        break;
+
+      case "returnFunds": {
+        const asset = isMon ? ethers.ZeroAddress : await this.usdt.getAddress();
+        amount =
+          String(event.principal) === "all"
+            ? (await this.vault.agentAllocations(account.address, asset)).principal
+            : ethers.parseUnits(String(event.principal), decimals);
+        const pnlText = String(event.pnl === undefined ? "0" : event.pnl);
+        const pnl = pnlText.endsWith("%") ? (amount * percentToBps(pnlText)) / BASIS_POINTS : ethers.parseUnits(pnlText, decimals);
+
+        // The agent's MON profit comes from outside the vault; USDT profits come from its float
+        if (pnl > 0n && isMon) {
+          await this.setMonBalance(account.address, (await this.hre.ethers.provider.getBalance(account.address)) + pnl);
+        }
+        tx = await (this.holdsMon
+          ? vault.returnFunds(amount, pnl, isMon, [], { value: isMon ? amount + pnl : 0n })
+          : vault.returnFunds(amount, pnl));
+        break;
+      }
+    }
+
+    const receipt = await tx.wait();
+    if (event.action === "deposit") {
+      this.flows[event.user].deposited += this.toUsdt(amount, event.asset);
+    } else if (event.action === "withdraw") {
+      const paid = this.vaultEvents(receipt).find((log) => log.name === "Withdrawal").args.amount;
+      this.flows[event.user].withdrawn += this.toUsdt(paid, event.asset);
+    }
+    const amountDecimals = event.action === "withdraw" ? SHARE_DECIMALS : decimals;
+    return { amount: ethers.formatUnits(amount, amountDecimals), receipt };
+  }
+
+  vaultEvents(receipt) {
+    return receipt.logs
+      .filter((log) => log.address === this.vaultAddress)
+      .map((log) => this.vault.interface.parseLog(log))
+      .filter(Boolean);
+  }
+
+  /**
+   * Vault value in USDT, with MON at the latest price pushed
+   */
+  async totalValue() {
+    const monValue = this.holdsMon ? await this.vault.totalMonValue() : 0n;
+    return (await this.vault.totalVaultValue()) + this.toUsdt(monValue, "MON");
+  }
+
+  /**
+   * The vault's state after an event, valued at the latest price pushed
+   */
+  async record(event, timestamp, { amount, error, receipt }) {
+    if (receipt) {
+      for (const log of this.vaultEvents(receipt)) {
+        if (log.name === "ProfitDistributed") {
+          this.fees[event.asset] += log.args.performanceFee;
+        } else if (log.name === "ManagementFeeAccrued") {
+          this.fees.managementShares += log.args.sharesMinted;
+        }
+      }
+    }
+
+    const supply = await this.vault.totalSupply();
+    const totalValue = await this.totalValue();
+    const valueOf = (shares) => (supply === 0n ? 0n : (shares * totalValue) / supply);
+    const row = {
+      time: event.time,
+      blockTime: timestamp,
+      event: event.action,
+      account: event.user || event.agent || "",
+      asset: event.action === "price" ? "" : event.asset,
+      amount: amount === undefined ? "" : String(amount),
+      status: error ? "failed" : "ok",
+      error: error || "",
+      monPrice: this.price || "",
+      priceAge: this.priceTime === null ? "" : timestamp - this.priceTime,
+      totalValue: ethers.formatUnits(totalValue, USDT_DECIMALS),
+      totalSupply: ethers.formatUnits(supply, SHARE_DECIMALS),
+      navPerShare: ethers.formatUnits(supply === 0n ? 10n ** 18n : (totalValue * 10n ** 30n) / supply, SHARE_DECIMALS),
+      performanceFeesUsdt: ethers.formatUnits(this.fees.USDT, USDT_DECIMALS),
+      performanceFeesMon: ethers.formatUnits(this.fees.MON, MON_DECIMALS),
+      managementFeeShares: ethers.formatUnits(this.fees.managementShares, SHARE_DECIMALS),
+      feeRecipientValue: ethers.formatUnits(valueOf(await this.vault.balanceOf(this.feeRecipient.address)), USDT_DECIMALS)
+    };
+    for (const name of this.users) {
+      const shares = await this.vault.balanceOf(this.accounts[name].address);
+      row[`${name}.shares`] = ethers.formatUnits(shares, SHARE_DECIMALS);
+      row[`${name}.value`] = ethers.formatUnits(valueOf(shares), USDT_DECIMALS);
+    }
+    return row;
+  }
+
+  /**
+   * Final values, fees and each user's result in USDT, MON valued at the price of each flow
+   */
+  async summarize() {
+    const last = this.steps[this.steps.length - 1];
+    const users = {};
+    for (const name of this.users) {
+      const { deposited, withdrawn } = this.flows[name];
+      const value = ethers.parseUnits(last ? last[`${name}.value`] : "0", USDT_DECIMALS);
+      users[name] = {
+        deposited: ethers.formatUnits(deposited, USDT_DECIMALS),
+        withdrawn: ethers.formatUnits(withdrawn, USDT_DECIMALS),
+        value: ethers.formatUnits(value, USDT_DECIMALS),
+        pnl: ethers.formatUnits(value + withdrawn - deposited, USDT_DECIMALS)
+      };
+    }
+    const failures = this.steps.filter((step) => step.status === "failed");
+
+    return {
+      vault: this.type,
+      performanceFee: Number(await this.vault.performanceFee()),
+      managementFee: Number(await this.vault.managementFee()),
+      steps: this.steps.length,
+      failed: failures.length,
+      monPrice: this.price,
+      totalValue: last ? last.totalValue : "0.0",
+      navPerShare: last ? last.navPerShare : "1.0",
+      fees: {
+        performanceUsdt: ethers.formatUnits(this.fees.USDT, USDT_DECIMALS),
+        performanceMon: ethers.formatUnits(this.fees.MON, MON_DECIMALS),
+        managementShares: ethers.formatUnits(this.fees.managementShares, SHARE_DECIMALS),
+        feeRecipientValue: last ? last.feeRecipientValue : "0.0"
+      },
+      users,
+      failures: failures.map(({ time, event, account, error }) => ({ time, event, account, error }))
+    };
+  }
+}
+
+/**
+ * Runs a schedule against the prices on the in-process Hardhat network and reverts the chain afterwards
+ * @param hre Hardhat runtime environment, on the hardhat network
+ * @param options.schedule Backtest schedule, see validateSchedule
+ * @param options.prices Rows from parsePriceCsv; required for AoP1Vault
+ * @param options.log Logger for the deployment (defaults to none)
+ * @return {{ summary: object, steps: object[] }} One row per price and step, amounts as decimal strings
+ */
+async function runBacktest(hre, { schedule, prices = [], log = () => {} }) {
+  if (hre.network.name !== "hardhat") {
+    throw new Error(`Backtests run on the in-process hardhat network, not ${hre.network.name}`);
+  }
+  validateSchedule(schedule);
+  if (schedule.vault.type === "AoP1Vault" && prices.length === 0) {
+    throw new Error("AoP1Vault backtests need a MON/USD price series");
+  }
+
+  const provider = hre.network.provider;
+  const snapshot = await provider.send("evm_snapshot", []);
+  const infoDir = fs.mkdtempSync(path.join(os.tmpdir(), "aop-backtest-"));
+  try {
+    const backtest = new Backtest(hre, { schedule, prices, log });
+    await backtest.setup(path.join(infoDir, "deployment-info.json"));
+    return await backtest.run();
+  } finally {
+    await provider.send("evm_revert", [snapshot]);
+    fs.rmSync(infoDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  parsePriceCsv,
+  validateSchedule,
+  toCsv,
+  runBacktest
+};
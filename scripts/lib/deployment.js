@@ -0,0 +1,575 @@
+const fs = require("fs");
+const path = require("path");
+const { isAddress, isHexString, parseUnits, formatUnits, ZeroHash } = require("ethers");
+
+const ROOT_DIR = path.join(__dirname, "..", "..");
+const CONFIG_DIR = path.join(ROOT_DIR, "deploy-config");
+const DEPLOYMENT_INFO_PATH = path.join(ROOT_DIR, "deployment-info.json");
+// Local chains are ephemeral, so their addresses are kept out of version control
+const DEV_DEPLOYMENT_INFO_PATH = path.join(ROOT_DIR, "deployment-info.dev.json");
+const LOCAL_CHAIN_IDS = ["31337"];
+
+// VaultFactory deploy function for each vault type, in the order of VaultFactory.VaultType
+const VAULT_DEPLOY_FUNCTIONS = {
+  AoP1Vault: "deployAoP1Vault",
+  AoP2Vault: "deployAoP2Vault",
+  AoP2Vault4626: "deployAoP2Vault4626"
+};
+const VAULT_TYPES = Object.keys(VAULT_DEPLOY_FUNCTIONS);
+
+// DepositLimits.DepositLimitConfig for a vault without caps, minimum deposit or allowlist
+const NO_DEPOSIT_LIMITS = {
+  maxTotalAssets: 0n,
+  maxUserDeposit: 0n,
+  minDeposit: 0n,
+  allowlistOnly: false,
+  allowlistRoot: ZeroHash
+};
+const DEPOSIT_LIMIT_AMOUNTS = ["maxTotalAssets", "maxUserDeposit", "minDeposit"];
+
+// DepositLockups.LockupConfig fields with the largest value each accepts: periods in seconds, fee in basis points
+const LOCKUP_LIMITS = {
+  lockupPeriod: 365 * 24 * 60 * 60,
+  noticePeriod: 30 * 24 * 60 * 60,
+  earlyExitPeriod: 365 * 24 * 60 * 60,
+  earlyExitFee: 1000
+};
+
+// Staleness window and price exponent used for the mock oracle on local networks
+const MOCK_PYTH_VALID_TIME_PERIOD = 60;
+const MOCK_PRICE_EXPO = -8;
+
+/**
+ * Returns the type of a vault registered in VaultFactory
+ */
+async function getVaultType(factory, vaultAddress) {
+  if (!(await factory.isVault(vaultAddress))) {
+    throw new Error(`Unknown vault ${vaultAddress}: not deployed by VaultFactory ${await factory.getAddress()}`);
+  }
+  return VAULT_TYPES[Number((await factory.getVaultInfo(vaultAddress)).vaultType)];
+}
+
+/**
+ * Builds a DepositLimits.DepositLimitConfig from a vault's "depositLimits" config, whose
+ * amounts are USDT decimal strings (e.g. { "maxTotalAssets": "250000", "minDeposit": "10" })
+ */
+function parseDepositLimits(limits = {}) {
+  const parsed = { ...NO_DEPOSIT_LIMITS };
+  for (const key of DEPOSIT_LIMIT_AMOUNTS) {
+    if (limits[key] !== undefined) {
+      parsed[key] = parseUnits(String(limits[key]), 6);
+    }
+  }
+  parsed.allowlistOnly = Boolean(limits.allowlistOnly);
+  parsed.allowlistRoot = limits.allowlistRoot || ZeroHash;
+  return parsed;
+}
+
+/**
+ * Builds a DepositLockups.LockupConfig from a vault's "lockup" config; missing fields are 0
+ */
+function parseLockupConfig(lockup = {}) {
+  const parsed = {};
+  for (const key of Object.keys(LOCKUP_LIMITS)) {
+    parsed[key] = BigInt(lockup[key] || 0);
+  }
+  return parsed;
+}
+
+/**
+ * Loads the deployment config for a network from deploy-config/<network>.json
+ */
+function loadDeployConfig(networkName, configPath) {
+  const file = configPath || path.join(CONFIG_DIR, `${networkName}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment config for network "${networkName}" (expected ${file})`);
+  }
+
+  const config = JSON.parse(fs.readFileSync(file));
+  validateDeployConfig(config, file);
+  return config;
+}
+
+function validateDeployConfig(config, source = "deployment config") {
+  if (!config.mocks && (!config.usdt || !config.pyth)) {
+    throw new Error(`${source}: "usdt" and "pyth" are required unless "mocks" is set`);
+  }
+  if (!config.monUsdPriceId) {
+    throw new Error(`${source}: "monUsdPriceId" is required`);
+  }
+
+  if (config.timelockDelay !== undefined &&
+      !(Number.isInteger(config.timelockDelay) && config.timelockDelay >= 0 && config.timelockDelay <= 30 * 24 * 60 * 60)) {
+    throw new Error(`${source}: "timelockDelay" must be a number of seconds up to 30 days`);
+  }
+
+  const names = new Set();
+  for (const vault of config.vaults || []) {
+    if (!vault.name || !vault.symbol) {
+      throw new Error(`${source}: every vault needs a "name" and a "symbol"`);
+    }
+    if (!VAULT_TYPES.includes(vault.type)) {
+      throw new Error(`${source}: vault "${vault.name}" has unknown type "${vault.type}"`);
+    }
+    for (const fee of ["performanceFee", "managementFee"]) {
+      if (vault[fee] !== undefined && !(Number.isInteger(vault[fee]) && vault[fee] >= 0)) {
+        throw new Error(`${source}: vault "${vault.name}" has an invalid ${fee} (expected basis points)`);
+      }
+    }
+    for (const [agent, limits] of Object.entries(vault.creditLimits || {})) {
+      if (!isAddress(agent) || !limits || typeof limits !== "object") {
+        throw new Error(`${source}: vault "${vault.name}" has an invalid credit limit entry for "${agent}"`);
+      }
+      if (limits.mon !== undefined && vault.type !== "AoP1Vault") {
+        throw new Error(`${source}: vault "${vault.name}" does not hold MON, remove the MON credit limit for ${agent}`);
+      }
+    }
+    if (vault.maxAgentAllocation !== undefined &&
+        !(Number.isInteger(vault.maxAgentAllocation) && vault.maxAgentAllocation > 0 && vault.maxAgentAllocation <= 10000)) {
+      throw new Error(`${source}: vault "${vault.name}" has an invalid maxAgentAllocation (expected 1-10000 basis points)`);
+    }
+    if (vault.depositLimits !== undefined) {
+      validateDepositLimits(vault.depositLimits, `${source}: vault "${vault.name}"`);
+    }
+    if (vault.lockup !== undefined) {
+      validateLockup(vault.lockup, `${source}: vault "${vault.name}"`);
+    }
+    if (names.has(vault.name)) {
+      throw new Error(`${source}: vault "${vault.name}" is listed twice`);
+    }
+    names.add(vault.name);
+  }
+}
+
+function validateDepositLimits(limits, source) {
+  if (!limits || typeof limits !== "object") {
+    throw new Error(`${source} has invalid depositLimits (expected an object)`);
+  }
+  let parsed;
+  try {
+    parsed = parseDepositLimits(limits);
+  } catch (error) {
+    throw new Error(`${source} has invalid depositLimits (expected USDT amounts such as "1000.5")`);
+  }
+  if (limits.allowlistRoot !== undefined && !isHexString(limits.allowlistRoot, 32)) {
+    throw new Error(`${source} has an invalid depositLimits.allowlistRoot (expected a 32 byte hex string)`);
+  }
+  for (const cap of ["maxTotalAssets", "maxUserDeposit"]) {
+    if (parsed[cap] !== 0n && parsed.minDeposit > parsed[cap]) {
+      throw new Error(`${source} has a depositLimits.minDeposit above ${cap}`);
+    }
+  }
+}
+
+function validateLockup(lockup, source) {
+  if (!lockup || typeof lockup !== "object") {
+    throw new Error(`${source} has an invalid lockup (expected an object)`);
+  }
+  for (const [key, max] of Object.entries(LOCKUP_LIMITS)) {
+    const value = lockup[key];
+    if (value !== undefined && !(Number.isInteger(value) && value >= 0 && value <= max)) {
+      throw new Error(`${source} has an invalid lockup.${key} (expected a whole number up to ${max})`);
+    }
+  }
+  if (!lockup.earlyExitFee !== !lockup.earlyExitPeriod) {
+    throw new Error(`${source} needs both lockup.earlyExitFee and lockup.earlyExitPeriod, or neither`);
+  }
+}
+
+/**
+ * Returns the deployment info file used for a chain
+ */
+function deploymentInfoPath(chainId) {
+  return LOCAL_CHAIN_IDS.includes(String(chainId)) ? DEV_DEPLOYMENT_INFO_PATH : DEPLOYMENT_INFO_PATH;
+}
+
+/**
+ * Reads a deployment info file; entries are keyed by chainId
+ */
+function loadDeploymentInfo(file = DEPLOYMENT_INFO_PATH) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file));
+}
+
+function saveDeploymentInfo(file, info) {
+  fs.writeFileSync(file, JSON.stringify(info, null, 2) + "\n");
+}
+
+/**
+ * Returns the recorded deployment for a chain, or undefined if there is none
+ */
+function getChainDeployment(chainId, file = deploymentInfoPath(chainId)) {
+  return loadDeploymentInfo(file)[String(chainId)];
+}
+
+async function hasCode(hre, address) {
+  if (!address) {
+    return false;
+  }
+  return (await hre.ethers.provider.getCode(address)) !== "0x";
+}
+
+/**
+ * Returns the recorded address if there is code behind it, otherwise deploys the contract
+ */
+async function ensureContract(hre, label, recordedAddress, deployContract, log) {
+  if (await hasCode(hre, recordedAddress)) {
+    log(`- ${label}: already deployed at ${recordedAddress}, skipping`);
+    return { address: recordedAddress, deployed: false };
+  }
+
+  const contract = await deployContract();
+  await contract.waitForDeployment();
+  const address = await contract.getAddress();
+  log(`- ${label}: deployed to ${address}`);
+  return { address, deployed: true };
+}
+
+/**
+ * Deploys (or reuses) the full contract suite described by a deployment config.
+ * Every step is recorded in the deployment info file as soon as it completes, so an
+ * interrupted run can simply be started again.
+ * @param hre Hardhat runtime environment
+ * @param options.config Deployment config object (defaults to deploy-config/<network>.json)
+ * @param options.configPath Path to a deployment config file
+ * @param options.infoPath Deployment info file (defaults to deploymentInfoPath(chainId))
+ * @param options.fresh Ignore recorded addresses and redeploy everything
+ * @param options.log Logger (defaults to console.log)
+ * @return The deployment record for the current chain
+ */
+async function deploySuite(hre, options = {}) {
+  const { ethers } = hre;
+  const log = options.log || console.log;
+  const config = options.config || loadDeployConfig(hre.network.name, options.configPath);
+  validateDeployConfig(config);
+
+  const [deployer] = await ethers.getSigners();
+  const chainId = (await ethers.provider.getNetwork()).chainId.toString();
+  const infoPath = options.infoPath || deploymentInfoPath(chainId);
+  const info = loadDeploymentInfo(infoPath);
+
+  const record = options.fresh ? {} : { ...(info[chainId] || {}) };
+  record.network = hre.network.name;
+  // Helper libraries recorded by an earlier version of the suite mean the factory was linked against them
+  const librariesRecorded = Boolean(record.libraries);
+  delete record.libraries;
+  record.implementations = { ...(record.implementations || {}) };
+  record.vaults = { ...(record.vaults || {}) };
+  record.tokens = { ...(record.tokens || {}) };
+  record.config = { ...(record.config || {}) };
+  record.testContracts = { ...(record.testContracts || {}) };
+
+  let changed = false;
+  const save = () => {
+    if (changed) {
+      record.deployTime = new Date().toISOString();
+    }
+    info[chainId] = record;
+    saveDeploymentInfo(infoPath, info);
+  };
+
+  log(`Deploying to ${hre.network.name} (chainId ${chainId}) from ${deployer.address}`);
+
+  // 1. Mocks for local networks
+  let usdtAddress = config.usdt;
+  let pythAddress = config.pyth;
+  if (config.mocks) {
+    log("\n1. Mocks");
+    if (!usdtAddress) {
+      const mockUsdt = await ensureContract(hre, "MockUSDT", record.testContracts.MockUSDT, () =>
+        ethers.deployContract("MockUSDT"), log);
+      usdtAddress = record.testContracts.MockUSDT = mockUsdt.address;
+      changed = changed || mockUsdt.deployed;
+    }
+    if (!pythAddress) {
+      const mockPyth = await ensureContract(hre, "MockPythOracle", record.testContracts.MockPythOracle, () =>
+        ethers.deployContract("MockPythOracle", [MOCK_PYTH_VALID_TIME_PERIOD, config.mocks.pythUpdateFee || "0"]), log);
+      pythAddress = record.testContracts.MockPythOracle = mockPyth.address;
+      changed = changed || mockPyth.deployed;
+
+      // Refresh the mock price on every run so the 60 second staleness check passes
+      if (config.mocks.monUsdPrice) {
+        const pyth = await ethers.getContractAt("MockPythOracle", pythAddress);
+        const block = await ethers.provider.getBlock("latest");
+        const tx = await pyth.setPrice(
+          config.monUsdPriceId,
+          ethers.parseUnits(config.mocks.monUsdPrice, -MOCK_PRICE_EXPO),
+          0,
+          MOCK_PRICE_EXPO,
+          block.timestamp
+        );
+        await tx.wait();
+        log(`- MockPythOracle: MON/USD set to ${config.mocks.monUsdPrice}`);
+      }
+    }
+    save();
+  }
+
+  const feeRecipient = config.feeRecipient || deployer.address;
+
+  // 2. VaultFactory, redeployed if it was linked against the helper libraries or its constructor arguments changed
+  log("\n2. VaultFactory");
+  const factoryArgs = {
+    usdtAddress,
+    feeRecipient,
+    pythAddress,
+    monUsdPriceId: config.monUsdPriceId
+  };
+  const argsChanged =
+    record.tokens.USDT !== usdtAddress ||
+    record.config.feeRecipient !== feeRecipient ||
+    record.config.pythAddress !== pythAddress ||
+    record.config.monUsdPriceId !== config.monUsdPriceId;
+
+  const factoryResult = await ensureContract(
+    hre,
+    "VaultFactory",
+    librariesRecorded || argsChanged ? undefined : record.factory,
+    () => ethers.deployContract(
+      "VaultFactory",
+      [factoryArgs.usdtAddress, factoryArgs.feeRecipient, factoryArgs.pythAddress, factoryArgs.monUsdPriceId]
+    ),
+    log
+  );
+  if (factoryResult.deployed) {
+    // Vaults recorded against a previous factory are not managed by the new one
+    record.vaults = {};
+    changed = true;
+  }
+  record.factory = factoryResult.address;
+  record.tokens.USDT = usdtAddress;
+  record.config = {
+    pythAddress,
+    monUsdPriceId: config.monUsdPriceId,
+    feeRecipient
+  };
+  save();
+
+  const factory = await ethers.getContractAt("VaultFactory", record.factory);
+
+  // Once the factory's timelock delay is set, its configuration changes have to be proposed,
+  // queued and executed as timelocked actions instead of being sent directly
+  const timelockActive = (await factory.timelockDelay()) > 0n;
+  const callTimelocked = async (label, result, functionName, args) => {
+    if (timelockActive) {
+      log(`${label}: needs a timelocked ${functionName} action, skipping`);
+      return;
+    }
+    const tx = await factory[functionName](...args);
+    await tx.wait();
+    changed = true;
+    log(`${label}: ${result}`);
+  };
+
+  // 3. Vault implementations the factory clones; they do not depend on the factory, so they survive its redeployment
+  log("\n3. Vault implementations");
+  for (const [vaultType, name] of VAULT_TYPES.entries()) {
+    const implementation = await ensureContract(hre, name, record.implementations[name], () =>
+      ethers.deployContract(name), log);
+    record.implementations[name] = implementation.address;
+    changed = changed || implementation.deployed;
+
+    if ((await factory.implementations(vaultType)).implementation !== implementation.address) {
+      await callTimelocked(
+        `- VaultFactory`,
+        `${name} implementation set to ${implementation.address}`,
+        "setVaultImplementation",
+        [vaultType, implementation.address]
+      );
+    }
+  }
+  save();
+
+  // 4. VaultRouter, bound to the factory, so redeployed with it
+  log("\n4. VaultRouter");
+  const routerResult = await ensureContract(
+    hre,
+    "VaultRouter",
+    factoryResult.deployed ? undefined : record.router,
+    () => ethers.deployContract("VaultRouter", [record.factory]),
+    log
+  );
+  record.router = routerResult.address;
+  changed = changed || routerResult.deployed;
+
+  if ((await factory.router()) !== record.router) {
+    // Vaults deployed from here on trust the router
+    await callTimelocked("- VaultFactory", `router set to ${record.router}`, "setRouter", [record.router]);
+  }
+  save();
+
+  // 5. Vaults and agents
+  log("\n5. Vaults");
+  for (const vaultConfig of config.vaults || []) {
+    let vaultAddress = await factory.vaults(vaultConfig.name);
+
+    if (vaultAddress === ethers.ZeroAddress) {
+      const owner = await factory.owner();
+      if (owner !== deployer.address) {
+        throw new Error(`VaultFactory is owned by ${owner}, cannot deploy "${vaultConfig.name}" from ${deployer.address}`);
+      }
+
+      // Fees the config leaves out come from the factory's default fee tier
+      const defaults = await factory.defaultFees();
+      const fees = {
+        performanceFee: vaultConfig.performanceFee === undefined ? defaults.performanceFee : BigInt(vaultConfig.performanceFee),
+        managementFee: vaultConfig.managementFee === undefined ? defaults.managementFee : BigInt(vaultConfig.managementFee)
+      };
+      const tx = await factory[VAULT_DEPLOY_FUNCTIONS[vaultConfig.type]](
+        vaultConfig.name,
+        vaultConfig.symbol,
+        fees,
+        parseDepositLimits(vaultConfig.depositLimits)
+      );
+      await tx.wait();
+      vaultAddress = await factory.vaults(vaultConfig.name);
+      changed = true;
+      log(`- ${vaultConfig.name} (${vaultConfig.type}): deployed to ${vaultAddress}`);
+    } else {
+      if ((await getVaultType(factory, vaultAddress)) !== vaultConfig.type) {
+        throw new Error(`Vault "${vaultConfig.name}" already exists at ${vaultAddress} with a different type`);
+      }
+      log(`- ${vaultConfig.name} (${vaultConfig.type}): already deployed at ${vaultAddress}, skipping`);
+    }
+
+    const vault = await ethers.getContractAt(vaultConfig.type, vaultAddress);
+    // Vaults deployed before the current router was set do not trust it yet
+    if (!(await vault.hasRole(await vault.ROUTER_ROLE(), record.router))) {
+      await callTimelocked(`  - router ${record.router}`, "trusted", "setVaultRouter", [vaultAddress, record.router, true]);
+    }
+
+    const agentRole = await vault.AGENT_ROLE();
+    for (const agent of vaultConfig.agents || []) {
+      if (await vault.hasRole(agentRole, agent)) {
+        log(`  - agent ${agent}: already added, skipping`);
+        continue;
+      }
+      await callTimelocked(`  - agent ${agent}`, "added", "addAgentToVault", [vaultAddress, agent]);
+    }
+
+    // Vaults deployed earlier pick up changed fee tiers; the fees have to go through the timelock
+    if (vaultConfig.performanceFee !== undefined || vaultConfig.managementFee !== undefined) {
+      const current = [await vault.performanceFee(), await vault.managementFee()];
+      const wanted = [
+        vaultConfig.performanceFee === undefined ? current[0] : BigInt(vaultConfig.performanceFee),
+        vaultConfig.managementFee === undefined ? current[1] : BigInt(vaultConfig.managementFee)
+      ];
+      if (wanted[0] !== current[0] || wanted[1] !== current[1]) {
+        await callTimelocked(
+          "  - fees",
+          `performance ${wanted[0]} bps, management ${wanted[1]} bps per year`,
+          "updateVaultFees",
+          [vaultAddress, wanted[0], wanted[1]]
+        );
+      } else {
+        log("  - fees: already set, skipping");
+      }
+    }
+
+    // Agents cannot draw funds until they have a credit limit
+    for (const [agent, limits] of Object.entries(vaultConfig.creditLimits || {})) {
+      const wanted = [ethers.parseUnits(limits.usdt || "0", 6), ethers.parseEther(limits.mon || "0")];
+      const current = [
+        (await vault.agentAllocations(agent, await vault.usdtToken())).creditLimit,
+        vaultConfig.type === "AoP1Vault" ? (await vault.agentAllocations(agent, ethers.ZeroAddress)).creditLimit : 0n
+      ];
+      if (wanted[0] !== current[0] || wanted[1] !== current[1]) {
+        await callTimelocked(
+          `  - credit limit ${agent}`,
+          `${ethers.formatUnits(wanted[0], 6)} USDT, ${ethers.formatEther(wanted[1])} MON`,
+          "setAgentCreditLimits",
+          [vaultAddress, agent, wanted[0], wanted[1]]
+        );
+      } else {
+        log(`  - credit limit ${agent}: already set, skipping`);
+      }
+    }
+
+    // Vaults deployed earlier pick up changed deposit limits; the factory sets these without the timelock
+    if (vaultConfig.depositLimits !== undefined) {
+      const wanted = parseDepositLimits(vaultConfig.depositLimits);
+      const current = await vault.depositLimits();
+      if (Object.keys(wanted).some((key) => wanted[key] !== current[key])) {
+        const tx = await factory.setVaultDepositLimits(vaultAddress, wanted);
+        await tx.wait();
+        changed = true;
+        const amounts = DEPOSIT_LIMIT_AMOUNTS.map((key) => `${key} ${formatUnits(wanted[key], 6)} USDT`);
+        log(`  - deposit limits: ${amounts.join(", ")}, allowlistOnly ${wanted.allowlistOnly}`);
+      } else {
+        log("  - deposit limits: already set, skipping");
+      }
+    }
+
+    // Lockups apply to shares already deposited, so changing them is timelocked like fees
+    if (vaultConfig.lockup !== undefined) {
+      const wanted = parseLockupConfig(vaultConfig.lockup);
+      const current = await vault.lockupConfig();
+      if (Object.keys(wanted).some((key) => wanted[key] !== current[key])) {
+        await callTimelocked(
+          "  - lockup",
+          `lockup ${wanted.lockupPeriod}s, notice ${wanted.noticePeriod}s, ` +
+            `early exit fee ${wanted.earlyExitFee} bps for ${wanted.earlyExitPeriod}s`,
+          "setVaultLockupConfig",
+          [vaultAddress, wanted]
+        );
+      } else {
+        log("  - lockup: already set, skipping");
+      }
+    }
+
+    if (vaultConfig.maxAgentAllocation !== undefined) {
+      if ((await vault.maxAgentAllocation()) !== BigInt(vaultConfig.maxAgentAllocation)) {
+        await callTimelocked(
+          "  - max agent allocation",
+          `${vaultConfig.maxAgentAllocation} bps`,
+          "setMaxAgentAllocation",
+          [vaultAddress, vaultConfig.maxAgentAllocation]
+        );
+      } else {
+        log("  - max agent allocation: already set, skipping");
+      }
+    }
+
+    record.vaults[vaultConfig.name] = {
+      address: vaultAddress,
+      type: vaultConfig.type,
+      symbol: vaultConfig.symbol,
+      agents: vaultConfig.agents || []
+    };
+    save();
+  }
+
+  // 6. Timelock, turned on last so the steps above can configure the suite directly
+  if (config.timelockDelay !== undefined) {
+    log("\n6. Timelock");
+    const currentDelay = await factory.timelockDelay();
+    if (currentDelay === BigInt(config.timelockDelay)) {
+      log(`- delay: already ${currentDelay} seconds, skipping`);
+    } else {
+      await callTimelocked("- delay", `${config.timelockDelay} seconds`, "setTimelockDelay", [config.timelockDelay]);
+    }
+  }
+
+  log(`\nDeployment info written to ${path.relative(process.cwd(), infoPath) || infoPath}`);
+  return record;
+}
+
+module.exports = {
+  VAULT_TYPES,
+  VAULT_DEPLOY_FUNCTIONS,
+  NO_DEPOSIT_LIMITS,
+  parseDepositLimits,
+  parseLockupConfig,
+  getVaultType,
+  DEPLOYMENT_INFO_PATH,
+  DEV_DEPLOYMENT_INFO_PATH,
+  loadDeployConfig,
+  validateDeployConfig,
+  deploymentInfoPath,
+  loadDeploymentInfo,
+  saveDeploymentInfo,
+  getChainDeployment,
+  deploySuite
+};
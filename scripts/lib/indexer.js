@@ -0,0 +1,573 @@
+const Database = require("better-sqlite3");
+const { ethers } = require("ethers");
+const { USDT_DECIMALS, SHARE_DECIMALS, MON_DECIMALS, formatAmount } = require("./vaults");
+
+// Blocks to stay behind the chain head; reorgs deeper than this are still detected and rolled back
+const DEFAULT_CONFIRMATIONS = 5;
+const DEFAULT_BATCH_SIZE = 2000;
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+// Indexed block hashes kept to find where the chain forked after a reorg
+const BLOCK_HASH_HISTORY = 256;
+
+const FACTORY_EVENTS = new ethers.Interface([
+  "event VaultDeployed(string name, address vaultAddress, string vaultType)"
+]);
+
+// Withdrawal queue events, emitted by every vault type
+const QUEUE_EVENTS = [
+  "event WithdrawalRequested(uint256 indexed requestId, address indexed owner, address asset, uint256 shares)",
+  "event WithdrawalSettled(uint256 indexed requestId, address indexed owner, uint256 assets, uint256 shares)",
+  "event WithdrawalCancelled(uint256 indexed requestId, address indexed owner, uint256 shares)",
+  "event WithdrawalClaimed(uint256 indexed requestId, address indexed owner, uint256 assets)"
+];
+
+// Vault events mirrored into the store
+const AOP1_EVENTS = new ethers.Interface([
+  "event Deposit(address indexed user, uint256 amount, bool isMon, uint256 sharesIssued)",
+  "event Withdrawal(address indexed user, uint256 amount, bool isMon, uint256 sharesBurned)",
+  "event EmergencyWithdrawal(address indexed user, uint256 sharesBurned, uint256 usdtAmount, uint256 monAmount)",
+  "event AgentFundRequest(address indexed agent, uint256 amount, bool isMon)",
+  "event FundsReturned(address indexed agent, uint256 amount, bool isMon)",
+  "event ProfitDistributed(uint256 profit, uint256 performanceFee)",
+  "event SharePriceUpdated(uint256 oldPrice, uint256 newPrice, uint256 timestamp)",
+  "event PerformanceMetrics(uint256 totalValue, uint256 totalShares, uint256 sharePrice, uint256 monBalance, uint256 usdtBalance, uint256 timestamp)",
+  ...QUEUE_EVENTS
+]);
+const AOP2_FRAGMENTS = [
+  "event Deposit(address indexed user, uint256 amount, uint256 sharesIssued)",
+  "event Withdrawal(address indexed user, uint256 amount, uint256 sharesBurned)",
+  "event EmergencyWithdrawal(address indexed user, uint256 amount, uint256 sharesBurned)",
+  "event AgentFundRequest(address indexed agent, uint256 amount)",
+  "event FundsReturned(address indexed agent, uint256 amount, uint256 profit)",
+  "event ProfitDistributed(uint256 profit, uint256 performanceFee)",
+  "event SharePriceUpdated(uint256 oldPrice, uint256 newPrice, uint256 timestamp)",
+  "event PerformanceMetrics(uint256 totalValue, uint256 totalShares, uint256 sharePrice, uint256 usdtBalance, uint256 timestamp)",
+  ...QUEUE_EVENTS
+];
+const AOP2_EVENTS = new ethers.Interface(AOP2_FRAGMENTS);
+// AoP2Vault4626 emits the ERC-4626 events next to the AoP2Vault ones
+const AOP2_4626_EVENTS = new ethers.Interface([
+  ...AOP2_FRAGMENTS,
+  "event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)",
+  "event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)"
+]);
+
+const VAULT_EVENTS = {
+  AoP1Vault: AOP1_EVENTS,
+  AoP2Vault: AOP2_EVENTS,
+  AoP2Vault4626: AOP2_4626_EVENTS
+};
+
+const VAULT_TOPICS = [...new Set(
+  Object.values(VAULT_EVENTS).flatMap((iface) => {
+    const topics = [];
+    iface.forEachEvent((event) => topics.push(event.topicHash));
+    return topics;
+  })
+)];
+
+// The ERC-4626 events are stored under their own names, so the same deposit is not counted twice as a Deposit
+const STORED_NAMES = {
+  "Deposit(address,address,uint256,uint256)": "ERC4626Deposit",
+  "Withdraw(address,address,address,uint256,uint256)": "ERC4626Withdraw"
+};
+
+// Fields whose decimals do not depend on the asset the event is about
+const FIELD_DECIMALS = {
+  sharesIssued: SHARE_DECIMALS,
+  sharesBurned: SHARE_DECIMALS,
+  shares: SHARE_DECIMALS,
+  oldPrice: SHARE_DECIMALS,
+  newPrice: SHARE_DECIMALS,
+  sharePrice: SHARE_DECIMALS,
+  totalShares: SHARE_DECIMALS,
+  totalValue: USDT_DECIMALS,
+  usdtBalance: USDT_DECIMALS,
+  usdtAmount: USDT_DECIMALS,
+  monBalance: MON_DECIMALS,
+  monAmount: MON_DECIMALS
+};
+
+// Fields stored as plain numbers
+const INTEGER_FIELDS = new Set(["timestamp", "requestId"]);
+
+const ASSET_EVENTS = new Set([
+  "Deposit", "Withdrawal", "Withdraw", "EmergencyWithdrawal", "AgentFundRequest", "FundsReturned", "ProfitDistributed",
+  "WithdrawalRequested", "WithdrawalSettled", "WithdrawalCancelled", "WithdrawalClaimed"
+]);
+
+// Events that move a vault's NAV; a NAV point is recorded after the last of them in each block
+const NAV_EVENTS = new Set(["Deposit", "Withdrawal", "EmergencyWithdrawal", "WithdrawalSettled"]);
+
+const NAV_HISTORY_ABI = [
+  "function navHistoryCount() view returns (uint256)",
+  "function getHistoricalNAV(uint256 fromIndex, uint256 count) view returns (uint256[] timestamps, uint256[] values, uint256[] totalValues)",
+  "function totalSupply() view returns (uint256)"
+];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS checkpoint (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS vaults (
+    address TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    vault TEXT NOT NULL,
+    event TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    account TEXT,
+    asset TEXT,
+    amount TEXT,
+    amount_raw TEXT,
+    args TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_vault ON events (vault, event, block_number);
+  CREATE INDEX IF NOT EXISTS events_account ON events (account, vault);
+  CREATE TABLE IF NOT EXISTS nav_history (
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    vault TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL,
+    nav_per_share TEXT NOT NULL,
+    nav_per_share_raw TEXT NOT NULL,
+    total_value TEXT NOT NULL,
+    total_value_raw TEXT NOT NULL,
+    total_shares TEXT NOT NULL,
+    total_shares_raw TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS nav_history_vault ON nav_history (vault, timestamp);
+`;
+
+/**
+ * Opens (or creates) the SQLite store and applies the schema. Pass ":memory:" for a throwaway store.
+ */
+function openDatabase(file) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+  return db;
+}
+
+/**
+ * Normalizes a decoded vault event into the columns stored for it.
+ * AoP1Vault amounts are in MON (18 decimals) or USDT (6 decimals) depending on isMon; ProfitDistributed
+ * carries no flag, so its asset comes from the FundsReturned event emitted before it in the same call.
+ * Withdrawal queue events are in the asset of their request, which WithdrawalRequested names.
+ * AoP1Vault emergency withdrawals pay out both assets, so they have no single asset or amount.
+ * @return { account, asset, amount, args } with every amount as { raw, formatted }
+ */
+function normalizeVaultEvent(parsed, asset = "USDT") {
+  const values = parsed.args.toObject();
+  if (typeof values.isMon === "boolean") {
+    asset = values.isMon ? "MON" : "USDT";
+  } else if (typeof values.asset === "string") {
+    asset = values.asset === ethers.ZeroAddress ? "MON" : "USDT";
+  }
+  const assetDecimals = asset === "MON" ? MON_DECIMALS : USDT_DECIMALS;
+
+  const args = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (typeof value !== "bigint") {
+      args[key] = value;
+    } else if (INTEGER_FIELDS.has(key)) {
+      args[key] = Number(value);
+    } else {
+      args[key] = formatAmount(value, FIELD_DECIMALS[key] ?? assetDecimals);
+    }
+  }
+
+  return {
+    account: values.user || values.agent || values.owner || null,
+    asset: ASSET_EVENTS.has(parsed.name) && values.monAmount === undefined ? asset : null,
+    amount: args.amount || args.profit || args.assets || null,
+    args
+  };
+}
+
+/**
+ * Mirrors the activity of every vault deployed through a VaultFactory into SQLite.
+ * Vaults are discovered from VaultDeployed events; each batch of blocks is written in one
+ * transaction together with the checkpoint, so a restart resumes where the last batch ended.
+ * Before every sync the checkpoint's block hash is compared with the chain, and on a mismatch
+ * everything past the last block both agree on is rolled back and indexed again.
+ */
+class VaultIndexer {
+  /**
+   * @param options.provider Provider of the chain to index
+   * @param options.factoryAddress VaultFactory whose vaults are indexed
+   * @param options.db Database returned by openDatabase
+   * @param options.startBlock First block to index, normally the factory's deployment block
+   * @param options.confirmations Blocks to stay behind the chain head
+   * @param options.batchSize Maximum number of blocks fetched per eth_getLogs call
+   * @param options.pollInterval Delay between syncs in milliseconds
+   */
+  constructor({
+    provider,
+    factoryAddress,
+    db,
+    startBlock = 0,
+    confirmations = DEFAULT_CONFIRMATIONS,
+    batchSize = DEFAULT_BATCH_SIZE,
+    pollInterval = DEFAULT_POLL_INTERVAL_MS,
+    log = console.log
+  }) {
+    this.provider = provider;
+    this.factoryAddress = ethers.getAddress(factoryAddress);
+    this.db = db;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.pollInterval = pollInterval;
+    this.log = log;
+    this.running = false;
+  }
+
+  /**
+   * Last indexed block, or null if nothing has been indexed yet
+   */
+  getCheckpoint() {
+    const row = this.db.prepare("SELECT block_number, block_hash FROM checkpoint WHERE id = 1").get();
+    return row ? { blockNumber: row.block_number, blockHash: row.block_hash } : null;
+  }
+
+  getVaults() {
+    return this.db.prepare("SELECT address, name, type, block_number AS blockNumber FROM vaults ORDER BY block_number, address").all();
+  }
+
+  /**
+   * Indexes every confirmed block after the checkpoint, rolling back first if the chain reorganized.
+   * @return { fromBlock, toBlock, events, vaults, reorg }, with toBlock null when there was nothing to index
+   */
+  async sync() {
+    const result = { fromBlock: null, toBlock: null, events: 0, vaults: 0, reorg: null };
+
+    let checkpoint = this.getCheckpoint();
+    if (checkpoint) {
+      const block = await this.provider.getBlock(checkpoint.blockNumber);
+      if (!block || block.hash !== checkpoint.blockHash) {
+        const ancestor = await this.findCommonAncestor();
+        this.rollback(ancestor);
+        result.reorg = { from: checkpoint.blockNumber, to: ancestor };
+        this.log(`Reorg detected at block ${checkpoint.blockNumber}; rolled back to block ${ancestor}`);
+        checkpoint = this.getCheckpoint();
+      }
+    }
+
+    const head = await this.provider.getBlockNumber();
+    const target = head - this.confirmations;
+    let from = checkpoint ? checkpoint.blockNumber + 1 : this.startBlock;
+    if (from > target) {
+      return result;
+    }
+
+    result.fromBlock = from;
+    while (from <= target) {
+      const to = Math.min(from + this.batchSize - 1, target);
+      const batch = await this.indexRange(from, to);
+      result.events += batch.events;
+      result.vaults += batch.vaults;
+      result.toBlock = to;
+      from = to + 1;
+    }
+    return result;
+  }
+
+  /**
+   * Fetches and stores the factory and vault events of a block range
+   */
+  async indexRange(fromBlock, toBlock) {
+    const deployments = await this.provider.getLogs({
+      address: this.factoryAddress,
+      topics: [FACTORY_EVENTS.getEvent("VaultDeployed").topicHash],
+      fromBlock,
+      toBlock
+    });
+
+    const newVaults = deployments.map((log) => {
+      const { args } = FACTORY_EVENTS.parseLog(log);
+      return {
+        address: ethers.getAddress(args.vaultAddress),
+        name: args.name,
+        type: args.vaultType,
+        blockNumber: log.blockNumber,
+        txHash: log.transactionHash
+      };
+    });
+
+    const vaultTypes = new Map(this.getVaults().map((vault) => [vault.address, vault.type]));
+    for (const vault of newVaults) {
+      vaultTypes.set(vault.address, vault.type);
+    }
+
+    const logs = vaultTypes.size === 0 ? [] : await this.provider.getLogs({
+      address: [...vaultTypes.keys()],
+      topics: [VAULT_TOPICS],
+      fromBlock,
+      toBlock
+    });
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const timestamps = new Map();
+    for (const blockNumber of new Set(logs.map((log) => log.blockNumber))) {
+      timestamps.set(blockNumber, (await this.provider.getBlock(blockNumber)).timestamp);
+    }
+    const end = await this.provider.getBlock(toBlock);
+
+    // Asset of the last FundsReturned per transaction and vault, for the ProfitDistributed that follows it
+    const returnedAssets = new Map();
+    // Asset of each withdrawal request per vault, for the queue events that follow its WithdrawalRequested
+    const requestAssets = new Map();
+    // Last NAV-moving event per vault and block not followed by PerformanceMetrics
+    const navEvents = new Map();
+    const events = [];
+    for (const log of logs) {
+      const vault = ethers.getAddress(log.address);
+      const iface = VAULT_EVENTS[vaultTypes.get(vault)];
+      const parsed = iface && iface.parseLog(log);
+      if (!parsed) {
+        continue;
+      }
+
+      const key = `${log.transactionHash}:${vault}`;
+      const requestKey = parsed.args.requestId === undefined ? null : `${vault}:${parsed.args.requestId}`;
+      const asset = requestKey ? this.requestAsset(requestAssets, vault, parsed.args.requestId) : returnedAssets.get(key);
+      const event = normalizeVaultEvent(parsed, asset);
+      if (parsed.name === "FundsReturned") {
+        returnedAssets.set(key, event.asset);
+      } else if (parsed.name === "WithdrawalRequested") {
+        requestAssets.set(requestKey, event.asset);
+      }
+
+      const name = STORED_NAMES[parsed.signature] || parsed.name;
+      const blockKey = `${vault}:${log.blockNumber}`;
+      if (name === "PerformanceMetrics") {
+        navEvents.delete(blockKey);
+      } else if (NAV_EVENTS.has(name)) {
+        navEvents.set(blockKey, { log, vault, timestamp: timestamps.get(log.blockNumber) });
+      }
+      events.push({ log, vault, name, timestamp: timestamps.get(log.blockNumber), ...event });
+    }
+
+    const navPoints = [];
+    for (const event of navEvents.values()) {
+      const point = await this.readNavPoint(event);
+      if (point) {
+        navPoints.push(point);
+      }
+    }
+
+    this.store(newVaults, events, navPoints, { number: toBlock, hash: end.hash });
+    if (newVaults.length > 0 || events.length > 0) {
+      this.log(`Indexed blocks ${fromBlock}-${toBlock}: ${newVaults.length} vaults, ${events.length} events`);
+    }
+    return { vaults: newVaults.length, events: events.length };
+  }
+
+  /**
+   * Asset of a withdrawal request, from this batch or from its WithdrawalRequested event already stored
+   */
+  requestAsset(requestAssets, vault, requestId) {
+    const asset = requestAssets.get(`${vault}:${requestId}`);
+    if (asset) {
+      return asset;
+    }
+    const row = this.db.prepare(`
+      SELECT asset FROM events WHERE vault = ? AND event = 'WithdrawalRequested' AND json_extract(args, '$.requestId') = ?
+    `).get(vault, Number(requestId));
+    return row ? row.asset : undefined;
+  }
+
+  /**
+   * NAV point of a vault at the end of the block of a NAV-moving event, from the NAV history the vault
+   * records on every deposit and withdrawal; null if the vault recorded none in that block, as AoP1Vault
+   * does while MON cannot be priced
+   */
+  async readNavPoint({ log, vault, timestamp }) {
+    const contract = new ethers.Contract(vault, NAV_HISTORY_ABI, this.provider);
+    const overrides = { blockTag: log.blockNumber };
+    const count = await contract.navHistoryCount(overrides);
+    if (count === 0n) {
+      return null;
+    }
+    const [timestamps, values, totalValues] = await contract.getHistoricalNAV(count - 1n, 1, overrides);
+    if (Number(timestamps[0]) !== timestamp) {
+      return null;
+    }
+    return {
+      log,
+      vault,
+      timestamp,
+      sharePrice: formatAmount(values[0], SHARE_DECIMALS),
+      totalValue: formatAmount(totalValues[0], USDT_DECIMALS),
+      totalShares: formatAmount(await contract.totalSupply(overrides), SHARE_DECIMALS)
+    };
+  }
+
+  store(vaults, events, navPoints, checkpoint) {
+    const insertVault = this.db.prepare(`
+      INSERT OR REPLACE INTO vaults (address, name, type, block_number, tx_hash)
+      VALUES (@address, @name, @type, @blockNumber, @txHash)
+    `);
+    const insertEvent = this.db.prepare(`
+      INSERT OR REPLACE INTO events
+        (tx_hash, log_index, vault, event, block_number, block_hash, timestamp, account, asset, amount, amount_raw, args)
+      VALUES
+        (@txHash, @logIndex, @vault, @event, @blockNumber, @blockHash, @timestamp, @account, @asset, @amount, @amountRaw, @args)
+    `);
+    const insertNav = this.db.prepare(`
+      INSERT OR REPLACE INTO nav_history
+        (tx_hash, log_index, vault, block_number, timestamp, nav_per_share, nav_per_share_raw,
+         total_value, total_value_raw, total_shares, total_shares_raw)
+      VALUES
+        (@txHash, @logIndex, @vault, @blockNumber, @timestamp, @navPerShare, @navPerShareRaw,
+         @totalValue, @totalValueRaw, @totalShares, @totalSharesRaw)
+    `);
+    const insertBlock = this.db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)");
+
+    this.db.transaction(() => {
+      for (const vault of vaults) {
+        insertVault.run(vault);
+      }
+
+      for (const event of events) {
+        const row = {
+          txHash: event.log.transactionHash,
+          logIndex: event.log.index,
+          vault: event.vault,
+          blockNumber: event.log.blockNumber,
+          timestamp: event.timestamp
+        };
+        insertEvent.run({
+          ...row,
+          event: event.name,
+          blockHash: event.log.blockHash,
+          account: event.account,
+          asset: event.asset,
+          amount: event.amount ? event.amount.formatted : null,
+          amountRaw: event.amount ? event.amount.raw : null,
+          args: JSON.stringify(event.args)
+        });
+        insertBlock.run(event.log.blockNumber, event.log.blockHash);
+
+      }
+
+      const metrics = events
+        .filter((event) => event.name === "PerformanceMetrics")
+        .map((event) => ({ log: event.log, vault: event.vault, ...event.args }));
+      for (const { log, vault, timestamp, sharePrice, totalValue, totalShares } of [...metrics, ...navPoints]) {
+        insertNav.run({
+          txHash: log.transactionHash,
+          logIndex: log.index,
+          vault,
+          blockNumber: log.blockNumber,
+          timestamp,
+          navPerShare: sharePrice.formatted,
+          navPerShareRaw: sharePrice.raw,
+          totalValue: totalValue.formatted,
+          totalValueRaw: totalValue.raw,
+          totalShares: totalShares.formatted,
+          totalSharesRaw: totalShares.raw
+        });
+      }
+
+      insertBlock.run(checkpoint.number, checkpoint.hash);
+      this.db.prepare(`
+        DELETE FROM blocks WHERE number NOT IN (SELECT number FROM blocks ORDER BY number DESC LIMIT ?)
+      `).run(BLOCK_HASH_HISTORY);
+      this.db.prepare(`
+        INSERT INTO checkpoint (id, block_number, block_hash) VALUES (1, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET block_number = excluded.block_number, block_hash = excluded.block_hash
+      `).run(checkpoint.number, checkpoint.hash);
+    })();
+  }
+
+  /**
+   * Latest indexed block whose recorded hash is still on the chain, or startBlock - 1 if none is
+   */
+  async findCommonAncestor() {
+    const rows = this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC").all();
+    for (const row of rows) {
+      const block = await this.provider.getBlock(row.number);
+      if (block && block.hash === row.hash) {
+        return row.number;
+      }
+    }
+    return this.startBlock - 1;
+  }
+
+  /**
+   * Deletes everything indexed after a block and moves the checkpoint back to it
+   */
+  rollback(blockNumber) {
+    this.db.transaction(() => {
+      for (const table of ["events", "nav_history", "vaults"]) {
+        this.db.prepare(`DELETE FROM ${table} WHERE block_number > ?`).run(blockNumber);
+      }
+      this.db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+
+      const block = this.db.prepare("SELECT hash FROM blocks WHERE number = ?").get(blockNumber);
+      if (block) {
+        this.db.prepare("UPDATE checkpoint SET block_number = ?, block_hash = ? WHERE id = 1").run(blockNumber, block.hash);
+      } else {
+        this.db.prepare("DELETE FROM checkpoint").run();
+      }
+    })();
+  }
+
+  /**
+   * Syncs until stop() is called; failed syncs are logged and retried on the next poll
+   */
+  async start() {
+    this.running = true;
+    this.log(`Indexing VaultFactory ${this.factoryAddress} from block ${this.startBlock} (${this.confirmations} confirmations)`);
+
+    while (this.running) {
+      try {
+        await this.sync();
+      } catch (error) {
+        this.log(`Sync failed: ${error.message}`);
+      }
+      if (this.running) {
+        await new Promise((resolve) => {
+          this.wakeUp = resolve;
+          this.timer = setTimeout(resolve, this.pollInterval);
+        });
+      }
+    }
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIRMATIONS,
+  DEFAULT_BATCH_SIZE,
+  VAULT_EVENTS,
+  openDatabase,
+  normalizeVaultEvent,
+  VaultIndexer
+};
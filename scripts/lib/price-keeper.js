@@ -0,0 +1,422 @@
+const http = require("http");
+const axios = require("axios");
+const { ethers } = require("ethers");
+
+const DEFAULT_HERMES_URL = "https://hermes-beta.pyth.network";
+
+const DEFAULT_MAX_PRICE_AGE_SECONDS = 60; // AoP1Vault's default maxPriceAge
+const DEFAULT_DEVIATION_BPS = 50; // 0.5%
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+// Selector of the error Pyth reverts with for a feed that was never published
+const PRICE_FEED_NOT_FOUND = ethers.id("PriceFeedNotFound()").slice(0, 10);
+
+const BASIS_POINTS = 10000n;
+const PRICE_PRECISION = 18;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Heartbeat that pushes a price with a quarter of the vaults' staleness window to spare
+ */
+function defaultHeartbeat(maxPriceAge) {
+  return Math.floor((maxPriceAge * 3) / 4);
+}
+
+const DEFAULT_HEARTBEAT_SECONDS = defaultHeartbeat(DEFAULT_MAX_PRICE_AGE_SECONDS);
+
+/**
+ * Creates a price source backed by the Pyth Hermes HTTP API.
+ * fetchLatest() resolves to the update data to submit on-chain and the price it carries.
+ */
+function createHermesSource({ endpoint = DEFAULT_HERMES_URL, priceId, httpGet = axios.get, timeout = 10000 }) {
+  const id = priceId.replace(/^0x/, "");
+
+  return {
+    name: `hermes(${endpoint})`,
+    async fetchLatest() {
+      const url = `${endpoint.replace(/\/$/, "")}/v2/updates/price/latest?ids[]=${id}&encoding=hex`;
+      const response = await httpGet(url, { timeout });
+      const { binary, parsed } = response.data || {};
+
+      if (!binary || !Array.isArray(binary.data) || binary.data.length === 0) {
+        throw new Error("Invalid response format from Pyth Network");
+      }
+
+      const feed = (parsed || []).find((item) => item.id.replace(/^0x/, "") === id);
+      if (!feed) {
+        throw new Error(`Price feed ${priceId} missing from Hermes response`);
+      }
+
+      return {
+        updateData: binary.data.map((data) => (data.startsWith("0x") ? data : `0x${data}`)),
+        price: {
+          price: BigInt(feed.price.price),
+          conf: BigInt(feed.price.conf),
+          expo: Number(feed.price.expo),
+          publishTime: Number(feed.price.publish_time)
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Scales a Pyth price to a common 18 decimal precision so prices with different
+ * exponents can be compared
+ */
+function normalizePrice({ price, expo }) {
+  const shift = PRICE_PRECISION + Number(expo);
+  const value = BigInt(price);
+  return shift >= 0 ? value * 10n ** BigInt(shift) : value / 10n ** BigInt(-shift);
+}
+
+/**
+ * Returns the deviation between two prices in basis points of the reference price
+ */
+function deviationBps(price, reference) {
+  const a = normalizePrice(price);
+  const b = normalizePrice(reference);
+  if (b <= 0n) {
+    return BASIS_POINTS;
+  }
+  const diff = a > b ? a - b : b - a;
+  return (diff * BASIS_POINTS) / b;
+}
+
+/**
+ * Runs fn, retrying failures with exponential backoff
+ */
+async function withRetry(fn, { retries = DEFAULT_MAX_RETRIES, delay = DEFAULT_RETRY_DELAY_MS, onRetry = () => {}, wait = sleep } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries) {
+        throw error;
+      }
+      const backoff = delay * 2 ** attempt;
+      onRetry(error, attempt + 1, backoff);
+      await wait(backoff);
+    }
+  }
+}
+
+/**
+ * Keeps a Pyth price feed fresh by pushing updates from a price source whenever the
+ * on-chain price is older than the heartbeat or deviates from the source by more than
+ * the deviation threshold. With vaults given, updates go through the first vault and the
+ * others are asked to snapshot, so every vault's NAV history records the new price. Snapshots
+ * are retried on their own, so a failed one neither pays for the update again nor fails it.
+ */
+class PriceKeeper {
+  /**
+   * @param options.pyth IPyth contract connected to the signer that pays for updates; with vaults, the
+   *        oracle the first vault reads is used instead
+   * @param options.priceId Price feed ID to keep fresh
+   * @param options.source Price source with a fetchLatest() method (see createHermesSource)
+   * @param options.vaults AoP1Vault contracts connected to the same signer whose NAV is snapshotted on
+   *        every update; without any, updates go straight to Pyth
+   * @param options.maxPriceAge Price age in seconds the vaults reject as stale, used for health
+   * @param options.heartbeat Maximum on-chain price age in seconds before an update is pushed, by default
+   *        three quarters of maxPriceAge
+   * @param options.deviationBps Price deviation in basis points that triggers an update
+   * @param options.pollInterval Delay between checks in milliseconds
+   * @param options.maxRetries Retries per check before giving up until the next poll
+   * @param options.retryDelay Initial retry delay in milliseconds, doubled on every retry
+   */
+  constructor({
+    pyth,
+    priceId,
+    source,
+    vaults = [],
+    maxPriceAge = DEFAULT_MAX_PRICE_AGE_SECONDS,
+    heartbeat = defaultHeartbeat(maxPriceAge),
+    deviationBps: deviationThreshold = DEFAULT_DEVIATION_BPS,
+    pollInterval = DEFAULT_POLL_INTERVAL_MS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    retryDelay = DEFAULT_RETRY_DELAY_MS,
+    log = console.log
+  }) {
+    this.pyth = pyth;
+    this.priceId = priceId;
+    if (!(heartbeat > 0 && heartbeat < maxPriceAge)) {
+      throw new Error(`Heartbeat must be between 0 and maxPriceAge (${maxPriceAge}s), got ${heartbeat}`);
+    }
+    this.source = source;
+    this.vaults = vaults;
+    this.maxPriceAge = maxPriceAge;
+    this.heartbeat = heartbeat;
+    this.deviationThreshold = BigInt(deviationThreshold);
+    this.pollInterval = pollInterval;
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.log = log;
+    this.running = false;
+
+    this.metrics = {
+      startedAt: null,
+      checks: 0,
+      updatesPushed: 0,
+      updateFailures: 0,
+      snapshotFailures: 0,
+      retries: 0,
+      consecutiveFailures: 0,
+      lastCheckAt: null,
+      lastUpdateAt: null,
+      lastUpdateTx: null,
+      lastUpdateReason: null,
+      lastUpdateFee: null,
+      lastError: null,
+      onchainPrice: null,
+      onchainPublishTime: null,
+      sourcePrice: null,
+      sourcePublishTime: null
+    };
+  }
+
+  /**
+   * Pyth contract the updates are pushed to: the one the first vault reads its price from, which
+   * may differ from the deployment's, or options.pyth without vaults
+   */
+  async oracle() {
+    if (this.vaults.length === 0) {
+      return this.pyth;
+    }
+    const address = await this.vaults[0].pyth();
+    return this.pyth.target === address ? this.pyth : this.pyth.attach(address);
+  }
+
+  /**
+   * Reads the on-chain price without a staleness check; null if the feed was never published.
+   * Other errors, e.g. from the RPC, are thrown so the check is retried.
+   */
+  async readOnchainPrice(oracle = this.pyth) {
+    let price;
+    try {
+      price = await oracle.getPriceUnsafe(this.priceId);
+    } catch (error) {
+      if (typeof error.data === "string" && error.data.startsWith(PRICE_FEED_NOT_FOUND)) {
+        return null;
+      }
+      throw error;
+    }
+    return {
+      price: price.price,
+      conf: price.conf,
+      expo: Number(price.expo),
+      publishTime: Number(price.publishTime)
+    };
+  }
+
+  async currentTime() {
+    const block = await this.pyth.runner.provider.getBlock("latest");
+    return block.timestamp;
+  }
+
+  /**
+   * Returns why an update is needed, or null if the on-chain price is still good
+   */
+  updateReason(onchain, latest, now) {
+    if (!onchain) {
+      return "missing";
+    }
+    if (latest.price.publishTime <= onchain.publishTime) {
+      // The source has nothing newer than what is already on-chain
+      return null;
+    }
+    if (now - onchain.publishTime >= this.heartbeat) {
+      return "heartbeat";
+    }
+    if (deviationBps(latest.price, onchain) >= this.deviationThreshold) {
+      return "deviation";
+    }
+    return null;
+  }
+
+  /**
+   * Pushes update data through the first vault, which snapshots its NAV; straight to Pyth without vaults
+   * @return Receipt of the update
+   */
+  async pushUpdate(oracle, updateData, fee) {
+    const target = this.vaults.length === 0 ? oracle : this.vaults[0];
+    return (await target.updatePriceFeeds(updateData, { value: fee })).wait();
+  }
+
+  /**
+   * Snapshots the other vaults at the price just pushed, retrying each one on its own; failures are
+   * logged and counted without failing the update
+   */
+  async snapshotVaults() {
+    for (const vault of this.vaults.slice(1)) {
+      try {
+        await withRetry(async () => (await vault.updatePriceFeeds([])).wait(), {
+          retries: this.maxRetries,
+          delay: this.retryDelay,
+          onRetry: (error, attempt, backoff) => {
+            this.metrics.retries++;
+            this.log(`Snapshot of vault ${vault.target} attempt ${attempt} failed: ${error.message}; retrying in ${backoff}ms`);
+          }
+        });
+      } catch (error) {
+        this.metrics.snapshotFailures++;
+        this.log(`Snapshot of vault ${vault.target} failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Performs one check and pushes an update if needed.
+   * @return { updated, reason, txHash }
+   */
+  async checkAndUpdate() {
+    this.metrics.checks++;
+    this.metrics.lastCheckAt = new Date().toISOString();
+
+    try {
+      const result = await withRetry(async () => {
+        const oracle = await this.oracle();
+        const [onchain, latest, now] = await Promise.all([
+          this.readOnchainPrice(oracle),
+          this.source.fetchLatest(),
+          this.currentTime()
+        ]);
+
+        this.metrics.onchainPrice = onchain ? onchain.price.toString() : null;
+        this.metrics.onchainPublishTime = onchain ? onchain.publishTime : null;
+        this.metrics.sourcePrice = latest.price.price.toString();
+        this.metrics.sourcePublishTime = latest.price.publishTime;
+
+        const reason = this.updateReason(onchain, latest, now);
+        if (!reason) {
+          return { updated: false, reason: null, txHash: null };
+        }
+
+        const fee = await oracle.getUpdateFee(latest.updateData);
+        const receipt = await this.pushUpdate(oracle, latest.updateData, fee);
+
+        this.metrics.updatesPushed++;
+        this.metrics.lastUpdateAt = new Date().toISOString();
+        this.metrics.lastUpdateTx = receipt.hash;
+        this.metrics.lastUpdateReason = reason;
+        this.metrics.lastUpdateFee = fee.toString();
+        this.metrics.onchainPrice = latest.price.price.toString();
+        this.metrics.onchainPublishTime = latest.price.publishTime;
+        this.log(`Pushed price update (${reason}) in ${receipt.hash}, fee ${fee} wei`);
+
+        return { updated: true, reason, txHash: receipt.hash };
+      }, {
+        retries: this.maxRetries,
+        delay: this.retryDelay,
+        onRetry: (error, attempt, backoff) => {
+          this.metrics.retries++;
+          this.log(`Price update attempt ${attempt} failed: ${error.message}; retrying in ${backoff}ms`);
+        }
+      });
+
+      this.metrics.consecutiveFailures = 0;
+      if (result.updated) {
+        await this.snapshotVaults();
+      }
+      return result;
+    } catch (error) {
+      this.metrics.updateFailures++;
+      this.metrics.consecutiveFailures++;
+      this.metrics.lastError = error.message;
+      this.log(`Price update failed: ${error.message}`);
+      return { updated: false, reason: null, txHash: null, error };
+    }
+  }
+
+  /**
+   * Health summary: unhealthy once the on-chain price would fail the vaults' staleness
+   * check or the last retries were exhausted
+   */
+  async getHealth() {
+    const now = await this.currentTime();
+    const age = this.metrics.onchainPublishTime === null ? null : now - this.metrics.onchainPublishTime;
+    const healthy = age !== null && age < this.maxPriceAge && this.metrics.consecutiveFailures === 0;
+
+    return {
+      healthy,
+      running: this.running,
+      onchainPriceAge: age,
+      maxPriceAge: this.maxPriceAge,
+      ...this.metrics
+    };
+  }
+
+  /**
+   * Polls until stop() is called
+   */
+  async start() {
+    this.running = true;
+    this.metrics.startedAt = new Date().toISOString();
+    this.log(
+      `Price keeper started for ${this.priceId} (heartbeat ${this.heartbeat}s, max age ${this.maxPriceAge}s, ` +
+        `deviation ${this.deviationThreshold} bps)`
+    );
+
+    while (this.running) {
+      await this.checkAndUpdate();
+      if (this.running) {
+        await new Promise((resolve) => {
+          this.wakeUp = resolve;
+          this.timer = setTimeout(resolve, this.pollInterval);
+        });
+      }
+    }
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+  }
+}
+
+/**
+ * Serves keeper health as JSON on /health (503 when unhealthy) and /metrics
+ */
+function startMetricsServer(keeper, port) {
+  const server = http.createServer(async (req, res) => {
+    try {
+      const health = await keeper.getHealth();
+      if (req.url === "/health") {
+        res.writeHead(health.healthy ? 200 : 503, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ healthy: health.healthy, onchainPriceAge: health.onchainPriceAge }));
+      } else if (req.url === "/metrics") {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(health));
+      } else {
+        res.writeHead(404, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: "Not found" }));
+      }
+    } catch (error) {
+      res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, () => resolve(server));
+  });
+}
+
+module.exports = {
+  DEFAULT_HERMES_URL,
+  DEFAULT_MAX_PRICE_AGE_SECONDS,
+  DEFAULT_HEARTBEAT_SECONDS,
+  DEFAULT_DEVIATION_BPS,
+  DEFAULT_POLL_INTERVAL_MS,
+  defaultHeartbeat,
+  createHermesSource,
+  normalizePrice,
+  deviationBps,
+  withRetry,
+  PriceKeeper,
+  startMetricsServer
+};
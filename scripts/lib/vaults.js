@@ -0,0 +1,221 @@
+const { ethers } = require("ethers");
+const { deploymentInfoPath, loadDeploymentInfo, getVaultType } = require("./deployment");
+
+// Decimal precision used across the vaults
+const USDT_DECIMALS = 6;
+const SHARE_DECIMALS = 18;
+const MON_DECIMALS = 18;
+const BASIS_POINTS = 10000n;
+
+// Mirrors MonUsdOracle.PriceStatus
+const PRICE_STATUSES = ["Valid", "Unavailable", "Stale", "NonPositive", "Uncertain", "OutOfRange"];
+
+// Mirrors WithdrawalQueue.WithdrawalStatus
+const WITHDRAWAL_STATUSES = ["None", "Pending", "Settled", "Claimed", "Cancelled"];
+
+/**
+ * Returns an amount as both its raw on-chain integer and a human readable decimal string
+ */
+function formatAmount(raw, decimals) {
+  return {
+    raw: raw.toString(),
+    formatted: ethers.formatUnits(raw, decimals)
+  };
+}
+
+/**
+ * Formats a basis point value as a percentage string (e.g. 2500 -> "25.00%")
+ */
+function formatBasisPoints(value) {
+  const bps = BigInt(value);
+  return `${bps / 100n}.${(bps % 100n).toString().padStart(2, "0")}%`;
+}
+
+function formatTimestamp(value) {
+  const seconds = Number(value);
+  return seconds === 0 ? null : new Date(seconds * 1000).toISOString();
+}
+
+/**
+ * Normalizes the output of VaultFactory.getVaultStatistics
+ */
+function normalizeVaultStatistics(stats) {
+  return {
+    totalAssets: formatAmount(stats.totalAssets, USDT_DECIMALS),
+    sharePrice: formatAmount(stats.sharePrice, SHARE_DECIMALS),
+    totalShares: formatAmount(stats.totalShares, SHARE_DECIMALS),
+    monBalance: formatAmount(stats.monBalance, MON_DECIMALS),
+    usdtBalance: formatAmount(stats.usdtBalance, USDT_DECIMALS),
+    lastUpdateTime: formatTimestamp(stats.lastUpdateTime),
+    userCount: Number(stats.userCount)
+  };
+}
+
+/**
+ * Normalizes the output of VaultFactory.getUserDetails
+ */
+function normalizeUserDetails(details) {
+  return {
+    shares: formatAmount(details.shares, SHARE_DECIMALS),
+    valueInUSDT: formatAmount(details.valueInUSDT, USDT_DECIMALS),
+    percentageOfVault: formatBasisPoints(details.percentageOfVault),
+    initialDepositDate: formatTimestamp(details.initialDepositDate),
+    costBasis: formatAmount(details.costBasis, USDT_DECIMALS),
+    realizedPnl: formatAmount(details.realizedPnl, USDT_DECIMALS),
+    unrealizedPnl: formatAmount(details.unrealizedPnl, USDT_DECIMALS),
+    averageEntryNav: formatAmount(details.averageEntryNav, SHARE_DECIMALS),
+    monDeposited: formatAmount(details.monDeposited, MON_DECIMALS),
+    usdtDeposited: formatAmount(details.usdtDeposited, USDT_DECIMALS)
+  };
+}
+
+/**
+ * Normalizes one asset's AgentAllocations.AgentStats, with the share of returns that made a profit as hitRate
+ */
+function normalizeAgentStats(stats, decimals) {
+  const tradeCount = BigInt(stats.tradeCount);
+  return {
+    capitalRequested: formatAmount(stats.capitalRequested, decimals),
+    capitalReturned: formatAmount(stats.capitalReturned, decimals),
+    realizedPnl: formatAmount(stats.realizedPnl, decimals),
+    feesGenerated: formatAmount(stats.feesGenerated, decimals),
+    tradeCount: Number(tradeCount),
+    profitableTrades: Number(stats.profitableTrades),
+    hitRate: tradeCount === 0n ? null : formatBasisPoints((BigInt(stats.profitableTrades) * BASIS_POINTS) / tradeCount),
+    lastActivity: formatTimestamp(stats.lastActivity)
+  };
+}
+
+/**
+ * Normalizes the output of VaultFactory.getHistoricalNAV into one entry per snapshot
+ */
+function normalizeHistoricalNAV([timestamps, values, totalValues]) {
+  return timestamps.map((timestamp, i) => ({
+    timestamp: Number(timestamp),
+    date: formatTimestamp(timestamp),
+    navPerShare: formatAmount(values[i], SHARE_DECIMALS),
+    totalValue: formatAmount(totalValues[i], USDT_DECIMALS)
+  }));
+}
+
+/**
+ * Returns the recorded deployment for the network hre is connected to
+ */
+async function getDeployment(hre, infoPath) {
+  const chainId = (await hre.ethers.provider.getNetwork()).chainId.toString();
+  const info = loadDeploymentInfo(infoPath || deploymentInfoPath(chainId));
+  return { chainId, infoPath: infoPath || deploymentInfoPath(chainId), record: info[chainId] };
+}
+
+/**
+ * Connects to the VaultFactory given explicitly or recorded in the deployment info
+ */
+async function resolveFactory(hre, factoryAddress, infoPath) {
+  let address = factoryAddress;
+  if (!address) {
+    const { chainId, record } = await getDeployment(hre, infoPath);
+    if (!record || !record.factory) {
+      throw new Error(`No VaultFactory recorded for chainId ${chainId}; pass --factory`);
+    }
+    address = record.factory;
+  }
+  return hre.ethers.getContractAt("VaultFactory", address);
+}
+
+/**
+ * Reads an agent's outstanding principal and credit limits from a resolved vault.
+ * MON is only reported for AoP1Vault, which records it under the zero address.
+ */
+async function getAgentAllocation(vault, agent) {
+  const { contract } = vault;
+  const usdtAllocation = await contract.agentAllocations(agent, await contract.usdtToken());
+  const result = {
+    usdt: {
+      principal: formatAmount(usdtAllocation.principal, USDT_DECIMALS),
+      creditLimit: formatAmount(usdtAllocation.creditLimit, USDT_DECIMALS)
+    }
+  };
+
+  if (vault.type === "AoP1Vault") {
+    const monAllocation = await contract.agentAllocations(agent, ethers.ZeroAddress);
+    result.mon = {
+      principal: formatAmount(monAllocation.principal, MON_DECIMALS),
+      creditLimit: formatAmount(monAllocation.creditLimit, MON_DECIMALS)
+    };
+  }
+  return result;
+}
+
+/**
+ * Normalizes a WithdrawalQueue request; MON requests of AoP1Vault are recorded under the zero address
+ */
+function normalizeWithdrawalRequest(id, request) {
+  const inMon = request.asset === ethers.ZeroAddress;
+  return {
+    id: id.toString(),
+    owner: request.owner,
+    asset: inMon ? "MON" : "USDT",
+    shares: formatAmount(request.shares, SHARE_DECIMALS),
+    assets: formatAmount(request.assets, inMon ? MON_DECIMALS : USDT_DECIMALS),
+    requestedAt: formatTimestamp(request.requestedAt),
+    settledAt: formatTimestamp(request.settledAt),
+    status: WITHDRAWAL_STATUSES[Number(request.status)]
+  };
+}
+
+/**
+ * Resolves a vault reference to its address and type. The reference can be a vault
+ * address, a name or symbol recorded in the deployment info, or a name registered in
+ * VaultFactory.vaults.
+ */
+async function resolveVault(hre, factory, ref, infoPath) {
+  if (!ref) {
+    throw new Error("A vault name, symbol or address is required");
+  }
+
+  let address;
+  let name;
+  if (hre.ethers.isAddress(ref)) {
+    address = hre.ethers.getAddress(ref);
+  } else {
+    const { record } = await getDeployment(hre, infoPath);
+    const recorded = Object.entries((record && record.vaults) || {}).find(([vaultName, vault]) =>
+      vaultName === ref || (vault.symbol && vault.symbol.toLowerCase() === ref.toLowerCase())
+    );
+
+    if (recorded) {
+      [name, { address }] = recorded;
+    } else {
+      address = await factory.vaults(ref);
+      if (address === hre.ethers.ZeroAddress) {
+        throw new Error(`Unknown vault "${ref}": not in the deployment info or VaultFactory.vaults`);
+      }
+      name = ref;
+    }
+  }
+
+  const type = await getVaultType(factory, address);
+  const contract = await hre.ethers.getContractAt(type, address);
+  return { address, name: name || (await contract.name()), type, contract };
+}
+
+module.exports = {
+  USDT_DECIMALS,
+  SHARE_DECIMALS,
+  MON_DECIMALS,
+  BASIS_POINTS,
+  PRICE_STATUSES,
+  WITHDRAWAL_STATUSES,
+  formatAmount,
+  formatBasisPoints,
+  formatTimestamp,
+  normalizeVaultStatistics,
+  normalizeUserDetails,
+  normalizeHistoricalNAV,
+  normalizeAgentStats,
+  getAgentAllocation,
+  normalizeWithdrawalRequest,
+  getDeployment,
+  resolveFactory,
+  resolveVault
+};
@@ -0,0 +1,109 @@
+const hre = require("hardhat");
+const { getDeployment } = require("./lib/vaults");
+const {
+  DEFAULT_HERMES_URL,
+  DEFAULT_MAX_PRICE_AGE_SECONDS,
+  DEFAULT_DEVIATION_BPS,
+  DEFAULT_POLL_INTERVAL_MS,
+  defaultHeartbeat,
+  PriceKeeper,
+  createHermesSource,
+  startMetricsServer
+} = require("./lib/price-keeper");
+
+/**
+ * The AoP1Vaults in the deployment, connected to the signer
+ */
+async function getAoP1Vaults(record, signer) {
+  const vaults = Object.values(record.vaults || {}).filter((vault) => vault.type === "AoP1Vault");
+  return Promise.all(vaults.map((vault) => hre.ethers.getContractAt("AoP1Vault", vault.address, signer)));
+}
+
+/**
+ * Smallest maxPriceAge of the vaults, so the keeper serves the strictest one
+ */
+async function readMaxPriceAge(vaults) {
+  if (vaults.length === 0) {
+    return DEFAULT_MAX_PRICE_AGE_SECONDS;
+  }
+  const ages = await Promise.all(vaults.map(async (vault) => Number(await vault.maxPriceAge())));
+  return Math.min(...ages);
+}
+
+/**
+ * Long-running keeper that keeps the MON/USD Pyth price fresh for AoP1Vault.
+ *
+ *   npx hardhat run scripts/price-keeper.js --network monadTestnet
+ *
+ * The Pyth contract, price feed ID and AoP1Vaults come from deployment-info.json. Updates are pushed
+ * through the vaults, to the Pyth contract the first one reads, so each one snapshots its NAV at the
+ * new price. Environment variables:
+ * - HERMES_URL: Hermes endpoint used as the price source
+ * - KEEPER_MAX_PRICE_AGE: price age in seconds the vaults reject as stale (default: the smallest
+ *   maxPriceAge of the recorded AoP1Vaults, or 60 without any)
+ * - KEEPER_HEARTBEAT: maximum on-chain price age in seconds (default three quarters of the max price age)
+ * - KEEPER_DEVIATION_BPS: price deviation that triggers an update (default 50 = 0.5%)
+ * - KEEPER_POLL_INTERVAL: milliseconds between checks (default 5000)
+ * - KEEPER_METRICS_PORT: port for the /health and /metrics endpoints (default 9464, 0 to disable)
+ * - KEEPER_ONCE: set to "true" to run a single check and exit
+ */
+async function main() {
+  const { chainId, record } = await getDeployment(hre);
+  if (!record || !record.config) {
+    throw new Error(`No deployment recorded for chainId ${chainId}; run scripts/deploy.js first`);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  const pyth = await hre.ethers.getContractAt("IPyth", record.config.pythAddress, signer);
+  const priceId = record.config.monUsdPriceId;
+  const vaults = await getAoP1Vaults(record, signer);
+  const maxPriceAge = Number(process.env.KEEPER_MAX_PRICE_AGE || (await readMaxPriceAge(vaults)));
+
+  const keeper = new PriceKeeper({
+    pyth,
+    priceId,
+    source: createHermesSource({ endpoint: process.env.HERMES_URL || DEFAULT_HERMES_URL, priceId }),
+    vaults,
+    maxPriceAge,
+    heartbeat: Number(process.env.KEEPER_HEARTBEAT || defaultHeartbeat(maxPriceAge)),
+    deviationBps: Number(process.env.KEEPER_DEVIATION_BPS || DEFAULT_DEVIATION_BPS),
+    pollInterval: Number(process.env.KEEPER_POLL_INTERVAL || DEFAULT_POLL_INTERVAL_MS),
+    log: (message) => console.log(`[${new Date().toISOString()}] ${message}`)
+  });
+
+  console.log(`Using account: ${signer.address}`);
+  console.log(`Pyth contract: ${(await keeper.oracle()).target}`);
+  console.log(`Max price age: ${maxPriceAge}s`);
+
+  if (process.env.KEEPER_ONCE === "true") {
+    const result = await keeper.checkAndUpdate();
+    console.log(result.updated ? `Price updated (${result.reason})` : "Price is fresh, no update needed");
+    if (result.error) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  const port = Number(process.env.KEEPER_METRICS_PORT || 9464);
+  const server = port > 0 ? await startMetricsServer(keeper, port) : null;
+  if (server) {
+    console.log(`Health metrics served on http://localhost:${port}/health and /metrics`);
+  }
+
+  const shutdown = () => {
+    console.log("Stopping price keeper...");
+    keeper.stop();
+    if (server) {
+      server.close();
+    }
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+
+  await keeper.start();
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
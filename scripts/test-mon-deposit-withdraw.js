@@ -1,17 +1,5 @@
 const { ethers } = require("hardhat");
 
-// ABI for AoP1Vault contract functions we need
-const AOP1_VAULT_ABI = [
-  "function depositMON(bytes[] calldata priceUpdateData) external payable returns (uint256)",
-  "function balanceOf(address account) external view returns (uint256)",
-  "function withdraw(uint256 shares, bool asUSDT, bytes[] calldata priceUpdateData) external returns (uint256)",
-  "function navPerShare() external view returns (uint256)",
-  "function getPricePerShare() external view returns (uint256)",
-  "function getTotalValueInUsdt(bytes[] calldata priceUpdateData) external returns (uint256)",
-  "function totalMonValue() external view returns (uint256)",
-  "function estimateSharesForMonDeposit(uint256 monAmount, bytes[] calldata priceUpdateData) external returns (uint256)"
-];
-
 async function main() {
   try {
     // Get signer
@@ -20,7 +8,7 @@ async function main() {
     
     // Connect to the deployed AoP1Vault
     const vaultAddress = "0x9b9E48cD1bA058aE4d8579e935bf278dd337Eb40";
-    const vault = new ethers.Contract(vaultAddress, AOP1_VAULT_ABI, deployer);
+    const vault = await ethers.getContractAt("AoP1Vault", vaultAddress, deployer);
     
     console.log(`Connected to AoP1Vault at ${vaultAddress}`);
     
@@ -41,7 +29,7 @@ async function main() {
     const oneEther = ethers.parseEther("1.0");
     
     try {
-      const estimatedShares = await vault.estimateSharesForMonDeposit.staticCall(oneEther, []);
+      const estimatedShares = await vault.estimateSharesForMonDeposit(oneEther);
       console.log(`Estimated shares: ${ethers.formatEther(estimatedShares)}`);
     } catch (error) {
       console.log("Couldn't estimate shares:", error.message);
@@ -49,7 +37,7 @@ async function main() {
     
     // Deposit 1 MON
     console.log(`Depositing 1 MON to the vault...`);
-    const depositTx = await vault.depositMON([], { value: oneEther });
+    const depositTx = await vault["depositMON(bytes[])"]([], { value: oneEther });
     console.log(`Deposit transaction submitted: ${depositTx.hash}`);
     
     const depositReceipt = await depositTx.wait();
@@ -69,7 +57,7 @@ async function main() {
     
     // Check total vault value
     try {
-      const totalValue = await vault.getTotalValueInUsdt.staticCall([]);
+      const totalValue = await vault.getTotalValueInUsdt();
       console.log(`Total vault value in USDT: ${ethers.formatUnits(totalValue, 6)}`);
     } catch (error) {
       console.log("Couldn't get total value:", error.message);
@@ -85,7 +73,7 @@ async function main() {
     
     // Withdraw all shares
     console.log(`Withdrawing all shares as MON...`);
-    const withdrawTx = await vault.withdraw(newShares, false, []);
+    const withdrawTx = await vault["withdraw(uint256,bool,bytes[])"](newShares, true, []);
     console.log(`Withdrawal transaction submitted: ${withdrawTx.hash}`);
     
     const withdrawReceipt = await withdrawTx.wait();
@@ -0,0 +1,60 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { parsePriceCsv, runBacktest, toCsv } = require("../scripts/lib/backtest");
+
+/**
+ * Offline backtests of fees and MON/USD price paths through the compiled vaults, e.g.:
+ *   npx hardhat backtest --schedule examples/backtest/mon-drawdown.json \
+ *     --prices examples/backtest/mon-drawdown.csv --out results.csv
+ *
+ * They run on the in-process Hardhat network with the mock USDT and Pyth oracle, never on a live network.
+ */
+
+const FORMATS = ["csv", "json"];
+
+/**
+ * Prints the final values, the fees and each user's result
+ */
+function printSummary(summary) {
+  console.log(`${summary.vault}: ${summary.steps} steps, ${summary.failed} failed`);
+  console.log(`NAV per share: ${summary.navPerShare}, total value ${summary.totalValue} USDT`);
+  const { fees } = summary;
+  console.log(
+    `Fees: performance ${fees.performanceUsdt} USDT and ${fees.performanceMon} MON, ` +
+      `management ${fees.managementShares} shares worth ${fees.feeRecipientValue} USDT`
+  );
+  for (const [name, user] of Object.entries(summary.users)) {
+    console.log(`${name}: deposited ${user.deposited}, withdrew ${user.withdrawn}, holds ${user.value}, PnL ${user.pnl} USDT`);
+  }
+  for (const failure of summary.failures) {
+    console.log(`failed at ${failure.time}s: ${failure.event} by ${failure.account}: ${failure.error}`);
+  }
+}
+
+task("backtest", "Replays a MON/USD price path and a schedule of vault operations on the in-process network")
+  .addParam("schedule", "JSON file with the vault, users, agents and steps")
+  .addOptionalParam("prices", "CSV file with time and price columns (required for AoP1Vault)")
+  .addOptionalParam("out", "File to write one row per price and step to, printed if omitted")
+  .addOptionalParam("format", `${FORMATS.join(" or ")}; defaults to the extension of --out, else csv`)
+  .setAction(async (args, hre) => {
+    const format = args.format || (args.out && path.extname(args.out) === ".json" ? "json" : "csv");
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown format "${format}", expected ${FORMATS.join(" or ")}`);
+    }
+    const schedule = JSON.parse(fs.readFileSync(args.schedule, "utf8"));
+    const prices = args.prices ? parsePriceCsv(fs.readFileSync(args.prices, "utf8"), args.prices) : [];
+
+    await hre.run("compile", { quiet: true });
+    const result = await runBacktest(hre, { schedule, prices });
+
+    const text = format === "json" ? JSON.stringify(result, null, 2) : toCsv(result.steps);
+    if (args.out) {
+      fs.writeFileSync(args.out, text + "\n");
+      console.log(`Wrote ${result.steps.length} rows to ${args.out}`);
+      printSummary(result.summary);
+    } else {
+      console.log(text);
+    }
+    return result;
+  });
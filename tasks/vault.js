@@ -0,0 +1,796 @@
+const { task, types } = require("hardhat/config");
+const {
+  VAULT_TYPES,
+  VAULT_DEPLOY_FUNCTIONS,
+  parseDepositLimits,
+  saveDeploymentInfo,
+  loadDeploymentInfo
+} = require("../scripts/lib/deployment");
+const {
+  USDT_DECIMALS,
+  SHARE_DECIMALS,
+  MON_DECIMALS,
+  BASIS_POINTS,
+  PRICE_STATUSES,
+  formatAmount,
+  formatBasisPoints,
+  formatTimestamp,
+  normalizeVaultStatistics,
+  normalizeUserDetails,
+  normalizeHistoricalNAV,
+  normalizeAgentStats,
+  getAgentAllocation,
+  normalizeWithdrawalRequest,
+  getDeployment,
+  resolveFactory,
+  resolveVault
+} = require("../scripts/lib/vaults");
+
+/**
+ * Operator CLI for vault administration through VaultFactory.
+ *
+ * Vaults are referenced by address, by the name registered in VaultFactory.vaults, or by
+ * the name or symbol recorded in deployment-info.json, e.g.:
+ *   npx hardhat vault:stats --vault AOP1 --network monadTestnet
+ */
+
+/**
+ * Prints a result either as JSON or as aligned "key: value" lines
+ */
+function output(result, json) {
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  printLines(result, "");
+}
+
+function printLines(value, indent) {
+  for (const [key, item] of Object.entries(value)) {
+    if (item && typeof item === "object" && "formatted" in item) {
+      console.log(`${indent}${key}: ${item.formatted}`);
+    } else if (item && typeof item === "object") {
+      console.log(`${indent}${key}:`);
+      printLines(item, `${indent}  `);
+    } else {
+      console.log(`${indent}${key}: ${item}`);
+    }
+  }
+}
+
+async function sendTransaction(txPromise, json) {
+  const tx = await txPromise;
+  if (!json) {
+    console.log(`Transaction sent: ${tx.hash}`);
+  }
+  const receipt = await tx.wait();
+  return { txHash: receipt.hash, blockNumber: receipt.blockNumber };
+}
+
+/**
+ * Keeps the agent list recorded in the deployment info in sync with on-chain changes
+ */
+async function recordAgents(hre, vaultAddress, update) {
+  const { chainId, infoPath, record } = await getDeployment(hre);
+  if (!record || !record.vaults) {
+    return;
+  }
+
+  const entry = Object.values(record.vaults).find((vault) => vault.address === vaultAddress);
+  if (!entry) {
+    return;
+  }
+  entry.agents = update(entry.agents || []);
+
+  const info = loadDeploymentInfo(infoPath);
+  info[chainId] = record;
+  saveDeploymentInfo(infoPath, info);
+}
+
+// Bits of VaultPausable's pause mask, by the names the pause commands accept
+const PAUSE_OPERATIONS = { deposits: 1, withdrawals: 2, "agent-funds": 4 };
+
+/**
+ * Converts a comma-separated list of operation names, or "all", to a pause mask
+ */
+function parsePauseOperations(value) {
+  if (value === "all") {
+    return Object.values(PAUSE_OPERATIONS).reduce((mask, bit) => mask | bit, 0);
+  }
+  return value.split(",").reduce((mask, name) => {
+    const bit = PAUSE_OPERATIONS[name.trim()];
+    if (!bit) {
+      throw new Error(`Unknown operation "${name.trim()}"; use ${Object.keys(PAUSE_OPERATIONS).join(", ")} or all`);
+    }
+    return mask | bit;
+  }, 0);
+}
+
+async function getPauseStatus(contract) {
+  const mask = Number(await contract.pausedOperations());
+  const paused = {};
+  for (const [name, bit] of Object.entries(PAUSE_OPERATIONS)) {
+    paused[name] = (mask & bit) !== 0;
+  }
+  return { paused, emergencyMode: await contract.emergencyMode() };
+}
+
+// TransferRestrictions.TransferMode values, by the names vault:transfers accepts
+const TRANSFER_MODES = { open: 0, "non-transferable": 1, allowlisted: 2 };
+
+/**
+ * Splits a comma-separated list of addresses into checksummed addresses
+ */
+function parseAddresses(hre, value) {
+  return value.split(",").map((address) => hre.ethers.getAddress(address.trim()));
+}
+
+// Options of vault:deploy and vault:deposit-limits that map onto DepositLimits.DepositLimitConfig
+const DEPOSIT_LIMIT_OPTIONS = ["maxTotalAssets", "maxUserDeposit", "minDeposit", "allowlistOnly", "allowlistRoot"];
+
+/**
+ * Picks the deposit limit options that were given, in the deploy config's "depositLimits" format
+ */
+function depositLimitArgs(args) {
+  return Object.fromEntries(DEPOSIT_LIMIT_OPTIONS.filter((key) => args[key] !== undefined).map((key) => [key, args[key]]));
+}
+
+/**
+ * Normalizes DepositLimits.depositLimits, with 0 amounts shown as null for no limit
+ */
+function normalizeDepositLimits(limits) {
+  const amount = (value) => (value === 0n ? null : formatAmount(value, USDT_DECIMALS));
+  return {
+    maxTotalAssets: amount(limits.maxTotalAssets),
+    maxUserDeposit: amount(limits.maxUserDeposit),
+    minDeposit: amount(limits.minDeposit),
+    allowlistOnly: limits.allowlistOnly,
+    allowlistRoot: limits.allowlistRoot
+  };
+}
+
+/**
+ * Defines a task with the options shared by every vault command
+ */
+function vaultTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("factory", "VaultFactory address (defaults to deployment-info.json)")
+    .addFlag("json", "Print machine readable JSON");
+}
+
+vaultTask("vault:list", "Lists the vaults in the VaultFactory registry, marking those missing from deployment-info.json")
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const { record } = await getDeployment(hre);
+    const recorded = new Set(Object.values((record && record.vaults) || {}).map((vault) => vault.address));
+
+    const vaults = [];
+    for (const address of await factory.getAllVaults()) {
+      const info = await factory.getVaultInfo(address);
+      const type = VAULT_TYPES[Number(info.vaultType)];
+      const contract = await hre.ethers.getContractAt(type, address);
+      vaults.push({
+        name: info.name,
+        symbol: await contract.symbol(),
+        type,
+        address,
+        version: Number(info.version),
+        active: info.active,
+        recorded: recorded.has(address)
+      });
+    }
+
+    if (args.json) {
+      console.log(JSON.stringify(vaults, null, 2));
+    } else {
+      for (const vault of vaults) {
+        const notes = [vault.active ? "" : " (retired)", vault.recorded ? "" : " (not in deployment info)"].join("");
+        console.log(`${vault.symbol}\t${vault.type} v${vault.version}\t${vault.address}\t${vault.name}${notes}`);
+      }
+    }
+    return vaults;
+  });
+
+vaultTask("vault:stats", "Shows VaultFactory.getVaultStatistics for a vault")
+  .addParam("vault", "Vault name, symbol or address")
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+
+    const result = {
+      vault: vault.address,
+      name: vault.name,
+      type: vault.type,
+      ...normalizeVaultStatistics(await factory.getVaultStatistics(vault.address))
+    };
+    output(result, args.json);
+    return result;
+  });
+
+vaultTask("vault:user", "Shows VaultFactory.getUserDetails for a user of a vault")
+  .addParam("vault", "Vault name, symbol or address")
+  .addParam("user", "User address")
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+
+    const result = {
+      vault: vault.address,
+      user: hre.ethers.getAddress(args.user),
+      ...normalizeUserDetails(await factory.getUserDetails(vault.address, args.user))
+    };
+    output(result, args.json);
+    return result;
+  });
+
+vaultTask("vault:nav", "Shows VaultFactory.getHistoricalNAV for a vault")
+  .addParam("vault", "Vault name, symbol or address")
+  .addOptionalParam("start", "Index of the first snapshot, 0 for the oldest kept", 0, types.int)
+  .addOptionalParam("count", "Maximum number of snapshots", 100, types.int)
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+    const history = normalizeHistoricalNAV(await factory.getHistoricalNAV(vault.address, args.start, args.count));
+
+    if (args.json) {
+      console.log(JSON.stringify(history, null, 2));
+    } else {
+      for (const snapshot of history) {
+        console.log(`${snapshot.date}\tNAV ${snapshot.navPerShare.formatted}\tTotal ${snapshot.totalValue.formatted} USDT`);
+      }
+    }
+    return history;
+  });
+
+vaultTask("vault:add-agent", "Grants AGENT_ROLE on a vault through VaultFactory.addAgentToVault")
+  .addParam("vault", "Vault name, symbol or address")
+  .addParam("agent", "Agent address")
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+    const agent = hre.ethers.getAddress(args.agent);
+
+    const result = await sendTransaction(factory.addAgentToVault(vault.address, agent), args.json);
+    await recordAgents(hre, vault.address, (agents) => agents.includes(agent) ? agents : [...agents, agent]);
+
+    output({ action: "addAgentToVault", vault: vault.address, agent, ...result }, args.json);
+    return result;
+  });
+
+vaultTask("vault:remove-agent", "Revokes AGENT_ROLE on a vault through VaultFactory.removeAgentFromVault")
+  .addParam("vault", "Vault name, symbol or address")
+  .addParam("agent", "Agent address")
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+    const agent = hre.ethers.getAddress(args.agent);
+
+    const result = await sendTransaction(factory.removeAgentFromVault(vault.address, agent), args.json);
+    await recordAgents(hre, vault.address, (agents) => agents.filter((item) => item !== agent));
+
+    output({ action: "removeAgentFromVault", vault: vault.address, agent, ...result }, args.json);
+    return result;
+  });
+
+vaultTask("vault:fee-recipient", "Updates the fee recipient of a vault through VaultFactory.updateFeeRecipient")
+  .addParam("vault", "Vault name, symbol or address")
+  .addParam("recipient", "New fee recipient address")
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+    const recipient = hre.ethers.getAddress(args.recipient);
+
+    const result = await sendTransaction(factory.updateFeeRecipient(vault.address, recipient), args.json);
+    output({ action: "updateFeeRecipient", vault: vault.address, recipient, ...result }, args.json);
+    return result;
+  });
+
+vaultTask("vault:fees", "Shows a vault's fees, or updates them through VaultFactory.updateVaultFees")
+  .addParam("vault", "Vault name, symbol or address")
+  .addOptionalParam("performance", "New performance fee in basis points", undefined, types.int)
+  .addOptionalParam("management", "New management fee in basis points per year", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+    const { contract } = vault;
+
+    let update = {};
+    if (args.performance !== undefined || args.management !== undefined) {
+      const performance = args.performance === undefined ? await contract.performanceFee() : args.performance;
+      const management = args.management === undefined ? await contract.managementFee() : args.management;
+      update = await sendTransaction(factory.updateVaultFees(vault.address, performance, management), args.json);
+    }
+
+    const result = {
+      vault: vault.address,
+      performanceFee: formatBasisPoints(await contract.performanceFee()),
+      managementFee: formatBasisPoints(await contract.managementFee()),
+      highWaterMark: formatAmount(await contract.highWaterMark(), SHARE_DECIMALS),
+      pendingManagementFee: formatAmount(await contract.pendingManagementFee(), SHARE_DECIMALS),
+      lastFeeAccrual: formatTimestamp(await contract.lastFeeAccrual()),
+      ...update
+    };
+    output(result, args.json);
+    return result;
+  });
+
+vaultTask("vault:allocation", "Shows an agent's outstanding principal, or updates its credit limits through VaultFactory.setAgentCreditLimits")
+  .addParam("vault", "Vault name, symbol or address")
+  .addParam("agent", "Agent address")
+  .addOptionalParam("usdt", "New USDT credit limit, e.g. 10000", undefined, types.string)
+  .addOptionalParam("mon", "New MON credit limit (AoP1Vault only), e.g. 500", undefined, types.string)
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+    const agent = hre.ethers.getAddress(args.agent);
+
+    let update = {};
+    if (args.usdt !== undefined || args.mon !== undefined) {
+      const current = await getAgentAllocation(vault, agent);
+      const usdtLimit = args.usdt === undefined
+        ? BigInt(current.usdt.creditLimit.raw)
+        : hre.ethers.parseUnits(args.usdt, USDT_DECIMALS);
+      const monLimit = args.mon === undefined
+        ? BigInt(current.mon ? current.mon.creditLimit.raw : 0)
+        : hre.ethers.parseUnits(args.mon, MON_DECIMALS);
+      update = await sendTransaction(factory.setAgentCreditLimits(vault.address, agent, usdtLimit, monLimit), args.json);
+    }
+
+    const result = {
+      vault: vault.address,
+      agent,
+      maxAgentAllocation: formatBasisPoints(await vault.contract.maxAgentAllocation()),
+      ...(await getAgentAllocation(vault, agent)),
+      ...update
+    };
+    output(result, args.json);
+    return result;
+  });
+
+vaultTask("vault:agents", "Ranks a vault's agents, including removed ones, by realized PnL from VaultFactory.getVaultAgentStats")
+  .addParam("vault", "Vault name, symbol or address")
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+    const [agents, usdtStats, monStats] = await factory.getVaultAgentStats(vault.address);
+    const agentRole = await vault.contract.AGENT_ROLE();
+
+    // USDT and MON PnL cannot be compared without a price, so MON only breaks ties
+    const compare = (a, b) => (a > b ? -1 : a < b ? 1 : 0);
+    const order = agents.map((_, i) => i).sort((a, b) =>
+      compare(usdtStats[a].realizedPnl, usdtStats[b].realizedPnl) || compare(monStats[a].realizedPnl, monStats[b].realizedPnl)
+    );
+    const ranking = [];
+    for (const i of order) {
+      const entry = {
+        agent: agents[i],
+        active: await vault.contract.hasRole(agentRole, agents[i]),
+        usdt: normalizeAgentStats(usdtStats[i], USDT_DECIMALS)
+      };
+      if (vault.type === "AoP1Vault") {
+        entry.mon = normalizeAgentStats(monStats[i], MON_DECIMALS);
+      }
+      ranking.push(entry);
+    }
+
+    if (args.json) {
+      console.log(JSON.stringify(ranking, null, 2));
+    } else {
+      ranking.forEach((entry, rank) => {
+        const assets = entry.mon ? [entry.usdt, entry.mon] : [entry.usdt];
+        const trades = assets.reduce((sum, stats) => sum + stats.tradeCount, 0);
+        const profitable = assets.reduce((sum, stats) => sum + stats.profitableTrades, 0);
+        const hitRate = trades === 0 ? "-" : formatBasisPoints((BigInt(profitable) * BASIS_POINTS) / BigInt(trades));
+        const mon = entry.mon ? `\tPnL ${entry.mon.realizedPnl.formatted} MON` : "";
+        console.log(
+          `${rank + 1}. ${entry.agent}${entry.active ? "" : " (removed)"}\tPnL ${entry.usdt.realizedPnl.formatted} USDT${mon}` +
+            `\tTrades ${trades}\tHit rate ${hitRate}`
+        );
+      });
+    }
+    return ranking;
+  });
+
+vaultTask("vault:max-allocation", "Updates the max share of a vault one agent may hold through VaultFactory.setMaxAgentAllocation")
+  .addParam("vault", "Vault name, symbol or address")
+  .addParam("bps", "Max share in basis points of the vault's total value", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+
+    const result = await sendTransaction(factory.setMaxAgentAllocation(vault.address, args.bps), args.json);
+    output({ action: "setMaxAgentAllocation", vault: vault.address, maxAgentAllocation: formatBasisPoints(args.bps), ...result }, args.json);
+    return result;
+  });
+
+vaultTask("vault:queue", "Shows a vault's withdrawal queue, and a user's open requests when --user is given")
+  .addParam("vault", "Vault name, symbol or address")
+  .addOptionalParam("user", "Address whose open requests to list")
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+    const { contract } = vault;
+    const [pendingRequests, pendingShares] = await contract.withdrawalQueueDepth();
+
+    const result = {
+      vault: vault.address,
+      pendingRequests: pendingRequests.toString(),
+      pendingShares: formatAmount(pendingShares, SHARE_DECIMALS),
+      nextToSettle: (await contract.nextWithdrawalToSettle()).toString(),
+      totalRequests: (await contract.withdrawalRequestCount()).toString()
+    };
+    if (args.user) {
+      const [ids, requests] = await contract.getOpenWithdrawalRequests(hre.ethers.getAddress(args.user));
+      result.requests = Object.fromEntries(ids.map((id, index) => [id.toString(), normalizeWithdrawalRequest(id, requests[index])]));
+    }
+    output(result, args.json);
+    return result;
+  });
+
+vaultTask("vault:settle", "Settles queued withdrawals of a vault; the signer needs KEEPER_ROLE")
+  .addParam("vault", "Vault name, symbol or address")
+  .addOptionalParam("max", "Maximum number of queue entries to process", 20, types.int)
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+    const { contract } = vault;
+    const pendingBefore = await contract.pendingWithdrawalCount();
+
+    // AoP1Vault settles MON requests at the on-chain price; run the price keeper to keep it fresh
+    const txPromise = vault.type === "AoP1Vault"
+      ? contract.settleWithdrawals(args.max, [])
+      : contract.settleWithdrawals(args.max);
+    const result = {
+      ...(await sendTransaction(txPromise, args.json)),
+      settled: (pendingBefore - (await contract.pendingWithdrawalCount())).toString(),
+      pendingRequests: (await contract.pendingWithdrawalCount()).toString()
+    };
+    output({ action: "settleWithdrawals", vault: vault.address, ...result }, args.json);
+    return result;
+  });
+
+vaultTask("vault:keeper", "Grants or revokes KEEPER_ROLE on a vault through VaultFactory.setVaultKeeper")
+  .addParam("vault", "Vault name, symbol or address")
+  .addParam("keeper", "Keeper address")
+  .addFlag("remove", "Revoke the role instead of granting it")
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+    const keeper = hre.ethers.getAddress(args.keeper);
+
+    const result = await sendTransaction(factory.setVaultKeeper(vault.address, keeper, !args.remove), args.json);
+    output({ action: "setVaultKeeper", vault: vault.address, keeper, enabled: !args.remove, ...result }, args.json);
+    return result;
+  });
+
+vaultTask("vault:retire", "Retires a vault through VaultFactory.deactivateVault; deposits stay paused, withdrawals remain open")
+  .addParam("vault", "Vault name, symbol or address")
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+
+    const result = await sendTransaction(factory.deactivateVault(vault.address), args.json);
+    output({ action: "deactivateVault", vault: vault.address, ...result }, args.json);
+    return result;
+  });
+
+vaultTask("vault:pause", "Shows which operations of a vault are paused, or pauses and unpauses them through VaultFactory")
+  .addParam("vault", "Vault name, symbol or address")
+  .addOptionalParam("pause", "Operations to pause: deposits, withdrawals, agent-funds (comma separated) or all")
+  .addOptionalParam("unpause", "Operations to unpause, in the same format; needs emergency mode off")
+  .addOptionalParam("emergency", "Turn emergency mode on (true) or off (false)", undefined, types.boolean)
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+
+    let update = {};
+    if (args.emergency !== undefined) {
+      update = await sendTransaction(factory.setVaultEmergencyMode(vault.address, args.emergency), args.json);
+    }
+    if (args.pause) {
+      update = await sendTransaction(factory.pauseVault(vault.address, parsePauseOperations(args.pause)), args.json);
+    }
+    if (args.unpause) {
+      update = await sendTransaction(factory.unpauseVault(vault.address, parsePauseOperations(args.unpause)), args.json);
+    }
+
+    const result = { vault: vault.address, ...(await getPauseStatus(vault.contract)), ...update };
+    output(result, args.json);
+    return result;
+  });
+
+vaultTask("vault:transfers", "Shows whether a vault's shares can be transferred, or sets the transfer mode and allowlist through VaultFactory")
+  .addParam("vault", "Vault name, symbol or address")
+  .addOptionalParam("mode", `New transfer mode: ${Object.keys(TRANSFER_MODES).join(", ")}`)
+  .addOptionalParam("allow", "Addresses to add to the transfer allowlist (comma separated)")
+  .addOptionalParam("disallow", "Addresses to remove from the transfer allowlist (comma separated)")
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+
+    let update = {};
+    if (args.allow) {
+      update = await sendTransaction(factory.setVaultTransferAllowlist(vault.address, parseAddresses(hre, args.allow), true), args.json);
+    }
+    if (args.disallow) {
+      update = await sendTransaction(factory.setVaultTransferAllowlist(vault.address, parseAddresses(hre, args.disallow), false), args.json);
+    }
+    if (args.mode) {
+      const mode = TRANSFER_MODES[args.mode];
+      if (mode === undefined) {
+        throw new Error(`Unknown transfer mode "${args.mode}"; use ${Object.keys(TRANSFER_MODES).join(", ")}`);
+      }
+      update = await sendTransaction(factory.setVaultTransferMode(vault.address, mode), args.json);
+    }
+
+    const mode = Number(await vault.contract.transferMode());
+    const result = {
+      vault: vault.address,
+      transferMode: Object.keys(TRANSFER_MODES).find((name) => TRANSFER_MODES[name] === mode),
+      ...update
+    };
+    output(result, args.json);
+    return result;
+  });
+
+vaultTask("vault:deposit-limits", "Shows a vault's deposit limits, or updates them and the deposit allowlist through VaultFactory")
+  .addParam("vault", "Vault name, symbol or address")
+  .addOptionalParam("maxTotalAssets", "New cap on the vault's total value in USDT, 0 for none")
+  .addOptionalParam("maxUserDeposit", "New cap on a user's cost basis in USDT, 0 for none")
+  .addOptionalParam("minDeposit", "New minimum deposit in USDT, 0 for none")
+  .addOptionalParam("allowlistOnly", "Whether only allowlisted receivers may deposit", undefined, types.boolean)
+  .addOptionalParam("allowlistRoot", "New Merkle root of accounts that may join the deposit allowlist")
+  .addOptionalParam("allow", "Addresses to add to the deposit allowlist (comma separated)")
+  .addOptionalParam("disallow", "Addresses to remove from the deposit allowlist (comma separated)")
+  .addOptionalParam("user", "Address to show the largest deposit for")
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+    const { contract } = vault;
+
+    let update = {};
+    const changes = depositLimitArgs(args);
+    if (Object.keys(changes).length > 0) {
+      // Options left out keep their current values
+      const current = await contract.depositLimits();
+      const limits = {
+        ...parseDepositLimits(changes),
+        ...Object.fromEntries(DEPOSIT_LIMIT_OPTIONS.filter((key) => changes[key] === undefined).map((key) => [key, current[key]]))
+      };
+      update = await sendTransaction(factory.setVaultDepositLimits(vault.address, limits), args.json);
+    }
+    if (args.allow) {
+      update = await sendTransaction(factory.setVaultDepositAllowlist(vault.address, parseAddresses(hre, args.allow), true), args.json);
+    }
+    if (args.disallow) {
+      update = await sendTransaction(factory.setVaultDepositAllowlist(vault.address, parseAddresses(hre, args.disallow), false), args.json);
+    }
+
+    const result = { vault: vault.address, ...normalizeDepositLimits(await contract.depositLimits()) };
+    if (args.user) {
+      const user = hre.ethers.getAddress(args.user);
+      const maxDeposit = await contract.maxDeposit(user);
+      result.user = user;
+      result.allowlisted = await contract.depositAllowlist(user);
+      result.maxDeposit = maxDeposit === hre.ethers.MaxUint256 ? null : formatAmount(maxDeposit, USDT_DECIMALS);
+    }
+    Object.assign(result, update);
+    output(result, args.json);
+    return result;
+  });
+
+// Fields of DepositLockups.LockupConfig, all options of vault:lockup
+const LOCKUP_OPTIONS = ["lockupPeriod", "noticePeriod", "earlyExitPeriod", "earlyExitFee"];
+
+vaultTask("vault:lockup", "Shows a vault's lockup, notice period and early exit fee, or updates them through VaultFactory.setVaultLockupConfig")
+  .addParam("vault", "Vault name, symbol or address")
+  .addOptionalParam("lockupPeriod", "New seconds after a deposit its shares cannot leave", undefined, types.int)
+  .addOptionalParam("noticePeriod", "New seconds a withdrawal request waits before settlement, 0 for instant withdrawals", undefined, types.int)
+  .addOptionalParam("earlyExitPeriod", "New seconds after a deposit during which leaving costs a fee", undefined, types.int)
+  .addOptionalParam("earlyExitFee", "New fee in basis points on leaving right after a deposit", undefined, types.int)
+  .addOptionalParam("user", "Address to show unlocked and locked shares for")
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+    const { contract } = vault;
+
+    let update = {};
+    if (LOCKUP_OPTIONS.some((key) => args[key] !== undefined)) {
+      // Options left out keep their current values
+      const current = await contract.lockupConfig();
+      const config = Object.fromEntries(LOCKUP_OPTIONS.map((key) => [key, args[key] === undefined ? current[key] : args[key]]));
+      update = await sendTransaction(factory.setVaultLockupConfig(vault.address, config), args.json);
+    }
+
+    const config = await contract.lockupConfig();
+    const result = {
+      vault: vault.address,
+      lockupPeriod: Number(config.lockupPeriod),
+      noticePeriod: Number(config.noticePeriod),
+      earlyExitPeriod: Number(config.earlyExitPeriod),
+      earlyExitFee: formatBasisPoints(config.earlyExitFee)
+    };
+    if (args.user) {
+      const user = hre.ethers.getAddress(args.user);
+      const locks = await contract.getShareLocks(user);
+      result.user = user;
+      result.unlockedShares = formatAmount(locks.unlockedShares, SHARE_DECIMALS);
+      result.lockedShares = formatAmount(locks.lockedShares, SHARE_DECIMALS);
+      result.exitFeeShares = formatAmount(locks.exitFeeShares, SHARE_DECIMALS);
+      result.nextUnlockAt = formatTimestamp(locks.nextUnlockAt);
+    }
+    Object.assign(result, update);
+    output(result, args.json);
+    return result;
+  });
+
+vaultTask("vault:oracle", "Shows an AoP1Vault's MON/USD price status, or updates its limits through VaultFactory.setVaultOracleConfig")
+  .addParam("vault", "Vault name, symbol or address")
+  .addOptionalParam("maxAge", "New maximum price age in seconds", undefined, types.int)
+  .addOptionalParam("maxConfidence", "New maximum confidence interval in basis points of the price", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const vault = await resolveVault(hre, factory, args.vault);
+    if (vault.type !== "AoP1Vault") {
+      throw new Error(`${vault.name} is an ${vault.type}; only AoP1Vault prices MON`);
+    }
+    const { contract } = vault;
+
+    let update = {};
+    if (args.maxAge !== undefined || args.maxConfidence !== undefined) {
+      const maxAge = args.maxAge === undefined ? await contract.maxPriceAge() : args.maxAge;
+      const maxConfidence = args.maxConfidence === undefined ? await contract.maxConfidenceRatio() : args.maxConfidence;
+      update = await sendTransaction(factory.setVaultOracleConfig(vault.address, maxAge, maxConfidence), args.json);
+    }
+
+    const [status, price, publishTime] = await contract.getMonUsdPriceStatus();
+    const result = {
+      vault: vault.address,
+      status: PRICE_STATUSES[Number(status)],
+      price: formatAmount(price, USDT_DECIMALS),
+      publishTime: formatTimestamp(publishTime),
+      maxPriceAge: Number(await contract.maxPriceAge()),
+      maxConfidenceRatio: formatBasisPoints(await contract.maxConfidenceRatio()),
+      ...update
+    };
+    output(result, args.json);
+    return result;
+  });
+
+vaultTask("vault:deploy", "Deploys a new vault through VaultFactory and records it in deployment-info.json")
+  .addParam("name", "Vault name")
+  .addParam("symbol", "Share token symbol")
+  .addOptionalParam("type", VAULT_TYPES.join(", "), "AoP2Vault", types.string)
+  .addOptionalParam("performance", "Performance fee in basis points (default: the factory's default fees)", undefined, types.int)
+  .addOptionalParam("management", "Management fee in basis points per year (default: the factory's default fees)", undefined, types.int)
+  .addOptionalParam("maxTotalAssets", "Cap on the vault's total value in USDT")
+  .addOptionalParam("maxUserDeposit", "Cap on a user's cost basis in USDT")
+  .addOptionalParam("minDeposit", "Minimum deposit in USDT")
+  .addOptionalParam("allowlistOnly", "Whether only allowlisted receivers may deposit", undefined, types.boolean)
+  .addOptionalParam("allowlistRoot", "Merkle root of accounts that may join the deposit allowlist")
+  .setAction(async (args, hre) => {
+    if (!VAULT_TYPES.includes(args.type)) {
+      throw new Error(`Unknown vault type "${args.type}"`);
+    }
+
+    const factory = await resolveFactory(hre, args.factory);
+    const deployFunction = VAULT_DEPLOY_FUNCTIONS[args.type];
+    const defaults = await factory.defaultFees();
+    const fees = {
+      performanceFee: args.performance === undefined ? defaults.performanceFee : args.performance,
+      managementFee: args.management === undefined ? defaults.managementFee : args.management
+    };
+    const limits = parseDepositLimits(depositLimitArgs(args));
+    const result = await sendTransaction(factory[deployFunction](args.name, args.symbol, fees, limits), args.json);
+    const address = await factory.vaults(args.name);
+
+    const { chainId, infoPath, record } = await getDeployment(hre);
+    if (record && record.factory === (await factory.getAddress())) {
+      record.vaults = { ...(record.vaults || {}) };
+      record.vaults[args.name] = { address, type: args.type, symbol: args.symbol, agents: [] };
+      const info = loadDeploymentInfo(infoPath);
+      info[chainId] = record;
+      saveDeploymentInfo(infoPath, info);
+    }
+
+    output({ action: deployFunction, name: args.name, symbol: args.symbol, vault: address, ...result }, args.json);
+    return { ...result, vault: address };
+  });
+
+vaultTask("factory:set-default-fees", "Updates the fees vault:deploy and the deploy script give vaults without a fee tier of their own")
+  .addParam("performance", "Performance fee in basis points", undefined, types.int)
+  .addParam("management", "Management fee in basis points per year", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+
+    const result = await sendTransaction(factory.setDefaultFees(args.performance, args.management), args.json);
+    output({
+      action: "setDefaultFees",
+      performanceFee: formatBasisPoints(args.performance),
+      managementFee: formatBasisPoints(args.management),
+      ...result
+    }, args.json);
+    return result;
+  });
+
+vaultTask("factory:set-pyth", "Updates the Pyth contract used for new vaults")
+  .addParam("address", "Pyth contract address")
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const pyth = hre.ethers.getAddress(args.address);
+
+    const result = await sendTransaction(factory.setPythContract(pyth), args.json);
+    output({ action: "setPythContract", pyth, ...result }, args.json);
+    return result;
+  });
+
+vaultTask("factory:set-price-id", "Updates the MON/USD price feed ID used for new vaults")
+  .addParam("id", "Pyth price feed ID (bytes32)")
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+
+    const result = await sendTransaction(factory.setMonUsdPriceId(args.id), args.json);
+    output({ action: "setMonUsdPriceId", monUsdPriceId: args.id, ...result }, args.json);
+    return result;
+  });
+
+vaultTask("factory:pause-all", "Pauses, or with --unpause resumes, operations of every vault deployed by the factory")
+  .addOptionalParam("operations", "Operations: deposits, withdrawals, agent-funds (comma separated) or all", "all")
+  .addFlag("unpause", "Resume the operations instead; vaults in emergency mode stay paused")
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+    const operations = parsePauseOperations(args.operations);
+
+    const result = await sendTransaction(
+      args.unpause ? factory.unpauseAll(operations) : factory.pauseAll(operations),
+      args.json
+    );
+    output({ action: args.unpause ? "unpauseAll" : "pauseAll", operations: args.operations, ...result }, args.json);
+    return result;
+  });
+
+// FactoryTimelock.ActionStatus, by index
+const TIMELOCK_ACTION_STATUSES = ["None", "Proposed", "Queued", "Executed", "Cancelled"];
+
+vaultTask("factory:timelock", "Lists the factory's timelocked actions, or proposes, queues, executes and cancels them")
+  .addOptionalParam("propose", "Factory function to propose, e.g. setPythContract")
+  .addOptionalParam("args", "JSON array of arguments for the proposed function", "[]")
+  .addOptionalParam("description", "Why the action is proposed", "")
+  .addOptionalParam("queue", "ID of a proposed action to queue", undefined, types.int)
+  .addOptionalParam("execute", "ID of a queued action to execute", undefined, types.int)
+  .addOptionalParam("cancel", "ID of a pending action to cancel", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const factory = await resolveFactory(hre, args.factory);
+
+    let update = {};
+    if (args.propose) {
+      const data = factory.interface.encodeFunctionData(args.propose, JSON.parse(args.args));
+      update = await sendTransaction(factory.proposeAction(data, args.description), args.json);
+    }
+    if (args.queue !== undefined) {
+      update = await sendTransaction(factory.queueAction(args.queue), args.json);
+    }
+    if (args.execute !== undefined) {
+      update = await sendTransaction(factory.executeAction(args.execute), args.json);
+    }
+    if (args.cancel !== undefined) {
+      update = await sendTransaction(factory.cancelAction(args.cancel), args.json);
+    }
+
+    const actions = {};
+    const count = Number(await factory.timelockActionCount());
+    for (let id = 0; id < count; id++) {
+      const action = await factory.getTimelockAction(id);
+      const call = factory.interface.parseTransaction({ data: action.data });
+      actions[id] = {
+        call: call ? `${call.name}(${call.args.map(String).join(", ")})` : action.data,
+        description: action.description,
+        status: TIMELOCK_ACTION_STATUSES[Number(action.status)],
+        eta: formatTimestamp(action.eta)
+      };
+    }
+
+    const result = { delay: Number(await factory.timelockDelay()), actions, ...update };
+    output(result, args.json);
+    return result;
+  });
@@ -0,0 +1,1093 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const {
+  deployVaultsFixture,
+  setMonPrice,
+  buildPriceUpdate,
+  usdt,
+  mon,
+  shares,
+  PYTH_UPDATE_FEE,
+  MON_USD_PRICE_ID,
+  DEFAULT_FEES,
+  NO_DEPOSIT_LIMITS
+} = require("./fixtures");
+
+describe("AoP1Vault", function () {
+  describe("depositUSDT", function () {
+    it("issues shares 1:1 (scaled to 18 decimals) on the first deposit", async function () {
+      const { aop1Vault, usdtToken, alice } = await loadFixture(deployVaultsFixture);
+
+      await expect(aop1Vault.connect(alice).depositUSDT(usdt("1000")))
+        .to.emit(aop1Vault, "Deposit")
+        .withArgs(alice.address, usdt("1000"), false, shares("1000"));
+
+      expect(await aop1Vault.balanceOf(alice.address)).to.equal(shares("1000"));
+      expect(await aop1Vault.totalVaultValue()).to.equal(usdt("1000"));
+      expect(await usdtToken.balanceOf(await aop1Vault.getAddress())).to.equal(usdt("1000"));
+
+      const userDeposit = await aop1Vault.userDeposits(alice.address);
+      expect(userDeposit.usdtAmount).to.equal(usdt("1000"));
+      expect(userDeposit.monAmount).to.equal(0);
+    });
+
+    it("rejects zero deposits", async function () {
+      const { aop1Vault, alice } = await loadFixture(deployVaultsFixture);
+
+      await expect(aop1Vault.connect(alice).depositUSDT(0))
+        .to.be.revertedWith("Amount must be greater than 0");
+    });
+
+    it("counts each depositor once in totalUsers", async function () {
+      const { aop1Vault, alice, bob } = await loadFixture(deployVaultsFixture);
+
+      await aop1Vault.connect(alice).depositUSDT(usdt("100"));
+      await aop1Vault.connect(alice).depositUSDT(usdt("100"));
+      await aop1Vault.connect(bob).depositUSDT(usdt("100"));
+
+      expect(await aop1Vault.totalUsers()).to.equal(2);
+      expect(await aop1Vault.isActiveUser(alice.address)).to.equal(true);
+      expect(await aop1Vault.isActiveUser(bob.address)).to.equal(true);
+    });
+  });
+
+  describe("depositMON", function () {
+    it("values MON at the oracle price when issuing shares", async function () {
+      const { aop1Vault, pyth, alice } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+
+      await expect(aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") }))
+        .to.emit(aop1Vault, "Deposit")
+        .withArgs(alice.address, mon("10"), true, shares("25"));
+
+      expect(await aop1Vault.totalMonValue()).to.equal(mon("10"));
+      expect(await aop1Vault.getTotalValueInUsdt()).to.equal(usdt("25"));
+      expect((await aop1Vault.userDeposits(alice.address)).monAmount).to.equal(mon("10"));
+    });
+
+    it("applies Pyth update data before pricing the deposit", async function () {
+      const { aop1Vault, pyth, alice } = await loadFixture(deployVaultsFixture);
+      const updateData = await buildPriceUpdate(pyth, "4", { publishTime: (await ethers.provider.getBlock("latest")).timestamp + 1 });
+
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([updateData], { value: mon("10") + PYTH_UPDATE_FEE });
+
+      expect(await aop1Vault.balanceOf(alice.address)).to.equal(shares("40"));
+      expect(await aop1Vault.totalMonValue()).to.equal(mon("10"));
+      expect(await aop1Vault.getCurrentMonPrice()).to.equal(usdt("4"));
+    });
+
+    it("reverts when the oracle price is older than 60 seconds", async function () {
+      const { aop1Vault, pyth, alice } = await loadFixture(deployVaultsFixture);
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      await setMonPrice(pyth, "2.5", { publishTime: now - 120 });
+
+      await expect(aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("1") }))
+        .to.be.revertedWith("MON price is stale");
+    });
+
+    it("issues proportional shares against the live value of existing holdings", async function () {
+      const { aop1Vault, pyth, alice, bob } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+      await aop1Vault.connect(bob).depositUSDT(usdt("25"));
+      expect(await aop1Vault.balanceOf(bob.address)).to.equal(shares("25"));
+
+      // MON doubling lifts the share price for everyone
+      await setMonPrice(pyth, "5");
+      expect(await aop1Vault.getTotalValueInUsdt()).to.equal(usdt("75"));
+      expect(await aop1Vault.getPricePerShare()).to.equal(ethers.parseEther("1.5"));
+    });
+  });
+
+  describe("withdraw", function () {
+    it("returns USDT for the share value and burns the shares", async function () {
+      const { aop1Vault, usdtToken, alice } = await loadFixture(deployVaultsFixture);
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+
+      const balanceBefore = await usdtToken.balanceOf(alice.address);
+      await expect(aop1Vault.connect(alice).withdraw(shares("400"), false, []))
+        .to.emit(aop1Vault, "Withdrawal")
+        .withArgs(alice.address, usdt("400"), false, shares("400"));
+
+      expect(await usdtToken.balanceOf(alice.address) - balanceBefore).to.equal(usdt("400"));
+      expect(await aop1Vault.balanceOf(alice.address)).to.equal(shares("600"));
+      expect(await aop1Vault.totalVaultValue()).to.equal(usdt("600"));
+      expect(await aop1Vault.totalUsers()).to.equal(1);
+    });
+
+    it("pays out MON at the oracle price", async function () {
+      const { aop1Vault, pyth, alice, bob } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+      await aop1Vault.connect(bob).depositUSDT(usdt("25"));
+
+      await setMonPrice(pyth, "5");
+      await expect(aop1Vault.connect(alice).withdraw(shares("25"), true, []))
+        .to.changeEtherBalance(alice, mon("7.5"));
+
+      expect(await aop1Vault.totalMonValue()).to.equal(mon("2.5"));
+    });
+
+    it("accepts Pyth update data when withdrawing as MON", async function () {
+      const { aop1Vault, pyth, alice } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+
+      const updateData = await buildPriceUpdate(pyth, "2.5", { publishTime: (await ethers.provider.getBlock("latest")).timestamp + 1 });
+      await aop1Vault.connect(alice).withdraw(shares("5"), true, [updateData], { value: PYTH_UPDATE_FEE });
+
+      expect(await aop1Vault.balanceOf(alice.address)).to.equal(shares("20"));
+      expect(await aop1Vault.totalMonValue()).to.equal(mon("8"));
+    });
+
+    it("reverts when the requested asset is not liquid", async function () {
+      const { aop1Vault, pyth, alice, bob } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+      await aop1Vault.connect(bob).depositUSDT(usdt("25"));
+
+      await setMonPrice(pyth, "5");
+      await expect(aop1Vault.connect(alice).withdraw(shares("25"), false, []))
+        .to.be.revertedWith("Insufficient USDT liquidity");
+    });
+
+    it("rejects withdrawals above the caller's balance", async function () {
+      const { aop1Vault, alice } = await loadFixture(deployVaultsFixture);
+      await aop1Vault.connect(alice).depositUSDT(usdt("100"));
+
+      await expect(aop1Vault.connect(alice).withdraw(shares("101"), false, []))
+        .to.be.revertedWith("Insufficient shares");
+    });
+
+    it("removes users that exit completely from totalUsers", async function () {
+      const { aop1Vault, alice, bob } = await loadFixture(deployVaultsFixture);
+      await aop1Vault.connect(alice).depositUSDT(usdt("100"));
+      await aop1Vault.connect(bob).depositUSDT(usdt("100"));
+
+      await aop1Vault.connect(alice).withdraw(shares("100"), false, []);
+
+      expect(await aop1Vault.totalUsers()).to.equal(1);
+      expect(await aop1Vault.isActiveUser(alice.address)).to.equal(false);
+    });
+  });
+
+  describe("requestFunds", function () {
+    it("sends USDT to agents without changing the tracked vault value", async function () {
+      const { aop1Vault, usdtToken, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+
+      await expect(aop1Vault.connect(agent).requestFunds(usdt("500"), false))
+        .to.emit(aop1Vault, "AgentFundRequest")
+        .withArgs(agent.address, usdt("500"), false);
+
+      expect(await usdtToken.balanceOf(await aop1Vault.getAddress())).to.equal(usdt("500"));
+      expect(await aop1Vault.totalVaultValue()).to.equal(usdt("1000"));
+    });
+
+    it("sends MON to agents and keeps it in the tracked MON value as deployed", async function () {
+      const { aop1Vault, pyth, agent, alice } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+
+      await expect(aop1Vault.connect(agent).requestFunds(mon("4"), true))
+        .to.changeEtherBalance(agent, mon("4"));
+      expect(await aop1Vault.totalMonValue()).to.equal(mon("10"));
+      expect(await aop1Vault.totalDeployed(ethers.ZeroAddress)).to.equal(mon("4"));
+      expect(await aop1Vault.getTotalValueInUsdt()).to.equal(usdt("25"));
+    });
+
+    it("is restricted to agents", async function () {
+      const { aop1Vault, alice } = await loadFixture(deployVaultsFixture);
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+
+      await expect(aop1Vault.connect(alice).requestFunds(usdt("1"), false)).to.be.reverted;
+    });
+
+    it("rejects requests above the vault balance", async function () {
+      const { aop1Vault, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop1Vault.connect(alice).depositUSDT(usdt("100"));
+
+      await expect(aop1Vault.connect(agent).requestFunds(usdt("101"), false))
+        .to.be.revertedWith("Insufficient USDT in vault");
+      await expect(aop1Vault.connect(agent).requestFunds(mon("1"), true))
+        .to.be.revertedWith("Insufficient MON in vault");
+    });
+  });
+
+  describe("returnFundsWithProfit", function () {
+    it("routes 20% of USDT profit to the fee recipient and raises NAV", async function () {
+      const { aop1Vault, usdtToken, feeRecipient, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+
+      await expect(aop1Vault.connect(agent).returnFundsWithProfit(usdt("100"), false, []))
+        .to.emit(aop1Vault, "ProfitDistributed")
+        .withArgs(usdt("100"), usdt("20"));
+
+      expect(await usdtToken.balanceOf(feeRecipient.address)).to.equal(usdt("20"));
+      expect(await aop1Vault.totalVaultValue()).to.equal(usdt("1080"));
+      expect(await aop1Vault.navPerShare()).to.equal(ethers.parseEther("1.08"));
+      expect(await aop1Vault.getUserShareValue(alice.address)).to.equal(ethers.parseEther("1080"));
+    });
+
+    it("routes 20% of MON profit to the fee recipient", async function () {
+      const { aop1Vault, pyth, feeRecipient, agent, alice } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+
+      await setMonPrice(pyth, "2.5");
+      await expect(aop1Vault.connect(agent).returnFundsWithProfit(mon("1"), true, [], { value: mon("1") }))
+        .to.changeEtherBalance(feeRecipient, mon("0.2"));
+
+      expect(await aop1Vault.totalMonValue()).to.equal(mon("10.8"));
+      expect(await aop1Vault.navPerShare()).to.equal(ethers.parseEther("1.08"));
+    });
+
+    it("records a NAV snapshot per interval, valuing MON at the oracle price", async function () {
+      const { aop1Vault, pyth, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+      await aop1Vault.connect(agent).returnFundsWithProfit(usdt("100"), false, []);
+
+      await time.increase(3600);
+      await setMonPrice(pyth, "2");
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+
+      // A price push alone snapshots the vault at the new MON price
+      await time.increase(3600);
+      const updateData = await buildPriceUpdate(pyth, "4", { publishTime: (await time.latest()) + 1 });
+      await aop1Vault.getMonUsdPrice([updateData], { value: PYTH_UPDATE_FEE });
+
+      const [timestamps, values, totalValues] = await aop1Vault.getHistoricalNAV(0, 100);
+      expect(timestamps.length).to.equal(3);
+      expect(values[0]).to.equal(ethers.parseEther("1.08"));
+      expect(totalValues).to.deep.equal([usdt("1080"), usdt("1100"), usdt("1120")]);
+      expect(values[2]).to.be.gt(values[1]);
+    });
+
+    it("is restricted to agents", async function () {
+      const { aop1Vault, alice } = await loadFixture(deployVaultsFixture);
+
+      await expect(aop1Vault.connect(alice).returnFundsWithProfit(usdt("1"), false, [])).to.be.reverted;
+    });
+  });
+
+  describe("agent allocations", function () {
+    it("records outstanding principal per agent and asset", async function () {
+      const { aop1Vault, usdtToken, pyth, agent, alice } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+
+      await aop1Vault.connect(agent).requestFunds(usdt("300"), false);
+      await aop1Vault.connect(agent).requestFunds(mon("4"), true);
+
+      const usdtAllocation = await aop1Vault.agentAllocations(agent.address, await usdtToken.getAddress());
+      const monAllocation = await aop1Vault.agentAllocations(agent.address, await aop1Vault.MON_ASSET());
+      expect(usdtAllocation.principal).to.equal(usdt("300"));
+      expect(usdtAllocation.creditLimit).to.equal(usdt("100000"));
+      expect(monAllocation.principal).to.equal(mon("4"));
+      expect(await aop1Vault.totalDeployed(await usdtToken.getAddress())).to.equal(usdt("300"));
+    });
+
+    it("enforces credit limits set through the factory", async function () {
+      const { factory, aop1Vault, alice, bob } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop1Vault.getAddress();
+      await factory.addAgentToVault(vaultAddress, bob.address);
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+
+      await expect(aop1Vault.connect(bob).requestFunds(usdt("1"), false))
+        .to.be.revertedWith("Credit limit exceeded");
+
+      await expect(factory.setAgentCreditLimits(vaultAddress, bob.address, usdt("100"), 0))
+        .to.emit(aop1Vault, "AgentCreditLimitUpdated")
+        .withArgs(bob.address, await aop1Vault.usdtToken(), usdt("100"));
+      await aop1Vault.connect(bob).requestFunds(usdt("60"), false);
+      await expect(aop1Vault.connect(bob).requestFunds(usdt("41"), false))
+        .to.be.revertedWith("Credit limit exceeded");
+    });
+
+    it("caps an agent's principal at the max share of the vault value", async function () {
+      const { factory, aop1Vault, pyth, agent, alice } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice).depositUSDT(usdt("750"));
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("100") });
+      await factory.setMaxAgentAllocation(await aop1Vault.getAddress(), 2500);
+
+      // 250 USDT of a 1000 USDT vault, counting MON at its USDT value
+      await aop1Vault.connect(agent).requestFunds(usdt("200"), false);
+      await aop1Vault.connect(agent).requestFunds(mon("20"), true);
+      await expect(aop1Vault.connect(agent).requestFunds(usdt("1"), false))
+        .to.be.revertedWith("Allocation exceeds max share of vault");
+    });
+
+    it("pulls USDT principal minus a loss and marks NAV down", async function () {
+      const { aop1Vault, usdtToken, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+      await aop1Vault.connect(agent).requestFunds(usdt("500"), false);
+
+      const tx = aop1Vault.connect(agent).returnFunds(usdt("500"), -usdt("100"), false, []);
+      await expect(tx)
+        .to.emit(aop1Vault, "AgentPnLReported")
+        .withArgs(agent.address, await usdtToken.getAddress(), usdt("500"), -usdt("100"))
+        .and.not.to.emit(aop1Vault, "ProfitDistributed");
+      await expect(tx).to.changeTokenBalance(usdtToken, agent, -usdt("400"));
+
+      expect(await aop1Vault.totalVaultValue()).to.equal(usdt("900"));
+      expect(await aop1Vault.navPerShare()).to.equal(ethers.parseEther("0.9"));
+      expect(await aop1Vault.highWaterMark()).to.equal(ethers.parseEther("1"));
+      expect(await aop1Vault.totalDeployed(await usdtToken.getAddress())).to.equal(0);
+    });
+
+    it("stops deposits once losses leave the shares worth nothing", async function () {
+      const { aop1Vault, pyth, agent, alice, bob } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+      await aop1Vault.connect(agent).requestFunds(usdt("1000"), false);
+      await aop1Vault.connect(agent).returnFunds(usdt("1000"), -usdt("1000"), false, []);
+
+      expect(await aop1Vault.getTotalValueInUsdt()).to.equal(0);
+      expect(await aop1Vault.maxDeposit(bob.address)).to.equal(0);
+      await expect(aop1Vault.connect(bob).depositUSDT(usdt("500"))).to.be.revertedWith("Vault has no value");
+      await expect(aop1Vault.connect(bob)["depositMON(bytes[])"]([], { value: mon("200") }))
+        .to.be.revertedWith("Vault has no value");
+      await expect(aop1Vault.quoteDepositUSDT(usdt("500"))).to.be.revertedWith("Vault has no value");
+      await expect(aop1Vault.quoteDepositMON(mon("200"))).to.be.revertedWith("Vault has no value");
+    });
+
+    it("takes MON principal plus profit as msg.value and charges the fee in MON", async function () {
+      const { aop1Vault, pyth, feeRecipient, agent, alice } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+      await aop1Vault.connect(agent).requestFunds(mon("4"), true);
+
+      await setMonPrice(pyth, "2.5");
+      await expect(aop1Vault.connect(agent).returnFunds(mon("4"), mon("1"), true, [], { value: mon("4") }))
+        .to.be.revertedWith("Incorrect MON amount");
+      await expect(aop1Vault.connect(agent).returnFunds(mon("4"), mon("1"), true, [], { value: mon("5") }))
+        .to.changeEtherBalance(feeRecipient, mon("0.2"));
+
+      expect(await aop1Vault.totalMonValue()).to.equal(mon("10.8"));
+      expect(await aop1Vault.totalDeployed(ethers.ZeroAddress)).to.equal(0);
+      expect(await aop1Vault.navPerShare()).to.equal(ethers.parseEther("1.08"));
+    });
+
+    it("pays Pyth update fees out of msg.value without crediting them as MON", async function () {
+      const { aop1Vault, pyth, agent, alice } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop1Vault.getAddress();
+      const update = async (price) => buildPriceUpdate(pyth, price, { publishTime: (await time.latest()) + 1 });
+
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([await update("2.5")], { value: mon("10") + PYTH_UPDATE_FEE });
+      expect(await ethers.provider.getBalance(vaultAddress)).to.equal(await aop1Vault.totalMonValue());
+      await expect(aop1Vault.connect(alice)["depositMON(bytes[])"]([await update("2.5")], { value: PYTH_UPDATE_FEE }))
+        .to.be.revertedWith("MON must be sent on top of the price update fee");
+      await expect(aop1Vault.connect(alice)["depositMON(bytes[],uint256,uint256)"](
+        [await update("2.5")], 0, ethers.MaxUint256, { value: PYTH_UPDATE_FEE }
+      )).to.be.revertedWith("MON must be sent on top of the price update fee");
+      await expect(aop1Vault.connect(alice)["depositMON(bytes[])"]([await update("2.5")], { value: PYTH_UPDATE_FEE - 1n }))
+        .to.be.revertedWith("Insufficient price update fee");
+
+      await aop1Vault.connect(agent).requestFunds(mon("4"), true);
+      await expect(aop1Vault.connect(agent).returnFunds(mon("4"), mon("1"), true, [await update("2.5")], { value: mon("5") }))
+        .to.be.revertedWith("Incorrect MON amount");
+      await aop1Vault.connect(agent).returnFunds(mon("4"), mon("1"), true, [await update("2.5")], { value: mon("5") + PYTH_UPDATE_FEE });
+      await aop1Vault.connect(agent).requestFunds(mon("2"), true);
+      await expect(aop1Vault.connect(agent).returnFundsWithProfit(mon("1"), true, [await update("2.5")], { value: PYTH_UPDATE_FEE }))
+        .to.be.revertedWith("MON must be sent on top of the price update fee");
+      await aop1Vault.connect(agent).returnFundsWithProfit(mon("1"), true, [await update("2.5")], { value: mon("3") + PYTH_UPDATE_FEE });
+
+      expect(await aop1Vault.totalDeployed(ethers.ZeroAddress)).to.equal(0);
+      expect(await ethers.provider.getBalance(vaultAddress)).to.equal(await aop1Vault.totalMonValue());
+      await expect(aop1Vault.connect(alice).withdraw(shares("1"), false, [await update("2.5")]))
+        .to.be.revertedWith("Insufficient price update fee");
+    });
+
+    it("rejects MON above the Pyth update fee on calls that carry no MON", async function () {
+      const { factory, aop1Vault, pyth, owner, agent, alice } = await loadFixture(deployVaultsFixture);
+      const update = async (price) => buildPriceUpdate(pyth, price, { publishTime: (await time.latest()) + 1 });
+      await factory.setVaultKeeper(await aop1Vault.getAddress(), owner.address, true);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice).depositUSDT(usdt("100"));
+      await aop1Vault.connect(agent).requestFunds(usdt("50"), false);
+      const excess = PYTH_UPDATE_FEE + 1n;
+
+      await expect(aop1Vault.connect(alice).withdraw(shares("1"), false, [await update("2.5")], { value: excess }))
+        .to.be.revertedWith("Incorrect price update fee");
+      await expect(aop1Vault.connect(alice).withdraw(shares("1"), false, [], { value: 1n }))
+        .to.be.revertedWith("Incorrect price update fee");
+      await expect(aop1Vault.getMonUsdPrice([await update("2.5")], { value: excess }))
+        .to.be.revertedWith("Incorrect price update fee");
+      await expect(aop1Vault.convertMonToUsdt(mon("1"), [await update("2.5")], { value: excess }))
+        .to.be.revertedWith("Incorrect price update fee");
+      await expect(aop1Vault.settleWithdrawals(10, [await update("2.5")], { value: excess }))
+        .to.be.revertedWith("Incorrect price update fee");
+      await expect(aop1Vault.connect(agent).returnFunds(usdt("50"), 0, false, [await update("2.5")], { value: excess }))
+        .to.be.revertedWith("Incorrect price update fee");
+      await expect(aop1Vault.connect(agent).returnFundsWithProfit(usdt("1"), false, [], { value: 1n }))
+        .to.be.revertedWith("Incorrect price update fee");
+
+      await aop1Vault.connect(agent).returnFunds(usdt("50"), 0, false, [await update("2.5")], { value: PYTH_UPDATE_FEE });
+      expect(await ethers.provider.getBalance(await aop1Vault.getAddress())).to.equal(0);
+    });
+
+    it("keeps an agent's performance stats per asset", async function () {
+      const { aop1Vault, pyth, agent, alice } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+      await aop1Vault.connect(agent).requestFunds(usdt("500"), false);
+      await aop1Vault.connect(agent).requestFunds(mon("4"), true);
+
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(agent).returnFunds(usdt("500"), -usdt("50"), false, []);
+      await aop1Vault.connect(agent).returnFunds(mon("4"), mon("24"), true, [], { value: mon("28") });
+
+      const [usdtStats, monStats] = await aop1Vault.getAgentStats(agent.address);
+      expect(usdtStats.capitalRequested).to.equal(usdt("500"));
+      expect(usdtStats.capitalReturned).to.equal(usdt("450"));
+      expect(usdtStats.realizedPnl).to.equal(-usdt("50"));
+      expect(usdtStats.feesGenerated).to.equal(0);
+      expect(usdtStats.tradeCount).to.equal(1);
+      expect(usdtStats.profitableTrades).to.equal(0);
+      expect(monStats.capitalRequested).to.equal(mon("4"));
+      expect(monStats.capitalReturned).to.equal(mon("28"));
+      expect(monStats.realizedPnl).to.equal(mon("24"));
+      // Only 10 of the 60 USDT profit is above the high-water mark after the loss: 20% of 4 MON
+      expect(monStats.feesGenerated).to.equal(mon("0.8"));
+      expect(monStats.profitableTrades).to.equal(1);
+      expect(monStats.lastActivity).to.equal(await time.latest());
+      expect(await aop1Vault.getAgents()).to.deep.equal([agent.address]);
+    });
+
+    it("does not let withdrawals draw on MON that is out with agents", async function () {
+      const { aop1Vault, pyth, agent, alice } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+      await aop1Vault.connect(agent).requestFunds(mon("8"), true);
+
+      await expect(aop1Vault.connect(agent).requestFunds(mon("3"), true))
+        .to.be.revertedWith("Insufficient MON in vault");
+      await expect(aop1Vault.connect(alice).withdraw(shares("25"), true, []))
+        .to.be.revertedWith("Insufficient MON liquidity");
+    });
+
+    it("rejects returns that do not match the ledger", async function () {
+      const { aop1Vault, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+      await aop1Vault.connect(agent).requestFunds(usdt("100"), false);
+
+      await expect(aop1Vault.connect(agent).returnFunds(usdt("101"), 0, false, []))
+        .to.be.revertedWith("Principal exceeds outstanding");
+      await expect(aop1Vault.connect(agent).returnFunds(usdt("50"), -usdt("51"), false, []))
+        .to.be.revertedWith("Loss exceeds principal");
+      await expect(aop1Vault.connect(agent).returnFunds(0, 0, false, []))
+        .to.be.revertedWith("Nothing to return");
+    });
+  });
+
+  describe("withdrawal queue", function () {
+    it("settles a queued MON withdrawal when an agent returns MON", async function () {
+      const { aop1Vault, pyth, agent, alice } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+      await aop1Vault.connect(agent).requestFunds(mon("8"), true);
+
+      await aop1Vault.connect(alice).requestWithdrawal(shares("10"), true);
+      expect(await aop1Vault.pendingWithdrawalCount()).to.equal(1);
+
+      await setMonPrice(pyth, "2.5");
+      await expect(aop1Vault.connect(agent).returnFunds(mon("8"), 0, true, [], { value: mon("8") }))
+        .to.emit(aop1Vault, "WithdrawalSettled")
+        .withArgs(0, alice.address, mon("4"), shares("10"));
+      expect(await aop1Vault.totalMonValue()).to.equal(mon("6"));
+      expect(await aop1Vault.claimableWithdrawals(ethers.ZeroAddress)).to.equal(mon("4"));
+
+      await expect(aop1Vault.connect(alice).claimWithdrawal(0))
+        .to.changeEtherBalance(alice, mon("4"));
+    });
+
+    it("holds MON requests until the MON price is fresh", async function () {
+      const { factory, aop1Vault, pyth, owner, alice } = await loadFixture(deployVaultsFixture);
+      await factory.setVaultKeeper(await aop1Vault.getAddress(), owner.address, true);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+      await aop1Vault.connect(alice).requestWithdrawal(shares("5"), true);
+
+      await time.increase(120);
+      await aop1Vault.settleWithdrawals(10, []);
+      expect(await aop1Vault.pendingWithdrawalCount()).to.equal(1);
+
+      const updateData = await buildPriceUpdate(pyth, "2.5", { publishTime: (await ethers.provider.getBlock("latest")).timestamp + 1 });
+      await aop1Vault.settleWithdrawals(10, [updateData], { value: PYTH_UPDATE_FEE });
+      expect((await aop1Vault.withdrawalRequests(0)).assets).to.equal(mon("2"));
+    });
+
+    it("pays queued USDT requests at the vault's total value per share", async function () {
+      const { factory, aop1Vault, usdtToken, pyth, owner, agent, alice } = await loadFixture(deployVaultsFixture);
+      await factory.setVaultKeeper(await aop1Vault.getAddress(), owner.address, true);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice).depositUSDT(usdt("100"));
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("40") });
+      await aop1Vault.connect(agent).requestFunds(usdt("100"), false);
+
+      // 50 of 200 shares are worth 50 USDT, more than the vault holds
+      await aop1Vault.connect(alice).requestWithdrawal(shares("50"), false);
+      await aop1Vault.settleWithdrawals(10, []);
+      expect(await aop1Vault.pendingWithdrawalCount()).to.equal(1);
+
+      await aop1Vault.connect(agent).returnFunds(usdt("100"), 0, false, []);
+      await expect(aop1Vault.connect(alice).claimWithdrawal(0))
+        .to.changeTokenBalance(usdtToken, alice, usdt("50"));
+      expect(await aop1Vault.totalVaultValue()).to.equal(usdt("50"));
+    });
+  });
+
+  describe("cost basis", function () {
+    it("locks the USDT value of MON deposits at the deposit price", async function () {
+      const { aop1Vault, pyth, alice, bob } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+      await aop1Vault.connect(bob).depositUSDT(usdt("25"));
+
+      // MON doubles: 50 shares are worth 75 USDT, so 10 shares pay 15 USDT against 10 USDT of cost
+      await setMonPrice(pyth, "5");
+      await expect(aop1Vault.connect(alice).withdraw(shares("10"), false, []))
+        .to.emit(aop1Vault, "UserMetricsUpdated")
+        .withArgs(alice.address, shares("15"), usdt("22.5"), usdt("15"), usdt("5"), usdt("7.5"), ethers.parseEther("1"), anyValue);
+
+      const details = await aop1Vault.getUserDetails(alice.address);
+      expect(details.valueInUSDT).to.equal(usdt("22.5"));
+      expect(details.costBasis).to.equal(usdt("15"));
+      expect(details.realizedPnl).to.equal(usdt("5"));
+      expect(details.unrealizedPnl).to.equal(usdt("7.5"));
+      expect(details.monDeposited).to.equal(mon("6"));
+      expect(details.usdtDeposited).to.equal(0);
+    });
+
+    it("realizes queued MON withdrawals at the price they settle at", async function () {
+      const { aop1Vault, pyth, agent, alice, bob } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice).depositUSDT(usdt("100"));
+      await aop1Vault.connect(bob)["depositMON(bytes[])"]([], { value: mon("20") });
+      await aop1Vault.connect(agent).requestFunds(usdt("100"), false);
+      await aop1Vault.connect(alice).requestWithdrawal(shares("40"), true);
+
+      const locked = await aop1Vault.getUserDetails(alice.address);
+      expect(locked.shares).to.equal(shares("100"));
+      expect(locked.costBasis).to.equal(usdt("100"));
+
+      // At 4 USDT per MON, 40 of 150 shares are worth 48 USDT, paid as 12 MON once the agent returns
+      await setMonPrice(pyth, "4");
+      await aop1Vault.connect(agent).returnFunds(usdt("100"), 0, false, []);
+      expect((await aop1Vault.withdrawalRequests(0)).assets).to.equal(mon("12"));
+
+      const details = await aop1Vault.getUserDetails(alice.address);
+      expect(details.shares).to.equal(shares("60"));
+      expect(details.costBasis).to.equal(usdt("60"));
+      expect(details.realizedPnl).to.equal(usdt("8"));
+      expect(details.usdtDeposited).to.equal(usdt("60"));
+    });
+  });
+
+  describe("share transfers", function () {
+    it("moves the MON and USDT deposits and cost basis pro-rata with the shares", async function () {
+      const { aop1Vault, pyth, alice, bob } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+      await aop1Vault.connect(alice).depositUSDT(usdt("25"));
+
+      await expect(aop1Vault.connect(alice).transfer(bob.address, shares("20")))
+        .to.emit(aop1Vault, "UserMetricsUpdated")
+        .withArgs(bob.address, shares("20"), usdt("20"), usdt("20"), 0, 0, ethers.parseEther("1"), anyValue);
+
+      const received = await aop1Vault.getUserDetails(bob.address);
+      expect(received.monDeposited).to.equal(mon("4"));
+      expect(received.usdtDeposited).to.equal(usdt("10"));
+      const kept = await aop1Vault.getUserDetails(alice.address);
+      expect(kept.costBasis).to.equal(usdt("30"));
+      expect(kept.monDeposited).to.equal(mon("6"));
+      expect(await aop1Vault.totalUsers()).to.equal(2);
+
+      // A full exit after receiving shares no longer miscounts the users
+      await aop1Vault.connect(bob).withdraw(shares("20"), false, []);
+      expect(await aop1Vault.isActiveUser(bob.address)).to.equal(false);
+      expect(await aop1Vault.totalUsers()).to.equal(1);
+    });
+    it("settles a MON withdrawal's cost basis before shares can move from the payout callback", async function () {
+      const { aop1Vault, pyth, bob } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      const Holder = await ethers.getContractFactory("MockReentrantHolder");
+      const holder = await Holder.deploy(await aop1Vault.getAddress(), bob.address);
+      await holder.depositMON({ value: mon("40") });
+
+      // Half the shares are withdrawn, the other half moved to bob while the MON is received
+      await holder.withdrawMON(shares("50"));
+
+      const withdrawn = await aop1Vault.getUserDetails(await holder.getAddress());
+      expect(withdrawn.shares).to.equal(0);
+      expect(withdrawn.costBasis).to.equal(0);
+      expect(withdrawn.realizedPnl).to.equal(0);
+      const received = await aop1Vault.getUserDetails(bob.address);
+      expect(received.shares).to.equal(shares("50"));
+      expect(received.costBasis).to.equal(usdt("50"));
+      expect(received.monDeposited).to.equal(mon("20"));
+    });
+  });
+
+  describe("deposit limits", function () {
+    it("counts MON deposits and holdings at their USDT value against the caps", async function () {
+      const { factory, aop1Vault, pyth, alice, bob } = await loadFixture(deployVaultsFixture);
+      await factory.setVaultDepositLimits(
+        await aop1Vault.getAddress(),
+        { ...NO_DEPOSIT_LIMITS, maxTotalAssets: usdt("500"), maxUserDeposit: usdt("400"), minDeposit: usdt("10") }
+      );
+      await setMonPrice(pyth, "2.5");
+
+      await aop1Vault.connect(alice).depositUSDT(usdt("100"));
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("100") });
+      expect(await aop1Vault.maxDeposit(alice.address)).to.equal(usdt("50"));
+      await expect(aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("40") }))
+        .to.be.revertedWithCustomError(aop1Vault, "DepositLimitExceeded")
+        .withArgs(usdt("100"), usdt("50"));
+      await expect(aop1Vault.connect(bob)["depositMON(bytes[])"]([], { value: mon("2") }))
+        .to.be.revertedWithCustomError(aop1Vault, "DepositBelowMinimum")
+        .withArgs(usdt("5"), usdt("10"));
+
+      // A rising MON price fills the total assets cap
+      await setMonPrice(pyth, "3.5");
+      expect(await aop1Vault.maxDeposit(bob.address)).to.equal(usdt("50"));
+      await setMonPrice(pyth, "4");
+      expect(await aop1Vault.maxDeposit(bob.address)).to.equal(0);
+
+      // Without a usable price the vault cannot be valued, so nothing can be deposited
+      await setMonPrice(pyth, "2.5");
+      await time.increase(120);
+      expect(await aop1Vault.maxDeposit(bob.address)).to.equal(0);
+    });
+  });
+
+  describe("lockups and early exit fees", function () {
+    const DAY = 24 * 60 * 60;
+
+    it("charges the early exit fee to the withdrawer and reprices the remaining shares", async function () {
+      const { factory, aop1Vault, usdtToken, alice, bob } = await loadFixture(deployVaultsFixture);
+      await aop1Vault.connect(bob).depositUSDT(usdt("1000"));
+      await factory.setVaultLockupConfig(
+        await aop1Vault.getAddress(),
+        { lockupPeriod: 2 * DAY, noticePeriod: 0, earlyExitPeriod: 10 * DAY, earlyExitFee: 1000 }
+      );
+
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+      const deposited = await time.latest();
+      await expect(aop1Vault.connect(alice).withdraw(shares("1000"), false, []))
+        .to.be.revertedWithCustomError(aop1Vault, "SharesLocked")
+        .withArgs(0);
+
+      // Half of the 10% fee is left after 5 days, and it stays with Bob
+      await time.setNextBlockTimestamp(deposited + 5 * DAY);
+      const withdrawal = aop1Vault.connect(alice).withdraw(shares("1000"), false, []);
+      await expect(withdrawal).to.changeTokenBalance(usdtToken, alice, usdt("950"));
+      await expect(withdrawal)
+        .to.emit(aop1Vault, "EarlyExitFeeCharged")
+        .withArgs(alice.address, shares("1000"), shares("50"));
+      expect(await aop1Vault.navPerShare()).to.equal(ethers.parseEther("1.05"));
+      expect((await aop1Vault.getUserDetails(alice.address)).realizedPnl).to.equal(-usdt("50"));
+
+      // The last holder out pays no fee
+      await aop1Vault.connect(alice).depositUSDT(usdt("100"));
+      await aop1Vault.connect(bob).withdraw(shares("1000"), false, []);
+      await time.increase(2 * DAY);
+      await expect(aop1Vault.connect(alice).withdraw(await aop1Vault.balanceOf(alice.address), false, []))
+        .to.not.emit(aop1Vault, "EarlyExitFeeCharged");
+    });
+  });
+
+  describe("oracle", function () {
+    const VALID = 0n;
+    const UNAVAILABLE = 1n;
+    const STALE = 2n;
+    const NON_POSITIVE = 3n;
+    const UNCERTAIN = 4n;
+    const OUT_OF_RANGE = 5n;
+
+    async function setRawPrice(pyth, price, expo, { conf = 0n, age = 0 } = {}) {
+      await pyth.setPrice(MON_USD_PRICE_ID, price, conf, expo, (await time.latest()) - age);
+    }
+
+    it("reports why a stale price is unusable instead of falling back to 1:1", async function () {
+      const { aop1Vault, pyth, alice, bob } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+      await time.increase(120);
+
+      const [status, price] = await aop1Vault.getMonUsdPriceStatus();
+      expect(status).to.equal(STALE);
+      expect(price).to.equal(0);
+      expect(await aop1Vault.getCurrentMonPrice()).to.equal(0);
+      expect(await aop1Vault.estimateSharesForMonDeposit(mon("1"))).to.equal(0);
+
+      // Share issuance and payouts that depend on the MON holdings refuse to guess
+      await expect(aop1Vault.connect(bob).depositUSDT(usdt("100"))).to.be.revertedWith("MON price is stale");
+      await expect(aop1Vault.connect(alice).withdraw(shares("1"), false, [])).to.be.revertedWith("MON price is stale");
+      await expect(aop1Vault.getTotalValueInUsdt()).to.be.revertedWith("MON price is stale");
+
+      const updateData = await buildPriceUpdate(pyth, "2.5", { publishTime: (await time.latest()) + 1 });
+      await aop1Vault.connect(alice).withdraw(shares("5"), true, [updateData], { value: PYTH_UPDATE_FEE });
+      expect(await aop1Vault.totalMonValue()).to.equal(mon("8"));
+    });
+
+    it("applies the max age and confidence set through the factory", async function () {
+      const { factory, aop1Vault, aop2Vault, pyth, alice } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop1Vault.getAddress();
+      await setRawPrice(pyth, 250000000n, -8, { conf: 7500000n, age: 120 });
+      expect((await aop1Vault.getMonUsdPriceStatus())[0]).to.equal(STALE);
+
+      await expect(factory.setVaultOracleConfig(vaultAddress, 300, 200))
+        .to.emit(factory, "OracleConfigUpdated")
+        .withArgs(vaultAddress, 300, 200);
+      // A 3% confidence interval is wider than the 2% allowed
+      expect((await aop1Vault.getMonUsdPriceStatus())[0]).to.equal(UNCERTAIN);
+      await expect(aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("1") }))
+        .to.be.revertedWith("MON price confidence too wide");
+
+      await factory.setVaultOracleConfig(vaultAddress, 300, 500);
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("4") });
+      expect(await aop1Vault.balanceOf(alice.address)).to.equal(shares("10"));
+
+      await expect(factory.setVaultOracleConfig(vaultAddress, 0, 500)).to.be.revertedWith("Invalid max price age");
+      await expect(factory.setVaultOracleConfig(vaultAddress, 86401, 500)).to.be.revertedWith("Invalid max price age");
+      await expect(factory.setVaultOracleConfig(vaultAddress, 60, 10001)).to.be.revertedWith("Invalid max confidence ratio");
+      await expect(factory.setVaultOracleConfig(await aop2Vault.getAddress(), 60, 200)).to.be.revertedWith("Not an AoP1Vault");
+      await expect(aop1Vault.connect(alice).setOracleConfig(60, 200)).to.be.reverted;
+    });
+
+    it("rejects zero and negative prices", async function () {
+      const { aop1Vault, pyth, alice } = await loadFixture(deployVaultsFixture);
+
+      await setRawPrice(pyth, -250000000n, -8);
+      expect((await aop1Vault.getMonUsdPriceStatus())[0]).to.equal(NON_POSITIVE);
+      await expect(aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("1") }))
+        .to.be.revertedWith("Invalid MON price");
+
+      await setRawPrice(pyth, 0n, -8);
+      expect((await aop1Vault.getMonUsdPriceStatus())[0]).to.equal(NON_POSITIVE);
+      expect(await aop1Vault.getCurrentMonPrice()).to.equal(0);
+    });
+
+    it("scales prices published with extreme exponents", async function () {
+      const { aop1Vault, pyth } = await loadFixture(deployVaultsFixture);
+      const INT64_MAX = 9223372036854775807n;
+      const cases = [
+        [2500000000000000000n, -18, VALID, usdt("2.5")],
+        [3n, 0, VALID, usdt("3")],
+        [3n, 2, VALID, usdt("300")],
+        [1n, 32, VALID, 10n ** 38n],
+        // Scaled prices must fit in int128 and stay above zero at 6 decimals
+        [2n, 32, OUT_OF_RANGE, 0n],
+        [INT64_MAX, 52, OUT_OF_RANGE, 0n],
+        [1n, 60, OUT_OF_RANGE, 0n],
+        [1000000000000000000n, -30, OUT_OF_RANGE, 0n],
+        [INT64_MAX, -25, OUT_OF_RANGE, 0n],
+        [1n, -100, OUT_OF_RANGE, 0n],
+        [INT64_MAX, -2147483648, OUT_OF_RANGE, 0n],
+        [INT64_MAX, 2147483647, OUT_OF_RANGE, 0n]
+      ];
+
+      for (const [price, expo, status, scaled] of cases) {
+        await setRawPrice(pyth, price, expo);
+        const [actualStatus, actualPrice] = await aop1Vault.getMonUsdPriceStatus();
+        expect(actualStatus, `price ${price} expo ${expo}`).to.equal(status);
+        expect(actualPrice, `price ${price} expo ${expo}`).to.equal(scaled);
+      }
+    });
+
+    it("reports a missing price feed as unavailable", async function () {
+      const { factory, alice } = await loadFixture(deployVaultsFixture);
+      await factory.setMonUsdPriceId(ethers.id("UNKNOWN/USD"));
+      await factory.deployAoP1Vault("Unpriced", "UNP", DEFAULT_FEES, NO_DEPOSIT_LIMITS);
+      const vault = await ethers.getContractAt("AoP1Vault", await factory.vaults("Unpriced"));
+
+      expect((await vault.getMonUsdPriceStatus())[0]).to.equal(UNAVAILABLE);
+      await expect(vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("1") }))
+        .to.be.revertedWith("MON price unavailable");
+    });
+
+    it("holds queued USDT withdrawals while the MON holdings cannot be valued", async function () {
+      const { factory, aop1Vault, pyth, owner, alice } = await loadFixture(deployVaultsFixture);
+      await factory.setVaultKeeper(await aop1Vault.getAddress(), owner.address, true);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice).depositUSDT(usdt("100"));
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("40") });
+      await aop1Vault.connect(alice).requestWithdrawal(shares("50"), false);
+
+      await time.increase(120);
+      await aop1Vault.settleWithdrawals(10, []);
+      expect(await aop1Vault.pendingWithdrawalCount()).to.equal(1);
+
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.settleWithdrawals(10, []);
+      expect((await aop1Vault.withdrawalRequests(0)).assets).to.equal(usdt("50"));
+    });
+  });
+
+  describe("estimates", function () {
+    it("quotes the shares issued by deposits at the stored NAV", async function () {
+      const { aop1Vault, pyth, agent, alice } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+
+      expect(await aop1Vault.estimateSharesForUsdtDeposit(usdt("100"))).to.equal(shares("100"));
+      expect(await aop1Vault.estimateSharesForMonDeposit(mon("4"))).to.equal(shares("10"));
+
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+      await aop1Vault.connect(agent).returnFundsWithProfit(usdt("250"), false, []);
+
+      // NAV is 1.2 after a 250 USDT profit net of the 20% fee
+      expect(await aop1Vault.estimateSharesForUsdtDeposit(usdt("120"))).to.equal(shares("100"));
+    });
+  });
+
+  describe("slippage protection", function () {
+    const YEAR = 365 * 24 * 60 * 60;
+
+    async function deadline() {
+      return (await time.latest()) + 3600;
+    }
+
+    it("quotes USDT deposits exactly, including the management fee accrued first", async function () {
+      const { factory, aop1Vault, alice, bob } = await loadFixture(deployVaultsFixture);
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+      await factory.updateVaultFees(await aop1Vault.getAddress(), 2000, 500);
+
+      // A year of 5% management fee adds 50 shares, so 100 USDT buys 105 of the 1050 shares
+      const depositTime = (await aop1Vault.lastFeeAccrual()) + BigInt(YEAR);
+      await time.setNextBlockTimestamp(depositTime);
+      const quoted = await aop1Vault.quoteDepositUSDT(usdt("100"), { blockTag: "pending" });
+      expect(quoted).to.equal(shares("105"));
+      expect(await aop1Vault.estimateSharesForUsdtDeposit(usdt("100"))).to.equal(shares("100"));
+
+      await expect(aop1Vault.connect(bob)["depositUSDT(uint256,uint256,uint256)"](usdt("100"), quoted, depositTime))
+        .to.emit(aop1Vault, "Deposit")
+        .withArgs(bob.address, usdt("100"), false, quoted);
+
+      // One share-wei more than the quote is more than the deposit can issue
+      await time.setNextBlockTimestamp(depositTime + 60n);
+      const next = await aop1Vault.quoteDepositUSDT(usdt("100"), { blockTag: "pending" });
+      await expect(aop1Vault.connect(bob)["depositUSDT(uint256,uint256,uint256)"](usdt("100"), next + 1n, await deadline()))
+        .to.be.revertedWithCustomError(aop1Vault, "InsufficientSharesOut")
+        .withArgs(next, next + 1n);
+    });
+
+    it("bounds MON deposits against the price set by the bundled Pyth update", async function () {
+      const { aop1Vault, pyth, alice } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      const quoted = await aop1Vault.quoteDepositMON(mon("4"));
+      expect(quoted).to.equal(shares("10"));
+      const minSharesOut = (quoted * 99n) / 100n;
+
+      const publishTime = (await time.latest()) + 1;
+      const drop = await buildPriceUpdate(pyth, "2.0", { publishTime });
+      await expect(aop1Vault.connect(alice)["depositMON(bytes[],uint256,uint256)"](
+        [drop], minSharesOut, await deadline(), { value: mon("4") + PYTH_UPDATE_FEE }
+      ))
+        .to.be.revertedWithCustomError(aop1Vault, "InsufficientSharesOut")
+        .withArgs(shares("8"), minSharesOut);
+
+      const steady = await buildPriceUpdate(pyth, "2.5", { publishTime });
+      await aop1Vault.connect(alice)["depositMON(bytes[],uint256,uint256)"](
+        [steady], minSharesOut, await deadline(), { value: mon("4") + PYTH_UPDATE_FEE }
+      );
+      expect(await aop1Vault.balanceOf(alice.address)).to.equal(shares("10"));
+    });
+
+    it("quotes and bounds withdrawal payouts in either asset", async function () {
+      const { aop1Vault, pyth, usdtToken, alice } = await loadFixture(deployVaultsFixture);
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice).depositMON([], { value: mon("400") });
+
+      expect(await aop1Vault.quoteWithdraw(shares("400"), false)).to.equal(usdt("400"));
+      expect(await aop1Vault.quoteWithdraw(shares("400"), true)).to.equal(mon("160"));
+      await expect(aop1Vault.quoteWithdraw(shares("2001"), false)).to.be.revertedWith("Insufficient shares");
+
+      await setMonPrice(pyth, "2.5");
+      await expect(aop1Vault.connect(alice)["withdraw(uint256,bool,bytes[],uint256,uint256)"](
+        shares("400"), false, [], usdt("400") + 1n, await deadline()
+      ))
+        .to.be.revertedWithCustomError(aop1Vault, "InsufficientAmountOut")
+        .withArgs(usdt("400"), usdt("400") + 1n);
+
+      await expect(aop1Vault.connect(alice)["withdraw(uint256,bool,bytes[],uint256,uint256)"](
+        shares("400"), false, [], usdt("400"), await deadline()
+      )).to.changeTokenBalance(usdtToken, alice, usdt("400"));
+
+      await setMonPrice(pyth, "2.5");
+      await expect(aop1Vault.connect(alice)["withdraw(uint256,bool,bytes[],uint256,uint256)"](
+        shares("400"), true, [], mon("160"), await deadline()
+      )).to.changeEtherBalance(alice, mon("160"));
+    });
+
+    it("rejects deposits and withdrawals after their deadline", async function () {
+      const { aop1Vault, alice } = await loadFixture(deployVaultsFixture);
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+      const expired = await time.latest();
+
+      await time.setNextBlockTimestamp(expired + 1);
+      await expect(aop1Vault.connect(alice)["depositUSDT(uint256,uint256,uint256)"](usdt("100"), 0, expired))
+        .to.be.revertedWithCustomError(aop1Vault, "DeadlineExpired")
+        .withArgs(expired, expired + 1);
+      await expect(aop1Vault.connect(alice)["depositMON(bytes[],uint256,uint256)"]([], 0, expired, { value: mon("1") }))
+        .to.be.revertedWithCustomError(aop1Vault, "DeadlineExpired");
+      await expect(aop1Vault.connect(alice)["withdraw(uint256,bool,bytes[],uint256,uint256)"](shares("100"), false, [], 0, expired))
+        .to.be.revertedWithCustomError(aop1Vault, "DeadlineExpired");
+    });
+  });
+
+  describe("pausing", function () {
+    const PAUSE_DEPOSITS = 1;
+    const PAUSE_WITHDRAWALS = 2;
+    const PAUSE_AGENT_FUNDS = 4;
+    const PAUSE_ALL = 7;
+
+    it("pauses deposits, withdrawals and agent fund requests independently", async function () {
+      const { factory, aop1Vault, agent, alice, carol } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop1Vault.getAddress();
+      await factory.setVaultGuardian(vaultAddress, carol.address, true);
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+
+      await expect(aop1Vault.connect(carol).pause(PAUSE_DEPOSITS))
+        .to.emit(aop1Vault, "Paused")
+        .withArgs(carol.address, PAUSE_DEPOSITS);
+      await expect(aop1Vault.connect(alice).depositUSDT(usdt("1")))
+        .to.be.revertedWithCustomError(aop1Vault, "OperationPaused")
+        .withArgs(PAUSE_DEPOSITS);
+      await expect(aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("1") }))
+        .to.be.revertedWithCustomError(aop1Vault, "OperationPaused");
+      await aop1Vault.connect(alice).withdraw(shares("100"), false, []);
+      await aop1Vault.connect(agent).requestFunds(usdt("100"), false);
+
+      await aop1Vault.connect(carol).pause(PAUSE_WITHDRAWALS | PAUSE_AGENT_FUNDS);
+      await expect(aop1Vault.connect(alice).withdraw(shares("100"), false, []))
+        .to.be.revertedWithCustomError(aop1Vault, "OperationPaused")
+        .withArgs(PAUSE_WITHDRAWALS);
+      await expect(aop1Vault.connect(alice).requestWithdrawal(shares("100"), false))
+        .to.be.revertedWithCustomError(aop1Vault, "OperationPaused");
+      await expect(aop1Vault.connect(agent).requestFunds(usdt("100"), false))
+        .to.be.revertedWithCustomError(aop1Vault, "OperationPaused")
+        .withArgs(PAUSE_AGENT_FUNDS);
+      await aop1Vault.connect(agent).returnFunds(usdt("100"), 0, false, []);
+
+      const role = await aop1Vault.ADMIN_ROLE();
+      await expect(aop1Vault.connect(carol).unpause(PAUSE_ALL))
+        .to.be.revertedWith(`AccessControl: account ${carol.address.toLowerCase()} is missing role ${role}`);
+      await expect(factory.unpauseVault(vaultAddress, PAUSE_ALL))
+        .to.emit(aop1Vault, "Unpaused")
+        .withArgs(await factory.getAddress(), PAUSE_ALL);
+      await aop1Vault.connect(alice).depositUSDT(usdt("1"));
+    });
+
+    it("rejects pauses from accounts without the guardian role", async function () {
+      const { aop1Vault, alice } = await loadFixture(deployVaultsFixture);
+
+      await expect(aop1Vault.connect(alice).pause(PAUSE_DEPOSITS)).to.be.revertedWith("Caller is not a guardian");
+      await expect(aop1Vault.connect(alice).enableEmergencyMode()).to.be.revertedWith("Caller is not a guardian");
+    });
+
+    it("leaves queued withdrawals pending when funds return while withdrawals are paused", async function () {
+      const { factory, aop1Vault, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+      await aop1Vault.connect(agent).requestFunds(usdt("1000"), false);
+      await aop1Vault.connect(alice).requestWithdrawal(shares("500"), false);
+
+      await factory.pauseVault(await aop1Vault.getAddress(), PAUSE_WITHDRAWALS);
+      await aop1Vault.connect(agent).returnFunds(usdt("1000"), 0, false, []);
+      expect(await aop1Vault.pendingWithdrawalCount()).to.equal(1);
+
+      await aop1Vault.connect(alice).cancelWithdrawal(0);
+      expect(await aop1Vault.balanceOf(alice.address)).to.equal(shares("1000"));
+    });
+
+    it("lets holders exit pro-rata in kind in emergency mode without a price", async function () {
+      const { factory, aop1Vault, usdtToken, pyth, agent, alice, bob, carol } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop1Vault.getAddress();
+      await factory.setVaultGuardian(vaultAddress, carol.address, true);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+      await aop1Vault.connect(bob)["depositMON(bytes[])"]([], { value: mon("40") });
+      await aop1Vault.connect(agent).requestFunds(usdt("100"), false);
+
+      await expect(aop1Vault.connect(alice).emergencyWithdraw(shares("550")))
+        .to.be.revertedWithCustomError(aop1Vault, "EmergencyModeInactive");
+      await expect(aop1Vault.connect(carol).enableEmergencyMode())
+        .to.emit(aop1Vault, "EmergencyModeUpdated").withArgs(carol.address, true)
+        .and.to.emit(aop1Vault, "Paused").withArgs(carol.address, PAUSE_ALL);
+
+      // The price goes stale; 550 of 1100 shares take half of the 900 USDT and 40 MON held
+      await time.increase(120);
+      const tx = aop1Vault.connect(alice).emergencyWithdraw(shares("550"));
+      await expect(tx)
+        .to.emit(aop1Vault, "EmergencyWithdrawal")
+        .withArgs(alice.address, shares("550"), usdt("450"), mon("20"));
+      await expect(tx).to.changeTokenBalance(usdtToken, alice, usdt("450"));
+      await expect(tx).to.changeEtherBalance(alice, mon("20"));
+      expect(await aop1Vault.totalVaultValue()).to.equal(usdt("550"));
+      expect(await aop1Vault.totalMonValue()).to.equal(mon("20"));
+
+      await expect(factory.unpauseVault(vaultAddress, PAUSE_DEPOSITS)).to.be.revertedWith("Emergency mode active");
+      await expect(aop1Vault.connect(carol).disableEmergencyMode()).to.be.reverted;
+      await factory.setVaultEmergencyMode(vaultAddress, false);
+      expect(await aop1Vault.pausedOperations()).to.equal(PAUSE_ALL);
+    });
+  });
+
+  describe("fees", function () {
+    const YEAR = 365 * 24 * 60 * 60;
+
+    // Leaves 1000 USDT backing 1050 shares, below the high-water mark of 1.0
+    async function dilutedByManagementFee({ factory, aop1Vault, alice }) {
+      const vaultAddress = await aop1Vault.getAddress();
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+      await factory.updateVaultFees(vaultAddress, 2000, 500);
+      await time.setNextBlockTimestamp((await aop1Vault.lastFeeAccrual()) + BigInt(YEAR));
+      await factory.updateVaultFees(vaultAddress, 2000, 0);
+    }
+
+    it("mints the management fee as shares and lowers the price per share", async function () {
+      const fixture = await loadFixture(deployVaultsFixture);
+      const { aop1Vault, feeRecipient } = fixture;
+
+      await dilutedByManagementFee(fixture);
+
+      expect(await aop1Vault.balanceOf(feeRecipient.address)).to.equal(shares("50"));
+      expect(await aop1Vault.getTotalValueInUsdt()).to.equal(usdt("1000"));
+      expect(await aop1Vault.navPerShare()).to.equal((ethers.parseEther("1") * 1000n) / 1050n);
+    });
+
+    it("charges USDT profit only above the high-water mark", async function () {
+      const fixture = await loadFixture(deployVaultsFixture);
+      const { aop1Vault, agent } = fixture;
+      await dilutedByManagementFee(fixture);
+
+      await expect(aop1Vault.connect(agent).returnFundsWithProfit(usdt("40"), false, []))
+        .to.emit(aop1Vault, "ProfitDistributed")
+        .withArgs(usdt("40"), 0);
+      await expect(aop1Vault.connect(agent).returnFundsWithProfit(usdt("60"), false, []))
+        .to.emit(aop1Vault, "ProfitDistributed")
+        .withArgs(usdt("60"), usdt("10"));
+
+      expect(await aop1Vault.highWaterMark()).to.equal(await aop1Vault.navPerShare());
+    });
+
+    it("charges MON profit in MON for the part above the high-water mark", async function () {
+      const fixture = await loadFixture(deployVaultsFixture);
+      const { aop1Vault, pyth, feeRecipient, agent } = fixture;
+      await dilutedByManagementFee(fixture);
+
+      // 30 MON at 2.5 is 75 USDT, of which 25 USDT is above the 1050 USDT high-water mark value
+      await setMonPrice(pyth, "2.5");
+      await expect(aop1Vault.connect(agent).returnFundsWithProfit(mon("30"), true, [], { value: mon("30") }))
+        .to.changeEtherBalance(feeRecipient, mon("2"));
+      expect(await aop1Vault.totalMonValue()).to.equal(mon("28"));
+    });
+  });
+});
@@ -0,0 +1,987 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployVaultsFixture, usdt, shares, NO_DEPOSIT_LIMITS } = require("./fixtures");
+
+describe("AoP2Vault", function () {
+  describe("deposit", function () {
+    it("issues shares 1:1 (scaled to 18 decimals) on the first deposit", async function () {
+      const { aop2Vault, alice } = await loadFixture(deployVaultsFixture);
+
+      await expect(aop2Vault.connect(alice).deposit(usdt("1000")))
+        .to.emit(aop2Vault, "Deposit")
+        .withArgs(alice.address, usdt("1000"), shares("1000"));
+
+      expect(await aop2Vault.balanceOf(alice.address)).to.equal(shares("1000"));
+      expect(await aop2Vault.totalVaultValue()).to.equal(usdt("1000"));
+      expect(await aop2Vault.navPerShare()).to.equal(ethers.parseEther("1"));
+      expect((await aop2Vault.userDeposits(alice.address)).amount).to.equal(usdt("1000"));
+    });
+
+    it("prices later deposits at the current NAV", async function () {
+      const { aop2Vault, agent, alice, bob } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("1"));
+      await aop2Vault.connect(agent).returnFundsWithProfit(usdt("1"), usdt("100"));
+
+      await aop2Vault.connect(bob).deposit(usdt("108"));
+
+      expect(await aop2Vault.balanceOf(bob.address)).to.equal(shares("100"));
+    });
+
+    it("rejects zero deposits", async function () {
+      const { aop2Vault, alice } = await loadFixture(deployVaultsFixture);
+
+      await expect(aop2Vault.connect(alice).deposit(0))
+        .to.be.revertedWith("Amount must be greater than 0");
+    });
+
+    it("counts each depositor once in totalUsers", async function () {
+      const { aop2Vault, alice, bob } = await loadFixture(deployVaultsFixture);
+
+      await aop2Vault.connect(alice).deposit(usdt("10"));
+      await aop2Vault.connect(alice).deposit(usdt("10"));
+      await aop2Vault.connect(bob).deposit(usdt("10"));
+
+      expect(await aop2Vault.totalUsers()).to.equal(2);
+      expect(await aop2Vault.getTotalUsers()).to.equal(2);
+    });
+  });
+
+  describe("withdraw", function () {
+    it("returns USDT at the current NAV", async function () {
+      const { aop2Vault, usdtToken, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("1"));
+      await aop2Vault.connect(agent).returnFundsWithProfit(usdt("1"), usdt("100"));
+
+      await expect(aop2Vault.connect(alice).withdraw(shares("1000")))
+        .to.changeTokenBalance(usdtToken, alice, usdt("1080"));
+
+      expect(await aop2Vault.totalSupply()).to.equal(0);
+      expect(await aop2Vault.totalVaultValue()).to.equal(0);
+    });
+
+    it("reverts while the funds are out with an agent", async function () {
+      const { aop2Vault, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("400"));
+
+      await expect(aop2Vault.connect(alice).withdraw(shares("800")))
+        .to.be.revertedWith("Insufficient USDT liquidity");
+    });
+
+    it("rejects withdrawals above the caller's balance", async function () {
+      const { aop2Vault, alice } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("10"));
+
+      await expect(aop2Vault.connect(alice).withdraw(shares("11")))
+        .to.be.revertedWith("Insufficient shares");
+    });
+
+    it("removes users that exit completely from totalUsers", async function () {
+      const { aop2Vault, alice, bob } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("10"));
+      await aop2Vault.connect(bob).deposit(usdt("10"));
+
+      await aop2Vault.connect(alice).withdraw(shares("5"));
+      expect(await aop2Vault.totalUsers()).to.equal(2);
+
+      await aop2Vault.connect(alice).withdraw(shares("5"));
+      expect(await aop2Vault.totalUsers()).to.equal(1);
+      expect(await aop2Vault.isActiveUser(alice.address)).to.equal(false);
+    });
+  });
+
+  describe("agents", function () {
+    it("lets agents request USDT", async function () {
+      const { aop2Vault, usdtToken, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+
+      await expect(aop2Vault.connect(agent).requestFunds(usdt("400")))
+        .to.emit(aop2Vault, "AgentFundRequest")
+        .withArgs(agent.address, usdt("400"));
+
+      expect(await usdtToken.balanceOf(await aop2Vault.getAddress())).to.equal(usdt("600"));
+    });
+
+    it("pulls principal plus profit and routes 20% of the profit to the fee recipient", async function () {
+      const { aop2Vault, usdtToken, feeRecipient, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("400"));
+
+      await expect(aop2Vault.connect(agent).returnFundsWithProfit(usdt("400"), usdt("100")))
+        .to.emit(aop2Vault, "FundsReturned")
+        .withArgs(agent.address, usdt("500"), usdt("100"))
+        .and.to.emit(aop2Vault, "ProfitDistributed")
+        .withArgs(usdt("100"), usdt("20"));
+
+      expect(await usdtToken.balanceOf(feeRecipient.address)).to.equal(usdt("20"));
+      expect(await usdtToken.balanceOf(await aop2Vault.getAddress())).to.equal(usdt("1080"));
+      expect(await aop2Vault.totalVaultValue()).to.equal(usdt("1080"));
+      expect(await aop2Vault.navPerShare()).to.equal(ethers.parseEther("1.08"));
+    });
+
+    it("records NAV history, replacing the latest snapshot within the snapshot interval", async function () {
+      const { aop2Vault, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("1"));
+      await aop2Vault.connect(agent).returnFundsWithProfit(usdt("1"), usdt("100"));
+
+      let [timestamps, values, totalValues] = await aop2Vault.getHistoricalNAV(0, 100);
+      expect(timestamps.length).to.equal(1);
+      expect(timestamps[0]).to.equal(await time.latest());
+      expect(values[0]).to.equal(ethers.parseEther("1.08"));
+      expect(totalValues[0]).to.equal(usdt("1080"));
+
+      await time.increase(3600);
+      await aop2Vault.connect(alice).withdraw(shares("500"));
+
+      [timestamps, values, totalValues] = await aop2Vault.getHistoricalNAV(0, 100);
+      expect(values).to.deep.equal([ethers.parseEther("1.08"), ethers.parseEther("1.08")]);
+      expect(totalValues).to.deep.equal([usdt("1080"), usdt("540")]);
+    });
+
+    it("is restricted to agents", async function () {
+      const { aop2Vault, alice } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+
+      await expect(aop2Vault.connect(alice).requestFunds(usdt("1"))).to.be.reverted;
+      await expect(aop2Vault.connect(alice).returnFundsWithProfit(usdt("1"), 0)).to.be.reverted;
+    });
+  });
+
+  describe("agent allocations", function () {
+    it("records outstanding principal and keeps it in the vault value", async function () {
+      const { aop2Vault, usdtToken, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+
+      await aop2Vault.connect(agent).requestFunds(usdt("400"));
+
+      const allocation = await aop2Vault.agentAllocations(agent.address, await usdtToken.getAddress());
+      expect(allocation.principal).to.equal(usdt("400"));
+      expect(allocation.creditLimit).to.equal(usdt("100000"));
+      expect(await aop2Vault.totalDeployed(await usdtToken.getAddress())).to.equal(usdt("400"));
+      expect(await aop2Vault.totalVaultValue()).to.equal(usdt("1000"));
+      expect(await aop2Vault.navPerShare()).to.equal(ethers.parseEther("1"));
+    });
+
+    it("enforces credit limits and the max share of the vault", async function () {
+      const { factory, aop2Vault, agent, alice, bob } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop2Vault.getAddress();
+      await factory.addAgentToVault(vaultAddress, bob.address);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+
+      await expect(aop2Vault.connect(bob).requestFunds(usdt("1")))
+        .to.be.revertedWith("Credit limit exceeded");
+
+      await expect(factory.setMaxAgentAllocation(vaultAddress, 3000))
+        .to.emit(aop2Vault, "MaxAgentAllocationUpdated")
+        .withArgs(10000, 3000);
+      await aop2Vault.connect(agent).requestFunds(usdt("300"));
+      await expect(aop2Vault.connect(agent).requestFunds(usdt("1")))
+        .to.be.revertedWith("Allocation exceeds max share of vault");
+    });
+
+    it("marks NAV down when an agent reports a loss", async function () {
+      const { aop2Vault, usdtToken, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("400"));
+
+      const tx = aop2Vault.connect(agent).returnFunds(usdt("400"), -usdt("100"));
+      await expect(tx)
+        .to.emit(aop2Vault, "FundsReturned")
+        .withArgs(agent.address, usdt("300"), 0)
+        .and.to.emit(aop2Vault, "NavUpdated")
+        .withArgs(ethers.parseEther("1"), ethers.parseEther("0.9"));
+      await expect(tx).to.changeTokenBalance(usdtToken, agent, -usdt("300"));
+
+      expect(await aop2Vault.totalVaultValue()).to.equal(usdt("900"));
+      expect(await aop2Vault.highWaterMark()).to.equal(ethers.parseEther("1"));
+      expect((await aop2Vault.agentAllocations(agent.address, await usdtToken.getAddress())).principal).to.equal(0);
+    });
+
+    it("stops deposits once losses leave the shares worth nothing", async function () {
+      const { aop2Vault, agent, alice, bob } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("1000"));
+      await aop2Vault.connect(agent).returnFunds(usdt("1000"), -usdt("1000"));
+
+      expect(await aop2Vault.navPerShare()).to.equal(0);
+      expect(await aop2Vault.maxDeposit(bob.address)).to.equal(0);
+      await expect(aop2Vault.connect(bob).deposit(usdt("100"))).to.be.revertedWith("Vault has no value");
+      await expect(aop2Vault.quoteDeposit(usdt("100"))).to.be.revertedWith("Vault has no value");
+    });
+
+    it("charges the performance fee on a reported profit", async function () {
+      const { aop2Vault, usdtToken, feeRecipient, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("400"));
+
+      await expect(aop2Vault.connect(agent).returnFunds(usdt("150"), usdt("50")))
+        .to.emit(aop2Vault, "ProfitDistributed")
+        .withArgs(usdt("50"), usdt("10"));
+
+      expect(await usdtToken.balanceOf(feeRecipient.address)).to.equal(usdt("10"));
+      expect(await aop2Vault.totalVaultValue()).to.equal(usdt("1040"));
+      expect((await aop2Vault.agentAllocations(agent.address, await usdtToken.getAddress())).principal)
+        .to.equal(usdt("250"));
+    });
+
+    it("rejects returns that do not match the ledger", async function () {
+      const { aop2Vault, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("100"));
+
+      await expect(aop2Vault.connect(agent).returnFundsWithProfit(usdt("101"), 0))
+        .to.be.revertedWith("Principal exceeds outstanding");
+      await expect(aop2Vault.connect(agent).returnFunds(usdt("10"), -usdt("11")))
+        .to.be.revertedWith("Loss exceeds principal");
+    });
+
+    it("keeps each agent's performance stats", async function () {
+      const { factory, aop2Vault, usdtToken, agent, alice, bob } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("400"));
+      await aop2Vault.connect(agent).returnFunds(usdt("200"), usdt("50"));
+      await aop2Vault.connect(agent).returnFunds(usdt("100"), -usdt("30"));
+      await aop2Vault.connect(agent).returnFundsWithProfit(usdt("100"), usdt("20"));
+
+      const [stats, monStats] = await aop2Vault.getAgentStats(agent.address);
+      expect(stats.capitalRequested).to.equal(usdt("400"));
+      expect(stats.capitalReturned).to.equal(usdt("440"));
+      expect(stats.realizedPnl).to.equal(usdt("40"));
+      // The 20 profit only makes up part of the loss, so it stays below the high-water mark
+      expect(stats.feesGenerated).to.equal(usdt("10"));
+      expect(stats.tradeCount).to.equal(3);
+      expect(stats.profitableTrades).to.equal(2);
+      expect(stats.lastActivity).to.equal(await time.latest());
+      expect(monStats.capitalRequested).to.equal(0);
+      expect(await aop2Vault.agentStats(agent.address, await usdtToken.getAddress())).to.deep.equal(stats);
+
+      const vaultAddress = await aop2Vault.getAddress();
+      await factory.addAgentToVault(vaultAddress, bob.address);
+      await factory.removeAgentFromVault(vaultAddress, agent.address);
+      await factory.addAgentToVault(vaultAddress, agent.address);
+      expect(await aop2Vault.getAgents()).to.deep.equal([agent.address, bob.address]);
+      expect(await aop2Vault.getAgentCount()).to.equal(2);
+    });
+  });
+
+  describe("withdrawal queue", function () {
+    const PENDING = 1n;
+    const SETTLED = 2n;
+    const CLAIMED = 3n;
+    const CANCELLED = 4n;
+
+    it("locks shares in the vault and lists the request", async function () {
+      const { aop2Vault, agent, alice } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop2Vault.getAddress();
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("900"));
+
+      await expect(aop2Vault.connect(alice).requestWithdrawal(shares("500")))
+        .to.emit(aop2Vault, "WithdrawalRequested")
+        .withArgs(0, alice.address, await aop2Vault.usdtToken(), shares("500"));
+
+      expect(await aop2Vault.balanceOf(alice.address)).to.equal(shares("500"));
+      expect(await aop2Vault.balanceOf(vaultAddress)).to.equal(shares("500"));
+      expect(await aop2Vault.withdrawalQueueDepth()).to.deep.equal([1n, shares("500")]);
+
+      const [ids, requests] = await aop2Vault.getOpenWithdrawalRequests(alice.address);
+      expect(ids).to.deep.equal([0n]);
+      expect(requests[0].shares).to.equal(shares("500"));
+      expect(requests[0].status).to.equal(PENDING);
+    });
+
+    it("settles requests in order at the NAV when an agent returns funds", async function () {
+      const { aop2Vault, usdtToken, agent, alice, bob } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(bob).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("1800"));
+      await aop2Vault.connect(alice).requestWithdrawal(shares("500"));
+      await aop2Vault.connect(bob).requestWithdrawal(shares("500"));
+
+      // 80 USDT of profit after fees lifts NAV to 1.04; 900 USDT is free, enough for alice only
+      await expect(aop2Vault.connect(agent).returnFunds(usdt("600"), usdt("100")))
+        .to.emit(aop2Vault, "WithdrawalSettled")
+        .withArgs(0, alice.address, usdt("520"), shares("500"));
+
+      expect((await aop2Vault.withdrawalRequests(0)).status).to.equal(SETTLED);
+      expect((await aop2Vault.withdrawalRequests(1)).status).to.equal(PENDING);
+      expect(await aop2Vault.claimableWithdrawals(await usdtToken.getAddress())).to.equal(usdt("520"));
+      expect(await aop2Vault.totalVaultValue()).to.equal(usdt("1560"));
+      expect(await aop2Vault.navPerShare()).to.equal(ethers.parseEther("1.04"));
+      expect(await aop2Vault.withdrawalQueueDepth()).to.deep.equal([1n, shares("500")]);
+
+      await expect(aop2Vault.connect(alice).claimWithdrawal(0))
+        .to.changeTokenBalance(usdtToken, alice, usdt("520"));
+      expect((await aop2Vault.withdrawalRequests(0)).status).to.equal(CLAIMED);
+      expect((await aop2Vault.getOpenWithdrawalRequests(alice.address))[0]).to.deep.equal([]);
+    });
+
+    it("lets keepers settle the queue as liquidity comes in", async function () {
+      const { factory, aop2Vault, usdtToken, agent, alice, bob, carol } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("1000"));
+      await aop2Vault.connect(alice).requestWithdrawal(shares("400"));
+
+      await expect(aop2Vault.connect(carol).settleWithdrawals(10))
+        .to.be.revertedWith("Caller is not a keeper");
+      await factory.setVaultKeeper(await aop2Vault.getAddress(), carol.address, true);
+
+      await aop2Vault.connect(carol).settleWithdrawals(10);
+      expect(await aop2Vault.pendingWithdrawalCount()).to.equal(1);
+
+      await aop2Vault.connect(bob).deposit(usdt("500"));
+      await expect(aop2Vault.connect(carol).settleWithdrawals(10))
+        .to.emit(aop2Vault, "WithdrawalSettled")
+        .withArgs(0, alice.address, usdt("400"), shares("400"));
+
+      // The settled payout is set aside from agents and instant withdrawals
+      await expect(aop2Vault.connect(agent).requestFunds(usdt("101")))
+        .to.be.revertedWith("Insufficient USDT in vault");
+      await expect(aop2Vault.connect(bob).withdraw(shares("101")))
+        .to.be.revertedWith("Insufficient USDT liquidity");
+      await expect(aop2Vault.connect(alice).claimWithdrawal(0))
+        .to.changeTokenBalance(usdtToken, alice, usdt("400"));
+    });
+
+    it("returns the shares of cancelled requests and skips them when settling", async function () {
+      const { aop2Vault, agent, alice, bob } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("100"));
+      await aop2Vault.connect(bob).deposit(usdt("100"));
+      await aop2Vault.connect(agent).requestFunds(usdt("200"));
+      await aop2Vault.connect(alice).requestWithdrawal(shares("100"));
+      await aop2Vault.connect(bob).requestWithdrawal(shares("50"));
+
+      await expect(aop2Vault.connect(alice).cancelWithdrawal(0))
+        .to.emit(aop2Vault, "WithdrawalCancelled")
+        .withArgs(0, alice.address, shares("100"));
+      expect(await aop2Vault.balanceOf(alice.address)).to.equal(shares("100"));
+      expect((await aop2Vault.withdrawalRequests(0)).status).to.equal(CANCELLED);
+
+      await aop2Vault.connect(agent).returnFunds(usdt("50"), 0);
+      expect((await aop2Vault.withdrawalRequests(1)).status).to.equal(SETTLED);
+      expect(await aop2Vault.nextWithdrawalToSettle()).to.equal(2);
+    });
+
+    it("only lets owners cancel pending requests and claim settled ones", async function () {
+      const { aop2Vault, agent, alice, bob } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("100"));
+      await aop2Vault.connect(agent).requestFunds(usdt("100"));
+      await aop2Vault.connect(alice).requestWithdrawal(shares("100"));
+
+      await expect(aop2Vault.connect(bob).cancelWithdrawal(0)).to.be.revertedWith("Not request owner");
+      await expect(aop2Vault.connect(alice).claimWithdrawal(0)).to.be.revertedWith("Request not settled");
+      await expect(aop2Vault.connect(alice).claimWithdrawal(1)).to.be.revertedWith("Unknown request");
+
+      await aop2Vault.connect(agent).returnFunds(usdt("100"), 0);
+      await expect(aop2Vault.connect(alice).cancelWithdrawal(0)).to.be.revertedWith("Request not pending");
+      await aop2Vault.connect(alice).claimWithdrawal(0);
+      await expect(aop2Vault.connect(alice).claimWithdrawal(0)).to.be.revertedWith("Request not settled");
+      expect(await aop2Vault.totalUsers()).to.equal(0);
+    });
+  });
+
+  describe("cost basis", function () {
+    it("takes a proportional part of the cost basis out with each withdrawal", async function () {
+      const { aop2Vault, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("400"));
+      await aop2Vault.connect(agent).returnFunds(usdt("400"), -usdt("100"));
+
+      // Half the shares leave at NAV 0.9, taking half of the 1000 USDT cost basis
+      await expect(aop2Vault.connect(alice).withdraw(shares("500")))
+        .to.emit(aop2Vault, "UserMetricsUpdated")
+        .withArgs(alice.address, shares("500"), usdt("450"), usdt("500"), -usdt("50"), -usdt("50"), ethers.parseEther("1"), anyValue);
+
+      let details = await aop2Vault.getUserDetails(alice.address);
+      expect(details.usdtDeposited).to.equal(usdt("500"));
+      expect(details.realizedPnl).to.equal(-usdt("50"));
+
+      // A deposit at NAV 0.9 lowers the average entry NAV
+      await aop2Vault.connect(alice).deposit(usdt("450"));
+      details = await aop2Vault.getUserDetails(alice.address);
+      expect(details.shares).to.equal(shares("1000"));
+      expect(details.costBasis).to.equal(usdt("950"));
+      expect(details.averageEntryNav).to.equal(ethers.parseEther("0.95"));
+      expect(details.unrealizedPnl).to.equal(-usdt("50"));
+      expect(details.realizedPnl).to.equal(-usdt("50"));
+    });
+
+    it("keeps shares locked in withdrawal requests in the position until they settle", async function () {
+      const { aop2Vault, agent, alice, bob } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(bob).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("1800"));
+      await aop2Vault.connect(alice).requestWithdrawal(shares("500"));
+      await aop2Vault.connect(bob).requestWithdrawal(shares("500"));
+
+      expect(await aop2Vault.lockedShares(alice.address)).to.equal(shares("500"));
+      expect((await aop2Vault.getUserDetails(alice.address)).shares).to.equal(shares("1000"));
+
+      // Alice's request settles for 520 USDT at NAV 1.04
+      await aop2Vault.connect(agent).returnFunds(usdt("600"), usdt("100"));
+      const details = await aop2Vault.getUserDetails(alice.address);
+      expect(await aop2Vault.lockedShares(alice.address)).to.equal(0);
+      expect(details.shares).to.equal(shares("500"));
+      expect(details.costBasis).to.equal(usdt("500"));
+      expect(details.realizedPnl).to.equal(usdt("20"));
+      expect(details.unrealizedPnl).to.equal(usdt("20"));
+
+      await aop2Vault.connect(bob).cancelWithdrawal(1);
+      expect(await aop2Vault.lockedShares(bob.address)).to.equal(0);
+      expect((await aop2Vault.getUserDetails(bob.address)).costBasis).to.equal(usdt("1000"));
+    });
+  });
+
+  describe("share transfers", function () {
+    const NON_TRANSFERABLE = 1;
+    const ALLOWLISTED = 2;
+
+    it("moves cost basis and deposits with the shares and keeps the user count in sync", async function () {
+      const { aop2Vault, alice, bob } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+
+      await aop2Vault.connect(alice).transfer(bob.address, shares("250"));
+      expect(await aop2Vault.totalUsers()).to.equal(2);
+      expect(await aop2Vault.isActiveUser(bob.address)).to.equal(true);
+      const received = await aop2Vault.getUserDetails(bob.address);
+      expect(received.costBasis).to.equal(usdt("250"));
+      expect(received.usdtDeposited).to.equal(usdt("250"));
+      expect(received.initialDepositDate).to.equal(await time.latest());
+      expect((await aop2Vault.getUserDetails(alice.address)).costBasis).to.equal(usdt("750"));
+
+      await aop2Vault.connect(alice).transfer(bob.address, shares("750"));
+      expect(await aop2Vault.isActiveUser(alice.address)).to.equal(false);
+      expect(await aop2Vault.totalUsers()).to.equal(1);
+      expect((await aop2Vault.positions(alice.address)).costBasis).to.equal(0);
+
+      await aop2Vault.connect(bob).withdraw(shares("1000"));
+      expect(await aop2Vault.totalUsers()).to.equal(0);
+      expect((await aop2Vault.positions(bob.address)).realizedPnl).to.equal(0);
+    });
+
+    it("counts users with shares locked in withdrawal requests as active", async function () {
+      const { aop2Vault, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("1000"));
+
+      await aop2Vault.connect(alice).requestWithdrawal(shares("1000"));
+      expect(await aop2Vault.isActiveUser(alice.address)).to.equal(true);
+      await aop2Vault.connect(alice).cancelWithdrawal(0);
+      await aop2Vault.connect(alice).requestWithdrawal(shares("1000"));
+      expect(await aop2Vault.totalUsers()).to.equal(1);
+
+      await aop2Vault.connect(agent).returnFunds(usdt("1000"), 0);
+      expect(await aop2Vault.isActiveUser(alice.address)).to.equal(false);
+      expect(await aop2Vault.totalUsers()).to.equal(0);
+    });
+
+    it("restricts transfers between holders when the factory owner sets a transfer mode", async function () {
+      const { factory, aop2Vault, alice, bob } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop2Vault.getAddress();
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+
+      await expect(factory.connect(alice).setVaultTransferMode(vaultAddress, NON_TRANSFERABLE))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(factory.setVaultTransferMode(vaultAddress, NON_TRANSFERABLE))
+        .to.emit(aop2Vault, "TransferModeUpdated").withArgs(NON_TRANSFERABLE);
+      await expect(aop2Vault.connect(alice).transfer(bob.address, shares("1")))
+        .to.be.revertedWithCustomError(aop2Vault, "SharesNonTransferable");
+      // Withdrawal requests move shares into the vault, which is not a transfer between holders
+      await aop2Vault.connect(alice).requestWithdrawal(shares("100"));
+
+      await factory.setVaultTransferMode(vaultAddress, ALLOWLISTED);
+      await factory.setVaultTransferAllowlist(vaultAddress, [alice.address], true);
+      await expect(aop2Vault.connect(alice).transfer(bob.address, shares("1")))
+        .to.be.revertedWithCustomError(aop2Vault, "TransferNotAllowed")
+        .withArgs(bob.address);
+      await expect(factory.setVaultTransferAllowlist(vaultAddress, [bob.address], true))
+        .to.emit(aop2Vault, "TransferAllowlistUpdated").withArgs(bob.address, true);
+      await aop2Vault.connect(alice).transfer(bob.address, shares("1"));
+      expect(await aop2Vault.balanceOf(bob.address)).to.equal(shares("1"));
+    });
+  });
+
+  describe("deposit limits", function () {
+    const limits = (overrides) => ({ ...NO_DEPOSIT_LIMITS, ...overrides });
+    // Leaves and pairs hashed as in OpenZeppelin's StandardMerkleTree
+    const allowlistLeaf = (account) =>
+      ethers.keccak256(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address"], [account])));
+
+    it("enforces the total assets cap, the per-user cap and the minimum deposit", async function () {
+      const { factory, aop2Vault, alice, bob } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop2Vault.getAddress();
+      expect(await aop2Vault.maxDeposit(alice.address)).to.equal(ethers.MaxUint256);
+
+      await expect(factory.connect(alice).setVaultDepositLimits(vaultAddress, limits({ minDeposit: usdt("10") })))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(factory.setVaultDepositLimits(vaultAddress, limits({ maxUserDeposit: usdt("5"), minDeposit: usdt("10") })))
+        .to.be.revertedWith("Invalid deposit limits");
+      await expect(factory.setVaultDepositLimits(
+        vaultAddress,
+        limits({ maxTotalAssets: usdt("1500"), maxUserDeposit: usdt("1000"), minDeposit: usdt("10") })
+      ))
+        .to.emit(aop2Vault, "DepositLimitsUpdated")
+        .withArgs(usdt("1500"), usdt("1000"), usdt("10"), false, ethers.ZeroHash);
+
+      await expect(aop2Vault.connect(alice).deposit(usdt("5")))
+        .to.be.revertedWithCustomError(aop2Vault, "DepositBelowMinimum")
+        .withArgs(usdt("5"), usdt("10"));
+      await aop2Vault.connect(alice).deposit(usdt("800"));
+      expect(await aop2Vault.maxDeposit(alice.address)).to.equal(usdt("200"));
+      await expect(aop2Vault.connect(alice).deposit(usdt("201")))
+        .to.be.revertedWithCustomError(aop2Vault, "DepositLimitExceeded")
+        .withArgs(usdt("201"), usdt("200"));
+
+      // Bob is held to what is left under the total assets cap, and 5 USDT is below the minimum
+      expect(await aop2Vault.maxDeposit(bob.address)).to.equal(usdt("700"));
+      await aop2Vault.connect(bob).deposit(usdt("695"));
+      expect(await aop2Vault.maxDeposit(bob.address)).to.equal(0);
+
+      // Withdrawals make room again
+      await aop2Vault.connect(alice).withdraw(shares("400"));
+      expect(await aop2Vault.maxDeposit(alice.address)).to.equal(usdt("405"));
+      await aop2Vault.connect(alice).deposit(usdt("405"));
+    });
+
+    it("only lets allowlisted receivers deposit in allowlist mode", async function () {
+      const { factory, router, usdtToken, aop2Vault, alice, bob, carol } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop2Vault.getAddress();
+      const [first, second] = [allowlistLeaf(bob.address), allowlistLeaf(carol.address)].sort();
+      const root = ethers.keccak256(ethers.concat([first, second]));
+      await factory.setVaultDepositLimits(vaultAddress, limits({ allowlistOnly: true, allowlistRoot: root }));
+
+      expect(await aop2Vault.maxDeposit(alice.address)).to.equal(0);
+      await expect(aop2Vault.connect(alice).deposit(usdt("100")))
+        .to.be.revertedWithCustomError(aop2Vault, "DepositorNotAllowed")
+        .withArgs(alice.address);
+      await expect(factory.setVaultDepositAllowlist(vaultAddress, [alice.address], true))
+        .to.emit(aop2Vault, "DepositAllowlistUpdated")
+        .withArgs(alice.address, true);
+      await aop2Vault.connect(alice).deposit(usdt("100"));
+
+      // Anyone can add an account in the Merkle tree with its proof
+      await expect(aop2Vault.connect(alice).claimDepositAllowlist(bob.address, [allowlistLeaf(alice.address)]))
+        .to.be.revertedWithCustomError(aop2Vault, "InvalidAllowlistProof")
+        .withArgs(bob.address);
+      await aop2Vault.connect(alice).claimDepositAllowlist(bob.address, [allowlistLeaf(carol.address)]);
+      expect(await aop2Vault.maxDeposit(bob.address)).to.equal(ethers.MaxUint256);
+      await aop2Vault.connect(bob).deposit(usdt("100"));
+
+      // Router deposits are checked against the receiver of the shares
+      await usdtToken.connect(alice).approve(await router.getAddress(), usdt("100"));
+      await router.connect(carol).setDepositorApproval(alice.address, true);
+      await expect(router.connect(alice).depositUSDT(vaultAddress, carol.address, usdt("100"), 0, (await time.latest()) + 60))
+        .to.be.revertedWithCustomError(aop2Vault, "DepositorNotAllowed")
+        .withArgs(carol.address);
+    });
+  });
+
+  describe("lockups and early exit fees", function () {
+    const DAY = 24 * 60 * 60;
+    const lockup = (overrides) => ({ lockupPeriod: 0, noticePeriod: 0, earlyExitPeriod: 0, earlyExitFee: 0, ...overrides });
+
+    it("locks each deposit for its own lockup and leaves the early exit fee with the remaining holders", async function () {
+      const { factory, aop2Vault, usdtToken, alice, bob, carol } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop2Vault.getAddress();
+      // Deposits made before a lockup is set are never locked
+      await aop2Vault.connect(bob).deposit(usdt("1000"));
+
+      await expect(factory.setVaultLockupConfig(vaultAddress, lockup({ earlyExitFee: 500 })))
+        .to.be.revertedWith("Early exit fee and period go together");
+      await expect(factory.setVaultLockupConfig(vaultAddress, lockup({ earlyExitPeriod: 30 * DAY, earlyExitFee: 1001 })))
+        .to.be.revertedWith("Early exit fee too high");
+      await expect(factory.setVaultLockupConfig(vaultAddress, lockup({ lockupPeriod: 7 * DAY, earlyExitPeriod: 30 * DAY, earlyExitFee: 500 })))
+        .to.emit(aop2Vault, "LockupConfigUpdated")
+        .withArgs(7 * DAY, 0, 30 * DAY, 500);
+
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      const firstDeposit = await time.latest();
+      const locks = await aop2Vault.getShareLocks(alice.address);
+      expect(locks.unlockedShares).to.equal(0);
+      expect(locks.lockedShares).to.equal(shares("1000"));
+      expect(locks.nextUnlockAt).to.equal(firstDeposit + 7 * DAY);
+      await expect(aop2Vault.connect(alice)["withdraw(uint256)"](shares("100")))
+        .to.be.revertedWithCustomError(aop2Vault, "SharesLocked")
+        .withArgs(0);
+      await expect(aop2Vault.connect(alice).requestWithdrawal(shares("100")))
+        .to.be.revertedWithCustomError(aop2Vault, "SharesLocked")
+        .withArgs(0);
+      await expect(aop2Vault.connect(alice).transfer(carol.address, shares("100")))
+        .to.be.revertedWithCustomError(aop2Vault, "SharesLocked")
+        .withArgs(0);
+
+      // A top-up keeps its own lock and leaves the first deposit's alone
+      await time.setNextBlockTimestamp(firstDeposit + 5 * DAY);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await time.increaseTo(firstDeposit + 7 * DAY);
+      const unlocked = await aop2Vault.getShareLocks(alice.address);
+      expect(unlocked.unlockedShares).to.equal(shares("1000"));
+      expect(unlocked.lockedShares).to.equal(shares("1000"));
+      expect(unlocked.exitFeeShares).to.equal((shares("1000") * 500n * 23n) / (30n * 10000n));
+      expect(unlocked.nextUnlockAt).to.equal(firstDeposit + 12 * DAY);
+      expect(await aop2Vault.getDepositLots(alice.address)).to.have.lengthOf(2);
+
+      // Halfway through the early exit period the fee is half of 5%
+      await time.setNextBlockTimestamp(firstDeposit + 15 * DAY);
+      const withdrawal = aop2Vault.connect(alice)["withdraw(uint256)"](shares("1000"));
+      await expect(withdrawal).to.changeTokenBalance(usdtToken, alice, usdt("975"));
+      await expect(withdrawal)
+        .to.emit(aop2Vault, "EarlyExitFeeCharged")
+        .withArgs(alice.address, shares("1000"), shares("25"));
+      expect(await aop2Vault.totalVaultValue()).to.equal(usdt("2025"));
+      expect(await aop2Vault.navPerShare()).to.equal(ethers.parseEther("1.0125"));
+      expect(await aop2Vault.getDepositLots(alice.address)).to.have.lengthOf(1);
+
+      // Shares past their early exit period are free again
+      await time.increaseTo(firstDeposit + 35 * DAY);
+      expect(await aop2Vault.getDepositLots(alice.address)).to.deep.equal([]);
+      await aop2Vault.connect(alice).transfer(carol.address, shares("100"));
+    });
+
+    it("does not let dust deposits made for a user keep their shares locked", async function () {
+      const { factory, router, aop2Vault, usdtToken, alice, bob } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop2Vault.getAddress();
+      const routerAddress = await router.getAddress();
+      await factory.setVaultLockupConfig(vaultAddress, lockup({ lockupPeriod: 7 * DAY }));
+      await usdtToken.connect(bob).approve(routerAddress, ethers.MaxUint256);
+      await router.connect(alice).setDepositorApproval(bob.address, true);
+      const depositForAlice = () => router.connect(bob).depositUSDT(vaultAddress, alice.address, usdt("1"), 0, ethers.MaxUint256);
+
+      const maxLots = Number(await aop2Vault.MAX_DEPOSIT_LOTS());
+      for (let i = 1; i < maxLots; i++) {
+        await depositForAlice();
+      }
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      const deposited = await time.latest();
+      expect(await aop2Vault.getDepositLots(alice.address)).to.have.lengthOf(maxLots);
+
+      // The dust joins alice's newest lot and barely moves its time
+      await time.setNextBlockTimestamp(deposited + 6 * DAY);
+      await depositForAlice();
+      const lots = await aop2Vault.getDepositLots(alice.address);
+      expect(lots).to.have.lengthOf(maxLots);
+      expect(lots[maxLots - 1].shares).to.equal(shares("1001"));
+      expect(lots[maxLots - 1].depositedAt).to.equal(deposited + Math.floor((6 * DAY) / 1001));
+
+      await time.increaseTo(deposited + 7 * DAY + 3600);
+      expect((await aop2Vault.getShareLocks(alice.address)).lockedShares).to.equal(0);
+
+      // Once her lots have matured they no longer count, and alice's next deposit opens a lot of its own
+      await aop2Vault.connect(alice).deposit(usdt("100"));
+      expect((await aop2Vault.getShareLocks(alice.address)).nextUnlockAt).to.equal((await time.latest()) + 7 * DAY);
+      expect(await aop2Vault.getDepositLots(alice.address)).to.have.lengthOf(1);
+    });
+
+    it("does not relock older shares when a user's own top-up joins their newest lot", async function () {
+      const { factory, aop2Vault, alice } = await loadFixture(deployVaultsFixture);
+      await factory.setVaultLockupConfig(await aop2Vault.getAddress(), lockup({ lockupPeriod: 30 * DAY }));
+
+      const maxLots = Number(await aop2Vault.MAX_DEPOSIT_LOTS());
+      for (let i = 0; i < maxLots; i++) {
+        await aop2Vault.connect(alice).deposit(usdt("100"));
+        await time.increase(3600);
+      }
+      const before = await aop2Vault.getDepositLots(alice.address);
+      const lockedBefore = await aop2Vault.getShareLocks(alice.address);
+
+      // The 33rd deposit joins the newest lot at the share-weighted time
+      await aop2Vault.connect(alice).deposit(usdt("100"));
+      const toppedUp = await time.latest();
+      const after = await aop2Vault.getDepositLots(alice.address);
+      expect(after).to.have.lengthOf(maxLots);
+      for (let i = 0; i < maxLots - 1; i++) {
+        expect(after[i].depositedAt).to.equal(before[i].depositedAt);
+      }
+      const newest = before[maxLots - 1];
+      expect(after[maxLots - 1].shares).to.equal(newest.shares * 2n);
+      expect(after[maxLots - 1].depositedAt).to.equal((newest.depositedAt + BigInt(toppedUp)) / 2n);
+      expect((await aop2Vault.getShareLocks(alice.address)).nextUnlockAt).to.equal(lockedBefore.nextUnlockAt);
+
+      // The oldest lot unlocks on schedule while the merged lot stays locked until its weighted time
+      await time.increaseTo(before[0].depositedAt + BigInt(30 * DAY));
+      await aop2Vault.connect(alice)["withdraw(uint256)"](newest.shares);
+      await time.increaseTo(after[maxLots - 1].depositedAt + BigInt(30 * DAY));
+      expect((await aop2Vault.getShareLocks(alice.address)).lockedShares).to.equal(0);
+    });
+
+    it("settles requests for the oldest shares once the notice period has passed", async function () {
+      const { owner, factory, aop2Vault, alice } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop2Vault.getAddress();
+      await factory.setVaultLockupConfig(vaultAddress, lockup({ lockupPeriod: 7 * DAY, noticePeriod: 3 * DAY }));
+      await factory.setVaultKeeper(vaultAddress, owner.address, true);
+
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      const firstDeposit = await time.latest();
+      await time.setNextBlockTimestamp(firstDeposit + 4 * DAY);
+      await aop2Vault.connect(alice).deposit(usdt("500"));
+      await time.increaseTo(firstDeposit + 7 * DAY);
+
+      await expect(aop2Vault.connect(alice)["withdraw(uint256)"](shares("100")))
+        .to.be.revertedWithCustomError(aop2Vault, "NoticeRequired");
+      await aop2Vault.connect(alice).requestWithdrawal(shares("1000"));
+      // The top-up is still locked
+      await expect(aop2Vault.connect(alice).requestWithdrawal(shares("1")))
+        .to.be.revertedWithCustomError(aop2Vault, "SharesLocked")
+        .withArgs(0);
+
+      await aop2Vault.settleWithdrawals(10);
+      expect(await aop2Vault.pendingWithdrawalCount()).to.equal(1);
+      await time.increase(3 * DAY);
+      await expect(aop2Vault.settleWithdrawals(10))
+        .to.emit(aop2Vault, "WithdrawalSettled")
+        .withArgs(0, alice.address, usdt("1000"), shares("1000"));
+
+      const locks = await aop2Vault.getShareLocks(alice.address);
+      expect(locks.unlockedShares).to.equal(0);
+      expect(locks.lockedShares).to.equal(shares("500"));
+      expect(locks.nextUnlockAt).to.equal(firstDeposit + 11 * DAY);
+      await time.increaseTo(firstDeposit + 11 * DAY);
+      expect((await aop2Vault.getShareLocks(alice.address)).unlockedShares).to.equal(shares("500"));
+    });
+  });
+
+  describe("NAV history", function () {
+    it("keeps the latest snapshots in a ring buffer and pages through them oldest first", async function () {
+      const { factory, aop2Vault, alice } = await loadFixture(deployVaultsFixture);
+      await factory.setVaultSnapshotInterval(await aop2Vault.getAddress(), 0);
+      const max = Number(await aop2Vault.MAX_HISTORY_ITEMS());
+
+      for (let i = 1; i <= max + 5; i++) {
+        await aop2Vault.connect(alice).deposit(usdt("1"));
+      }
+
+      expect(await aop2Vault.navHistoryCount()).to.equal(max);
+      expect(await aop2Vault.navHistoryHead()).to.equal(5);
+      const [, , oldest] = await aop2Vault.getHistoricalNAV(0, 2);
+      expect(oldest).to.deep.equal([usdt("6"), usdt("7")]);
+      const [, , newest] = await aop2Vault.getHistoricalNAV(max - 1, 10);
+      expect(newest).to.deep.equal([usdt(String(max + 5))]);
+      const [past] = await aop2Vault.getHistoricalNAV(max, 10);
+      expect(past).to.deep.equal([]);
+    });
+
+    it("looks snapshots up by time", async function () {
+      const { aop2Vault, alice } = await loadFixture(deployVaultsFixture);
+      const times = [];
+      for (let i = 0; i < 4; i++) {
+        await aop2Vault.connect(alice).deposit(usdt("100"));
+        times.push(await time.latest());
+        await time.increase(3600);
+      }
+
+      const [timestamps, , totalValues] = await aop2Vault.getHistoricalNAVByTime(times[1], times[2]);
+      expect(timestamps).to.deep.equal([times[1], times[2]]);
+      expect(totalValues).to.deep.equal([usdt("200"), usdt("300")]);
+      expect((await aop2Vault.getHistoricalNAVByTime(times[1] + 1, times[2] - 1))[0]).to.deep.equal([]);
+      expect((await aop2Vault.getHistoricalNAVByTime(0, ethers.MaxUint256))[0]).to.deep.equal(times);
+    });
+
+    it("limits the snapshot interval to a day", async function () {
+      const { factory, aop2Vault, alice } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop2Vault.getAddress();
+
+      await expect(factory.setVaultSnapshotInterval(vaultAddress, 86400))
+        .to.emit(factory, "VaultSnapshotIntervalUpdated")
+        .withArgs(vaultAddress, 86400);
+      expect(await aop2Vault.snapshotInterval()).to.equal(86400);
+      await expect(factory.setVaultSnapshotInterval(vaultAddress, 86401)).to.be.revertedWith("Snapshot interval too long");
+      await expect(factory.connect(alice).setVaultSnapshotInterval(vaultAddress, 0)).to.be.reverted;
+    });
+  });
+
+  describe("slippage protection", function () {
+    const YEAR = 365 * 24 * 60 * 60;
+
+    it("quotes deposits and withdrawals exactly, including the management fee accrued first", async function () {
+      const { factory, aop2Vault, usdtToken, alice, bob } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await factory.updateVaultFees(await aop2Vault.getAddress(), 2000, 500);
+
+      // A year of 5% management fee adds 50 shares, so 100 USDT buys about 105 of the 1050 shares
+      const depositTime = (await aop2Vault.lastFeeAccrual()) + BigInt(YEAR);
+      const deadline = depositTime + 3600n;
+      await time.setNextBlockTimestamp(depositTime);
+      const quotedShares = await aop2Vault.quoteDeposit(usdt("100"), { blockTag: "pending" });
+      expect(quotedShares).to.be.closeTo(shares("105"), 1000n);
+      await aop2Vault.connect(bob)["deposit(uint256,uint256,uint256)"](usdt("100"), quotedShares, deadline);
+      expect(await aop2Vault.balanceOf(bob.address)).to.equal(quotedShares);
+
+      await time.setNextBlockTimestamp(depositTime + 60n);
+      const next = await aop2Vault.quoteDeposit(usdt("100"), { blockTag: "pending" });
+      await expect(aop2Vault.connect(bob)["deposit(uint256,uint256,uint256)"](usdt("100"), next + 1n, deadline))
+        .to.be.revertedWithCustomError(aop2Vault, "InsufficientSharesOut")
+        .withArgs(next, next + 1n);
+
+      await time.setNextBlockTimestamp(depositTime + 120n);
+      const quotedAssets = await aop2Vault.quoteWithdraw(quotedShares, { blockTag: "pending" });
+      expect(quotedAssets).to.be.closeTo(usdt("100"), usdt("0.001"));
+      await expect(aop2Vault.connect(bob)["withdraw(uint256,uint256,uint256)"](quotedShares, quotedAssets + 1n, deadline))
+        .to.be.revertedWithCustomError(aop2Vault, "InsufficientAmountOut")
+        .withArgs(quotedAssets, quotedAssets + 1n);
+
+      await time.setNextBlockTimestamp(depositTime + 180n);
+      const payout = await aop2Vault.quoteWithdraw(quotedShares, { blockTag: "pending" });
+      await expect(aop2Vault.connect(bob)["withdraw(uint256,uint256,uint256)"](quotedShares, payout, deadline))
+        .to.changeTokenBalance(usdtToken, bob, payout);
+    });
+
+    it("rejects deposits and withdrawals after their deadline", async function () {
+      const { aop2Vault, alice } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      const expired = await time.latest();
+
+      await time.setNextBlockTimestamp(expired + 1);
+      await expect(aop2Vault.connect(alice)["deposit(uint256,uint256,uint256)"](usdt("100"), 0, expired))
+        .to.be.revertedWithCustomError(aop2Vault, "DeadlineExpired")
+        .withArgs(expired, expired + 1);
+      await expect(aop2Vault.connect(alice)["withdraw(uint256,uint256,uint256)"](shares("100"), 0, expired))
+        .to.be.revertedWithCustomError(aop2Vault, "DeadlineExpired");
+    });
+  });
+
+  describe("pausing", function () {
+    const PAUSE_DEPOSITS = 1;
+    const PAUSE_WITHDRAWALS = 2;
+    const PAUSE_AGENT_FUNDS = 4;
+
+    it("pauses deposits and withdrawals until the admin unpauses them", async function () {
+      const { factory, aop2Vault, alice, carol } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop2Vault.getAddress();
+      await factory.setVaultGuardian(vaultAddress, carol.address, true);
+      await aop2Vault.connect(alice).deposit(usdt("100"));
+
+      await aop2Vault.connect(carol).pause(PAUSE_DEPOSITS | PAUSE_WITHDRAWALS);
+      await expect(aop2Vault.connect(alice).deposit(usdt("100")))
+        .to.be.revertedWithCustomError(aop2Vault, "OperationPaused")
+        .withArgs(PAUSE_DEPOSITS);
+      await expect(aop2Vault.connect(alice).withdraw(shares("100")))
+        .to.be.revertedWithCustomError(aop2Vault, "OperationPaused")
+        .withArgs(PAUSE_WITHDRAWALS);
+      await expect(aop2Vault.connect(carol).pause(8)).to.be.revertedWith("Invalid operations");
+
+      await expect(factory.unpauseVault(vaultAddress, PAUSE_DEPOSITS | PAUSE_WITHDRAWALS | PAUSE_AGENT_FUNDS))
+        .to.emit(aop2Vault, "Unpaused")
+        .withArgs(await factory.getAddress(), PAUSE_DEPOSITS | PAUSE_WITHDRAWALS);
+      await aop2Vault.connect(alice).withdraw(shares("100"));
+    });
+
+    it("lets holders exit pro-rata in emergency mode and raises the NAV of the rest", async function () {
+      const { factory, aop2Vault, usdtToken, agent, alice, bob } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(bob).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("1000"));
+
+      await factory.setVaultEmergencyMode(await aop2Vault.getAddress(), true);
+      await expect(aop2Vault.connect(bob).deposit(usdt("1")))
+        .to.be.revertedWithCustomError(aop2Vault, "OperationPaused");
+      await expect(aop2Vault.connect(agent).requestFunds(usdt("1")))
+        .to.be.revertedWithCustomError(aop2Vault, "OperationPaused")
+        .withArgs(PAUSE_AGENT_FUNDS);
+
+      // Half the shares take half of the 1000 USDT held; the USDT out with the agent stays with bob
+      await expect(aop2Vault.connect(alice).emergencyWithdraw(shares("1000")))
+        .to.changeTokenBalance(usdtToken, alice, usdt("500"));
+      expect(await aop2Vault.totalVaultValue()).to.equal(usdt("1500"));
+      expect(await aop2Vault.navPerShare()).to.equal(ethers.parseEther("1.5"));
+      expect(await aop2Vault.isActiveUser(alice.address)).to.equal(false);
+
+      await aop2Vault.connect(agent).returnFunds(usdt("1000"), 0);
+      await expect(aop2Vault.connect(bob).emergencyWithdraw(shares("1000")))
+        .to.emit(aop2Vault, "EmergencyWithdrawal")
+        .withArgs(bob.address, usdt("1500"), shares("1000"));
+    });
+  });
+
+  describe("fees", function () {
+    const YEAR = 365 * 24 * 60 * 60;
+
+    it("starts with the factory's default fees and a high-water mark of 1.0", async function () {
+      const { aop2Vault } = await loadFixture(deployVaultsFixture);
+
+      expect(await aop2Vault.performanceFee()).to.equal(2000);
+      expect(await aop2Vault.managementFee()).to.equal(0);
+      expect(await aop2Vault.highWaterMark()).to.equal(ethers.parseEther("1"));
+    });
+
+    it("mints the time-based management fee to the fee recipient as shares", async function () {
+      const { factory, aop2Vault, feeRecipient, alice } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await factory.updateVaultFees(await aop2Vault.getAddress(), 2000, 500);
+
+      await time.setNextBlockTimestamp((await aop2Vault.lastFeeAccrual()) + BigInt(YEAR));
+      await expect(aop2Vault.accrueManagementFee())
+        .to.emit(aop2Vault, "ManagementFeeAccrued")
+        .withArgs(feeRecipient.address, shares("50"), YEAR);
+
+      expect(await aop2Vault.balanceOf(feeRecipient.address)).to.equal(shares("50"));
+      expect(await aop2Vault.totalVaultValue()).to.equal(usdt("1000"));
+      // 1000 USDT now backs 1050 shares
+      expect(await aop2Vault.navPerShare()).to.equal((ethers.parseEther("1") * 1000n) / 1050n);
+    });
+
+    it("charges the performance fee only on gains above the high-water mark", async function () {
+      const { factory, aop2Vault, usdtToken, feeRecipient, agent, alice } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop2Vault.getAddress();
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+
+      // A year of 5% management fee pulls NAV below the high-water mark of 1.0
+      await factory.updateVaultFees(vaultAddress, 2000, 500);
+      await time.setNextBlockTimestamp((await aop2Vault.lastFeeAccrual()) + BigInt(YEAR));
+      await factory.updateVaultFees(vaultAddress, 2000, 0);
+      expect(await aop2Vault.totalSupply()).to.equal(shares("1050"));
+
+      // 1040 USDT for 1050 shares is still below the high-water mark
+      await aop2Vault.connect(agent).requestFunds(usdt("1"));
+      await expect(aop2Vault.connect(agent).returnFundsWithProfit(usdt("1"), usdt("40")))
+        .to.emit(aop2Vault, "ProfitDistributed")
+        .withArgs(usdt("40"), 0);
+      expect(await aop2Vault.highWaterMark()).to.equal(ethers.parseEther("1"));
+
+      // Only the 50 USDT above the 1050 USDT high-water mark value is charged
+      await aop2Vault.connect(agent).requestFunds(usdt("1"));
+      await expect(aop2Vault.connect(agent).returnFundsWithProfit(usdt("1"), usdt("60")))
+        .to.emit(aop2Vault, "ProfitDistributed")
+        .withArgs(usdt("60"), usdt("10"));
+      expect(await usdtToken.balanceOf(feeRecipient.address)).to.equal(usdt("10"));
+
+      const nav = await aop2Vault.navPerShare();
+      expect(nav).to.be.greaterThan(ethers.parseEther("1"));
+      expect(await aop2Vault.highWaterMark()).to.equal(nav);
+    });
+
+    it("lets admins update fees within the caps", async function () {
+      const { factory, aop2Vault, alice } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop2Vault.getAddress();
+
+      await expect(factory.updateVaultFees(vaultAddress, 1500, 100))
+        .to.emit(aop2Vault, "FeesUpdated")
+        .withArgs(2000, 1500, 0, 100);
+      expect(await aop2Vault.performanceFee()).to.equal(1500);
+      expect(await aop2Vault.managementFee()).to.equal(100);
+
+      await expect(factory.updateVaultFees(vaultAddress, 5001, 0))
+        .to.be.revertedWith("Performance fee too high");
+      await expect(factory.updateVaultFees(vaultAddress, 0, 501))
+        .to.be.revertedWith("Management fee too high");
+      await expect(aop2Vault.connect(alice).setFees(0, 0)).to.be.reverted;
+    });
+
+    it("restarts fee accounting once every share is redeemed", async function () {
+      const { aop2Vault, agent, alice, bob } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await aop2Vault.connect(agent).requestFunds(usdt("1"));
+      await aop2Vault.connect(agent).returnFundsWithProfit(usdt("1"), usdt("100"));
+      await aop2Vault.connect(alice).withdraw(shares("1000"));
+
+      await aop2Vault.connect(bob).deposit(usdt("100"));
+
+      expect(await aop2Vault.highWaterMark()).to.equal(ethers.parseEther("1"));
+      expect(await aop2Vault.balanceOf(bob.address)).to.equal(shares("100"));
+    });
+  });
+});
@@ -0,0 +1,310 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployVaultsFixture, usdt, shares, DEFAULT_FEES, NO_DEPOSIT_LIMITS } = require("./fixtures");
+const { resolveVault } = require("../scripts/lib/vaults");
+
+const { ethers } = hre;
+
+const VAULT_NAME = "Agent of Profits Vault 2 (ERC-4626)";
+const DEPOSIT_EVENT = "Deposit(address,address,uint256,uint256)";
+const WITHDRAW_EVENT = "Withdraw(address,address,address,uint256,uint256)";
+
+describe("AoP2Vault4626", function () {
+  async function deploy4626Fixture() {
+    const fixture = await deployVaultsFixture();
+    const { factory, usdtToken, agent, alice, bob, carol } = fixture;
+
+    await factory.deployAoP2Vault4626(VAULT_NAME, "AOP2X", DEFAULT_FEES, NO_DEPOSIT_LIMITS);
+    const vault = await ethers.getContractAt("AoP2Vault4626", await factory.vaults(VAULT_NAME));
+    await factory.addAgentToVault(await vault.getAddress(), agent.address);
+    await factory.setAgentCreditLimits(await vault.getAddress(), agent.address, usdt("100000"), 0);
+
+    for (const signer of [agent, alice, bob, carol]) {
+      await usdtToken.connect(signer).approve(await vault.getAddress(), ethers.MaxUint256);
+    }
+    return { ...fixture, vault };
+  }
+
+  // Leaves the vault at a NAV of 1.08 so conversions do not divide evenly
+  async function withProfit(vault, agent, alice) {
+    await vault.connect(alice)["deposit(uint256)"](usdt("1000"));
+    await vault.connect(agent).requestFunds(usdt("1"));
+    await vault.connect(agent).returnFundsWithProfit(usdt("1"), usdt("100"));
+  }
+
+  describe("deployment", function () {
+    it("is deployed and registered by VaultFactory", async function () {
+      const { factory, vault, usdtToken } = await loadFixture(deploy4626Fixture);
+
+      expect(await factory.isERC4626Vault(await vault.getAddress())).to.equal(true);
+      expect(await factory.isAoP1Vault(await vault.getAddress())).to.equal(false);
+      expect(await vault.asset()).to.equal(await usdtToken.getAddress());
+      expect(await vault.decimals()).to.equal(18);
+
+      const resolved = await resolveVault(hre, factory, await vault.getAddress());
+      expect(resolved.type).to.equal("AoP2Vault4626");
+    });
+
+    it("emits VaultDeployed with the variant type", async function () {
+      const { factory } = await loadFixture(deploy4626Fixture);
+
+      await expect(factory.deployAoP2Vault4626("Another Vault", "AOPY", DEFAULT_FEES, NO_DEPOSIT_LIMITS))
+        .to.emit(factory, "VaultDeployed")
+        .withArgs("Another Vault", anyValue, "AoP2Vault4626");
+    });
+  });
+
+  describe("conversions", function () {
+    it("prices an empty vault at 1.0", async function () {
+      const { vault } = await loadFixture(deploy4626Fixture);
+
+      expect(await vault.totalAssets()).to.equal(0);
+      expect(await vault.convertToShares(usdt("5"))).to.equal(shares("5"));
+      expect(await vault.convertToAssets(shares("5"))).to.equal(usdt("5"));
+      expect(await vault.previewMint(shares("5"))).to.equal(usdt("5"));
+      expect(await vault.previewWithdraw(usdt("5"))).to.equal(shares("5"));
+    });
+
+    it("matches the legacy deposit and withdraw pricing", async function () {
+      const { vault, agent, alice, bob } = await loadFixture(deploy4626Fixture);
+      await withProfit(vault, agent, alice);
+
+      const expectedShares = await vault.previewDeposit(usdt("333"));
+      await vault.connect(bob)["deposit(uint256)"](usdt("333"));
+      expect(await vault.balanceOf(bob.address)).to.equal(expectedShares);
+
+      const expectedAssets = await vault.previewRedeem(expectedShares);
+      await expect(vault.connect(bob)["withdraw(uint256)"](expectedShares))
+        .to.emit(vault, "Withdrawal")
+        .withArgs(bob.address, expectedAssets, expectedShares);
+    });
+
+    it("rounds mint and withdraw previews up and deposit and redeem previews down", async function () {
+      const { vault, agent, alice } = await loadFixture(deploy4626Fixture);
+      await withProfit(vault, agent, alice);
+      const nav = await vault.navPerShare();
+      const scale = 10n ** 30n;
+
+      // One share-wei is worth less than one micro-USDT
+      expect(await vault.convertToAssets(1n)).to.equal(0n);
+      expect(await vault.previewRedeem(1n)).to.equal(0n);
+      expect(await vault.previewMint(1n)).to.equal(1n);
+
+      const floorShares = (10n ** 12n * 10n ** 18n) / nav;
+      expect(await vault.convertToShares(1n)).to.equal(floorShares);
+      expect(await vault.previewDeposit(1n)).to.equal(floorShares);
+      expect(await vault.previewWithdraw(1n)).to.equal(floorShares + 1n);
+
+      expect(await vault.previewMint(shares("100"))).to.equal((shares("100") * nav + scale - 1n) / scale);
+    });
+
+    it("converts and limits without reverting once losses leave the shares worth nothing", async function () {
+      const { vault, agent, alice, bob } = await loadFixture(deploy4626Fixture);
+      await vault.connect(alice)["deposit(uint256)"](usdt("1000"));
+      await vault.connect(agent).requestFunds(usdt("1000"));
+      await vault.connect(agent).returnFunds(usdt("1000"), -usdt("1000"));
+      expect(await vault.navPerShare()).to.equal(0);
+
+      expect(await vault.convertToShares(usdt("100"))).to.equal(0);
+      expect(await vault.convertToShares(0)).to.equal(0);
+      expect(await vault.convertToAssets(shares("100"))).to.equal(0);
+      expect(await vault.previewDeposit(usdt("100"))).to.equal(0);
+      expect(await vault.previewRedeem(shares("100"))).to.equal(0);
+      expect(await vault.previewWithdraw(0)).to.equal(0);
+      expect(await vault.previewWithdraw(usdt("1"))).to.equal(ethers.MaxUint256);
+      expect(await vault.maxDeposit(bob.address)).to.equal(0);
+      expect(await vault.maxMint(bob.address)).to.equal(0);
+      expect(await vault.maxWithdraw(alice.address)).to.equal(0);
+      expect(await vault.maxRedeem(alice.address)).to.equal(shares("1000"));
+
+      await expect(vault.connect(bob)["deposit(uint256,address)"](usdt("100"), bob.address)).to.be.revertedWith("Vault has no value");
+      await expect(vault.connect(bob).mint(shares("100"), bob.address)).to.be.revertedWith("Vault has no value");
+      await expect(vault.connect(alice)["withdraw(uint256,address,address)"](usdt("1"), alice.address, alice.address))
+        .to.be.revertedWith("Insufficient shares");
+      await vault.connect(alice).redeem(shares("1000"), alice.address, alice.address);
+      expect(await vault.totalSupply()).to.equal(0);
+    });
+  });
+
+  describe("deposit and mint", function () {
+    it("deposits for a receiver and emits both Deposit events", async function () {
+      const { vault, alice, bob } = await loadFixture(deploy4626Fixture);
+
+      await expect(vault.connect(alice)["deposit(uint256,address)"](usdt("250"), bob.address))
+        .to.emit(vault, DEPOSIT_EVENT)
+        .withArgs(alice.address, bob.address, usdt("250"), shares("250"))
+        .and.to.emit(vault, "Deposit(address,uint256,uint256)")
+        .withArgs(bob.address, usdt("250"), shares("250"));
+
+      expect(await vault.balanceOf(bob.address)).to.equal(shares("250"));
+      expect(await vault.balanceOf(alice.address)).to.equal(0);
+      expect((await vault.userDeposits(bob.address)).amount).to.equal(usdt("250"));
+      expect(await vault.totalAssets()).to.equal(usdt("250"));
+    });
+
+    it("emits the ERC-4626 Deposit event from the legacy deposit", async function () {
+      const { vault, alice } = await loadFixture(deploy4626Fixture);
+
+      await expect(vault.connect(alice)["deposit(uint256)"](usdt("10")))
+        .to.emit(vault, DEPOSIT_EVENT)
+        .withArgs(alice.address, alice.address, usdt("10"), shares("10"));
+    });
+
+    it("mints exact shares for the rounded-up USDT amount", async function () {
+      const { vault, usdtToken, agent, alice, bob } = await loadFixture(deploy4626Fixture);
+      await withProfit(vault, agent, alice);
+
+      const assets = await vault.previewMint(shares("100"));
+      await expect(vault.connect(bob).mint(shares("100"), bob.address))
+        .to.changeTokenBalance(usdtToken, bob, -assets);
+
+      expect(await vault.balanceOf(bob.address)).to.equal(shares("100"));
+      expect(await vault.convertToAssets(shares("100"))).to.be.at.most(assets);
+    });
+
+    it("rejects zero amounts and the zero receiver", async function () {
+      const { vault, alice } = await loadFixture(deploy4626Fixture);
+
+      await expect(vault.connect(alice)["deposit(uint256,address)"](0, alice.address))
+        .to.be.revertedWith("Amount must be greater than 0");
+      await expect(vault.connect(alice).mint(shares("1"), ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid receiver");
+    });
+  });
+
+  describe("withdraw and redeem", function () {
+    it("withdraws exact USDT to a receiver, burning rounded-up shares", async function () {
+      const { vault, usdtToken, agent, alice, carol } = await loadFixture(deploy4626Fixture);
+      await withProfit(vault, agent, alice);
+
+      const sharesBefore = await vault.balanceOf(alice.address);
+      const expectedShares = await vault.previewWithdraw(usdt("100"));
+
+      const tx = vault.connect(alice)["withdraw(uint256,address,address)"](usdt("100"), carol.address, alice.address);
+      await expect(tx)
+        .to.emit(vault, WITHDRAW_EVENT)
+        .withArgs(alice.address, carol.address, alice.address, usdt("100"), expectedShares);
+      await expect(tx).to.changeTokenBalance(usdtToken, carol, usdt("100"));
+
+      expect(await vault.balanceOf(alice.address)).to.equal(sharesBefore - expectedShares);
+    });
+
+    it("redeems on behalf of an owner using the share allowance", async function () {
+      const { vault, usdtToken, alice, bob } = await loadFixture(deploy4626Fixture);
+      await vault.connect(alice)["deposit(uint256)"](usdt("100"));
+
+      await expect(vault.connect(bob).redeem(shares("40"), bob.address, alice.address))
+        .to.be.revertedWith("ERC20: insufficient allowance");
+
+      await vault.connect(alice).approve(bob.address, shares("40"));
+      await expect(vault.connect(bob).redeem(shares("40"), bob.address, alice.address))
+        .to.changeTokenBalance(usdtToken, bob, usdt("40"));
+
+      expect(await vault.allowance(alice.address, bob.address)).to.equal(0);
+      expect(await vault.balanceOf(alice.address)).to.equal(shares("60"));
+    });
+
+    it("updates user tracking for the owner", async function () {
+      const { vault, alice, bob } = await loadFixture(deploy4626Fixture);
+      await vault.connect(alice)["deposit(uint256)"](usdt("100"));
+
+      await vault.connect(alice).redeem(shares("100"), bob.address, alice.address);
+
+      expect(await vault.isActiveUser(alice.address)).to.equal(false);
+      expect(await vault.totalUsers()).to.equal(0);
+    });
+
+    it("rejects redeeming more than the owner's shares", async function () {
+      const { vault, alice } = await loadFixture(deploy4626Fixture);
+      await vault.connect(alice)["deposit(uint256)"](usdt("10"));
+
+      await expect(vault.connect(alice).redeem(shares("11"), alice.address, alice.address))
+        .to.be.revertedWith("Insufficient shares");
+    });
+  });
+
+  describe("limits", function () {
+    it("does not limit deposits or mints", async function () {
+      const { vault, alice } = await loadFixture(deploy4626Fixture);
+
+      expect(await vault.maxDeposit(alice.address)).to.equal(ethers.MaxUint256);
+      expect(await vault.maxMint(alice.address)).to.equal(ethers.MaxUint256);
+    });
+
+    it("caps deposits and mints by the vault's deposit limits", async function () {
+      const { factory, vault, alice } = await loadFixture(deploy4626Fixture);
+      await factory.setVaultDepositLimits(await vault.getAddress(), { ...NO_DEPOSIT_LIMITS, maxTotalAssets: usdt("1000") });
+      await vault.connect(alice)["deposit(uint256)"](usdt("400"));
+
+      expect(await vault.maxDeposit(alice.address)).to.equal(usdt("600"));
+      expect(await vault.maxMint(alice.address)).to.equal(shares("600"));
+      await expect(vault.connect(alice).mint(shares("601"), alice.address))
+        .to.be.revertedWithCustomError(vault, "DepositLimitExceeded")
+        .withArgs(usdt("601"), usdt("600"));
+      await vault.connect(alice).mint(shares("600"), alice.address);
+      expect(await vault.maxDeposit(alice.address)).to.equal(0);
+    });
+
+    it("caps withdrawals and redemptions by the USDT held by the vault", async function () {
+      const { vault, usdtToken, agent, alice, bob } = await loadFixture(deploy4626Fixture);
+      await withProfit(vault, agent, alice);
+      await vault.connect(bob)["deposit(uint256)"](usdt("500"));
+      await vault.connect(agent).requestFunds(usdt("1200"));
+
+      const liquidity = await usdtToken.balanceOf(await vault.getAddress());
+      expect(await vault.maxWithdraw(bob.address)).to.equal(liquidity);
+      expect(await vault.maxWithdraw(bob.address)).to.be.lessThan(await vault.convertToAssets(await vault.balanceOf(bob.address)));
+
+      const maxRedeem = await vault.maxRedeem(bob.address);
+      expect(maxRedeem).to.be.lessThan(await vault.balanceOf(bob.address));
+      await vault.connect(bob).redeem(maxRedeem, bob.address, bob.address);
+      expect(await vault.previewRedeem(await vault.maxRedeem(bob.address)))
+        .to.be.at.most(await usdtToken.balanceOf(await vault.getAddress()));
+    });
+
+    it("only withdraws and redeems shares that owe no early exit fee", async function () {
+      const { factory, vault, alice } = await loadFixture(deploy4626Fixture);
+      const vaultAddress = await vault.getAddress();
+      await vault.connect(alice)["deposit(uint256)"](usdt("1000"));
+      const config = { lockupPeriod: 0, noticePeriod: 0, earlyExitPeriod: 10 * 24 * 60 * 60, earlyExitFee: 500 };
+      await factory.setVaultLockupConfig(vaultAddress, config);
+      await vault.connect(alice)["deposit(uint256)"](usdt("500"));
+
+      expect(await vault.maxRedeem(alice.address)).to.equal(shares("1000"));
+      expect(await vault.maxWithdraw(alice.address)).to.equal(usdt("1000"));
+      await expect(vault.connect(alice).redeem(shares("1001"), alice.address, alice.address))
+        .to.be.revertedWithCustomError(vault, "EarlyExitFeeDue");
+      await vault.connect(alice).redeem(shares("1000"), alice.address, alice.address);
+      expect(await vault.maxRedeem(alice.address)).to.equal(0);
+
+      // Withdrawals that need notice go through the queue
+      await factory.setVaultLockupConfig(vaultAddress, { ...config, noticePeriod: 24 * 60 * 60 });
+      await time.increase(10 * 24 * 60 * 60);
+      expect(await vault.maxWithdraw(alice.address)).to.equal(0);
+      expect(await vault.maxRedeem(alice.address)).to.equal(0);
+    });
+
+    it("reports no limits while deposits or withdrawals are paused", async function () {
+      const { factory, vault, alice } = await loadFixture(deploy4626Fixture);
+      await vault.connect(alice)["deposit(uint256)"](usdt("100"));
+
+      await factory.pauseVault(await vault.getAddress(), 3);
+      expect(await vault.maxDeposit(alice.address)).to.equal(0);
+      expect(await vault.maxMint(alice.address)).to.equal(0);
+      expect(await vault.maxWithdraw(alice.address)).to.equal(0);
+      expect(await vault.maxRedeem(alice.address)).to.equal(0);
+      await expect(vault.connect(alice)["deposit(uint256,address)"](usdt("1"), alice.address))
+        .to.be.revertedWithCustomError(vault, "OperationPaused");
+    });
+
+    it("returns the full position when liquidity allows", async function () {
+      const { vault, alice } = await loadFixture(deploy4626Fixture);
+      await vault.connect(alice)["deposit(uint256)"](usdt("100"));
+
+      expect(await vault.maxWithdraw(alice.address)).to.equal(usdt("100"));
+      expect(await vault.maxRedeem(alice.address)).to.equal(shares("100"));
+    });
+  });
+});
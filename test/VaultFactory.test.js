@@ -0,0 +1,620 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployVaultsFixture,
+  setMonPrice,
+  usdt,
+  mon,
+  shares,
+  AOP1_NAME,
+  AOP2_NAME,
+  VAULT_TYPE_IDS,
+  DEFAULT_FEES,
+  NO_DEPOSIT_LIMITS
+} = require("./fixtures");
+
+describe("VaultFactory", function () {
+  describe("deployment", function () {
+    it("registers deployed vaults by name and type", async function () {
+      const { factory, aop1Vault, aop2Vault } = await loadFixture(deployVaultsFixture);
+
+      expect(await factory.getVaultAddress(AOP1_NAME)).to.equal(await aop1Vault.getAddress());
+      expect(await factory.getVaultAddress(AOP2_NAME)).to.equal(await aop2Vault.getAddress());
+      expect(await factory.isAoP1Vault(await aop1Vault.getAddress())).to.equal(true);
+      expect(await factory.isAoP1Vault(await aop2Vault.getAddress())).to.equal(false);
+    });
+
+    it("configures vaults with the factory defaults", async function () {
+      const { factory, pyth, usdtToken, feeRecipient, aop1Vault, aop2Vault } = await loadFixture(deployVaultsFixture);
+
+      expect(await aop1Vault.usdtToken()).to.equal(await usdtToken.getAddress());
+      expect(await aop1Vault.feeRecipient()).to.equal(feeRecipient.address);
+      expect(await aop1Vault.pyth()).to.equal(await pyth.getAddress());
+      expect(await aop1Vault.monUsdPriceId()).to.equal(await factory.monUsdPriceId());
+      expect(await aop2Vault.usdtToken()).to.equal(await usdtToken.getAddress());
+      expect(await aop2Vault.feeRecipient()).to.equal(feeRecipient.address);
+    });
+
+    it("emits VaultDeployed", async function () {
+      const { factory } = await loadFixture(deployVaultsFixture);
+
+      await expect(factory.deployAoP2Vault("Another Vault", "AOPX", DEFAULT_FEES, NO_DEPOSIT_LIMITS))
+        .to.emit(factory, "VaultDeployed");
+    });
+
+    it("deploys vaults with deposit limits", async function () {
+      const { factory } = await loadFixture(deployVaultsFixture);
+      const limits = { ...NO_DEPOSIT_LIMITS, maxTotalAssets: usdt("250000"), minDeposit: usdt("10"), allowlistOnly: true };
+
+      await factory.deployAoP1Vault("Capped AoP1", "CAP1", DEFAULT_FEES, limits);
+      await factory.deployAoP2Vault4626("Capped 4626", "CAPX", DEFAULT_FEES, limits);
+      for (const name of ["Capped AoP1", "Capped 4626"]) {
+        const vault = await ethers.getContractAt("AoP2Vault", await factory.vaults(name));
+        const deployed = await vault.depositLimits();
+        expect(deployed.maxTotalAssets).to.equal(usdt("250000"));
+        expect(deployed.maxUserDeposit).to.equal(0);
+        expect(deployed.minDeposit).to.equal(usdt("10"));
+        expect(deployed.allowlistOnly).to.equal(true);
+      }
+
+      await expect(factory.deployAoP2Vault("Broken", "BRK", DEFAULT_FEES, { ...limits, maxTotalAssets: usdt("5") }))
+        .to.be.revertedWith("Invalid deposit limits");
+    });
+
+    it("rejects duplicate names", async function () {
+      const { factory } = await loadFixture(deployVaultsFixture);
+
+      await expect(factory.deployAoP1Vault(AOP1_NAME, "AOP1", DEFAULT_FEES, NO_DEPOSIT_LIMITS))
+        .to.be.revertedWith("Vault with this name already exists");
+      await expect(factory.deployAoP2Vault(AOP1_NAME, "AOP2", DEFAULT_FEES, NO_DEPOSIT_LIMITS))
+        .to.be.revertedWith("Vault with this name already exists");
+    });
+
+    it("restricts deployment to the owner", async function () {
+      const { factory, alice } = await loadFixture(deployVaultsFixture);
+
+      await expect(factory.connect(alice).deployAoP1Vault("Alice Vault", "ALICE", DEFAULT_FEES, NO_DEPOSIT_LIMITS))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("vault administration", function () {
+    it("adds and removes agents on both vault types", async function () {
+      const { factory, aop1Vault, aop2Vault, bob } = await loadFixture(deployVaultsFixture);
+      const agentRole = await aop1Vault.AGENT_ROLE();
+
+      for (const vault of [aop1Vault, aop2Vault]) {
+        await expect(factory.addAgentToVault(await vault.getAddress(), bob.address))
+          .to.emit(factory, "AgentAdded")
+          .withArgs(await vault.getAddress(), bob.address);
+        expect(await vault.hasRole(agentRole, bob.address)).to.equal(true);
+
+        await expect(factory.removeAgentFromVault(await vault.getAddress(), bob.address))
+          .to.emit(factory, "AgentRemoved")
+          .withArgs(await vault.getAddress(), bob.address);
+        expect(await vault.hasRole(agentRole, bob.address)).to.equal(false);
+      }
+    });
+
+    it("updates the fee recipient on both vault types", async function () {
+      const { factory, aop1Vault, aop2Vault, carol } = await loadFixture(deployVaultsFixture);
+
+      await factory.updateFeeRecipient(await aop1Vault.getAddress(), carol.address);
+      await factory.updateFeeRecipient(await aop2Vault.getAddress(), carol.address);
+
+      expect(await aop1Vault.feeRecipient()).to.equal(carol.address);
+      expect(await aop2Vault.feeRecipient()).to.equal(carol.address);
+    });
+
+    it("uses the new default fee recipient for vaults deployed afterwards", async function () {
+      const { factory, carol } = await loadFixture(deployVaultsFixture);
+
+      await factory.updateDefaultFeeRecipient(carol.address);
+      await factory.deployAoP2Vault("Carol Fees", "CFEE", DEFAULT_FEES, NO_DEPOSIT_LIMITS);
+
+      const vault = await ethers.getContractAt("AoP2Vault", await factory.vaults("Carol Fees"));
+      expect(await vault.feeRecipient()).to.equal(carol.address);
+    });
+
+    it("deploys each vault with the fee tier it is given", async function () {
+      const { factory } = await loadFixture(deployVaultsFixture);
+
+      await factory.deployAoP1Vault("Low Fee Vault", "LOW", { performanceFee: 1000, managementFee: 200 }, NO_DEPOSIT_LIMITS);
+      await factory.deployAoP2Vault4626("No Fee Vault", "NOFEE", { performanceFee: 0, managementFee: 0 }, NO_DEPOSIT_LIMITS);
+
+      const low = await ethers.getContractAt("AoP1Vault", await factory.vaults("Low Fee Vault"));
+      expect(await low.performanceFee()).to.equal(1000);
+      expect(await low.managementFee()).to.equal(200);
+      const none = await ethers.getContractAt("AoP2Vault4626", await factory.vaults("No Fee Vault"));
+      expect(await none.performanceFee()).to.equal(0);
+      expect(await none.managementFee()).to.equal(0);
+
+      await expect(factory.deployAoP2Vault("Greedy Vault", "GRDY", { performanceFee: 5001, managementFee: 0 }, NO_DEPOSIT_LIMITS))
+        .to.be.revertedWith("Performance fee too high");
+      await expect(factory.deployAoP2Vault("Greedy Vault", "GRDY", { performanceFee: 0, managementFee: 501 }, NO_DEPOSIT_LIMITS))
+        .to.be.revertedWith("Management fee too high");
+    });
+
+    it("keeps a default fee tier for the deployment tooling", async function () {
+      const { factory, alice } = await loadFixture(deployVaultsFixture);
+      const defaults = await factory.defaultFees();
+      expect(defaults.performanceFee).to.equal(DEFAULT_FEES.performanceFee);
+      expect(defaults.managementFee).to.equal(DEFAULT_FEES.managementFee);
+
+      await expect(factory.setDefaultFees(1000, 200))
+        .to.emit(factory, "DefaultFeesUpdated")
+        .withArgs(1000, 200);
+      const updated = await factory.defaultFees();
+      expect(updated.performanceFee).to.equal(1000);
+      expect(updated.managementFee).to.equal(200);
+
+      await expect(factory.setDefaultFees(5001, 0)).to.be.revertedWith("Performance fee too high");
+      await expect(factory.connect(alice).setDefaultFees(0, 0))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("updates the fees of both vault types", async function () {
+      const { factory, aop1Vault, aop2Vault, alice } = await loadFixture(deployVaultsFixture);
+
+      await expect(factory.updateVaultFees(await aop1Vault.getAddress(), 1000, 100))
+        .to.emit(factory, "VaultFeesUpdated")
+        .withArgs(await aop1Vault.getAddress(), 1000, 100);
+      await factory.updateVaultFees(await aop2Vault.getAddress(), 500, 50);
+
+      expect(await aop1Vault.performanceFee()).to.equal(1000);
+      expect(await aop1Vault.managementFee()).to.equal(100);
+      expect(await aop2Vault.performanceFee()).to.equal(500);
+      expect(await aop2Vault.managementFee()).to.equal(50);
+      await expect(factory.connect(alice).updateVaultFees(await aop1Vault.getAddress(), 0, 0))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("sets agent credit limits and max allocations on vaults", async function () {
+      const { factory, aop1Vault, aop2Vault, alice, bob } = await loadFixture(deployVaultsFixture);
+      const aop1Address = await aop1Vault.getAddress();
+      const aop2Address = await aop2Vault.getAddress();
+
+      await expect(factory.setAgentCreditLimits(aop1Address, bob.address, usdt("500"), mon("20")))
+        .to.emit(factory, "AgentCreditLimitsUpdated")
+        .withArgs(aop1Address, bob.address, usdt("500"), mon("20"));
+      expect((await aop1Vault.agentAllocations(bob.address, ethers.ZeroAddress)).creditLimit).to.equal(mon("20"));
+
+      await factory.setAgentCreditLimits(aop2Address, bob.address, usdt("500"), 0);
+      expect((await aop2Vault.agentAllocations(bob.address, await aop2Vault.usdtToken())).creditLimit)
+        .to.equal(usdt("500"));
+      await expect(factory.setAgentCreditLimits(aop2Address, bob.address, usdt("500"), mon("1")))
+        .to.be.revertedWith("AoP2Vault does not hold MON");
+
+      await factory.setMaxAgentAllocation(aop1Address, 5000);
+      expect(await aop1Vault.maxAgentAllocation()).to.equal(5000);
+      await expect(factory.setMaxAgentAllocation(aop2Address, 10001))
+        .to.be.revertedWith("Invalid max allocation");
+      await expect(factory.connect(alice).setMaxAgentAllocation(aop2Address, 5000))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("grants and revokes the keeper role on vaults", async function () {
+      const { factory, aop1Vault, aop2Vault, carol } = await loadFixture(deployVaultsFixture);
+      const keeperRole = await aop2Vault.KEEPER_ROLE();
+
+      await expect(factory.setVaultKeeper(await aop2Vault.getAddress(), carol.address, true))
+        .to.emit(factory, "KeeperUpdated")
+        .withArgs(await aop2Vault.getAddress(), carol.address, true);
+      await factory.setVaultKeeper(await aop1Vault.getAddress(), carol.address, true);
+      expect(await aop2Vault.hasRole(keeperRole, carol.address)).to.equal(true);
+      expect(await aop1Vault.hasRole(keeperRole, carol.address)).to.equal(true);
+
+      await factory.setVaultKeeper(await aop2Vault.getAddress(), carol.address, false);
+      expect(await aop2Vault.hasRole(keeperRole, carol.address)).to.equal(false);
+    });
+
+    it("lets the router deposit into vaults deployed after it is set", async function () {
+      const { factory, router, aop1Vault, aop2Vault, carol } = await loadFixture(deployVaultsFixture);
+      const routerRole = await aop2Vault.ROUTER_ROLE();
+      const routerAddress = await router.getAddress();
+      expect(await aop1Vault.hasRole(routerRole, routerAddress)).to.equal(true);
+      expect(await aop2Vault.hasRole(routerRole, routerAddress)).to.equal(true);
+      expect(await factory.isVault(await aop2Vault.getAddress())).to.equal(true);
+
+      await expect(factory.setRouter(carol.address))
+        .to.emit(factory, "RouterUpdated")
+        .withArgs(carol.address);
+      await factory.deployAoP2Vault4626("Routed Vault", "RTD", DEFAULT_FEES, NO_DEPOSIT_LIMITS);
+      const vault = await ethers.getContractAt("AoP2Vault4626", await factory.vaults("Routed Vault"));
+      expect(await vault.hasRole(routerRole, carol.address)).to.equal(true);
+      expect(await vault.hasRole(routerRole, routerAddress)).to.equal(false);
+
+      // Existing vaults are moved to a new router one by one
+      await expect(factory.setVaultRouter(await aop2Vault.getAddress(), routerAddress, false))
+        .to.emit(factory, "VaultRouterUpdated")
+        .withArgs(await aop2Vault.getAddress(), routerAddress, false);
+      await factory.setVaultRouter(await aop2Vault.getAddress(), carol.address, true);
+      expect(await aop2Vault.hasRole(routerRole, routerAddress)).to.equal(false);
+      expect(await aop2Vault.hasRole(routerRole, carol.address)).to.equal(true);
+
+      await expect(factory.setVaultRouter(carol.address, routerAddress, true)).to.be.revertedWith("Unknown vault");
+    });
+
+    it("pauses every vault as the guardian and leaves unpausing to the owner", async function () {
+      const { factory, aop1Vault, aop2Vault, alice, carol } = await loadFixture(deployVaultsFixture);
+      const aop2Address = await aop2Vault.getAddress();
+      await expect(factory.setGuardian(carol.address))
+        .to.emit(factory, "GuardianUpdated")
+        .withArgs(carol.address);
+      expect(await factory.getVaultCount()).to.equal(2);
+
+      await expect(factory.connect(alice).pauseAll(1)).to.be.revertedWith("Caller is not a guardian");
+      await expect(factory.connect(carol).pauseAll(1))
+        .to.emit(factory, "VaultPauseUpdated")
+        .withArgs(aop2Address, 1, true);
+      expect(await aop1Vault.pausedOperations()).to.equal(1);
+      expect(await aop2Vault.pausedOperations()).to.equal(1);
+
+      await expect(factory.connect(carol).unpauseAll(1)).to.be.revertedWith("Ownable: caller is not the owner");
+      await factory.connect(carol).setVaultEmergencyMode(aop2Address, true);
+      await expect(factory.connect(carol).setVaultEmergencyMode(aop2Address, false))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+
+      // Vaults in emergency mode stay paused
+      await factory.unpauseAll(1);
+      expect(await aop1Vault.pausedOperations()).to.equal(0);
+      expect(await aop2Vault.pausedOperations()).to.equal(7);
+    });
+
+    it("routes fees to the updated recipient", async function () {
+      const { factory, aop2Vault, usdtToken, agent, alice, carol } = await loadFixture(deployVaultsFixture);
+      await factory.updateFeeRecipient(await aop2Vault.getAddress(), carol.address);
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+
+      await aop2Vault.connect(agent).requestFunds(usdt("1"));
+      await expect(aop2Vault.connect(agent).returnFundsWithProfit(usdt("1"), usdt("50")))
+        .to.changeTokenBalance(usdtToken, carol, usdt("10"));
+    });
+
+    it("updates the Pyth configuration used for new vaults", async function () {
+      const { factory, alice } = await loadFixture(deployVaultsFixture);
+      const newPriceId = ethers.id("NEW/USD");
+
+      await expect(factory.setPythContract(alice.address))
+        .to.emit(factory, "PythContractUpdated")
+        .withArgs(alice.address);
+      await expect(factory.setMonUsdPriceId(newPriceId))
+        .to.emit(factory, "MonUsdPriceIdUpdated")
+        .withArgs(newPriceId);
+      await expect(factory.setPythContract(ethers.ZeroAddress))
+        .to.be.revertedWith("Pyth contract cannot be zero");
+    });
+  });
+
+  describe("timelock", function () {
+    const DAY = 24 * 60 * 60;
+
+    async function timelockFixture() {
+      const fixture = await deployVaultsFixture();
+      await fixture.factory.setTimelockDelay(DAY);
+      return fixture;
+    }
+
+    it("lets the owner act directly until a delay is set", async function () {
+      const { factory, aop1Vault, agent, carol } = await loadFixture(deployVaultsFixture);
+
+      await factory.setPythContract(carol.address);
+      await expect(factory.setTimelockDelay(DAY))
+        .to.emit(factory, "TimelockDelayUpdated")
+        .withArgs(0, DAY);
+
+      await expect(factory.setPythContract(carol.address)).to.be.revertedWith("Caller is not the timelock");
+      await expect(factory.addAgentToVault(await aop1Vault.getAddress(), carol.address)).to.be.revertedWith("Caller is not the timelock");
+      await expect(factory.setTimelockDelay(0)).to.be.revertedWith("Caller is not the timelock");
+
+      await expect(factory.setGuardian(carol.address)).to.be.revertedWith("Caller is not the timelock");
+      await expect(factory.setVaultGuardian(await aop1Vault.getAddress(), carol.address, true)).to.be.revertedWith("Caller is not the timelock");
+
+      // Risk-reducing actions and pauses stay instant
+      await factory.setGuardian(ethers.ZeroAddress);
+      await factory.setVaultGuardian(await aop1Vault.getAddress(), carol.address, false);
+      await expect(factory.connect(carol).setGuardian(ethers.ZeroAddress)).to.be.revertedWith("Ownable: caller is not the owner");
+      await factory.removeAgentFromVault(await aop1Vault.getAddress(), agent.address);
+      await factory.pauseAll(1);
+      expect(await aop1Vault.pausedOperations()).to.equal(1);
+    });
+
+    it("executes queued actions once the delay has passed", async function () {
+      const { factory, carol } = await loadFixture(timelockFixture);
+      const data = factory.interface.encodeFunctionData("setPythContract", [carol.address]);
+
+      await expect(factory.proposeAction(data, "Move to the new Pyth deployment"))
+        .to.emit(factory, "ActionProposed")
+        .withArgs(0, data.slice(0, 10), data, "Move to the new Pyth deployment");
+      await expect(factory.executeAction(0)).to.be.revertedWith("Action not queued");
+
+      await factory.queueAction(0);
+      const { eta } = await factory.getTimelockAction(0);
+      expect(eta).to.equal((await time.latest()) + DAY);
+      await expect(factory.executeAction(0)).to.be.revertedWith("Action not ready");
+
+      await time.increaseTo(eta);
+      await expect(factory.executeAction(0))
+        .to.emit(factory, "ActionExecuted").withArgs(0)
+        .and.to.emit(factory, "PythContractUpdated").withArgs(carol.address);
+      expect(await factory.pythContract()).to.equal(carol.address);
+      expect((await factory.getTimelockAction(0)).status).to.equal(3);
+      await expect(factory.executeAction(0)).to.be.revertedWith("Action not queued");
+    });
+
+    it("holds actions queued without a delay until a raised delay has passed", async function () {
+      const { factory, carol } = await loadFixture(deployVaultsFixture);
+      await factory.proposeAction(factory.interface.encodeFunctionData("setPythContract", [carol.address]), "");
+      await factory.queueAction(0);
+      const queuedAt = await time.latest();
+      await factory.setTimelockDelay(DAY);
+
+      expect((await factory.getTimelockAction(0)).eta).to.equal(queuedAt + DAY);
+      await expect(factory.executeAction(0)).to.be.revertedWith("Action not ready");
+
+      await time.increaseTo(queuedAt + DAY);
+      await expect(factory.executeAction(0)).to.emit(factory, "PythContractUpdated").withArgs(carol.address);
+    });
+
+    it("cancels pending actions and lets queued ones expire", async function () {
+      const { factory, alice, carol } = await loadFixture(timelockFixture);
+      const data = factory.interface.encodeFunctionData("updateDefaultFeeRecipient", [carol.address]);
+      await factory.proposeAction(data, "");
+      await factory.proposeAction(data, "");
+      await factory.queueAction(0);
+      await factory.queueAction(1);
+
+      await expect(factory.cancelAction(0)).to.emit(factory, "ActionCancelled").withArgs(0);
+      await expect(factory.cancelAction(0)).to.be.revertedWith("Action not pending");
+
+      const { eta } = await factory.getTimelockAction(1);
+      await time.increaseTo(eta + BigInt(14 * DAY) + 1n);
+      await expect(factory.executeAction(0)).to.be.revertedWith("Action not queued");
+      await expect(factory.executeAction(1)).to.be.revertedWith("Action expired");
+
+      await expect(factory.connect(alice).proposeAction(data, "")).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(factory.getTimelockAction(2)).to.be.revertedWith("Unknown action");
+    });
+
+    it("reverts with the error of a failed action and keeps it queued", async function () {
+      const { factory, carol } = await loadFixture(timelockFixture);
+      await factory.proposeAction(factory.interface.encodeFunctionData("addAgentToVault", [ethers.ZeroAddress, carol.address]), "");
+      await factory.queueAction(0);
+      await time.increase(DAY);
+
+      await expect(factory.executeAction(0)).to.be.revertedWith("Unknown vault");
+      expect((await factory.getTimelockAction(0)).status).to.equal(2);
+    });
+
+    it("transfers or renounces the factory's admin roles on a vault", async function () {
+      const { factory, aop1Vault, aop2Vault, carol } = await loadFixture(deployVaultsFixture);
+      const factoryAddress = await factory.getAddress();
+      const adminRole = await aop1Vault.ADMIN_ROLE();
+      const defaultAdminRole = await aop1Vault.DEFAULT_ADMIN_ROLE();
+
+      await expect(factory.transferVaultAdmin(await aop1Vault.getAddress(), carol.address))
+        .to.emit(factory, "VaultAdminTransferred")
+        .withArgs(await aop1Vault.getAddress(), carol.address);
+      expect(await aop1Vault.hasRole(adminRole, carol.address)).to.equal(true);
+      expect(await aop1Vault.hasRole(defaultAdminRole, carol.address)).to.equal(true);
+      expect(await aop1Vault.hasRole(adminRole, factoryAddress)).to.equal(false);
+      expect(await factory.administersVault(await aop1Vault.getAddress())).to.equal(false);
+
+      await factory.renounceVaultAdmin(await aop2Vault.getAddress());
+      expect(await aop2Vault.hasRole(adminRole, factoryAddress)).to.equal(false);
+      expect(await aop2Vault.hasRole(defaultAdminRole, factoryAddress)).to.equal(false);
+
+      // The new admin manages the vault directly and pauseAll skips vaults the factory no longer administers
+      await aop1Vault.connect(carol).addAgent(carol.address);
+      await expect(factory.addAgentToVault(await aop1Vault.getAddress(), carol.address)).to.be.reverted;
+      await factory.pauseAll(1);
+      expect(await aop1Vault.pausedOperations()).to.equal(0);
+    });
+  });
+
+  describe("registry", function () {
+    it("deploys vaults as minimal proxies of the registered implementations", async function () {
+      const { factory, implementations, aop1Vault, aop2Vault } = await loadFixture(deployVaultsFixture);
+      const implementation = await implementations.AoP1Vault.getAddress();
+
+      const code = await ethers.provider.getCode(await aop1Vault.getAddress());
+      expect(code).to.equal(`0x363d3d373d3d3d363d73${implementation.slice(2).toLowerCase()}5af43d82803e903d91602b57fd5bf3`);
+      expect(await aop1Vault.name()).to.equal(AOP1_NAME);
+      expect(await aop1Vault.symbol()).to.equal("AOP1");
+      expect(await aop2Vault.symbol()).to.equal("AOP2");
+
+      const info = await factory.getVaultInfo(await aop1Vault.getAddress());
+      expect(info.name).to.equal(AOP1_NAME);
+      expect(info.vaultType).to.equal(VAULT_TYPE_IDS.AoP1Vault);
+      expect(info.implementation).to.equal(implementation);
+      expect(info.version).to.equal(1);
+      expect(info.active).to.equal(true);
+
+      // Neither the clones nor the implementations can be initialized again
+      const fees = [2000, 0];
+      await expect(aop2Vault.initialize("Taken", "TKN", ethers.ZeroAddress, ethers.ZeroAddress, fees, NO_DEPOSIT_LIMITS))
+        .to.be.revertedWith("Initializable: contract is already initialized");
+      await expect(implementations.AoP2Vault.initialize("Taken", "TKN", ethers.ZeroAddress, ethers.ZeroAddress, fees, NO_DEPOSIT_LIMITS))
+        .to.be.revertedWith("Initializable: contract is already initialized");
+    });
+
+    it("records the implementation version of each vault and lists vaults by type", async function () {
+      const { factory, aop1Vault, aop2Vault, alice } = await loadFixture(deployVaultsFixture);
+      const implementation = await ethers.deployContract("AoP2Vault");
+
+      await expect(factory.setVaultImplementation(VAULT_TYPE_IDS.AoP2Vault, await implementation.getAddress()))
+        .to.emit(factory, "VaultImplementationUpdated")
+        .withArgs(VAULT_TYPE_IDS.AoP2Vault, await implementation.getAddress(), 2);
+      await factory.deployAoP2Vault("Vault Three", "AOP3", DEFAULT_FEES, NO_DEPOSIT_LIMITS);
+      await factory.deployAoP2Vault4626("Vault Four", "AOP4", DEFAULT_FEES, NO_DEPOSIT_LIMITS);
+      const third = await factory.vaults("Vault Three");
+      const fourth = await factory.vaults("Vault Four");
+
+      expect((await factory.getVaultInfo(third)).version).to.equal(2);
+      expect((await factory.getVaultInfo(third)).implementation).to.equal(await implementation.getAddress());
+      expect((await factory.getVaultInfo(await aop2Vault.getAddress())).version).to.equal(1);
+
+      expect(await factory.getAllVaults()).to.deep.equal([await aop1Vault.getAddress(), await aop2Vault.getAddress(), third, fourth]);
+      expect(await factory.getVaultsByType(VAULT_TYPE_IDS.AoP2Vault)).to.deep.equal([await aop2Vault.getAddress(), third]);
+      expect(await factory.getVaultsByType(VAULT_TYPE_IDS.AoP2Vault4626)).to.deep.equal([fourth]);
+
+      await expect(factory.setVaultImplementation(VAULT_TYPE_IDS.AoP1Vault, alice.address))
+        .to.be.revertedWith("Invalid implementation");
+    });
+
+    it("needs an implementation before deploying a vault type", async function () {
+      const { usdtToken, pyth, feeRecipient } = await loadFixture(deployVaultsFixture);
+      const factory = await ethers.deployContract(
+        "VaultFactory",
+        [await usdtToken.getAddress(), feeRecipient.address, await pyth.getAddress(), ethers.ZeroHash]
+      );
+
+      await expect(factory.deployAoP2Vault("Vault", "V", DEFAULT_FEES, NO_DEPOSIT_LIMITS)).to.be.revertedWith("No implementation for vault type");
+    });
+
+    it("retires vaults, keeping withdrawals open and deposits paused", async function () {
+      const { factory, router, aop2Vault, alice } = await loadFixture(deployVaultsFixture);
+      const vaultAddress = await aop2Vault.getAddress();
+      await aop2Vault.connect(alice).deposit(usdt("100"));
+
+      await expect(factory.connect(alice).deactivateVault(vaultAddress)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(factory.deactivateVault(vaultAddress))
+        .to.emit(factory, "VaultDeactivated")
+        .withArgs(vaultAddress);
+      expect((await factory.getVaultInfo(vaultAddress)).active).to.equal(false);
+      expect(await factory.isActiveVault(vaultAddress)).to.equal(false);
+      expect(await aop2Vault.pausedOperations()).to.equal(1);
+
+      await expect(router.connect(alice).depositUSDT(vaultAddress, alice.address, usdt("1"), 0, (await time.latest()) + 60))
+        .to.be.revertedWith("Vault is retired");
+      await aop2Vault.connect(alice).withdraw(shares("100"));
+
+      await factory.pauseAll(7);
+      await factory.unpauseAll(7);
+      expect(await aop2Vault.pausedOperations()).to.equal(1);
+      await expect(factory.unpauseVault(vaultAddress, 1)).to.be.revertedWith("Vault is retired");
+      await expect(factory.deactivateVault(vaultAddress)).to.be.revertedWith("Vault already retired");
+    });
+  });
+
+  describe("views", function () {
+    it("returns AoP1 vault statistics and user details", async function () {
+      const { factory, aop1Vault, pyth, alice } = await loadFixture(deployVaultsFixture);
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice).depositUSDT(usdt("100"));
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("4") });
+
+      const stats = await factory.getVaultStatistics(await aop1Vault.getAddress());
+      expect(stats.totalAssets).to.equal(usdt("100"));
+      expect(stats.sharePrice).to.equal(ethers.parseEther("1"));
+      expect(stats.totalShares).to.equal(shares("110"));
+      expect(stats.monBalance).to.equal(mon("4"));
+      expect(stats.usdtBalance).to.equal(usdt("100"));
+      expect(stats.userCount).to.equal(1);
+
+      const details = await factory.getUserDetails(await aop1Vault.getAddress(), alice.address);
+      expect(details.shares).to.equal(shares("110"));
+      expect(details.percentageOfVault).to.equal(10000);
+      expect(details.monDeposited).to.equal(mon("4"));
+      expect(details.usdtDeposited).to.equal(usdt("100"));
+    });
+
+    it("returns AoP2 vault statistics and user details", async function () {
+      const { factory, aop2Vault, agent, alice, bob } = await loadFixture(deployVaultsFixture);
+      await aop2Vault.connect(alice).deposit(usdt("300"));
+      await aop2Vault.connect(bob).deposit(usdt("100"));
+      await aop2Vault.connect(agent).requestFunds(usdt("100"));
+      await aop2Vault.connect(agent).returnFundsWithProfit(usdt("100"), usdt("50"));
+
+      const stats = await factory.getVaultStatistics(await aop2Vault.getAddress());
+      expect(stats.totalAssets).to.equal(usdt("440"));
+      expect(stats.sharePrice).to.equal(ethers.parseEther("1.1"));
+      expect(stats.totalShares).to.equal(shares("400"));
+      expect(stats.monBalance).to.equal(0);
+      expect(stats.usdtBalance).to.equal(usdt("440"));
+      expect(stats.userCount).to.equal(2);
+
+      const details = await factory.getUserDetails(await aop2Vault.getAddress(), alice.address);
+      expect(details.shares).to.equal(shares("300"));
+      expect(details.valueInUSDT).to.equal(usdt("330"));
+      expect(details.percentageOfVault).to.equal(7500);
+      expect(details.costBasis).to.equal(usdt("300"));
+      expect(details.unrealizedPnl).to.equal(usdt("30"));
+      expect(details.averageEntryNav).to.equal(ethers.parseEther("1"));
+      expect(details.monDeposited).to.equal(0);
+      expect(details.usdtDeposited).to.equal(usdt("300"));
+    });
+
+    it("rejects addresses the factory did not deploy", async function () {
+      const { factory, usdtToken, alice } = await loadFixture(deployVaultsFixture);
+      const address = await usdtToken.getAddress();
+
+      await expect(factory.getVaultStatistics(address)).to.be.revertedWith("Unknown vault");
+      await expect(factory.getUserDetails(address, alice.address)).to.be.revertedWith("Unknown vault");
+      await expect(factory.getHistoricalNAV(address, 0, 100)).to.be.revertedWith("Unknown vault");
+      await expect(factory.getHistoricalNAVByTime(address, 0, 0)).to.be.revertedWith("Unknown vault");
+      await expect(factory.getAgentStats(address, alice.address)).to.be.revertedWith("Unknown vault");
+      await expect(factory.getVaultAgentStats(address)).to.be.revertedWith("Unknown vault");
+      await expect(factory.getVaultInfo(address)).to.be.revertedWith("Unknown vault");
+    });
+
+    it("returns NAV history for both vault types", async function () {
+      const { factory, aop1Vault, aop2Vault, agent, alice } = await loadFixture(deployVaultsFixture);
+      await aop1Vault.connect(alice).depositUSDT(usdt("100"));
+      await aop2Vault.connect(alice).deposit(usdt("100"));
+      await aop1Vault.connect(agent).returnFundsWithProfit(usdt("10"), false, []);
+      await aop2Vault.connect(agent).requestFunds(usdt("1"));
+      await aop2Vault.connect(agent).returnFundsWithProfit(usdt("1"), usdt("10"));
+
+      const [, aop1Values] = await factory.getHistoricalNAV(await aop1Vault.getAddress(), 0, 100);
+      const [aop2Timestamps, aop2Values] = await factory.getHistoricalNAV(await aop2Vault.getAddress(), 0, 100);
+      expect(aop1Values).to.deep.equal([ethers.parseEther("1.08")]);
+      expect(aop2Values).to.deep.equal([ethers.parseEther("1.08")]);
+
+      const [, byTime] = await factory.getHistoricalNAVByTime(await aop2Vault.getAddress(), aop2Timestamps[0], aop2Timestamps[0]);
+      expect(byTime).to.deep.equal([ethers.parseEther("1.08")]);
+    });
+
+    it("returns agent stats per vault and summed across vaults", async function () {
+      const { factory, aop1Vault, aop2Vault, pyth, agent, alice, bob } = await loadFixture(deployVaultsFixture);
+      const aop2Address = await aop2Vault.getAddress();
+      await setMonPrice(pyth, "2.5");
+      await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+      await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+      await aop2Vault.connect(alice).deposit(usdt("1000"));
+      await factory.addAgentToVault(aop2Address, bob.address);
+      await factory.setAgentCreditLimits(aop2Address, bob.address, usdt("1000"), 0);
+
+      await aop1Vault.connect(agent).requestFunds(usdt("100"), false);
+      await aop1Vault.connect(agent).requestFunds(mon("2"), true);
+      await aop1Vault.connect(agent).returnFunds(usdt("100"), usdt("50"), false, []);
+      await aop2Vault.connect(agent).requestFunds(usdt("200"));
+      await aop2Vault.connect(agent).returnFunds(usdt("200"), -usdt("20"));
+      await aop2Vault.connect(bob).requestFunds(usdt("300"));
+      await aop2Vault.connect(bob).returnFunds(usdt("300"), usdt("30"));
+
+      const [aop1Usdt, aop1Mon] = await factory.getAgentStats(await aop1Vault.getAddress(), agent.address);
+      expect(aop1Usdt.realizedPnl).to.equal(usdt("50"));
+      expect(aop1Usdt.feesGenerated).to.equal(usdt("10"));
+      expect(aop1Mon.capitalRequested).to.equal(mon("2"));
+
+      const [agents, usdtStats, monStats] = await factory.getVaultAgentStats(aop2Address);
+      expect(agents).to.deep.equal([agent.address, bob.address]);
+      expect(usdtStats.map((stats) => stats.realizedPnl)).to.deep.equal([-usdt("20"), usdt("30")]);
+      expect(monStats.map((stats) => stats.tradeCount)).to.deep.equal([0n, 0n]);
+
+      const [totalUsdt, totalMon, vaultCount] = await factory.getAgentStatsAcrossVaults(agent.address);
+      expect(totalUsdt.capitalRequested).to.equal(usdt("300"));
+      expect(totalUsdt.capitalReturned).to.equal(usdt("330"));
+      expect(totalUsdt.realizedPnl).to.equal(usdt("30"));
+      expect(totalUsdt.feesGenerated).to.equal(usdt("10"));
+      expect(totalUsdt.tradeCount).to.equal(2);
+      expect(totalUsdt.profitableTrades).to.equal(1);
+      expect(totalUsdt.lastActivity).to.equal(aop1Usdt.lastActivity + 2n);
+      expect(totalMon.capitalRequested).to.equal(mon("2"));
+      expect(totalMon.tradeCount).to.equal(0);
+      expect(vaultCount).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,299 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployVaultsFixture,
+  setMonPrice,
+  buildPriceUpdate,
+  usdt,
+  mon,
+  shares,
+  PYTH_UPDATE_FEE,
+  NO_DEPOSIT_LIMITS
+} = require("./fixtures");
+
+describe("VaultRouter", function () {
+  async function routerFixture() {
+    const fixture = await deployVaultsFixture();
+    const deadline = (await time.latest()) + 3600;
+    return { ...fixture, deadline };
+  }
+
+  /**
+   * Signs an EIP-2612 permit letting the router spend the owner's USDT
+   */
+  async function signPermit(usdtToken, owner, spender, value, deadline) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: await usdtToken.name(),
+      version: "1",
+      chainId,
+      verifyingContract: await usdtToken.getAddress()
+    };
+    const types = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    const message = { owner: owner.address, spender, value, nonce: await usdtToken.nonces(owner.address), deadline };
+    return ethers.Signature.from(await owner.signTypedData(domain, types, message));
+  }
+
+  describe("USDT deposits", function () {
+    it("deposits with a permit in one transaction and credits the receiver", async function () {
+      const { router, usdtToken, aop1Vault, alice, carol, deadline } = await loadFixture(routerFixture);
+      const routerAddress = await router.getAddress();
+      const vaultAddress = await aop1Vault.getAddress();
+      const signature = await signPermit(usdtToken, alice, routerAddress, usdt("250"), deadline);
+      await router.connect(carol).setDepositorApproval(alice.address, true);
+
+      const tx = router.connect(alice).multicall([
+        router.interface.encodeFunctionData("selfPermit", [
+          await usdtToken.getAddress(), usdt("250"), deadline, signature.v, signature.r, signature.s
+        ]),
+        router.interface.encodeFunctionData("depositUSDT", [vaultAddress, carol.address, usdt("250"), shares("250"), deadline])
+      ]);
+      await expect(tx)
+        .to.emit(router, "RouterDeposit")
+        .withArgs(vaultAddress, alice.address, carol.address, false, usdt("250"), shares("250"));
+      await expect(tx).to.changeTokenBalances(usdtToken, [alice, aop1Vault, router], [-usdt("250"), usdt("250"), 0]);
+
+      expect(await aop1Vault.balanceOf(carol.address)).to.equal(shares("250"));
+      expect(await aop1Vault.balanceOf(alice.address)).to.equal(0);
+      expect((await aop1Vault.userDeposits(carol.address)).usdtAmount).to.equal(usdt("250"));
+      expect(await aop1Vault.isActiveUser(carol.address)).to.equal(true);
+      expect(await aop1Vault.isActiveUser(alice.address)).to.equal(false);
+    });
+
+    it("deposits into AoP2 vaults on behalf of a receiver", async function () {
+      const { router, usdtToken, aop2Vault, alice, bob, deadline } = await loadFixture(routerFixture);
+      await usdtToken.connect(alice).approve(await router.getAddress(), usdt("100"));
+      await router.connect(bob).setDepositorApproval(alice.address, true);
+
+      await router.connect(alice).depositUSDT(await aop2Vault.getAddress(), bob.address, usdt("100"), 0, deadline);
+
+      expect(await aop2Vault.balanceOf(bob.address)).to.equal(shares("100"));
+      expect((await aop2Vault.userDeposits(bob.address)).amount).to.equal(usdt("100"));
+      expect(await usdtToken.allowance(await router.getAddress(), await aop2Vault.getAddress())).to.equal(0);
+    });
+
+    it("accepts a permit that was already used if the allowance is in place", async function () {
+      const { router, usdtToken, aop2Vault, alice, bob, deadline } = await loadFixture(routerFixture);
+      const routerAddress = await router.getAddress();
+      const signature = await signPermit(usdtToken, alice, routerAddress, usdt("100"), deadline);
+
+      // Someone submits the permit before the router does
+      await usdtToken.connect(bob).permit(alice.address, routerAddress, usdt("100"), deadline, signature.v, signature.r, signature.s);
+      await router.connect(alice).selfPermit(await usdtToken.getAddress(), usdt("100"), deadline, signature.v, signature.r, signature.s);
+
+      await expect(router.connect(bob).selfPermit(await usdtToken.getAddress(), usdt("100"), deadline, signature.v, signature.r, signature.s))
+        .to.be.revertedWith("Permit failed");
+      await router.connect(alice).depositUSDT(await aop2Vault.getAddress(), alice.address, usdt("100"), 0, deadline);
+      expect(await aop2Vault.balanceOf(alice.address)).to.equal(shares("100"));
+    });
+
+    it("refunds MON sent with calls outside a multicall", async function () {
+      const { router, usdtToken, aop2Vault, alice, bob, deadline } = await loadFixture(routerFixture);
+      const routerAddress = await router.getAddress();
+      const signature = await signPermit(usdtToken, alice, routerAddress, usdt("100"), deadline);
+
+      await expect(
+        router.connect(alice).selfPermit(await usdtToken.getAddress(), usdt("100"), deadline, signature.v, signature.r, signature.s, { value: mon("1") })
+      ).to.changeEtherBalances([alice, router], [0, 0]);
+      await expect(
+        router.connect(alice).depositUSDT(await aop2Vault.getAddress(), alice.address, usdt("100"), 0, deadline, { value: mon("1") })
+      ).to.changeEtherBalances([alice, router], [0, 0]);
+      // Nothing is left for the next caller to sweep
+      await usdtToken.connect(bob).approve(routerAddress, usdt("100"));
+      await expect(router.connect(bob).depositUSDT(await aop2Vault.getAddress(), bob.address, usdt("100"), 0, deadline))
+        .to.changeEtherBalance(bob, 0);
+    });
+
+    it("enforces the vault's slippage bound and deadline", async function () {
+      const { router, usdtToken, aop1Vault, alice } = await loadFixture(routerFixture);
+      await usdtToken.connect(alice).approve(await router.getAddress(), usdt("100"));
+      const vaultAddress = await aop1Vault.getAddress();
+
+      await expect(router.connect(alice).depositUSDT(vaultAddress, alice.address, usdt("100"), shares("101"), (await time.latest()) + 60))
+        .to.be.revertedWithCustomError(aop1Vault, "InsufficientSharesOut")
+        .withArgs(shares("100"), shares("101"));
+      await expect(router.connect(alice).depositUSDT(vaultAddress, alice.address, usdt("100"), 0, await time.latest()))
+        .to.be.revertedWithCustomError(aop1Vault, "DeadlineExpired");
+    });
+  });
+
+  describe("MON deposits", function () {
+    it("pays the exact Pyth fee and refunds the excess", async function () {
+      const { router, pyth, aop1Vault, alice, carol, deadline } = await loadFixture(routerFixture);
+      const update = await buildPriceUpdate(pyth, "2.5", { publishTime: (await time.latest()) + 1 });
+      await router.connect(carol).setDepositorApproval(alice.address, true);
+
+      const tx = router.connect(alice).depositMON(
+        await aop1Vault.getAddress(), carol.address, mon("4"), [update], shares("10"), deadline,
+        { value: mon("5") }
+      );
+      await expect(tx).to.changeEtherBalances(
+        [alice, aop1Vault, pyth, router],
+        [-(mon("4") + PYTH_UPDATE_FEE), mon("4"), PYTH_UPDATE_FEE, 0]
+      );
+
+      expect(await aop1Vault.totalMonValue()).to.equal(mon("4"));
+      expect(await aop1Vault.balanceOf(carol.address)).to.equal(shares("10"));
+      expect((await aop1Vault.userDeposits(carol.address)).monAmount).to.equal(mon("4"));
+    });
+
+    it("shares the MON of a multicall between a price update and deposits", async function () {
+      const { router, pyth, usdtToken, aop1Vault, alice, deadline } = await loadFixture(routerFixture);
+      const vaultAddress = await aop1Vault.getAddress();
+      await usdtToken.connect(alice).approve(await router.getAddress(), usdt("100"));
+      await aop1Vault.connect(alice).depositMON([], { value: mon("4") });
+
+      // The vault holds MON, so the USDT deposit needs the fresh price pushed first
+      await time.increase(120);
+      const update = await buildPriceUpdate(pyth, "2.5", { publishTime: (await time.latest()) + 1 });
+      const tx = router.connect(alice).multicall([
+        router.interface.encodeFunctionData("updatePriceFeeds", [vaultAddress, [update]]),
+        router.interface.encodeFunctionData("depositUSDT", [vaultAddress, alice.address, usdt("100"), 0, deadline]),
+        router.interface.encodeFunctionData("depositMON", [vaultAddress, alice.address, mon("2"), [], 0, deadline])
+      ], { value: mon("3") });
+
+      await expect(tx).to.changeEtherBalances([alice, router], [-(mon("2") + PYTH_UPDATE_FEE), 0]);
+      expect(await aop1Vault.balanceOf(alice.address)).to.equal(shares("115"));
+    });
+
+    it("credits the sender of depositMON() without update data", async function () {
+      const { pyth, aop1Vault, alice } = await loadFixture(routerFixture);
+      await setMonPrice(pyth, "2.5");
+
+      await expect(aop1Vault.connect(alice)["depositMON()"]({ value: mon("4") }))
+        .to.emit(aop1Vault, "Deposit")
+        .withArgs(alice.address, mon("4"), true, shares("10"));
+      expect((await aop1Vault.userDeposits(alice.address)).monAmount).to.equal(mon("4"));
+    });
+  });
+
+  describe("staking", function () {
+    it("deposits and stakes the shares in one multicall", async function () {
+      const { router, usdtToken, aop2Vault, alice, deadline } = await loadFixture(routerFixture);
+      const routerAddress = await router.getAddress();
+      const vaultAddress = await aop2Vault.getAddress();
+      const staking = await ethers.deployContract("MockStakingVault", [vaultAddress]);
+      await usdtToken.connect(alice).approve(routerAddress, usdt("100"));
+
+      await expect(router.connect(alice).multicall([
+        router.interface.encodeFunctionData("depositUSDT", [vaultAddress, routerAddress, usdt("100"), 0, deadline]),
+        router.interface.encodeFunctionData("stake", [vaultAddress, await staking.getAddress(), alice.address, shares("100")])
+      ]))
+        .to.emit(router, "SharesStaked")
+        .withArgs(vaultAddress, await staking.getAddress(), alice.address, shares("100"), shares("100"));
+
+      expect(await staking.balanceOf(alice.address)).to.equal(shares("100"));
+      expect(await aop2Vault.balanceOf(await staking.getAddress())).to.equal(shares("100"));
+      expect(await aop2Vault.balanceOf(routerAddress)).to.equal(0);
+    });
+
+    it("only stakes shares deposited earlier in the same multicall", async function () {
+      const { router, usdtToken, aop2Vault, alice, bob, deadline } = await loadFixture(routerFixture);
+      const routerAddress = await router.getAddress();
+      const vaultAddress = await aop2Vault.getAddress();
+      const staking = await ethers.deployContract("MockStakingVault", [vaultAddress]);
+      const stakingAddress = await staking.getAddress();
+      await aop2Vault.connect(alice).deposit(usdt("100"));
+      await aop2Vault.connect(alice).transfer(routerAddress, shares("100"));
+
+      await expect(router.connect(bob).stake(vaultAddress, stakingAddress, bob.address, 0))
+        .to.be.revertedWith("No shares to stake");
+
+      await usdtToken.connect(bob).approve(routerAddress, usdt("10"));
+      await expect(router.connect(bob).depositUSDT(vaultAddress, routerAddress, usdt("10"), 0, deadline))
+        .to.be.revertedWith("Router only holds shares within a multicall");
+      await expect(router.connect(bob).multicall([
+        router.interface.encodeFunctionData("depositUSDT", [vaultAddress, routerAddress, usdt("10"), 0, deadline])
+      ])).to.be.revertedWith("Deposited shares not staked");
+
+      await router.connect(bob).multicall([
+        router.interface.encodeFunctionData("depositUSDT", [vaultAddress, routerAddress, usdt("10"), 0, deadline]),
+        router.interface.encodeFunctionData("stake", [vaultAddress, stakingAddress, bob.address, 0])
+      ]);
+      expect(await staking.balanceOf(bob.address)).to.equal(shares("10"));
+      expect(await aop2Vault.balanceOf(routerAddress)).to.equal(shares("100"));
+    });
+
+    it("does not hold shares for staking on vaults that lock deposits", async function () {
+      const { router, factory, usdtToken, aop2Vault, alice, deadline } = await loadFixture(routerFixture);
+      const routerAddress = await router.getAddress();
+      const vaultAddress = await aop2Vault.getAddress();
+      const staking = await ethers.deployContract("MockStakingVault", [vaultAddress]);
+      await factory.setVaultLockupConfig(vaultAddress, { lockupPeriod: 86400, noticePeriod: 0, earlyExitPeriod: 0, earlyExitFee: 0 });
+      await usdtToken.connect(alice).approve(routerAddress, usdt("100"));
+
+      await expect(router.connect(alice).multicall([
+        router.interface.encodeFunctionData("depositUSDT", [vaultAddress, routerAddress, usdt("100"), 0, deadline]),
+        router.interface.encodeFunctionData("stake", [vaultAddress, await staking.getAddress(), alice.address, 0])
+      ])).to.be.revertedWith("Vault locks deposits, stake from the receiver");
+
+      await router.connect(alice).depositUSDT(vaultAddress, alice.address, usdt("100"), 0, deadline);
+      expect((await aop2Vault.getShareLocks(alice.address)).lockedShares).to.equal(shares("100"));
+    });
+
+    it("rejects staking vaults over another asset", async function () {
+      const { router, aop1Vault, aop2Vault, alice } = await loadFixture(routerFixture);
+      const staking = await ethers.deployContract("MockStakingVault", [await aop1Vault.getAddress()]);
+
+      await expect(router.connect(alice).stake(await aop2Vault.getAddress(), await staking.getAddress(), alice.address, 0))
+        .to.be.revertedWith("Staking asset mismatch");
+    });
+  });
+
+  describe("access", function () {
+    it("only deposits into vaults deployed by the factory", async function () {
+      const { router, usdtToken, alice, deadline } = await loadFixture(routerFixture);
+
+      await expect(router.connect(alice).depositUSDT(await usdtToken.getAddress(), alice.address, usdt("1"), 0, deadline))
+        .to.be.revertedWith("Unknown vault");
+      await expect(router.connect(alice).depositMON(await usdtToken.getAddress(), alice.address, mon("1"), [], 0, deadline, { value: mon("1") }))
+        .to.be.revertedWith("Not an AoP1Vault");
+    });
+
+    it("only deposits for receivers who approved the caller", async function () {
+      const { router, factory, usdtToken, aop1Vault, aop2Vault, alice, bob, deadline } = await loadFixture(routerFixture);
+      const vaultAddress = await aop2Vault.getAddress();
+      await factory.setVaultDepositLimits(vaultAddress, { ...NO_DEPOSIT_LIMITS, maxUserDeposit: usdt("100") });
+      await factory.setVaultLockupConfig(vaultAddress, { lockupPeriod: 7 * 24 * 60 * 60, noticePeriod: 0, earlyExitPeriod: 0, earlyExitFee: 0 });
+      await usdtToken.connect(bob).approve(await router.getAddress(), ethers.MaxUint256);
+
+      // Deposits for alice would use up her deposit limit and add locked lots to her position
+      await expect(router.connect(bob).depositUSDT(vaultAddress, alice.address, usdt("1"), 0, deadline))
+        .to.be.revertedWith("Depositor not approved by receiver");
+      await expect(router.connect(bob).depositMON(await aop1Vault.getAddress(), alice.address, mon("1"), [], 0, deadline, { value: mon("1") }))
+        .to.be.revertedWith("Depositor not approved by receiver");
+      expect(await aop2Vault.maxDeposit(alice.address)).to.equal(usdt("100"));
+      expect(await aop2Vault.getDepositLots(alice.address)).to.deep.equal([]);
+
+      await expect(router.connect(alice).setDepositorApproval(bob.address, true))
+        .to.emit(router, "DepositorApproval")
+        .withArgs(alice.address, bob.address, true);
+      await router.connect(bob).depositUSDT(vaultAddress, alice.address, usdt("60"), 0, deadline);
+      expect(await aop2Vault.maxDeposit(alice.address)).to.equal(usdt("40"));
+      expect(await aop2Vault.getDepositLots(alice.address)).to.have.lengthOf(1);
+
+      await router.connect(alice).setDepositorApproval(bob.address, false);
+      await expect(router.connect(bob).depositUSDT(vaultAddress, alice.address, usdt("1"), 0, deadline))
+        .to.be.revertedWith("Depositor not approved by receiver");
+    });
+
+    it("lets only trusted routers deposit on behalf of a receiver", async function () {
+      const { aop1Vault, aop2Vault, alice, bob, deadline } = await loadFixture(routerFixture);
+      const role = await aop1Vault.ROUTER_ROLE();
+      const message = `AccessControl: account ${alice.address.toLowerCase()} is missing role ${role}`;
+
+      await expect(aop1Vault.connect(alice).depositUSDTFor(bob.address, usdt("1"), 0, deadline)).to.be.revertedWith(message);
+      await expect(aop1Vault.connect(alice).depositMONFor(bob.address, 0, deadline, { value: mon("1") })).to.be.revertedWith(message);
+      await expect(aop2Vault.connect(alice).depositFor(bob.address, usdt("1"), 0, deadline)).to.be.revertedWith(message);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployVaultsFixture,
+  buildPriceUpdate,
+  usdt,
+  mon,
+  PYTH_UPDATE_FEE
+} = require("./fixtures");
+const { AgentClient, loadAbi, toPnlReport } = require("../scripts/lib/agent-client");
+
+/**
+ * Price source serving update data in the mock oracle's format, published at the next block
+ */
+function mockPriceSource(pyth, state = { price: "2.5", fetches: 0 }) {
+  return {
+    state,
+    async fetchLatest() {
+      state.fetches++;
+      const updateData = await buildPriceUpdate(pyth, state.price, { publishTime: (await time.latest()) + 1 });
+      return { updateData: [updateData] };
+    }
+  };
+}
+
+describe("AgentClient", function () {
+  it("reads the ABIs from the compiled artifacts", async function () {
+    expect(loadAbi("AoP1Vault")).to.deep.equal((await artifacts.readArtifact("AoP1Vault")).abi);
+    expect(() => loadAbi("AoP3Vault")).to.throw('Unknown contract "AoP3Vault"');
+  });
+
+  it("tells the vault types apart", async function () {
+    const { aop1Vault, aop2Vault, agent } = await loadFixture(deployVaultsFixture);
+
+    expect((await AgentClient.connect({ vault: await aop1Vault.getAddress(), signer: agent })).type).to.equal("AoP1Vault");
+    expect((await AgentClient.connect({ vault: await aop2Vault.getAddress(), signer: agent })).type).to.equal("AoP2Vault");
+  });
+
+  it("draws USDT and reports a trade's profit on AoP2Vault", async function () {
+    const { aop2Vault, agent, alice, feeRecipient, usdtToken } = await loadFixture(deployVaultsFixture);
+    await aop2Vault.connect(alice).deposit(usdt("1000"));
+    const client = await AgentClient.connect({ vault: await aop2Vault.getAddress(), signer: agent });
+
+    const request = await client.requestFunds("500");
+    expect(request.asset).to.equal("USDT");
+    expect(request.amount).to.equal(usdt("500"));
+    expect((await client.getAllocation()).principal).to.equal(usdt("500"));
+    expect((await client.getAllocation()).available).to.equal(usdt("99500"));
+
+    const result = await client.reportTrade({ principal: usdt("500"), proceeds: usdt("600") });
+    expect(result.principal).to.equal(usdt("500"));
+    expect(result.pnl).to.equal(usdt("100"));
+    expect(result.returned).to.equal(usdt("600"));
+    expect(result.performanceFee).to.equal(usdt("20"));
+    expect(result.navBefore).to.equal(ethers.parseEther("1"));
+    expect(result.navAfter).to.equal(ethers.parseEther("1.08"));
+    expect(await usdtToken.balanceOf(feeRecipient.address)).to.equal(usdt("20"));
+    expect((await client.getAllocation()).principal).to.equal(0);
+  });
+
+  it("reports losses and approves exactly the USDT handed back", async function () {
+    const { aop2Vault, agent, alice, usdtToken } = await loadFixture(deployVaultsFixture);
+    const vaultAddress = await aop2Vault.getAddress();
+    await aop2Vault.connect(alice).deposit(usdt("1000"));
+    await usdtToken.connect(agent).approve(vaultAddress, 0);
+    const client = await AgentClient.connect({ vault: vaultAddress, signer: agent });
+    await client.requestFunds(usdt("400"));
+
+    const result = await client.reportTrade({ principal: "400", proceeds: "300" });
+
+    expect(result.pnl).to.equal(-usdt("100"));
+    expect(result.returned).to.equal(usdt("300"));
+    expect(result.performanceFee).to.equal(0);
+    expect(result.navAfter).to.equal(ethers.parseEther("0.9"));
+    expect(await usdtToken.allowance(agent.address, vaultAddress)).to.equal(0);
+  });
+
+  it("keeps nonces in order for calls sent without waiting", async function () {
+    const { aop2Vault, agent, alice } = await loadFixture(deployVaultsFixture);
+    await aop2Vault.connect(alice).deposit(usdt("1000"));
+    const client = await AgentClient.connect({ vault: await aop2Vault.getAddress(), signer: agent });
+
+    const results = await Promise.all([client.requestFunds("100"), client.requestFunds("200"), client.requestFunds("300")]);
+
+    expect(results.map((result) => result.amount)).to.deep.equal([usdt("100"), usdt("200"), usdt("300")]);
+    expect((await client.getAllocation()).principal).to.equal(usdt("600"));
+  });
+
+  it("recovers its nonce after a call that could not be sent", async function () {
+    const { aop2Vault, agent, alice } = await loadFixture(deployVaultsFixture);
+    await aop2Vault.connect(alice).deposit(usdt("1000"));
+    const client = await AgentClient.connect({ vault: await aop2Vault.getAddress(), signer: agent });
+
+    await expect(client.requestFunds("2000")).to.be.rejectedWith("Insufficient USDT in vault");
+    expect((await client.requestFunds("100")).amount).to.equal(usdt("100"));
+  });
+
+  it("attaches a fresh MON/USD update and its fee to AoP1Vault USDT returns", async function () {
+    const { aop1Vault, pyth, agent, alice } = await loadFixture(deployVaultsFixture);
+    await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("100") });
+    await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+    const vaultAddress = await aop1Vault.getAddress();
+
+    const stale = await AgentClient.connect({ vault: vaultAddress, signer: agent });
+    await stale.requestFunds(usdt("500"));
+    await time.increase(120);
+    await expect(stale.returnFunds({ principal: usdt("500"), pnl: usdt("50") })).to.be.rejectedWith("MON price is stale");
+
+    const source = mockPriceSource(pyth, { price: "3", fetches: 0 });
+    const client = await AgentClient.connect({ vault: vaultAddress, signer: agent, priceSource: source });
+    const result = await client.returnFunds({ principal: usdt("500"), pnl: usdt("50") });
+
+    expect(source.state.fetches).to.equal(1);
+    expect(result.priceUpdateFee).to.equal(PYTH_UPDATE_FEE);
+    expect(result.returned).to.equal(usdt("550"));
+    expect(result.performanceFee).to.equal(usdt("10"));
+    expect(await aop1Vault.getCurrentMonPrice()).to.equal(usdt("3"));
+  });
+
+  it("draws and returns MON on AoP1Vault, pushing the price update to Pyth first", async function () {
+    const { aop1Vault, pyth, agent, alice } = await loadFixture(deployVaultsFixture);
+    await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("100") });
+    const client = await AgentClient.connect({
+      vault: await aop1Vault.getAddress(),
+      signer: agent,
+      priceSource: mockPriceSource(pyth)
+    });
+
+    const request = await client.requestFunds("10", { asset: "MON" });
+    expect(request.amount).to.equal(mon("10"));
+    expect((await client.getAllocation("MON")).principal).to.equal(mon("10"));
+
+    await time.increase(120);
+    const result = await client.reportTrade({ principal: mon("10"), proceeds: mon("12"), asset: "MON" });
+
+    expect(result.asset).to.equal("MON");
+    expect(result.pnl).to.equal(mon("2"));
+    expect(result.returned).to.equal(mon("12"));
+    expect(result.priceUpdateFee).to.equal(PYTH_UPDATE_FEE);
+    expect(await aop1Vault.totalMonValue()).to.equal(mon("101.6"));
+  });
+
+  it("refreshes the price before drawing funds while a max allocation is set", async function () {
+    const { factory, aop1Vault, pyth, agent, alice } = await loadFixture(deployVaultsFixture);
+    await factory.setMaxAgentAllocation(await aop1Vault.getAddress(), 5000);
+    await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("100") });
+    await time.increase(120);
+    const source = mockPriceSource(pyth);
+    const client = await AgentClient.connect({ vault: await aop1Vault.getAddress(), signer: agent, priceSource: source });
+
+    await client.requestFunds("10", { asset: "MON" });
+
+    expect(source.state.fetches).to.equal(1);
+    expect((await client.getAllocation("MON")).principal).to.equal(mon("10"));
+  });
+
+  it("checks reports before sending them", async function () {
+    const { aop2Vault, agent, alice } = await loadFixture(deployVaultsFixture);
+    await aop2Vault.connect(alice).deposit(usdt("1000"));
+    const client = await AgentClient.connect({ vault: await aop2Vault.getAddress(), signer: agent });
+    await client.requestFunds("100");
+
+    await expect(client.requestFunds("1", { asset: "MON" })).to.be.rejectedWith("AoP2Vault does not hold MON");
+    await expect(client.returnFunds({ principal: usdt("100"), pnl: -usdt("101") })).to.be.rejectedWith("Loss exceeds principal");
+    await expect(client.returnFunds({ principal: usdt("200"), pnl: 0n })).to.be.rejectedWith("exceeds the 100000000 outstanding");
+    expect(toPnlReport(usdt("100"), usdt("90"))).to.deep.equal({ principal: usdt("100"), pnl: -usdt("10") });
+    expect(() => toPnlReport(0n, 0n)).to.throw("Nothing to return");
+  });
+});
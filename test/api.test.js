@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const http = require("http");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployVaultsFixture, setMonPrice, usdt, mon, AOP1_NAME, AOP2_NAME } = require("./fixtures");
+const { VaultApi, startApiServer, filterNavHistory, parseInterval } = require("../scripts/lib/api");
+
+const { ethers } = hre;
+
+async function getJson(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      let body = "";
+      res.on("data", (chunk) => (body += chunk));
+      res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(body) }));
+    }).on("error", reject);
+  });
+}
+
+describe("Vault API", function () {
+  let server;
+
+  afterEach(async function () {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+      server = null;
+    }
+  });
+
+  async function setup() {
+    const fixture = await loadFixture(deployVaultsFixture);
+    const api = new VaultApi({ hre, factory: fixture.factory, log: () => {} });
+    server = await startApiServer(api, 0);
+    const get = (path) => getJson(`http://127.0.0.1:${server.address().port}${path}`);
+    return { ...fixture, api, get };
+  }
+
+  it("lists the factory's vaults with normalized statistics", async function () {
+    const { get, aop1Vault, aop2Vault, alice } = await setup();
+    await aop2Vault.connect(alice).deposit(usdt("250"));
+
+    const { status, headers, body } = await get("/vaults");
+
+    expect(status).to.equal(200);
+    expect(headers["x-block-number"]).to.equal(String(await ethers.provider.getBlockNumber()));
+    expect(body.map((vault) => [vault.name, vault.type, vault.address])).to.deep.equal([
+      [AOP1_NAME, "AoP1Vault", await aop1Vault.getAddress()],
+      [AOP2_NAME, "AoP2Vault", await aop2Vault.getAddress()]
+    ]);
+    expect(body[1].totalAssets).to.deep.equal({ raw: "250000000", formatted: "250.0" });
+    expect(body[1].userCount).to.equal(1);
+  });
+
+  it("serves vault details and user positions for both vault types", async function () {
+    const { get, aop1Vault, aop2Vault, pyth, alice } = await setup();
+    await setMonPrice(pyth, "2.5");
+    await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+
+    const { body: vault } = await get(`/vaults/${await aop1Vault.getAddress()}`);
+    expect(vault.symbol).to.equal("AOP1");
+    expect(vault.monBalance.formatted).to.equal("10.0");
+    expect(vault.performanceFee).to.equal("20.00%");
+    expect(vault.highWaterMark.formatted).to.equal("1.0");
+
+    const { body: position } = await get(`/vaults/${await aop1Vault.getAddress()}/users/${alice.address.toLowerCase()}`);
+    expect(position.user).to.equal(alice.address);
+    expect(position.shares.formatted).to.equal("25.0");
+    expect(position.monDeposited).to.deep.equal({ raw: mon("10").toString(), formatted: "10.0" });
+    expect(position.costBasis).to.deep.equal({ raw: usdt("25").toString(), formatted: "25.0" });
+    expect(position.unrealizedPnl.formatted).to.equal("0.0");
+
+    const { body: empty } = await get(`/vaults/${await aop2Vault.getAddress()}/users/${alice.address}`);
+    expect(empty.shares.formatted).to.equal("0.0");
+    expect(empty.monDeposited.formatted).to.equal("0.0");
+  });
+
+  it("filters and buckets the NAV history", async function () {
+    const { get, aop2Vault, agent, alice } = await setup();
+    await aop2Vault.connect(alice).deposit(usdt("1000"));
+    await aop2Vault.connect(agent).requestFunds(usdt("300"));
+    const start = await time.latest();
+    for (const profit of ["10", "20", "30"]) {
+      await time.increase(3600);
+      await aop2Vault.connect(agent).returnFunds(usdt("100"), usdt(profit));
+    }
+
+    const path = `/vaults/${await aop2Vault.getAddress()}/nav`;
+    const { body: all } = await get(path);
+    expect(all.history.map((snapshot) => snapshot.navPerShare.formatted)).to.deep.equal(["1.0", "1.008", "1.024", "1.048"]);
+
+    const { body: recent } = await get(`${path}?from=${start + 3601 + 1}`);
+    expect(recent.history).to.have.length(2);
+
+    const { body: daily } = await get(`${path}?interval=1d`);
+    expect(daily.history.at(-1).navPerShare.formatted).to.equal("1.048");
+    expect(daily.history.length).to.be.at.most(2);
+
+    const { status, body } = await get(`${path}?interval=soon`);
+    expect(status).to.equal(400);
+    expect(body.error).to.match(/Invalid interval/);
+  });
+
+  it("reports the MON/USD price and its age", async function () {
+    const { get, pyth } = await setup();
+    const publishTime = (await time.latest()) - 30;
+    await setMonPrice(pyth, "3.25", { publishTime });
+
+    const { body } = await get("/prices/mon-usd");
+
+    expect(body.price).to.deep.equal({ raw: "325000000", formatted: "3.25" });
+    expect(body.expo).to.equal(-8);
+    expect(body.age).to.equal((await time.latest()) - publishTime);
+    expect(body.maxPriceAge).to.equal(60);
+    expect(body.stale).to.equal(false);
+  });
+
+  it("reports the price as stale against the vaults' configured maxPriceAge", async function () {
+    const { get, factory, pyth, aop1Vault } = await setup();
+    await setMonPrice(pyth, "3.25", { publishTime: (await time.latest()) - 30 });
+    await factory.setVaultOracleConfig(await aop1Vault.getAddress(), 20, 200);
+
+    const { body } = await get("/prices/mon-usd");
+    expect(body.maxPriceAge).to.equal(20);
+    expect(body.stale).to.equal(true);
+
+    const api = new VaultApi({ hre, factory, maxPriceAge: 120, log: () => {} });
+    const { body: lenient } = await api.handle("/prices/mon-usd", new URLSearchParams());
+    expect(lenient).to.include({ maxPriceAge: 120, stale: false });
+  });
+
+  it("caches responses until a new block is mined", async function () {
+    const { api, factory } = await setup();
+    let calls = 0;
+    const getVaultStatistics = factory.getVaultStatistics;
+    factory.getVaultStatistics = (...args) => {
+      calls++;
+      return getVaultStatistics(...args);
+    };
+
+    try {
+      await api.handle("/vaults", new URLSearchParams());
+      await api.handle("/vaults", new URLSearchParams());
+      expect(calls).to.equal(2);
+
+      await hre.network.provider.send("evm_mine");
+      await api.handle("/vaults", new URLSearchParams());
+      expect(calls).to.equal(4);
+    } finally {
+      factory.getVaultStatistics = getVaultStatistics;
+    }
+  });
+
+  it("rejects unknown vaults and routes", async function () {
+    const { get, alice } = await setup();
+
+    expect((await get(`/vaults/${alice.address}`)).status).to.equal(404);
+    expect((await get("/vaults/not-an-address")).status).to.equal(400);
+    expect((await get("/unknown")).status).to.equal(404);
+  });
+
+  it("parses intervals and downsamples snapshots", function () {
+    expect(parseInterval("15m")).to.equal(900);
+    expect(parseInterval("3600")).to.equal(3600);
+    const history = [10, 20, 3610, 3620].map((timestamp) => ({ timestamp }));
+    expect(filterNavHistory(history, { interval: 3600 }).map((s) => s.timestamp)).to.deep.equal([20, 3620]);
+    expect(filterNavHistory(history, { from: 15, to: 3610 }).map((s) => s.timestamp)).to.deep.equal([20, 3610]);
+  });
+});
@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parsePriceCsv, validateSchedule, toCsv, runBacktest } = require("../scripts/lib/backtest");
+
+const EXAMPLES_DIR = path.join(__dirname, "..", "examples", "backtest");
+
+/**
+ * Runs a task with console output captured
+ */
+async function runTask(name, args) {
+  const lines = [];
+  const log = console.log;
+  console.log = (...items) => lines.push(items.join(" "));
+  try {
+    const result = await hre.run(name, args);
+    return { result, output: lines.join("\n") };
+  } finally {
+    console.log = log;
+  }
+}
+
+describe("Backtester", function () {
+  it("parses price series and rebases their times", function () {
+    const prices = parsePriceCsv("# MON/USD\ntime,source,price\n1700000000,hermes,2.5\n\n1700000060,hermes,2.25\n");
+    expect(prices).to.deep.equal([
+      { time: 0, price: "2.5" },
+      { time: 60, price: "2.25" }
+    ]);
+
+    expect(() => parsePriceCsv("timestamp,price\n0,1")).to.throw('the header needs "time" and "price" columns');
+    expect(() => parsePriceCsv("time,price\n0,1\n0,2", "prices.csv")).to.throw("prices.csv line 3: times must increase");
+    expect(() => parsePriceCsv("time,price\n0,-1")).to.throw('line 2: invalid price "-1"');
+    expect(() => parsePriceCsv("time,price\n0,0.123456789")).to.throw("at most 8 decimals");
+  });
+
+  it("checks schedules before deploying anything", function () {
+    const schedule = (changes) => ({
+      vault: { type: "AoP2Vault" },
+      users: { alice: { usdt: "100" } },
+      agents: { desk: { usdt: "100" } },
+      steps: [],
+      ...changes
+    });
+
+    expect(() => validateSchedule(schedule({}))).to.not.throw();
+    expect(() => validateSchedule(schedule({ vault: { type: "AoP3Vault" } }))).to.throw('"vault.type" must be one of');
+    expect(() => validateSchedule(schedule({ oracle: { maxAge: 60 } }))).to.throw("only AoP1Vault uses the MON/USD oracle");
+    expect(() => validateSchedule(schedule({ steps: [{ time: 0, action: "deposit", user: "bob", amount: "1" }] })))
+      .to.throw('step 0 needs a "user" listed in "users"');
+    expect(() => validateSchedule(schedule({ steps: [{ time: 0, action: "deposit", user: "alice", amount: "1", asset: "MON" }] })))
+      .to.throw('asset AoP2Vault does not hold: "MON"');
+    expect(() => validateSchedule(schedule({ steps: [{ time: 0, action: "returnFunds", agent: "desk", principal: "all", pnl: "5x" }] })))
+      .to.throw('invalid "pnl"');
+    expect(() => validateSchedule(schedule({ steps: [{ action: "withdraw", user: "alice", shares: "all" }] })))
+      .to.throw('step 0 needs a "time"');
+  });
+
+  it("writes rows as CSV, quoting where needed", function () {
+    expect(toCsv([{ event: "withdraw", error: 'reverted, "stale"' }, { event: "price", error: "" }])).to.equal(
+      'event,error\nwithdraw,"reverted, ""stale"""\nprice,'
+    );
+    expect(toCsv([])).to.equal("");
+  });
+
+  it("charges AoP2Vault's performance fee on agent PnL and reports each user's result", async function () {
+    const blockNumber = await hre.ethers.provider.getBlockNumber();
+    const { summary, steps } = await runBacktest(hre, {
+      schedule: {
+        vault: { type: "AoP2Vault", performanceFee: 2000 },
+        users: { alice: { usdt: "1000" }, bob: { usdt: "1000" } },
+        agents: { desk: { usdt: "5000" } },
+        steps: [
+          { time: 0, action: "deposit", user: "alice", amount: "1000" },
+          { time: 60, action: "requestFunds", agent: "desk", amount: "500" },
+          { time: 3600, action: "returnFunds", agent: "desk", principal: "all", pnl: "20%" },
+          { time: 3600, action: "deposit", user: "bob", amount: "2000" },
+          { time: 7200, action: "withdraw", user: "alice", shares: "all" }
+        ]
+      }
+    });
+
+    expect(steps.map((step) => [step.event, step.status])).to.deep.equal([
+      ["deposit", "ok"],
+      ["requestFunds", "ok"],
+      ["returnFunds", "ok"],
+      ["deposit", "failed"],
+      ["withdraw", "ok"]
+    ]);
+    expect(steps[2]).to.include({ navPerShare: "1.08", totalValue: "1080.0", performanceFeesUsdt: "20.0", "alice.value": "1080.0" });
+    expect(steps[3].error).to.include("ERC20: transfer amount exceeds balance");
+    expect(steps[3].blockTime).to.equal(steps[2].blockTime + 1);
+    expect(summary).to.deep.include({ vault: "AoP2Vault", performanceFee: 2000, failed: 1, monPrice: null });
+    expect(summary.users.alice).to.deep.equal({ deposited: "1000.0", withdrawn: "1080.0", value: "0.0", pnl: "80.0" });
+    expect(summary.users.bob.pnl).to.equal("0.0");
+
+    // The chain is left as it was
+    expect(await hre.ethers.provider.getBlockNumber()).to.equal(blockNumber);
+  });
+
+  it("replays the MON drawdown example through the task, failing withdrawals on stale prices", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "backtest-"));
+    const out = path.join(dir, "results.json");
+    const { result, output } = await runTask("backtest", {
+      schedule: path.join(EXAMPLES_DIR, "mon-drawdown.json"),
+      prices: path.join(EXAMPLES_DIR, "mon-drawdown.csv"),
+      out
+    });
+
+    const { summary, steps } = JSON.parse(fs.readFileSync(out, "utf8"));
+    fs.rmSync(dir, { recursive: true, force: true });
+    expect(steps).to.deep.equal(result.steps);
+    expect(steps).to.have.length(16);
+    expect(summary.monPrice).to.equal("1.5");
+    expect(summary.failures).to.deep.equal([
+      { time: 10900, event: "withdraw", account: "bob", error: "MON price is stale" },
+      { time: 14410, event: "withdraw", account: "bob", error: "Insufficient MON liquidity" }
+    ]);
+    expect(steps.find((step) => step.time === 10900).priceAge).to.equal(100);
+    // The agent's USDT profit only makes up part of the MON drawdown, so no performance fee is due
+    expect(summary.fees.performanceUsdt).to.equal("0.0");
+    expect(summary.navPerShare).to.equal("0.888321164697884228");
+    expect(summary.users.alice).to.include({ deposited: "10000.0", withdrawn: "8883.211644", value: "0.0" });
+    expect(summary.users.bob).to.include({ deposited: "5000.0", withdrawn: "0.0", pnl: "-558.394149" });
+    expect(output).to.include("Wrote 16 rows to");
+    expect(output).to.include("failed at 10900s: withdraw by bob: MON price is stale");
+  });
+});
@@ -0,0 +1,18 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+// Largest deployed bytecode Monad accepts; the local network has no limit (see hardhat.config.js)
+const MONAD_MAX_CONTRACT_SIZE = 128 * 1024;
+
+describe("Contract sizes", function () {
+  it("keeps every contract within Monad's contract size limit", async function () {
+    const names = (await hre.artifacts.getAllFullyQualifiedNames()).filter((name) => name.startsWith("contracts/"));
+    expect(names).to.not.be.empty;
+
+    for (const name of names) {
+      const { deployedBytecode } = await hre.artifacts.readArtifact(name);
+      const size = (deployedBytecode.length - 2) / 2;
+      expect(size, `${name} is ${size} bytes`).to.be.at.most(MONAD_MAX_CONTRACT_SIZE);
+    }
+  });
+});
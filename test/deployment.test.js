@@ -0,0 +1,246 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploySuite, loadDeploymentInfo, loadDeployConfig } = require("../scripts/lib/deployment");
+
+const { ethers } = hre;
+
+describe("Deployment pipeline", function () {
+  let infoPath;
+  let config;
+
+  beforeEach(async function () {
+    const [, , agent] = await ethers.getSigners();
+    infoPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "aop-deploy-")), "deployment-info.json");
+    config = loadDeployConfig("hardhat");
+    config.vaults[0].agents = [agent.address];
+  });
+
+  afterEach(function () {
+    fs.rmSync(path.dirname(infoPath), { recursive: true, force: true });
+  });
+
+  it("deploys mocks, factory and vaults and records them by chainId", async function () {
+    const [deployer, , agent] = await ethers.getSigners();
+    const record = await deploySuite(hre, { config, infoPath, log: () => {} });
+
+    const info = loadDeploymentInfo(infoPath);
+    expect(Object.keys(info)).to.deep.equal(["31337"]);
+    expect(info["31337"]).to.deep.equal(record);
+    expect(record.network).to.equal("hardhat");
+    expect(record.config.feeRecipient).to.equal(deployer.address);
+
+    const factory = await ethers.getContractAt("VaultFactory", record.factory);
+    expect(await factory.usdtToken()).to.equal(record.testContracts.MockUSDT);
+    expect(await factory.pythContract()).to.equal(record.testContracts.MockPythOracle);
+    expect(await factory.router()).to.equal(record.router);
+    expect((await factory.implementations(0)).implementation).to.equal(record.implementations.AoP1Vault);
+    expect((await factory.implementations(2)).implementation).to.equal(record.implementations.AoP2Vault4626);
+
+    const aop1 = record.vaults["Agent of Profits Vault 1"];
+    const aop2 = record.vaults["Agent of Profits Vault 2"];
+    expect(await factory.vaults("Agent of Profits Vault 1")).to.equal(aop1.address);
+    expect(await factory.isAoP1Vault(aop1.address)).to.equal(true);
+    expect(await factory.isAoP1Vault(aop2.address)).to.equal(false);
+
+    const vault = await ethers.getContractAt("AoP1Vault", aop1.address);
+    expect(await vault.symbol()).to.equal("AOP1");
+    expect(await vault.hasRole(await vault.AGENT_ROLE(), agent.address)).to.equal(true);
+    expect(await vault.hasRole(await vault.ROUTER_ROLE(), record.router)).to.equal(true);
+    expect(await vault.getCurrentMonPrice()).to.equal(ethers.parseUnits("2.5", 6));
+  });
+
+  it("skips every step that is already recorded", async function () {
+    const first = await deploySuite(hre, { config, infoPath, log: () => {} });
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    const second = await deploySuite(hre, { config, infoPath, log: () => {} });
+
+    expect(second.factory).to.equal(first.factory);
+    expect(second.router).to.equal(first.router);
+    expect(second.vaults).to.deep.equal(first.vaults);
+    // Only the mock price refresh is sent on a re-run
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore + 1);
+  });
+
+  it("adds new vaults and agents from the config on a re-run", async function () {
+    const [, , , , bob] = await ethers.getSigners();
+    const first = await deploySuite(hre, { config, infoPath, log: () => {} });
+
+    config.vaults.push({ name: "Agent of Profits Vault 3", symbol: "AOP3", type: "AoP2Vault", agents: [bob.address] });
+    const second = await deploySuite(hre, { config, infoPath, log: () => {} });
+
+    expect(second.factory).to.equal(first.factory);
+    expect(second.router).to.equal(first.router);
+    const vault = await ethers.getContractAt("AoP2Vault", second.vaults["Agent of Profits Vault 3"].address);
+    expect(await vault.hasRole(await vault.AGENT_ROLE(), bob.address)).to.equal(true);
+  });
+
+  it("redeploys the factory when its constructor arguments change", async function () {
+    const [, , , alice] = await ethers.getSigners();
+    const first = await deploySuite(hre, { config, infoPath, log: () => {} });
+
+    config.feeRecipient = alice.address;
+    const second = await deploySuite(hre, { config, infoPath, log: () => {} });
+
+    expect(second.implementations).to.deep.equal(first.implementations);
+    expect(second.factory).to.not.equal(first.factory);
+    expect(second.router).to.not.equal(first.router);
+    expect(second.vaults["Agent of Profits Vault 1"].address)
+      .to.not.equal(first.vaults["Agent of Profits Vault 1"].address);
+  });
+
+  it("redeploys recorded contracts that have no code", async function () {
+    const first = await deploySuite(hre, { config, infoPath, log: () => {} });
+
+    const info = loadDeploymentInfo(infoPath);
+    info["31337"].factory = ethers.Wallet.createRandom().address;
+    info["31337"].implementations.AoP1Vault = ethers.Wallet.createRandom().address;
+    fs.writeFileSync(infoPath, JSON.stringify(info));
+
+    const second = await deploySuite(hre, { config, infoPath, log: () => {} });
+    expect(second.factory).to.not.equal(info["31337"].factory);
+    expect(second.router).to.not.equal(first.router);
+    expect(second.implementations.AoP1Vault).to.not.equal(info["31337"].implementations.AoP1Vault);
+    expect(second.implementations.AoP2Vault).to.equal(first.implementations.AoP2Vault);
+  });
+
+  it("redeploys the factory over a record that still lists the helper libraries it was linked against", async function () {
+    const first = await deploySuite(hre, { config, infoPath, log: () => {} });
+
+    const info = loadDeploymentInfo(infoPath);
+    info["31337"].libraries = { VaultHelpers: ethers.Wallet.createRandom().address };
+    fs.writeFileSync(infoPath, JSON.stringify(info));
+
+    const second = await deploySuite(hre, { config, infoPath, log: () => {} });
+    expect(second).to.not.have.property("libraries");
+    expect(second.factory).to.not.equal(first.factory);
+    expect(second.implementations).to.deep.equal(first.implementations);
+  });
+
+  it("applies per-vault fee tiers from the config", async function () {
+    config.vaults[1].performanceFee = 1500;
+    config.vaults[1].managementFee = 100;
+    const record = await deploySuite(hre, { config, infoPath, log: () => {} });
+
+    const vault = await ethers.getContractAt("AoP2Vault", record.vaults["Agent of Profits Vault 2"].address);
+    expect(await vault.performanceFee()).to.equal(1500);
+    expect(await vault.managementFee()).to.equal(100);
+
+    const aop1 = await ethers.getContractAt("AoP1Vault", record.vaults["Agent of Profits Vault 1"].address);
+    expect(await aop1.performanceFee()).to.equal(2000);
+
+    const blockBefore = await ethers.provider.getBlockNumber();
+    await deploySuite(hre, { config, infoPath, log: () => {} });
+    // Only the mock price refresh is sent once the fees match
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore + 1);
+  });
+
+  it("deploys new vaults with their fee tier once the factory is timelocked", async function () {
+    config.timelockDelay = 3600;
+    await deploySuite(hre, { config, infoPath, log: () => {} });
+
+    config.vaults.push({ name: "Agent of Profits Vault 3", symbol: "AOP3", type: "AoP2Vault4626", performanceFee: 500, managementFee: 50 });
+    const record = await deploySuite(hre, { config, infoPath, log: () => {} });
+
+    const vault = await ethers.getContractAt("AoP2Vault4626", record.vaults["Agent of Profits Vault 3"].address);
+    expect(await vault.performanceFee()).to.equal(500);
+    expect(await vault.managementFee()).to.equal(50);
+  });
+
+  it("applies agent credit limits and max allocations from the config", async function () {
+    const [, , agent] = await ethers.getSigners();
+    config.vaults[0].creditLimits = { [agent.address]: { usdt: "5000", mon: "200" } };
+    config.vaults[0].maxAgentAllocation = 2500;
+    const record = await deploySuite(hre, { config, infoPath, log: () => {} });
+
+    const vault = await ethers.getContractAt("AoP1Vault", record.vaults["Agent of Profits Vault 1"].address);
+    expect((await vault.agentAllocations(agent.address, await vault.usdtToken())).creditLimit)
+      .to.equal(ethers.parseUnits("5000", 6));
+    expect((await vault.agentAllocations(agent.address, ethers.ZeroAddress)).creditLimit)
+      .to.equal(ethers.parseEther("200"));
+    expect(await vault.maxAgentAllocation()).to.equal(2500);
+
+    const blockBefore = await ethers.provider.getBlockNumber();
+    await deploySuite(hre, { config, infoPath, log: () => {} });
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore + 1);
+  });
+
+  it("deploys vaults with the configured deposit limits and updates them on a re-run", async function () {
+    config.vaults[1].depositLimits = { maxTotalAssets: "250000", minDeposit: "10" };
+    const record = await deploySuite(hre, { config, infoPath, log: () => {} });
+
+    const vault = await ethers.getContractAt("AoP2Vault", record.vaults["Agent of Profits Vault 2"].address);
+    expect((await vault.depositLimits()).maxTotalAssets).to.equal(ethers.parseUnits("250000", 6));
+    expect((await vault.depositLimits()).minDeposit).to.equal(ethers.parseUnits("10", 6));
+
+    config.vaults[1].depositLimits = { maxTotalAssets: "500000", minDeposit: "10", allowlistOnly: true };
+    await deploySuite(hre, { config, infoPath, log: () => {} });
+    expect((await vault.depositLimits()).maxTotalAssets).to.equal(ethers.parseUnits("500000", 6));
+    expect((await vault.depositLimits()).allowlistOnly).to.equal(true);
+  });
+
+  it("rejects deposit limits with a minimum above a cap", async function () {
+    config.vaults[0].depositLimits = { maxUserDeposit: "100", minDeposit: "500" };
+
+    await expect(deploySuite(hre, { config, infoPath, log: () => {} }))
+      .to.be.rejectedWith("depositLimits.minDeposit above maxUserDeposit");
+  });
+
+  it("applies vault lockups from the config and rejects an early exit fee without a period", async function () {
+    config.vaults[1].lockup = { lockupPeriod: 604800, noticePeriod: 86400 };
+    const record = await deploySuite(hre, { config, infoPath, log: () => {} });
+
+    const vault = await ethers.getContractAt("AoP2Vault", record.vaults["Agent of Profits Vault 2"].address);
+    const lockup = await vault.lockupConfig();
+    expect(lockup.lockupPeriod).to.equal(604800);
+    expect(lockup.noticePeriod).to.equal(86400);
+    expect(lockup.earlyExitFee).to.equal(0);
+
+    config.vaults[1].lockup = { earlyExitFee: 200 };
+    await expect(deploySuite(hre, { config, infoPath, log: () => {} }))
+      .to.be.rejectedWith("needs both lockup.earlyExitFee and lockup.earlyExitPeriod, or neither");
+  });
+
+  it("turns the timelock on last and leaves later changes to timelocked actions", async function () {
+    const [, , agent, other] = await ethers.getSigners();
+    config.timelockDelay = 86400;
+    const record = await deploySuite(hre, { config, infoPath, log: () => {} });
+
+    const factory = await ethers.getContractAt("VaultFactory", record.factory);
+    const vaultAddress = record.vaults["Agent of Profits Vault 1"].address;
+    const vault = await ethers.getContractAt("AoP1Vault", vaultAddress);
+    expect(await factory.timelockDelay()).to.equal(86400);
+    expect(await vault.hasRole(await vault.AGENT_ROLE(), agent.address)).to.equal(true);
+
+    const logs = [];
+    config.vaults[0].agents.push(other.address);
+    await deploySuite(hre, { config, infoPath, log: (line) => logs.push(line) });
+    expect(await vault.hasRole(await vault.AGENT_ROLE(), other.address)).to.equal(false);
+    expect(logs).to.include(`  - agent ${other.address}: needs a timelocked addAgentToVault action, skipping`);
+  });
+
+  it("rejects timelock delays over 30 days", async function () {
+    config.timelockDelay = 31 * 24 * 60 * 60;
+
+    await expect(deploySuite(hre, { config, infoPath, log: () => {} }))
+      .to.be.rejectedWith('"timelockDelay" must be a number of seconds up to 30 days');
+  });
+
+  it("rejects MON credit limits on USDT-only vaults", async function () {
+    const [, , agent] = await ethers.getSigners();
+    config.vaults[1].creditLimits = { [agent.address]: { usdt: "10", mon: "1" } };
+
+    await expect(deploySuite(hre, { config, infoPath, log: () => {} }))
+      .to.be.rejectedWith("does not hold MON");
+  });
+
+  it("rejects configs with unknown vault types", async function () {
+    config.vaults.push({ name: "Broken", symbol: "BRK", type: "AoP3Vault" });
+
+    await expect(deploySuite(hre, { config, infoPath, log: () => {} }))
+      .to.be.rejectedWith('unknown type "AoP3Vault"');
+  });
+});
@@ -0,0 +1,141 @@
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { NO_DEPOSIT_LIMITS } = require("../scripts/lib/deployment");
+
+// Price feed ID for MON/USD (same as Monad testnet)
+const MON_USD_PRICE_ID = "0xe786153cc54abd4b0e53b4c246d54d9f8eb3f3b5a34d4fc5a2e9a423b0ba5d6b";
+
+// Pyth prices use 8 decimals for the MON/USD feed
+const PRICE_EXPO = -8;
+const PYTH_UPDATE_FEE = 1n;
+
+const AOP1_NAME = "Agent of Profits Vault 1";
+const AOP2_NAME = "Agent of Profits Vault 2";
+
+// VaultFees.FeeConfig matching the factory's default fee tier: 20% performance fee, no management fee
+const DEFAULT_FEES = { performanceFee: 2000n, managementFee: 0n };
+
+const usdt = (value) => ethers.parseUnits(value, 6);
+const mon = (value) => ethers.parseEther(value);
+const shares = (value) => ethers.parseEther(value);
+
+/**
+ * Converts a human readable USD price into Pyth's fixed-point representation
+ */
+function toPythPrice(value, expo = PRICE_EXPO) {
+  return ethers.parseUnits(value, -expo);
+}
+
+/**
+ * Sets the MON/USD price on the mock oracle, published at the latest block time
+ */
+async function setMonPrice(pyth, value, { expo = PRICE_EXPO, conf = 0n, publishTime } = {}) {
+  const timestamp = publishTime ?? (await time.latest());
+  await pyth.setPrice(MON_USD_PRICE_ID, toPythPrice(value, expo), conf, expo, timestamp);
+}
+
+/**
+ * Builds Pyth update data understood by the mock oracle
+ */
+async function buildPriceUpdate(pyth, value, { expo = PRICE_EXPO, conf = 0n, publishTime } = {}) {
+  const timestamp = publishTime ?? (await time.latest());
+  const price = toPythPrice(value, expo);
+  return pyth.createPriceFeedUpdateData(
+    MON_USD_PRICE_ID,
+    price,
+    conf,
+    expo,
+    price,
+    conf,
+    timestamp,
+    0
+  );
+}
+
+// VaultFactory.VaultType of each vault contract
+const VAULT_TYPE_IDS = { AoP1Vault: 0, AoP2Vault: 1, AoP2Vault4626: 2 };
+
+/**
+ * Deploys the vault implementations and registers them with the factory
+ */
+async function deployImplementations(factory) {
+  const implementations = {};
+  for (const [name, vaultType] of Object.entries(VAULT_TYPE_IDS)) {
+    const implementation = await ethers.deployContract(name);
+    implementations[name] = implementation;
+    await factory.setVaultImplementation(vaultType, await implementation.getAddress());
+  }
+  return implementations;
+}
+
+/**
+ * Deploys the mocks, factory and one vault of each type with an agent attached
+ */
+async function deployVaultsFixture() {
+  const [owner, feeRecipient, agent, alice, bob, carol] = await ethers.getSigners();
+
+  const usdtToken = await ethers.deployContract("MockUSDT");
+  const pyth = await ethers.deployContract("MockPythOracle", [60, PYTH_UPDATE_FEE]);
+  await setMonPrice(pyth, "2.5");
+
+  const factory = await ethers.deployContract(
+    "VaultFactory",
+    [await usdtToken.getAddress(), feeRecipient.address, await pyth.getAddress(), MON_USD_PRICE_ID]
+  );
+  const implementations = await deployImplementations(factory);
+  const router = await ethers.deployContract("VaultRouter", [await factory.getAddress()]);
+  await factory.setRouter(await router.getAddress());
+
+  await factory.deployAoP1Vault(AOP1_NAME, "AOP1", DEFAULT_FEES, NO_DEPOSIT_LIMITS);
+  await factory.deployAoP2Vault(AOP2_NAME, "AOP2", DEFAULT_FEES, NO_DEPOSIT_LIMITS);
+
+  const aop1Vault = await ethers.getContractAt("AoP1Vault", await factory.vaults(AOP1_NAME));
+  const aop2Vault = await ethers.getContractAt("AoP2Vault", await factory.vaults(AOP2_NAME));
+
+  await factory.addAgentToVault(await aop1Vault.getAddress(), agent.address);
+  await factory.addAgentToVault(await aop2Vault.getAddress(), agent.address);
+  await factory.setAgentCreditLimits(await aop1Vault.getAddress(), agent.address, usdt("100000"), mon("1000"));
+  await factory.setAgentCreditLimits(await aop2Vault.getAddress(), agent.address, usdt("100000"), 0);
+
+  // Fund users and the agent with USDT and approve both vaults
+  for (const signer of [agent, alice, bob, carol]) {
+    await usdtToken.mint(signer.address, usdt("100000"));
+    await usdtToken.connect(signer).approve(await aop1Vault.getAddress(), ethers.MaxUint256);
+    await usdtToken.connect(signer).approve(await aop2Vault.getAddress(), ethers.MaxUint256);
+  }
+
+  return {
+    owner,
+    feeRecipient,
+    agent,
+    alice,
+    bob,
+    carol,
+    usdtToken,
+    pyth,
+    factory,
+    implementations,
+    router,
+    aop1Vault,
+    aop2Vault
+  };
+}
+
+module.exports = {
+  MON_USD_PRICE_ID,
+  PRICE_EXPO,
+  PYTH_UPDATE_FEE,
+  AOP1_NAME,
+  AOP2_NAME,
+  usdt,
+  mon,
+  shares,
+  toPythPrice,
+  setMonPrice,
+  buildPriceUpdate,
+  VAULT_TYPE_IDS,
+  DEFAULT_FEES,
+  NO_DEPOSIT_LIMITS,
+  deployImplementations,
+  deployVaultsFixture
+};
@@ -0,0 +1,234 @@
+const crypto = require("crypto");
+
+/**
+ * Property-based testing for sequences of vault operations.
+ *
+ * A property is a generator of random steps, plain JSON objects drawn from a seeded PRNG, and a runner
+ * that executes a sequence of them from a fresh fixture and throws when an invariant breaks. Failing
+ * sequences are shrunk to a minimal failing sequence, which is reported with the seed it came from:
+ *   FUZZ_SEED=<seed> FUZZ_RUNS=1 npx hardhat test test/invariants.test.js
+ * replays it, shrinking included, since generation and shrinking are deterministic.
+ *
+ * Environment variables:
+ * - FUZZ_SEED: seed of the first run (default 1, "random" for a random one); run i uses FUZZ_SEED + i
+ * - FUZZ_RUNS: sequences generated per property (default 4)
+ * - FUZZ_STEPS: steps per sequence (default 25)
+ * - FUZZ_SHRINK_RUNS: maximum sequences executed while shrinking (default 150)
+ */
+
+const DEFAULT_SEED = 1;
+const DEFAULT_RUNS = 4;
+const DEFAULT_STEPS = 25;
+const DEFAULT_SHRINK_RUNS = 150;
+
+/**
+ * Thrown by a runner when an invariant breaks
+ */
+class InvariantError extends Error {
+  /**
+   * @param invariant Name of the invariant
+   * @param message What was observed
+   * @param stepIndex Index of the step after which the invariant broke
+   */
+  constructor(invariant, message, stepIndex) {
+    super(`${invariant}: ${message}`);
+    this.name = "InvariantError";
+    this.invariant = invariant;
+    this.stepIndex = stepIndex;
+  }
+}
+
+/**
+ * Seeded PRNG (mulberry32) with helpers for drawing step parameters
+ */
+function createRng(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const rng = {
+    next,
+    /** Integer in [min, max] */
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    /** One of the items */
+    pick: (items) => items[Math.floor(next() * items.length)],
+    /** true with the given probability */
+    chance: (probability) => next() < probability,
+    /** One of the keys of weights, drawn in proportion to its weight */
+    weighted: (weights) => {
+      const entries = Object.entries(weights);
+      let roll = next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+      for (const [key, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) {
+          return key;
+        }
+      }
+      return entries[entries.length - 1][0];
+    },
+    /**
+     * BigInt amount of base units spread over orders of magnitude, so both dust and large
+     * amounts come up: 1 to 10^maxDigits units, with 1 unit and round amounts more likely
+     */
+    amount: (maxDigits) => {
+      if (next() < 0.1) {
+        return 1n;
+      }
+      const magnitude = 10n ** BigInt(rng.int(0, maxDigits - 1));
+      if (next() < 0.3) {
+        return BigInt(rng.int(1, 9)) * magnitude;
+      }
+      const value = (BigInt(rng.int(0, 999999999)) * magnitude * 10n) / 1000000000n;
+      return value > 0n ? value : 1n;
+    },
+    /** Basis points in [1, 10000], with all (10000) and a sliver more likely */
+    fraction: () => {
+      const roll = next();
+      return roll < 0.25 ? 10000 : roll < 0.35 ? rng.int(1, 10) : rng.int(1, 10000);
+    }
+  };
+  return rng;
+}
+
+/**
+ * Reads a non-negative integer option from the environment
+ */
+function envInt(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`${name} must be a non-negative integer, got "${value}"`);
+  }
+  return parsed;
+}
+
+/**
+ * Run options from the environment. The base seed is fixed, so runs are repeatable, unless FUZZ_SEED
+ * is "random"
+ */
+function fuzzOptions() {
+  return {
+    seed: process.env.FUZZ_SEED === "random" ? crypto.randomInt(0, 2 ** 31) : envInt("FUZZ_SEED", DEFAULT_SEED),
+    runs: envInt("FUZZ_RUNS", DEFAULT_RUNS),
+    steps: envInt("FUZZ_STEPS", DEFAULT_STEPS),
+    shrinkRuns: envInt("FUZZ_SHRINK_RUNS", DEFAULT_SHRINK_RUNS)
+  };
+}
+
+/**
+ * JSON with bigints written as strings, for reporting steps
+ */
+function formatStep(step) {
+  return JSON.stringify(step, (_, value) => (typeof value === "bigint" ? value.toString() : value));
+}
+
+/**
+ * Runs a sequence, returning the InvariantError it breaks with, or null if it passes.
+ * Errors other than InvariantError are bugs in the harness or the runner and are rethrown.
+ */
+async function failureOf(run, sequence) {
+  try {
+    await run(sequence);
+    return null;
+  } catch (error) {
+    if (error instanceof InvariantError) {
+      return error;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Shrinks a failing sequence while it keeps breaking the same invariant: first drops everything after
+ * the failing step, then removes chunks of steps from half the sequence down to single steps, then
+ * simplifies the remaining steps one at a time with the property's shrinkStep
+ * @return {Promise<{ sequence: object[], failure: InvariantError, runs: number }>}
+ */
+async function shrink({ run, shrinkStep }, sequence, failure, maxRuns) {
+  let runs = 0;
+  let current = sequence.slice(0, failure.stepIndex + 1);
+  let currentFailure = failure;
+
+  const attempt = async (candidate) => {
+    if (runs >= maxRuns || candidate.length === 0) {
+      return false;
+    }
+    runs++;
+    const candidateFailure = await failureOf(run, candidate);
+    if (!candidateFailure || candidateFailure.invariant !== failure.invariant) {
+      return false;
+    }
+    current = candidate.slice(0, candidateFailure.stepIndex + 1);
+    currentFailure = candidateFailure;
+    return true;
+  };
+
+  for (let size = Math.floor(current.length / 2); size >= 1; size = Math.floor(size / 2)) {
+    for (let start = 0; start + size <= current.length; ) {
+      if (!(await attempt([...current.slice(0, start), ...current.slice(start + size)]))) {
+        start += size;
+      }
+    }
+  }
+
+  if (shrinkStep) {
+    for (let i = 0; i < current.length; i++) {
+      for (const simpler of shrinkStep(current[i])) {
+        if (await attempt([...current.slice(0, i), simpler, ...current.slice(i + 1)])) {
+          break;
+        }
+      }
+    }
+  }
+
+  return { sequence: current, failure: currentFailure, runs };
+}
+
+/**
+ * Generates options.runs random sequences and runs each, shrinking and reporting the first failure
+ * @param property.name Name used in the report
+ * @param property.generate (rng, stepCount) => steps
+ * @param property.run async (steps) => void; starts from a fresh fixture and throws an InvariantError
+ *        naming the failing step when an invariant breaks
+ * @param property.shrinkStep step => simpler variants of the step, simplest first
+ * @param options Seed, runs, steps and shrinkRuns, see fuzzOptions
+ */
+async function checkProperty(property, options = fuzzOptions()) {
+  for (let i = 0; i < options.runs; i++) {
+    const seed = (options.seed + i) >>> 0;
+    const sequence = property.generate(createRng(seed), options.steps);
+    const failure = await failureOf(property.run, sequence);
+    if (!failure) {
+      continue;
+    }
+
+    const shrunk = await shrink(property, sequence, failure, options.shrinkRuns);
+    const steps = shrunk.sequence.map((step, index) => `  ${index}: ${formatStep(step)}`).join("\n");
+    const error = new Error(
+      `${property.name} broke ${shrunk.failure.message}\n` +
+        `after step ${shrunk.failure.stepIndex} of this sequence, shrunk from ${sequence.length} steps in ${shrunk.runs} runs:\n` +
+        `${steps}\n` +
+        `Replay with FUZZ_SEED=${seed} FUZZ_RUNS=1 FUZZ_STEPS=${options.steps}`
+    );
+    error.seed = seed;
+    error.sequence = shrunk.sequence;
+    throw error;
+  }
+}
+
+module.exports = {
+  InvariantError,
+  createRng,
+  fuzzOptions,
+  formatStep,
+  shrink,
+  checkProperty
+};
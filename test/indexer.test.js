@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployVaultsFixture, setMonPrice, usdt, mon, AOP1_NAME, AOP2_NAME, DEFAULT_FEES, NO_DEPOSIT_LIMITS } = require("./fixtures");
+const { VaultIndexer, openDatabase } = require("../scripts/lib/indexer");
+
+describe("VaultIndexer", function () {
+  let db;
+
+  afterEach(function () {
+    if (db) {
+      db.close();
+      db = null;
+    }
+  });
+
+  async function setup(options = {}) {
+    const fixture = await loadFixture(deployVaultsFixture);
+    db = openDatabase(":memory:");
+    const indexer = new VaultIndexer({
+      provider: ethers.provider,
+      factoryAddress: await fixture.factory.getAddress(),
+      db,
+      confirmations: 0,
+      log: () => {},
+      ...options
+    });
+    return { ...fixture, indexer };
+  }
+
+  const eventsOf = (vault, name) =>
+    db.prepare("SELECT * FROM events WHERE vault = ? AND event = ? ORDER BY block_number, log_index").all(vault, name);
+  const navOf = (vault) =>
+    db.prepare("SELECT * FROM nav_history WHERE vault = ? ORDER BY block_number, log_index").all(vault);
+
+  it("discovers vaults from VaultDeployed and stores normalized events", async function () {
+    const { indexer, aop2Vault, agent, alice } = await setup();
+    const vaultAddress = await aop2Vault.getAddress();
+    await aop2Vault.connect(alice).deposit(usdt("1000"));
+    await aop2Vault.connect(agent).requestFunds(usdt("100"));
+    await aop2Vault.connect(agent).returnFunds(usdt("100"), usdt("50"));
+    await aop2Vault.connect(alice).withdraw(ethers.parseEther("100"));
+
+    const result = await indexer.sync();
+
+    expect(result.vaults).to.equal(2);
+    expect(indexer.getVaults().map((vault) => [vault.name, vault.type])).to.deep.equal([
+      [AOP1_NAME, "AoP1Vault"],
+      [AOP2_NAME, "AoP2Vault"]
+    ]);
+
+    const [deposit] = eventsOf(vaultAddress, "Deposit");
+    expect(deposit.account).to.equal(alice.address);
+    expect(deposit.asset).to.equal("USDT");
+    expect(deposit.amount).to.equal("1000.0");
+    expect(deposit.amount_raw).to.equal("1000000000");
+    expect(JSON.parse(deposit.args).sharesIssued).to.deep.equal({ raw: ethers.parseEther("1000").toString(), formatted: "1000.0" });
+
+    expect(eventsOf(vaultAddress, "AgentFundRequest")[0].account).to.equal(agent.address);
+    expect(JSON.parse(eventsOf(vaultAddress, "FundsReturned")[0].args).profit.formatted).to.equal("50.0");
+    expect(JSON.parse(eventsOf(vaultAddress, "ProfitDistributed")[0].args).performanceFee.formatted).to.equal("10.0");
+    expect(eventsOf(vaultAddress, "Withdrawal")[0].amount).to.equal("104.0");
+
+    // A NAV point after the deposit, from the PerformanceMetrics of the return and after the withdrawal
+    expect(navOf(vaultAddress).map((nav) => [nav.nav_per_share, nav.total_value, nav.total_shares])).to.deep.equal([
+      ["1.0", "1000.0", "1000.0"],
+      ["1.04", "1040.0", "1000.0"],
+      ["1.04", "936.0", "900.0"]
+    ]);
+  });
+
+  it("stores the ERC-4626 events of an AoP2Vault4626 next to its AoP2Vault ones", async function () {
+    const { indexer, factory, usdtToken, alice, bob, carol } = await setup();
+    await factory.deployAoP2Vault4626("Indexed Vault", "IDX", DEFAULT_FEES, NO_DEPOSIT_LIMITS);
+    const vault = await ethers.getContractAt("AoP2Vault4626", await factory.vaults("Indexed Vault"));
+    const vaultAddress = await vault.getAddress();
+    await usdtToken.connect(alice).approve(vaultAddress, ethers.MaxUint256);
+    await vault.connect(alice)["deposit(uint256,address)"](usdt("100"), bob.address);
+    await vault.connect(bob).redeem(ethers.parseEther("40"), carol.address, bob.address);
+
+    await indexer.sync();
+
+    expect(indexer.getVaults().find((indexed) => indexed.address === vaultAddress).type).to.equal("AoP2Vault4626");
+    expect(eventsOf(vaultAddress, "Deposit").map((event) => [event.account, event.amount])).to.deep.equal([[bob.address, "100.0"]]);
+    const [deposit] = eventsOf(vaultAddress, "ERC4626Deposit");
+    expect([deposit.account, deposit.asset, deposit.amount]).to.deep.equal([bob.address, "USDT", "100.0"]);
+    expect(JSON.parse(deposit.args).sender).to.equal(alice.address);
+    expect(JSON.parse(deposit.args).shares.formatted).to.equal("100.0");
+
+    expect(eventsOf(vaultAddress, "Withdrawal").map((event) => [event.account, event.amount])).to.deep.equal([[bob.address, "40.0"]]);
+    const [withdraw] = eventsOf(vaultAddress, "ERC4626Withdraw");
+    expect([withdraw.account, withdraw.asset, withdraw.amount]).to.deep.equal([bob.address, "USDT", "40.0"]);
+    expect(JSON.parse(withdraw.args).receiver).to.equal(carol.address);
+
+    expect(navOf(vaultAddress).map((nav) => [nav.total_value, nav.total_shares])).to.deep.equal([
+      ["100.0", "100.0"],
+      ["60.0", "60.0"]
+    ]);
+  });
+
+  it("follows a queued withdrawal from its request to its claim", async function () {
+    const { indexer, aop2Vault, agent, alice } = await setup();
+    const vaultAddress = await aop2Vault.getAddress();
+    await aop2Vault.connect(alice).deposit(usdt("1000"));
+    await aop2Vault.connect(agent).requestFunds(usdt("1000"));
+    await aop2Vault.connect(alice).requestWithdrawal(ethers.parseEther("500"));
+    await indexer.sync();
+
+    // The settlement and claim are indexed in a later batch than the request
+    await aop2Vault.connect(agent).returnFunds(usdt("1000"), 0);
+    await aop2Vault.connect(alice).claimWithdrawal(0);
+    await indexer.sync();
+
+    const [requested] = eventsOf(vaultAddress, "WithdrawalRequested");
+    expect([requested.account, requested.asset, requested.amount]).to.deep.equal([alice.address, "USDT", null]);
+    expect(JSON.parse(requested.args).requestId).to.equal(0);
+    expect(JSON.parse(requested.args).shares.formatted).to.equal("500.0");
+
+    const [settled] = eventsOf(vaultAddress, "WithdrawalSettled");
+    expect([settled.account, settled.asset, settled.amount]).to.deep.equal([alice.address, "USDT", "500.0"]);
+    const [claimed] = eventsOf(vaultAddress, "WithdrawalClaimed");
+    expect([claimed.account, claimed.asset, claimed.amount]).to.deep.equal([alice.address, "USDT", "500.0"]);
+
+    // The settlement takes the payout out of the vault after the return's PerformanceMetrics
+    expect(navOf(vaultAddress).map((nav) => [nav.total_value, nav.total_shares])).to.deep.equal([
+      ["1000.0", "1000.0"],
+      ["1000.0", "1000.0"],
+      ["500.0", "500.0"]
+    ]);
+  });
+
+  it("stores both payouts of an AoP1Vault emergency withdrawal", async function () {
+    const { indexer, factory, aop1Vault, pyth, alice } = await setup();
+    const vaultAddress = await aop1Vault.getAddress();
+    await setMonPrice(pyth, "2.5");
+    await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+    await aop1Vault.connect(alice).depositUSDT(usdt("25"));
+    await factory.setVaultEmergencyMode(vaultAddress, true);
+    await aop1Vault.connect(alice).emergencyWithdraw(ethers.parseEther("50"));
+
+    await indexer.sync();
+
+    const [emergency] = eventsOf(vaultAddress, "EmergencyWithdrawal");
+    expect([emergency.account, emergency.asset, emergency.amount]).to.deep.equal([alice.address, null, null]);
+    const args = JSON.parse(emergency.args);
+    expect([args.usdtAmount.formatted, args.monAmount.formatted, args.sharesBurned.formatted]).to.deep.equal(["25.0", "10.0", "50.0"]);
+    expect(navOf(vaultAddress).at(-1).total_shares).to.equal("0.0");
+  });
+
+  it("scales AoP1Vault amounts by the asset they are in", async function () {
+    const { indexer, aop1Vault, pyth, agent, alice } = await setup();
+    const vaultAddress = await aop1Vault.getAddress();
+    await setMonPrice(pyth, "2.5");
+    await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+    await aop1Vault.connect(agent).requestFunds(mon("4"), true);
+    await setMonPrice(pyth, "2.5");
+    await aop1Vault.connect(agent).returnFunds(mon("4"), mon("1"), true, [], { value: mon("5") });
+
+    await indexer.sync();
+
+    const [deposit] = eventsOf(vaultAddress, "Deposit");
+    expect(deposit.asset).to.equal("MON");
+    expect(deposit.amount).to.equal("10.0");
+    expect(JSON.parse(deposit.args).sharesIssued.formatted).to.equal("25.0");
+
+    const [profit] = eventsOf(vaultAddress, "ProfitDistributed");
+    expect(profit.asset).to.equal("MON");
+    expect(profit.amount).to.equal("1.0");
+    expect(JSON.parse(profit.args).performanceFee.formatted).to.equal("0.2");
+
+    const [metrics] = eventsOf(vaultAddress, "PerformanceMetrics");
+    expect(JSON.parse(metrics.args).monBalance.formatted).to.equal("10.8");
+  });
+
+  it("resumes from its checkpoint in batches and stays behind the head", async function () {
+    const { indexer, factory, aop2Vault, alice } = await setup({ batchSize: 3, confirmations: 2 });
+    await aop2Vault.connect(alice).deposit(usdt("10"));
+    await mine(2);
+
+    const first = await indexer.sync();
+    const head = await ethers.provider.getBlockNumber();
+    expect(first.toBlock).to.equal(head - 2);
+    expect(indexer.getCheckpoint().blockNumber).to.equal(head - 2);
+    expect(eventsOf(await aop2Vault.getAddress(), "Deposit")).to.have.length(1);
+
+    expect((await indexer.sync()).toBlock).to.equal(null);
+
+    await factory.deployAoP2Vault("Indexed Vault", "IDX", DEFAULT_FEES, NO_DEPOSIT_LIMITS);
+    await mine(2);
+    const second = await indexer.sync();
+    expect(second.fromBlock).to.equal(head - 1);
+    expect(second.vaults).to.equal(1);
+    expect(indexer.getVaults()).to.have.length(3);
+  });
+
+  it("rolls back events from blocks that were reorganized away", async function () {
+    const { indexer, aop2Vault, alice, bob } = await setup();
+    const vaultAddress = await aop2Vault.getAddress();
+    await aop2Vault.connect(alice).deposit(usdt("10"));
+    await indexer.sync();
+    const forkPoint = indexer.getCheckpoint().blockNumber;
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await aop2Vault.connect(alice).deposit(usdt("20"));
+    await aop2Vault.connect(alice).deposit(usdt("30"));
+    await indexer.sync();
+    expect(eventsOf(vaultAddress, "Deposit")).to.have.length(3);
+
+    // Replace the last two blocks with a different history
+    await network.provider.send("evm_revert", [snapshot]);
+    await aop2Vault.connect(bob).deposit(usdt("40"));
+    await mine(2);
+
+    const result = await indexer.sync();
+
+    expect(result.reorg.to).to.equal(forkPoint);
+    const deposits = eventsOf(vaultAddress, "Deposit");
+    expect(deposits.map((deposit) => [deposit.account, deposit.amount])).to.deep.equal([
+      [alice.address, "10.0"],
+      [bob.address, "40.0"]
+    ]);
+    const head = await ethers.provider.getBlock("latest");
+    expect(indexer.getCheckpoint()).to.deep.equal({ blockNumber: head.number, blockHash: head.hash });
+  });
+});
@@ -0,0 +1,440 @@
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployVaultsFixture, toPythPrice, MON_USD_PRICE_ID, PRICE_EXPO } = require("./fixtures");
+const { InvariantError, fuzzOptions, formatStep, checkProperty } = require("./fuzz");
+
+// Every transaction is mined BLOCK_TIME seconds after the previous one, so runs do not depend on the wall clock
+const BLOCK_TIME = 12;
+const BASIS_POINTS = 10000n;
+const SECONDS_PER_YEAR = 365n * 24n * 3600n;
+const NAV_TO_USDT = 10n ** 30n;
+
+// Actions that accrue the management fee before they change the vault
+const ACCRUING_ACTIONS = ["deposit", "depositMon", "withdraw", "returnFunds"];
+// Actions of a holder, which must not move value between holders
+const HOLDER_ACTIONS = ["deposit", "depositMon", "withdraw", "transfer"];
+
+const ceilDiv = (a, b) => (a + b - 1n) / b;
+const min = (a, b) => (a < b ? a : b);
+
+/**
+ * Random steps for a vault; the first step sets random fees, which shrinking may drop to keep the defaults
+ */
+function generateSteps(isAoP1, rng, count) {
+  const weights = { deposit: 5, withdraw: 3, transfer: 2, requestFunds: 3, returnFunds: 3, advanceTime: 1 };
+  if (isAoP1) {
+    Object.assign(weights, { depositMon: 3, setPrice: 2 });
+  }
+
+  const steps = [{ action: "setFees", performance: rng.int(0, 5000), management: rng.pick([0, 0, rng.int(1, 500)]) }];
+  while (steps.length < count) {
+    const action = rng.weighted(weights);
+    const step = { action };
+    switch (action) {
+      case "deposit":
+        Object.assign(step, { user: rng.int(0, 2), amount: rng.amount(10) });
+        break;
+      case "depositMon":
+        Object.assign(step, { user: rng.int(0, 2), amount: rng.amount(21) });
+        break;
+      case "withdraw":
+        Object.assign(step, { user: rng.int(0, 2), fraction: rng.fraction() });
+        break;
+      case "transfer":
+        Object.assign(step, { user: rng.int(0, 2), to: rng.int(0, 2), fraction: rng.fraction() });
+        break;
+      case "requestFunds":
+        step.fraction = rng.fraction();
+        break;
+      case "returnFunds":
+        // Losses down to the whole principal, profits up to half of it
+        Object.assign(step, { fraction: rng.fraction(), pnl: rng.pick([0, -10000, rng.int(-10000, -1), rng.int(1, 5000), rng.int(1, 5000)]) });
+        break;
+      case "advanceTime":
+        step.seconds = rng.pick([60, 3600, rng.int(1, 30 * 24 * 3600)]);
+        break;
+      case "setPrice":
+        step.price = toPythPrice("0.01") + BigInt(rng.int(0, 1e9)) * 10n;
+        break;
+    }
+    if (isAoP1 && ["withdraw", "requestFunds", "returnFunds"].includes(action)) {
+      step.mon = rng.chance(0.5);
+    }
+    steps.push(step);
+  }
+  return steps;
+}
+
+/**
+ * Simpler versions of a step for shrinking: round amounts and fractions, no PnL
+ */
+function simplerSteps(step) {
+  const variants = [];
+  if (step.amount !== undefined && step.amount > 1n) {
+    const digits = step.amount.toString().length - 1;
+    variants.push({ ...step, amount: 10n ** BigInt(digits) }, { ...step, amount: step.amount / 2n });
+  }
+  if (step.fraction !== undefined && step.fraction !== 10000) {
+    variants.push({ ...step, fraction: 10000 });
+  }
+  if (step.pnl) {
+    variants.push({ ...step, pnl: 0 });
+  }
+  if (step.seconds > 1) {
+    variants.push({ ...step, seconds: 1 });
+  }
+  if (step.mon) {
+    variants.push({ ...step, mon: false });
+  }
+  return variants;
+}
+
+/**
+ * Vault state read after each step; the value is the vault's total value in USDT, MON included
+ */
+async function readState(ctx) {
+  const { vault, usdtToken, isAoP1, holders } = ctx;
+  const vaultAddress = await vault.getAddress();
+  const usdtAddress = await usdtToken.getAddress();
+  const state = {
+    supply: await vault.totalSupply(),
+    totalUsers: await vault.totalUsers(),
+    highWaterMark: await vault.highWaterMark(),
+    lastFeeAccrual: await vault.lastFeeAccrual(),
+    performanceFee: await vault.performanceFee(),
+    managementFee: await vault.managementFee(),
+    totalVaultValue: await vault.totalVaultValue(),
+    usdtBalance: await usdtToken.balanceOf(vaultAddress),
+    deployedUsdt: await vault.totalDeployed(usdtAddress),
+    outstandingUsdt: (await vault.agentAllocations(ctx.agent.address, usdtAddress)).principal,
+    balances: await Promise.all(holders.map((holder) => vault.balanceOf(holder.address))),
+    totalMonValue: 0n,
+    monBalance: 0n,
+    deployedMon: 0n,
+    outstandingMon: 0n,
+    price: 0n
+  };
+  if (isAoP1) {
+    Object.assign(state, {
+      totalMonValue: await vault.totalMonValue(),
+      monBalance: await ethers.provider.getBalance(vaultAddress),
+      deployedMon: await vault.totalDeployed(ethers.ZeroAddress),
+      outstandingMon: (await vault.agentAllocations(ctx.agent.address, ethers.ZeroAddress)).principal,
+      price: BigInt(await vault.getCurrentMonPrice())
+    });
+  }
+  state.value = valueOf(state.totalVaultValue, state.totalMonValue, state.price);
+  return state;
+}
+
+/**
+ * Total value in USDT the way AoP1Vault.getTotalValueInUsdt computes it
+ */
+function valueOf(usdtValue, monValue, price) {
+  return monValue === 0n ? usdtValue : usdtValue + (monValue * price) / 10n ** 18n;
+}
+
+/**
+ * Performance fee the vault should charge on a profit, from the state before the return
+ * and the shares the management fee minted first
+ */
+function expectedPerformanceFee(before, step, profit, feeShares) {
+  const supply = before.supply + feeShares;
+  const profitValue = step.mon ? (profit * before.price) / 10n ** 18n : profit;
+  const totalValue = step.mon
+    ? valueOf(before.totalVaultValue, before.totalMonValue + profit, before.price)
+    : before.value + profit;
+  const highWaterMarkValue = ceilDiv(before.highWaterMark * supply, NAV_TO_USDT);
+  const chargeable = totalValue > highWaterMarkValue ? min(totalValue - highWaterMarkValue, profitValue) : 0n;
+  if (chargeable === 0n) {
+    return 0n;
+  }
+  return (((profit * chargeable) / profitValue) * before.performanceFee) / BASIS_POINTS;
+}
+
+/**
+ * Invariants checked after every step; each returns a description of the violation or null
+ */
+const INVARIANTS = {
+  "value is backed by assets": (ctx, before, after) => {
+    if (after.totalVaultValue > after.usdtBalance + after.deployedUsdt) {
+      return `tracks ${after.totalVaultValue} USDT but holds ${after.usdtBalance} and is owed ${after.deployedUsdt}`;
+    }
+    if (after.totalMonValue > after.monBalance + after.deployedMon) {
+      return `tracks ${after.totalMonValue} MON but holds ${after.monBalance} and is owed ${after.deployedMon}`;
+    }
+    return null;
+  },
+
+  "claims do not exceed value": async (ctx, before, after) => {
+    let claims = 0n;
+    for (const balance of after.balances) {
+      if (balance > 0n) {
+        claims += await (ctx.isAoP1 ? ctx.vault.quoteWithdraw(balance, false) : ctx.vault.quoteWithdraw(balance));
+      }
+    }
+    return claims > after.value ? `holders can claim ${claims} of a ${after.value} USDT vault` : null;
+  },
+
+  "totalUsers counts holders": (ctx, before, after) => {
+    const holders = after.balances.filter((balance) => balance > 0n).length;
+    const held = after.balances.reduce((sum, balance) => sum + balance, 0n);
+    if (held !== after.supply) {
+      return `holders have ${held} of ${after.supply} shares`;
+    }
+    return after.totalUsers === BigInt(holders) ? null : `totalUsers is ${after.totalUsers} with ${holders} holders`;
+  },
+
+  "no value created from rounding": (ctx, before, after, step, events) => {
+    const feeShares = events.feeShares;
+    if (!HOLDER_ACTIONS.includes(step.action) || before.supply + feeShares === 0n || after.supply === 0n) {
+      return null;
+    }
+    // Share prices are fixed point, so the other holders' claim may move by a fraction of a raw unit,
+    // but losing a whole unit means the step moved value to its holder
+    const supply = before.supply + feeShares;
+    const lost = before.value * after.supply - after.value * supply;
+    if (lost >= after.supply) {
+      return `value per share fell from ${before.value}/${supply} to ${after.value}/${after.supply}`;
+    }
+    return null;
+  },
+
+  "deposits are worth what they paid": async (ctx, before, after, step, events) => {
+    if (!events.deposit) {
+      return null;
+    }
+    // Checked from the depositor's side, as shares issued at too low a price raise the other holders' value per share
+    const { amount, isMon, shares } = events.deposit;
+    const paid = isMon ? valueOf(0n, amount, after.price) : amount;
+    const quoted = await (ctx.isAoP1 ? ctx.vault.quoteWithdraw(shares, false) : ctx.vault.quoteWithdraw(shares));
+    // Issuing the shares and pricing them back both round down, each by up to a unit or a share's worth
+    if (quoted + ceilDiv(after.value, after.supply) + 1n < paid) {
+      return `a deposit of ${paid} USDT can withdraw ${quoted}`;
+    }
+    return null;
+  },
+
+  "fees match the configured rates": (ctx, before, after, step, events) => {
+    if (events.managementFee) {
+      const { sharesMinted, elapsed } = events.managementFee;
+      const expected = (before.supply * before.managementFee * elapsed) / (BASIS_POINTS * SECONDS_PER_YEAR);
+      if (elapsed !== events.timestamp - before.lastFeeAccrual || sharesMinted !== expected) {
+        return `management fee minted ${sharesMinted} shares for ${elapsed}s, expected ${expected}`;
+      }
+    } else if (events.timestamp && ACCRUING_ACTIONS.includes(step.action) && before.supply > 0n) {
+      const expected =
+        (before.supply * before.managementFee * (events.timestamp - before.lastFeeAccrual)) / (BASIS_POINTS * SECONDS_PER_YEAR);
+      if (expected > 0n) {
+        return `management fee of ${expected} shares was not accrued`;
+      }
+    }
+
+    if (events.profit) {
+      const expected = expectedPerformanceFee(before, step, events.profit.profit, events.feeShares);
+      if (events.profit.performanceFee !== expected) {
+        return `performance fee of ${events.profit.performanceFee} on a ${events.profit.profit} profit, expected ${expected}`;
+      }
+    }
+    return null;
+  }
+};
+
+/**
+ * Sends a transaction in the next block, BLOCK_TIME seconds after the previous one
+ * @param send timestamp => transaction promise
+ * @return Receipt and block timestamp, or null if the transaction reverted with one of the expected reasons
+ */
+async function mine(ctx, send, expectedReverts = []) {
+  ctx.clock += BLOCK_TIME;
+  await time.setNextBlockTimestamp(ctx.clock);
+  try {
+    const receipt = await (await send(ctx.clock)).wait();
+    return { receipt, timestamp: BigInt(ctx.clock) };
+  } catch (error) {
+    if (expectedReverts.some((reason) => error.message.includes(reason))) {
+      ctx.clock = await time.latest();
+      return null;
+    }
+    throw new InvariantError("no unexpected reverts", error.message.split("\n")[0], ctx.stepIndex);
+  }
+}
+
+/**
+ * Deposits may only be turned away for having no share price while losses leave the shares worth nothing
+ */
+function noValueReverts(state) {
+  return state.supply > 0n && state.value === 0n ? ["Vault has no value"] : [];
+}
+
+/**
+ * Executes a step against the vault, adjusting its amounts to the vault's state
+ * @return The mined transaction, or null if the step did nothing
+ */
+async function executeStep(ctx, step, state) {
+  const { vault, isAoP1, factory, agent } = ctx;
+  const user = ctx.holders[step.user];
+  const agentVault = vault.connect(agent);
+
+  switch (step.action) {
+    case "setFees":
+      return mine(ctx, () => factory.updateVaultFees(vault.getAddress(), step.performance, step.management));
+
+    case "advanceTime":
+      ctx.clock += step.seconds;
+      return null;
+
+    case "setPrice":
+      ctx.price = step.price;
+      return mine(ctx, (timestamp) => ctx.pyth.setPrice(MON_USD_PRICE_ID, ctx.price, 0, PRICE_EXPO, timestamp));
+
+    case "deposit": {
+      const amount = min(step.amount, await ctx.usdtToken.balanceOf(user.address));
+      const deposit = isAoP1 ? () => vault.connect(user).depositUSDT(amount) : () => vault.connect(user).deposit(amount);
+      return amount === 0n ? null : mine(ctx, deposit, ["Deposit too small", ...noValueReverts(state)]);
+    }
+
+    case "depositMon":
+      return mine(ctx, () => vault.connect(user)["depositMON(bytes[])"]([], { value: step.amount }), [
+        "Deposit too small",
+        "MON USDT equivalent value must be greater than 0",
+        ...noValueReverts(state)
+      ]);
+
+    case "withdraw": {
+      const shares = (state.balances[step.user] * BigInt(step.fraction)) / BASIS_POINTS;
+      if (shares === 0n) {
+        return null;
+      }
+      const withdraw = isAoP1
+        ? () => vault.connect(user)["withdraw(uint256,bool,bytes[])"](shares, step.mon, [])
+        : () => vault.connect(user)["withdraw(uint256)"](shares);
+      return mine(ctx, withdraw, ["Insufficient USDT liquidity", "Insufficient MON liquidity"]);
+    }
+
+    case "transfer": {
+      const shares = (state.balances[step.user] * BigInt(step.fraction)) / BASIS_POINTS;
+      const to = ctx.holders[step.to];
+      return shares === 0n || step.to === step.user ? null : mine(ctx, () => vault.connect(user).transfer(to.address, shares));
+    }
+
+    case "requestFunds": {
+      const asset = step.mon ? ethers.ZeroAddress : await ctx.usdtToken.getAddress();
+      const allocation = await vault.agentAllocations(agent.address, asset);
+      const liquidity = step.mon ? state.totalMonValue - state.deployedMon : state.usdtBalance;
+      const available = min(liquidity, allocation.creditLimit - allocation.principal);
+      const amount = (available * BigInt(step.fraction)) / BASIS_POINTS;
+      if (amount === 0n) {
+        return null;
+      }
+      return mine(ctx, () => (isAoP1 ? agentVault.requestFunds(amount, step.mon) : agentVault.requestFunds(amount)));
+    }
+
+    case "returnFunds": {
+      const outstanding = step.mon ? state.outstandingMon : state.outstandingUsdt;
+      const principal = (outstanding * BigInt(step.fraction)) / BASIS_POINTS;
+      if (principal === 0n) {
+        return null;
+      }
+      // The agent can only hand back what it holds, so a profit is capped at its balance
+      const held = step.mon ? await ethers.provider.getBalance(agent.address) / 2n : await ctx.usdtToken.balanceOf(agent.address);
+      const pnl = min((principal * BigInt(step.pnl)) / BASIS_POINTS, held - principal);
+      if (!isAoP1) {
+        return mine(ctx, () => agentVault.returnFunds(principal, pnl));
+      }
+      const value = step.mon ? principal + pnl : 0n;
+      return mine(ctx, () => agentVault.returnFunds(principal, pnl, step.mon, [], { value }));
+    }
+
+    default:
+      throw new Error(`Unknown action ${formatStep(step)}`);
+  }
+}
+
+/**
+ * Fee and deposit events of a step's transaction
+ */
+function stepEvents(vault, mined) {
+  const events = { timestamp: mined ? mined.timestamp : 0n, feeShares: 0n, managementFee: null, profit: null, deposit: null };
+  if (!mined) {
+    return events;
+  }
+  for (const log of mined.receipt.logs) {
+    const parsed = vault.interface.parseLog(log);
+    if (parsed && parsed.name === "ManagementFeeAccrued") {
+      events.managementFee = { sharesMinted: parsed.args.sharesMinted, elapsed: parsed.args.elapsed };
+      events.feeShares = parsed.args.sharesMinted;
+    } else if (parsed && parsed.name === "ProfitDistributed") {
+      events.profit = { profit: parsed.args.profit, performanceFee: parsed.args.performanceFee };
+    } else if (parsed && parsed.name === "Deposit") {
+      events.deposit = { amount: parsed.args.amount, isMon: Boolean(parsed.args.isMon), shares: parsed.args.sharesIssued };
+    }
+  }
+  return events;
+}
+
+/**
+ * Runs a sequence from a fresh fixture, checking every invariant after each step
+ */
+async function runSequence(isAoP1, steps) {
+  const fixture = await loadFixture(deployVaultsFixture);
+  const ctx = {
+    ...fixture,
+    isAoP1,
+    vault: isAoP1 ? fixture.aop1Vault : fixture.aop2Vault,
+    holders: [fixture.alice, fixture.bob, fixture.carol, fixture.feeRecipient],
+    clock: await time.latest(),
+    price: toPythPrice("2.5"),
+    stepIndex: 0
+  };
+
+  let state = await readState(ctx);
+  for (const [index, step] of steps.entries()) {
+    ctx.stepIndex = index;
+    if (isAoP1 && step.action !== "setPrice") {
+      // Keep the MON/USD price fresh, as the price keeper does
+      await mine(ctx, (timestamp) => ctx.pyth.setPrice(MON_USD_PRICE_ID, ctx.price, 0, PRICE_EXPO, timestamp));
+    }
+
+    const mined = await executeStep(ctx, step, state);
+    const after = await readState(ctx);
+    const events = stepEvents(ctx.vault, mined);
+    for (const [name, check] of Object.entries(INVARIANTS)) {
+      const violation = await check(ctx, state, after, step, events);
+      if (violation) {
+        throw new InvariantError(name, violation, index);
+      }
+    }
+    state = after;
+  }
+}
+
+describe("Vault invariants", function () {
+  const options = fuzzOptions();
+  this.timeout(0);
+
+  for (const [name, isAoP1] of [["AoP2Vault", false], ["AoP1Vault", true]]) {
+    // Random sequences rarely lose everything the vault holds, so this one does it directly
+    it(`hold for ${name} deposits after agent losses leave the shares worth nothing`, async function () {
+      await runSequence(isAoP1, [
+        { action: "deposit", user: 0, amount: 1000n * 10n ** 6n },
+        { action: "requestFunds", fraction: 10000, mon: false },
+        { action: "returnFunds", fraction: 10000, pnl: -10000, mon: false },
+        { action: "deposit", user: 1, amount: 500n * 10n ** 6n },
+        ...(isAoP1 ? [{ action: "depositMon", user: 1, amount: 200n * 10n ** 18n }] : [])
+      ]);
+    });
+
+    it(`hold for ${options.runs} random ${name} sequences from seed ${options.seed}`, async function () {
+      await checkProperty(
+        {
+          name,
+          generate: (rng, count) => generateSteps(isAoP1, rng, count),
+          run: (steps) => runSequence(isAoP1, steps),
+          shrinkStep: simplerSteps
+        },
+        options
+      );
+    });
+  }
+});
@@ -0,0 +1,353 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const http = require("http");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  deployVaultsFixture,
+  setMonPrice,
+  mon,
+  usdt,
+  MON_USD_PRICE_ID,
+  PRICE_EXPO,
+  PYTH_UPDATE_FEE,
+  DEFAULT_FEES,
+  NO_DEPOSIT_LIMITS,
+  toPythPrice
+} = require("./fixtures");
+const {
+  PriceKeeper,
+  createHermesSource,
+  deviationBps,
+  withRetry,
+  startMetricsServer
+} = require("../scripts/lib/price-keeper");
+
+/**
+ * Minimal stand-in for the Hermes /v2/updates/price/latest endpoint that serves
+ * update data in the mock oracle's format
+ */
+async function startHermesStub(pyth) {
+  const state = { price: "2.5", publishTime: 0, failures: 0, requests: 0 };
+
+  const server = http.createServer(async (req, res) => {
+    state.requests++;
+    if (state.failures > 0) {
+      state.failures--;
+      res.writeHead(500);
+      res.end("unavailable");
+      return;
+    }
+
+    const price = toPythPrice(state.price);
+    const updateData = await pyth.createPriceFeedUpdateData(
+      MON_USD_PRICE_ID, price, 0, PRICE_EXPO, price, 0, state.publishTime, 0
+    );
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({
+      binary: { encoding: "hex", data: [updateData.slice(2)] },
+      parsed: [{
+        id: MON_USD_PRICE_ID.slice(2),
+        price: { price: price.toString(), conf: "0", expo: PRICE_EXPO, publish_time: state.publishTime }
+      }]
+    }));
+  });
+
+  await new Promise((resolve) => server.listen(0, resolve));
+  return { server, state, endpoint: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function getJson(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      let body = "";
+      res.on("data", (chunk) => (body += chunk));
+      res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    }).on("error", reject);
+  });
+}
+
+describe("PriceKeeper", function () {
+  let hermes;
+
+  async function keeperFixture() {
+    const [keeperSigner] = await ethers.getSigners();
+    const pyth = await ethers.deployContract("MockPythOracle", [60, PYTH_UPDATE_FEE]);
+    return { keeperSigner, pyth };
+  }
+
+  async function setup(options = {}) {
+    const { keeperSigner, pyth } = await loadFixture(keeperFixture);
+    hermes = await startHermesStub(pyth);
+    hermes.state.publishTime = await time.latest();
+
+    const keeper = new PriceKeeper({
+      pyth: pyth.connect(keeperSigner),
+      priceId: MON_USD_PRICE_ID,
+      source: createHermesSource({ endpoint: hermes.endpoint, priceId: MON_USD_PRICE_ID }),
+      heartbeat: 45,
+      deviationBps: 50,
+      retryDelay: 1,
+      log: () => {},
+      ...options
+    });
+    return { keeper, pyth, keeperSigner };
+  }
+
+  afterEach(function () {
+    if (hermes) {
+      hermes.server.close();
+      hermes = null;
+    }
+  });
+
+  it("publishes the first price when the feed is missing and pays the exact fee", async function () {
+    const { keeper, pyth } = await setup();
+
+    const result = await keeper.checkAndUpdate();
+
+    expect(result.updated).to.equal(true);
+    expect(result.reason).to.equal("missing");
+    expect(await ethers.provider.getBalance(await pyth.getAddress())).to.equal(PYTH_UPDATE_FEE);
+    const price = await pyth.getPriceUnsafe(MON_USD_PRICE_ID);
+    expect(price.price).to.equal(toPythPrice("2.5"));
+  });
+
+  it("skips the update while the price is fresh and within the deviation threshold", async function () {
+    const { keeper } = await setup();
+    await keeper.checkAndUpdate();
+
+    hermes.state.publishTime = await time.latest();
+    hermes.state.price = "2.501";
+    const result = await keeper.checkAndUpdate();
+
+    expect(result.updated).to.equal(false);
+    expect(keeper.metrics.updatesPushed).to.equal(1);
+  });
+
+  it("pushes an update once the heartbeat has elapsed", async function () {
+    const { keeper } = await setup();
+    await keeper.checkAndUpdate();
+
+    await time.increase(45);
+    hermes.state.publishTime = await time.latest();
+    const result = await keeper.checkAndUpdate();
+
+    expect(result.updated).to.equal(true);
+    expect(result.reason).to.equal("heartbeat");
+  });
+
+  it("pushes an update when the source price deviates", async function () {
+    const { keeper, pyth } = await setup();
+    await keeper.checkAndUpdate();
+
+    hermes.state.publishTime = (await time.latest()) + 1;
+    hermes.state.price = "2.6";
+    const result = await keeper.checkAndUpdate();
+
+    expect(result.updated).to.equal(true);
+    expect(result.reason).to.equal("deviation");
+    expect((await pyth.getPriceUnsafe(MON_USD_PRICE_ID)).price).to.equal(toPythPrice("2.6"));
+  });
+
+  it("pushes updates through the vaults so each one snapshots its NAV at the new price", async function () {
+    const { factory, pyth, aop1Vault, alice } = await loadFixture(deployVaultsFixture);
+    await factory.deployAoP1Vault("Second AoP1", "AOP1B", DEFAULT_FEES, NO_DEPOSIT_LIMITS);
+    const second = await ethers.getContractAt("AoP1Vault", await factory.vaults("Second AoP1"));
+    await setMonPrice(pyth, "2.5");
+    await aop1Vault.connect(alice)["depositMON(bytes[])"]([], { value: mon("10") });
+    await second.connect(alice)["depositMON(bytes[])"]([], { value: mon("4") });
+
+    hermes = await startHermesStub(pyth);
+    hermes.state.publishTime = (await time.latest()) + 1;
+    hermes.state.price = "3";
+    const pythBalance = await ethers.provider.getBalance(await pyth.getAddress());
+    const keeper = new PriceKeeper({
+      pyth,
+      priceId: MON_USD_PRICE_ID,
+      source: createHermesSource({ endpoint: hermes.endpoint, priceId: MON_USD_PRICE_ID }),
+      vaults: [aop1Vault, second],
+      retryDelay: 1,
+      log: () => {}
+    });
+
+    expect((await keeper.checkAndUpdate()).reason).to.equal("deviation");
+    expect(await ethers.provider.getBalance(await pyth.getAddress())).to.equal(pythBalance + PYTH_UPDATE_FEE);
+    for (const [vault, value] of [[aop1Vault, usdt("30")], [second, usdt("12")]]) {
+      const count = await vault.navHistoryCount();
+      const [, , totalValues] = await vault.getHistoricalNAV(count - 1n, 1);
+      expect(totalValues[0]).to.equal(value);
+    }
+  });
+
+  it("pays the oracle the vaults read once and retries a failed snapshot on its own", async function () {
+    const { factory, pyth, aop1Vault, alice } = await loadFixture(deployVaultsFixture);
+    await factory.deployAoP1Vault("Second AoP1", "AOP1B", DEFAULT_FEES, NO_DEPOSIT_LIMITS);
+    const second = await ethers.getContractAt("AoP1Vault", await factory.vaults("Second AoP1"));
+    await setMonPrice(pyth, "2.5");
+    await second.connect(alice)["depositMON(bytes[])"]([], { value: mon("4") });
+    // A deployment record pointing at another oracle than the one the vaults read
+    const recordedPyth = await ethers.deployContract("MockPythOracle", [60, PYTH_UPDATE_FEE * 3n]);
+
+    // The second vault's first snapshot fails, e.g. on a dropped transaction
+    let snapshotFailures = 1;
+    const flakySecond = {
+      target: second.target,
+      updatePriceFeeds: async (...args) => {
+        if (snapshotFailures-- > 0) {
+          throw new Error("transaction dropped");
+        }
+        return second.updatePriceFeeds(...args);
+      }
+    };
+
+    hermes = await startHermesStub(pyth);
+    hermes.state.publishTime = (await time.latest()) + 1;
+    hermes.state.price = "3";
+    const pythBalance = await ethers.provider.getBalance(await pyth.getAddress());
+    const keeper = new PriceKeeper({
+      pyth: recordedPyth,
+      priceId: MON_USD_PRICE_ID,
+      source: createHermesSource({ endpoint: hermes.endpoint, priceId: MON_USD_PRICE_ID }),
+      vaults: [aop1Vault, flakySecond],
+      retryDelay: 1,
+      log: () => {}
+    });
+
+    expect((await keeper.oracle()).target).to.equal(await pyth.getAddress());
+    expect((await keeper.checkAndUpdate()).updated).to.equal(true);
+
+    expect(await ethers.provider.getBalance(await pyth.getAddress())).to.equal(pythBalance + PYTH_UPDATE_FEE);
+    expect(await ethers.provider.getBalance(await recordedPyth.getAddress())).to.equal(0);
+    expect(keeper.metrics).to.include({ updatesPushed: 1, updateFailures: 0, retries: 1, snapshotFailures: 0, consecutiveFailures: 0 });
+    const [, , totalValues] = await second.getHistoricalNAV((await second.navHistoryCount()) - 1n, 1);
+    expect(totalValues[0]).to.equal(usdt("12"));
+  });
+
+  it("does not resubmit data that is not newer than the on-chain price", async function () {
+    const { keeper } = await setup();
+    await keeper.checkAndUpdate();
+
+    await time.increase(120);
+    const result = await keeper.checkAndUpdate();
+
+    expect(result.updated).to.equal(false);
+  });
+
+  it("retries with backoff when the price source fails", async function () {
+    const { keeper } = await setup();
+    hermes.state.failures = 2;
+
+    const result = await keeper.checkAndUpdate();
+
+    expect(result.updated).to.equal(true);
+    expect(keeper.metrics.retries).to.equal(2);
+    expect(hermes.state.requests).to.equal(3);
+  });
+
+  it("records a failure once retries are exhausted", async function () {
+    const { keeper } = await setup({ maxRetries: 1 });
+    hermes.state.failures = 5;
+
+    const result = await keeper.checkAndUpdate();
+
+    expect(result.updated).to.equal(false);
+    expect(result.error).to.be.instanceOf(Error);
+    expect(keeper.metrics.updateFailures).to.equal(1);
+    expect(keeper.metrics.consecutiveFailures).to.equal(1);
+    expect((await keeper.getHealth()).healthy).to.equal(false);
+  });
+
+  it("lets RPC errors through instead of treating them as a missing price", async function () {
+    const { keeper, pyth, keeperSigner } = await setup({ maxRetries: 1 });
+    const rpcError = new Error("could not coalesce error");
+    keeper.pyth = pyth.connect(keeperSigner);
+    keeper.pyth.getPriceUnsafe = async () => {
+      throw rpcError;
+    };
+
+    await expect(keeper.readOnchainPrice()).to.be.rejectedWith("could not coalesce error");
+    const result = await keeper.checkAndUpdate();
+
+    expect(result.error).to.equal(rpcError);
+    expect(keeper.metrics.retries).to.equal(1);
+    expect(keeper.metrics.updatesPushed).to.equal(0);
+    expect(await pyth.priceFeedExists(MON_USD_PRICE_ID)).to.equal(false);
+  });
+
+  it("derives the heartbeat and health from the vaults' max price age", async function () {
+    const { keeper } = await setup({ heartbeat: undefined, maxPriceAge: 120 });
+    expect(keeper.heartbeat).to.equal(90);
+    expect(() => new PriceKeeper({ maxPriceAge: 30, heartbeat: 45 })).to.throw("Heartbeat must be between 0 and maxPriceAge (30s)");
+
+    await keeper.checkAndUpdate();
+    const published = hermes.state.publishTime;
+    await time.increaseTo(published + 89);
+    hermes.state.publishTime = published + 89;
+    expect((await keeper.checkAndUpdate()).updated).to.equal(false);
+
+    await time.increaseTo(published + 90);
+    const health = await keeper.getHealth();
+    expect(health).to.include({ healthy: true, maxPriceAge: 120 });
+    expect((await keeper.checkAndUpdate()).reason).to.equal("heartbeat");
+  });
+
+  it("serves health metrics over HTTP", async function () {
+    const { keeper } = await setup();
+    const server = await startMetricsServer(keeper, 0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      expect((await getJson(`${base}/health`)).status).to.equal(503);
+
+      await keeper.checkAndUpdate();
+      const health = await getJson(`${base}/health`);
+      expect(health.status).to.equal(200);
+      expect(health.body.healthy).to.equal(true);
+
+      const metrics = await getJson(`${base}/metrics`);
+      expect(metrics.body.updatesPushed).to.equal(1);
+      expect(metrics.body.lastUpdateReason).to.equal("missing");
+      expect(metrics.body.lastUpdateFee).to.equal(PYTH_UPDATE_FEE.toString());
+    } finally {
+      server.close();
+    }
+  });
+
+  it("keeps polling until stopped", async function () {
+    const { keeper } = await setup({ pollInterval: 10 });
+
+    const running = keeper.start();
+    while (keeper.metrics.checks < 2) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    keeper.stop();
+    await running;
+
+    expect(keeper.running).to.equal(false);
+    expect(keeper.metrics.updatesPushed).to.equal(1);
+  });
+
+  describe("helpers", function () {
+    it("compares prices with different exponents", function () {
+      const reference = { price: 250000000n, expo: -8 };
+
+      expect(deviationBps({ price: 2500000n, expo: -6 }, reference)).to.equal(0n);
+      expect(deviationBps({ price: 2525n, expo: -3 }, reference)).to.equal(100n);
+    });
+
+    it("doubles the retry delay on every attempt", async function () {
+      const delays = [];
+      let calls = 0;
+
+      const result = await withRetry(async () => {
+        if (++calls < 4) {
+          throw new Error("boom");
+        }
+        return "ok";
+      }, { retries: 5, delay: 10, wait: async (ms) => delays.push(ms) });
+
+      expect(result).to.equal("ok");
+      expect(delays).to.deep.equal([10, 20, 40]);
+    });
+  });
+});
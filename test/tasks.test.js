@@ -0,0 +1,406 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployVaultsFixture, usdt, AOP1_NAME, AOP2_NAME } = require("./fixtures");
+const { resolveVault } = require("../scripts/lib/vaults");
+
+const { ethers } = hre;
+
+/**
+ * Runs a task with console output captured
+ */
+async function runTask(name, args) {
+  const lines = [];
+  const log = console.log;
+  console.log = (...items) => lines.push(items.join(" "));
+  try {
+    const result = await hre.run(name, args);
+    return { result, output: lines.join("\n") };
+  } finally {
+    console.log = log;
+  }
+}
+
+describe("Vault CLI tasks", function () {
+  async function cliFixture() {
+    const fixture = await deployVaultsFixture();
+    return { ...fixture, factoryAddress: await fixture.factory.getAddress() };
+  }
+
+  it("vault:stats resolves vaults by factory name and formats decimals", async function () {
+    const { factoryAddress, aop2Vault, agent, alice } = await loadFixture(cliFixture);
+    await aop2Vault.connect(alice).deposit(usdt("1000"));
+    await aop2Vault.connect(agent).requestFunds(usdt("100"));
+    await aop2Vault.connect(agent).returnFundsWithProfit(usdt("100"), usdt("50"));
+
+    const { result, output } = await runTask("vault:stats", { vault: AOP2_NAME, factory: factoryAddress });
+
+    expect(result.vault).to.equal(await aop2Vault.getAddress());
+    expect(result.type).to.equal("AoP2Vault");
+    expect(result.totalAssets).to.deep.equal({ raw: "1040000000", formatted: "1040.0" });
+    expect(result.sharePrice.formatted).to.equal("1.04");
+    expect(result.userCount).to.equal(1);
+    expect(output).to.include("totalAssets: 1040.0");
+  });
+
+  it("vault:retire and vault:list show the factory's registry with versions and retired vaults", async function () {
+    const { factoryAddress, aop2Vault } = await loadFixture(cliFixture);
+    await runTask("vault:retire", { vault: AOP2_NAME, factory: factoryAddress });
+
+    const { result, output } = await runTask("vault:list", { factory: factoryAddress });
+    expect(result.map((vault) => vault.symbol)).to.deep.equal(["AOP1", "AOP2"]);
+    expect(result[1]).to.include({ type: "AoP2Vault", version: 1, active: false });
+    expect(output).to.include(`AOP2\tAoP2Vault v1\t${await aop2Vault.getAddress()}\t${AOP2_NAME} (retired)`);
+  });
+
+  it("vault:stats accepts vault addresses and prints JSON", async function () {
+    const { factoryAddress, aop1Vault } = await loadFixture(cliFixture);
+
+    const { output } = await runTask("vault:stats", {
+      vault: await aop1Vault.getAddress(),
+      factory: factoryAddress,
+      json: true
+    });
+
+    const parsed = JSON.parse(output);
+    expect(parsed.type).to.equal("AoP1Vault");
+    expect(parsed.name).to.equal(AOP1_NAME);
+    expect(parsed.totalShares).to.deep.equal({ raw: "0", formatted: "0.0" });
+  });
+
+  it("vault:user reports the user's position", async function () {
+    const { factoryAddress, aop1Vault, alice } = await loadFixture(cliFixture);
+    await aop1Vault.connect(alice).depositUSDT(usdt("250"));
+
+    const { result } = await runTask("vault:user", { vault: AOP1_NAME, user: alice.address, factory: factoryAddress });
+
+    expect(result.shares.formatted).to.equal("250.0");
+    expect(result.usdtDeposited).to.deep.equal({ raw: "250000000", formatted: "250.0" });
+    expect(result.percentageOfVault).to.equal("100.00%");
+    expect(result.costBasis.formatted).to.equal("250.0");
+    expect(result.averageEntryNav.formatted).to.equal("1.0");
+  });
+
+  it("vault:nav lists the NAV history", async function () {
+    const { factoryAddress, aop2Vault, agent, alice } = await loadFixture(cliFixture);
+    await aop2Vault.connect(alice).deposit(usdt("1000"));
+    await aop2Vault.connect(agent).requestFunds(usdt("1"));
+    await aop2Vault.connect(agent).returnFundsWithProfit(usdt("1"), usdt("100"));
+
+    const { result } = await runTask("vault:nav", { vault: AOP2_NAME, factory: factoryAddress });
+
+    expect(result).to.have.length(1);
+    expect(result[0].navPerShare.formatted).to.equal("1.08");
+    expect(result[0].totalValue.formatted).to.equal("1080.0");
+  });
+
+  it("vault:add-agent and vault:remove-agent manage AGENT_ROLE", async function () {
+    const { factoryAddress, aop1Vault, bob } = await loadFixture(cliFixture);
+    const agentRole = await aop1Vault.AGENT_ROLE();
+
+    await runTask("vault:add-agent", { vault: AOP1_NAME, agent: bob.address, factory: factoryAddress });
+    expect(await aop1Vault.hasRole(agentRole, bob.address)).to.equal(true);
+
+    await runTask("vault:remove-agent", { vault: AOP1_NAME, agent: bob.address, factory: factoryAddress });
+    expect(await aop1Vault.hasRole(agentRole, bob.address)).to.equal(false);
+  });
+
+  it("vault:fee-recipient updates the fee recipient", async function () {
+    const { factoryAddress, aop2Vault, carol } = await loadFixture(cliFixture);
+
+    const { result } = await runTask("vault:fee-recipient", {
+      vault: AOP2_NAME,
+      recipient: carol.address,
+      factory: factoryAddress
+    });
+
+    expect(result.txHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(await aop2Vault.feeRecipient()).to.equal(carol.address);
+  });
+
+  it("vault:fees shows and updates a vault's fees", async function () {
+    const { factoryAddress, aop2Vault } = await loadFixture(cliFixture);
+
+    const { result: before } = await runTask("vault:fees", { vault: AOP2_NAME, factory: factoryAddress });
+    expect(before.performanceFee).to.equal("20.00%");
+    expect(before.managementFee).to.equal("0.00%");
+    expect(before.highWaterMark.formatted).to.equal("1.0");
+
+    const { result } = await runTask("vault:fees", { vault: AOP2_NAME, management: 150, factory: factoryAddress });
+    expect(result.managementFee).to.equal("1.50%");
+    expect(result.performanceFee).to.equal("20.00%");
+    expect(await aop2Vault.managementFee()).to.equal(150);
+  });
+
+  it("vault:allocation shows and updates an agent's credit limits", async function () {
+    const { factoryAddress, aop1Vault, agent, alice } = await loadFixture(cliFixture);
+    await aop1Vault.connect(alice).depositUSDT(usdt("1000"));
+    await aop1Vault.connect(agent).requestFunds(usdt("250"), false);
+
+    const { result: before } = await runTask("vault:allocation", { vault: AOP1_NAME, agent: agent.address, factory: factoryAddress });
+    expect(before.usdt.principal.formatted).to.equal("250.0");
+    expect(before.mon.creditLimit.formatted).to.equal("1000.0");
+    expect(before.maxAgentAllocation).to.equal("100.00%");
+
+    const { result } = await runTask("vault:allocation", { vault: AOP1_NAME, agent: agent.address, usdt: "500", factory: factoryAddress });
+    expect(result.usdt.creditLimit.formatted).to.equal("500.0");
+    expect(result.mon.creditLimit.formatted).to.equal("1000.0");
+
+    await runTask("vault:max-allocation", { vault: AOP1_NAME, bps: 4000, factory: factoryAddress });
+    expect(await aop1Vault.maxAgentAllocation()).to.equal(4000);
+  });
+
+  it("vault:agents ranks a vault's agents by realized PnL", async function () {
+    const { factory, factoryAddress, aop2Vault, agent, alice, bob } = await loadFixture(cliFixture);
+    const vaultAddress = await aop2Vault.getAddress();
+    await factory.addAgentToVault(vaultAddress, bob.address);
+    await factory.setAgentCreditLimits(vaultAddress, bob.address, usdt("1000"), 0);
+    await aop2Vault.connect(alice).deposit(usdt("1000"));
+    await aop2Vault.connect(agent).requestFunds(usdt("100"));
+    await aop2Vault.connect(agent).returnFunds(usdt("100"), usdt("10"));
+    await aop2Vault.connect(agent).requestFunds(usdt("100"));
+    await aop2Vault.connect(agent).returnFunds(usdt("100"), -usdt("5"));
+    await aop2Vault.connect(bob).requestFunds(usdt("100"));
+    await aop2Vault.connect(bob).returnFunds(usdt("100"), usdt("20"));
+    await factory.removeAgentFromVault(vaultAddress, bob.address);
+
+    const { result, output } = await runTask("vault:agents", { vault: AOP2_NAME, factory: factoryAddress });
+    expect(result.map((entry) => entry.agent)).to.deep.equal([bob.address, agent.address]);
+    expect(result[0].active).to.equal(false);
+    expect(result[1].usdt.realizedPnl.formatted).to.equal("5.0");
+    expect(result[1].usdt.tradeCount).to.equal(2);
+    expect(result[1].usdt.hitRate).to.equal("50.00%");
+    expect(result[1].mon).to.equal(undefined);
+    expect(output).to.include(`1. ${bob.address} (removed)\tPnL 20.0 USDT\tTrades 1\tHit rate 100.00%`);
+  });
+
+  it("vault:queue and vault:settle manage the withdrawal queue", async function () {
+    const { factoryAddress, aop2Vault, owner, agent, alice, bob } = await loadFixture(cliFixture);
+    await aop2Vault.connect(alice).deposit(usdt("100"));
+    await aop2Vault.connect(agent).requestFunds(usdt("100"));
+    await aop2Vault.connect(alice).requestWithdrawal(ethers.parseEther("40"));
+
+    const { result: queued } = await runTask("vault:queue", { vault: AOP2_NAME, user: alice.address, factory: factoryAddress });
+    expect(queued.pendingRequests).to.equal("1");
+    expect(queued.pendingShares.formatted).to.equal("40.0");
+    expect(queued.requests["0"].status).to.equal("Pending");
+
+    await runTask("vault:keeper", { vault: AOP2_NAME, keeper: owner.address, factory: factoryAddress });
+    await aop2Vault.connect(bob).deposit(usdt("50"));
+    const { result } = await runTask("vault:settle", { vault: AOP2_NAME, factory: factoryAddress });
+    expect(result.settled).to.equal("1");
+
+    const { result: settled } = await runTask("vault:queue", { vault: AOP2_NAME, user: alice.address, factory: factoryAddress });
+    expect(settled.requests["0"].status).to.equal("Settled");
+    expect(settled.requests["0"].assets.formatted).to.equal("40.0");
+  });
+
+  it("vault:pause and factory:pause-all pause vaults and turn on emergency mode", async function () {
+    const { factoryAddress, aop1Vault, aop2Vault } = await loadFixture(cliFixture);
+
+    const { result } = await runTask("vault:pause", { vault: AOP2_NAME, pause: "deposits,agent-funds", factory: factoryAddress });
+    expect(result.paused).to.deep.equal({ deposits: true, withdrawals: false, "agent-funds": true });
+    expect(await aop2Vault.pausedOperations()).to.equal(5);
+
+    await runTask("factory:pause-all", { operations: "withdrawals", factory: factoryAddress });
+    expect(await aop1Vault.pausedOperations()).to.equal(2);
+
+    const { result: emergency } = await runTask("vault:pause", { vault: AOP1_NAME, emergency: true, factory: factoryAddress });
+    expect(emergency.emergencyMode).to.equal(true);
+    await runTask("factory:pause-all", { unpause: true, factory: factoryAddress });
+    expect(await aop1Vault.pausedOperations()).to.equal(7);
+    expect(await aop2Vault.pausedOperations()).to.equal(0);
+
+    await expect(runTask("vault:pause", { vault: AOP2_NAME, pause: "transfers", factory: factoryAddress }))
+      .to.be.rejectedWith('Unknown operation "transfers"');
+  });
+
+  it("vault:transfers sets the transfer mode and allowlist", async function () {
+    const { factoryAddress, aop2Vault, alice, bob } = await loadFixture(cliFixture);
+
+    const { result } = await runTask("vault:transfers", {
+      vault: AOP2_NAME,
+      mode: "allowlisted",
+      allow: `${alice.address},${bob.address}`,
+      factory: factoryAddress
+    });
+    expect(result.transferMode).to.equal("allowlisted");
+    expect(await aop2Vault.transferAllowlist(bob.address)).to.equal(true);
+
+    await runTask("vault:transfers", { vault: AOP2_NAME, disallow: bob.address, factory: factoryAddress });
+    expect(await aop2Vault.transferAllowlist(bob.address)).to.equal(false);
+    await expect(runTask("vault:transfers", { vault: AOP2_NAME, mode: "kyc", factory: factoryAddress }))
+      .to.be.rejectedWith('Unknown transfer mode "kyc"');
+  });
+
+  it("vault:deposit-limits shows and updates the deposit limits and allowlist", async function () {
+    const { factoryAddress, aop2Vault, alice, bob } = await loadFixture(cliFixture);
+
+    const { result: before } = await runTask("vault:deposit-limits", { vault: AOP2_NAME, user: alice.address, factory: factoryAddress });
+    expect(before.maxTotalAssets).to.equal(null);
+    expect(before.maxDeposit).to.equal(null);
+
+    const { result } = await runTask("vault:deposit-limits", {
+      vault: AOP2_NAME,
+      maxTotalAssets: "1000",
+      minDeposit: "10",
+      allowlistOnly: true,
+      allow: alice.address,
+      user: alice.address,
+      factory: factoryAddress
+    });
+    expect(result.maxTotalAssets.formatted).to.equal("1000.0");
+    expect(result.minDeposit.raw).to.equal(usdt("10").toString());
+    expect(result.allowlistOnly).to.equal(true);
+    expect(result.allowlisted).to.equal(true);
+    expect(result.maxDeposit.formatted).to.equal("1000.0");
+    expect(await aop2Vault.maxDeposit(bob.address)).to.equal(0);
+
+    // Options left out keep their values
+    await runTask("vault:deposit-limits", { vault: AOP2_NAME, maxUserDeposit: "250", factory: factoryAddress });
+    const limits = await aop2Vault.depositLimits();
+    expect(limits.maxTotalAssets).to.equal(usdt("1000"));
+    expect(limits.maxUserDeposit).to.equal(usdt("250"));
+    expect(limits.allowlistOnly).to.equal(true);
+  });
+
+  it("vault:lockup shows and updates the lockup and a user's locked shares", async function () {
+    const { factoryAddress, aop2Vault, alice } = await loadFixture(cliFixture);
+
+    const { result } = await runTask("vault:lockup", {
+      vault: AOP2_NAME,
+      lockupPeriod: 86400,
+      earlyExitPeriod: 604800,
+      earlyExitFee: 250,
+      factory: factoryAddress
+    });
+    expect(result.lockupPeriod).to.equal(86400);
+    expect(result.earlyExitFee).to.equal("2.50%");
+
+    await aop2Vault.connect(alice).deposit(usdt("100"));
+    const { result: locks } = await runTask("vault:lockup", { vault: AOP2_NAME, noticePeriod: 3600, user: alice.address, factory: factoryAddress });
+    expect(locks.noticePeriod).to.equal(3600);
+    expect(locks.earlyExitPeriod).to.equal(604800);
+    expect(locks.lockedShares.formatted).to.equal("100.0");
+    expect(locks.unlockedShares.raw).to.equal("0");
+    expect(locks.nextUnlockAt).to.not.equal(null);
+  });
+
+  it("factory:timelock proposes, queues and executes timelocked actions", async function () {
+    const { factoryAddress, factory } = await loadFixture(cliFixture);
+    await factory.setTimelockDelay(3600);
+    const newPyth = ethers.Wallet.createRandom().address;
+
+    await expect(factory.setPythContract(newPyth)).to.be.revertedWith("Caller is not the timelock");
+    const { result: proposed } = await runTask("factory:timelock", {
+      propose: "setPythContract",
+      args: JSON.stringify([newPyth]),
+      description: "Move to the new Pyth deployment",
+      factory: factoryAddress
+    });
+    expect(proposed.actions["0"]).to.deep.equal({
+      call: `setPythContract(${newPyth})`,
+      description: "Move to the new Pyth deployment",
+      status: "Proposed",
+      eta: null
+    });
+
+    const { result: queued } = await runTask("factory:timelock", { queue: 0, factory: factoryAddress });
+    expect(queued.delay).to.equal(3600);
+    expect(queued.actions["0"].status).to.equal("Queued");
+    await expect(runTask("factory:timelock", { execute: 0, factory: factoryAddress })).to.be.rejectedWith("Action not ready");
+
+    await time.increase(3600);
+    const { result: executed } = await runTask("factory:timelock", { execute: 0, factory: factoryAddress });
+    expect(executed.actions["0"].status).to.equal("Executed");
+    expect(await factory.pythContract()).to.equal(newPyth);
+  });
+
+  it("vault:oracle shows the MON/USD price status and updates its limits", async function () {
+    const { factoryAddress, aop1Vault } = await loadFixture(cliFixture);
+
+    const { result: before } = await runTask("vault:oracle", { vault: AOP1_NAME, factory: factoryAddress });
+    expect(before.status).to.equal("Valid");
+    expect(before.price.formatted).to.equal("2.5");
+    expect(before.maxPriceAge).to.equal(60);
+    expect(before.maxConfidenceRatio).to.equal("2.00%");
+
+    const { result } = await runTask("vault:oracle", { vault: AOP1_NAME, maxAge: 120, factory: factoryAddress });
+    expect(result.maxPriceAge).to.equal(120);
+    expect(await aop1Vault.maxConfidenceRatio()).to.equal(200);
+
+    await expect(runTask("vault:oracle", { vault: AOP2_NAME, factory: factoryAddress }))
+      .to.be.rejectedWith("only AoP1Vault prices MON");
+  });
+
+  it("vault:deploy deploys a vault of the requested type", async function () {
+    const { factoryAddress, factory } = await loadFixture(cliFixture);
+
+    const { result } = await runTask("vault:deploy", {
+      name: "CLI Vault",
+      symbol: "CLI",
+      type: "AoP1Vault",
+      minDeposit: "25",
+      factory: factoryAddress
+    });
+
+    expect(await factory.vaults("CLI Vault")).to.equal(result.vault);
+    expect(await factory.isAoP1Vault(result.vault)).to.equal(true);
+    const vault = await ethers.getContractAt("AoP1Vault", result.vault);
+    expect((await vault.depositLimits()).minDeposit).to.equal(usdt("25"));
+    expect(await vault.performanceFee()).to.equal(2000);
+
+    const { result: tiered } = await runTask("vault:deploy", {
+      name: "CLI Tiered Vault",
+      symbol: "CLIT",
+      performance: 1000,
+      management: 100,
+      factory: factoryAddress
+    });
+    const tieredVault = await ethers.getContractAt("AoP2Vault", tiered.vault);
+    expect(await tieredVault.performanceFee()).to.equal(1000);
+    expect(await tieredVault.managementFee()).to.equal(100);
+  });
+
+  it("factory:set-pyth and factory:set-price-id update the factory", async function () {
+    const { factoryAddress, factory, carol } = await loadFixture(cliFixture);
+    const priceId = ethers.id("NEW/USD");
+
+    await runTask("factory:set-pyth", { address: carol.address, factory: factoryAddress });
+    await runTask("factory:set-price-id", { id: priceId, factory: factoryAddress });
+
+    expect(await factory.pythContract()).to.equal(carol.address);
+    expect(await factory.monUsdPriceId()).to.equal(priceId);
+  });
+
+  it("resolves vaults by the symbol recorded in the deployment info", async function () {
+    const { factory, aop1Vault } = await loadFixture(cliFixture);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "aop-cli-"));
+    const infoPath = path.join(dir, "deployment-info.json");
+    fs.writeFileSync(infoPath, JSON.stringify({
+      31337: {
+        factory: await factory.getAddress(),
+        vaults: { [AOP1_NAME]: { address: await aop1Vault.getAddress(), type: "AoP1Vault", symbol: "AOP1" } }
+      }
+    }));
+
+    try {
+      const vault = await resolveVault(hre, factory, "aop1", infoPath);
+      expect(vault.address).to.equal(await aop1Vault.getAddress());
+      expect(vault.name).to.equal(AOP1_NAME);
+      expect(vault.type).to.equal("AoP1Vault");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("rejects unknown vaults", async function () {
+    const { factoryAddress } = await loadFixture(cliFixture);
+
+    await expect(runTask("vault:stats", { vault: "Missing Vault", factory: factoryAddress }))
+      .to.be.rejectedWith('Unknown vault "Missing Vault"');
+  });
+});